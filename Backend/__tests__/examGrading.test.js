@@ -0,0 +1,74 @@
+const { gradeExamAttempt, getAttemptPassingMarks, hasPassed } = require('../utils/examGrading');
+
+const singleAnswerQuestion = {
+  questionNumber: 1,
+  questionType: 'Objective',
+  answerType: 'multiple-choice',
+  marks: 4,
+  options: ['3', '4', '5', '6'],
+  correctAnswer: 1
+};
+
+const multipleAnswerQuestion = {
+  questionNumber: 2,
+  questionType: 'Objective',
+  answerType: 'multiple-choice',
+  marks: 4,
+  options: ['2', '3', '4', '9'],
+  multipleAnswers: true,
+  correctAnswers: [0, 1],
+  scoringMode: 'negative'
+};
+
+const buildExam = (changes) => ({
+  _id: 'e1',
+  totalMarks: 100,
+  passingMarks: 50,
+  embeddedQuestions: [singleAnswerQuestion, multipleAnswerQuestion],
+  settings: { negativeMarking: { enabled: true, fraction: 0.25 } },
+  ...changes
+});
+
+const answer = (questionNumber, value) => ({ questionNumber, answer: value });
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('gradeExamAttempt negative marking', () => {
+  it('takes the exam penalty off a wrong single-answer question', async () => {
+    const result = await gradeExamAttempt(buildExam(), { answers: [answer(1, 0)] });
+    expect(result.gradedAnswers[0].negativeMarks).toBe(1);
+  });
+
+  it('does not add the exam penalty to a question scored in negative mode', async () => {
+    const result = await gradeExamAttempt(buildExam(), { answers: [answer(2, [2, 3])] });
+    expect(result.gradedAnswers[0].marksObtained).toBe(0);
+    expect(result.gradedAnswers[0].negativeMarks).toBe(0);
+  });
+
+  it('does not take the exam penalty off the total for a negative mode question', async () => {
+    const result = await gradeExamAttempt(buildExam(), { answers: [answer(1, 1), answer(2, [2, 3])] });
+    expect(result.actualScore).toBe(4);
+  });
+});
+
+describe('attempt pass mark', () => {
+  const exam = buildExam();
+
+  it('uses the exam pass mark when the paper carries every mark', () => {
+    expect(getAttemptPassingMarks(exam, {})).toBe(50);
+    expect(hasPassed(exam, {}, 49)).toBe(false);
+  });
+
+  it('scales the pass mark to a drawn paper', () => {
+    const attempt = { totalMarks: 40 };
+    expect(getAttemptPassingMarks(exam, attempt)).toBe(20);
+    expect(hasPassed(exam, attempt, 20)).toBe(true);
+    expect(hasPassed(exam, attempt, 19)).toBe(false);
+  });
+});
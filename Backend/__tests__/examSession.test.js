@@ -0,0 +1,82 @@
+const { claimExamSession } = require('../utils/examSession');
+
+const client = (changes) => ({
+  sessionToken: null,
+  fingerprint: 'device1-aaaa1111',
+  socketId: 'socket-1',
+  ipAddress: '10.0.0.5',
+  userAgent: 'Browser/1.0',
+  ...changes
+});
+
+const startedAttempt = () => {
+  const attempt = { sessionLog: [] };
+  claimExamSession(attempt, client());
+  return attempt;
+};
+
+describe('claimExamSession', () => {
+  it('binds the first device to start the attempt', () => {
+    const attempt = { sessionLog: [] };
+    expect(claimExamSession(attempt, client())).toEqual({ status: 'bound' });
+    expect(attempt.session.token).toEqual(expect.any(String));
+    expect(attempt.sessionLog.map(entry => entry.event)).toEqual(['session-started']);
+  });
+
+  it('lets the device holding the session token back in when its fingerprint changed', () => {
+    const attempt = startedAttempt();
+    const token = attempt.session.token;
+
+    const claim = claimExamSession(attempt, client({
+      sessionToken: token,
+      fingerprint: 'device9-bbbb2222',
+      userAgent: 'Browser/2.0'
+    }));
+
+    expect(claim.status).toBe('bound');
+    expect(attempt.session.token).toBe(token);
+    expect(attempt.session.fingerprint).toBe('device9-bbbb2222');
+    expect(attempt.sessionLog.map(entry => entry.event)).toEqual(
+      ['session-started', 'fingerprint-changed', 'user-agent-changed']
+    );
+  });
+
+  it('lets the same fingerprint back in without the session token', () => {
+    const attempt = startedAttempt();
+    const token = attempt.session.token;
+
+    expect(claimExamSession(attempt, client({ socketId: 'socket-2' })).status).toBe('bound');
+    expect(attempt.session.token).toBe(token);
+    expect(attempt.session.socketId).toBe('socket-2');
+  });
+
+  it('asks the teacher when the device id matches but the browser traits do not', () => {
+    const attempt = startedAttempt();
+
+    const claim = claimExamSession(attempt, client({ fingerprint: 'device1-cccc3333' }));
+
+    expect(claim).toEqual({ status: 'takeover-pending', requested: true });
+    expect(attempt.session.fingerprint).toBe('device1-aaaa1111');
+    expect(attempt.takeoverRequest).toMatchObject({ fingerprint: 'device1-cccc3333', status: 'pending' });
+  });
+
+  it('keeps a refused copied device id out until it asks again', () => {
+    const attempt = startedAttempt();
+    claimExamSession(attempt, client({ fingerprint: 'device1-cccc3333' }));
+    attempt.takeoverRequest.status = 'denied';
+
+    expect(claimExamSession(attempt, client({ fingerprint: 'device1-cccc3333' })).status).toBe('takeover-denied');
+  });
+
+  it('turns away another device without the session token', () => {
+    const attempt = startedAttempt();
+
+    const claim = claimExamSession(attempt, client({
+      sessionToken: 'stolen-or-stale',
+      fingerprint: 'device2-aaaa1111'
+    }));
+
+    expect(claim.status).toBe('conflict');
+    expect(attempt.session.fingerprint).toBe('device1-aaaa1111');
+  });
+});
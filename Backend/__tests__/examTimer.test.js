@@ -0,0 +1,37 @@
+const { buildTimerSyncPayload, buildStudentTimerSync } = require('../utils/examTimer');
+
+const now = new Date('2025-01-15T09:30:00Z');
+const exam = {
+  _id: 'e1',
+  duration: 60,
+  endTime: new Date('2025-01-15T12:00:00Z')
+};
+const attempts = [
+  { student: 's1', startTime: new Date('2025-01-15T09:00:00Z'), deadline: new Date('2025-01-15T10:00:00Z') },
+  { student: 's2', startTime: new Date('2025-01-15T09:05:00Z'), deadline: new Date('2025-01-15T10:20:00Z') },
+  { student: 's3', startTime: new Date('2025-01-15T09:00:00Z'), isCompleted: true }
+];
+
+describe('buildTimerSyncPayload', () => {
+  it('lists the deadline of every open attempt for the monitors', () => {
+    expect(buildTimerSyncPayload(exam, attempts, now).deadlines).toEqual({
+      s1: '2025-01-15T10:00:00.000Z',
+      s2: '2025-01-15T10:20:00.000Z'
+    });
+  });
+});
+
+describe('buildStudentTimerSync', () => {
+  it('gives a student only their own deadline', () => {
+    const payload = buildTimerSyncPayload(exam, attempts, now);
+    const studentSync = buildStudentTimerSync(payload, 's1');
+
+    expect(studentSync).toEqual({
+      examId: 'e1',
+      serverTime: now.toISOString(),
+      examEndTime: exam.endTime,
+      deadline: '2025-01-15T10:00:00.000Z'
+    });
+    expect(JSON.stringify(studentSync)).not.toContain('s2');
+  });
+});
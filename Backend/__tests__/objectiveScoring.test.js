@@ -0,0 +1,34 @@
+const { parseNumericAnswer, scoreObjectiveAnswer } = require('../utils/objectiveScoring');
+
+describe('parseNumericAnswer', () => {
+  it.each([
+    ['3.5', 3.5],
+    ['3,5', 3.5],
+    ['-0,25', -0.25],
+    ['1,234', 1234],
+    ['1,234,567.5', 1234567.5],
+    ['2.5e3', 2500]
+  ])('reads %s as %d', (answer, value) => {
+    expect(parseNumericAnswer(answer).value).toBe(value);
+  });
+
+  it('keeps the unit typed after a decimal comma', () => {
+    expect(parseNumericAnswer('9,8 m/s')).toEqual({ value: 9.8, unit: 'm/s' });
+  });
+
+  it.each(['1,2345', '12,3456', '1,2,3', '1,23.5'])('rejects the ambiguous %s', (answer) => {
+    expect(parseNumericAnswer(answer)).toBeNull();
+  });
+});
+
+describe('scoreObjectiveAnswer for numeric questions', () => {
+  const question = { answerType: 'numeric', marks: 2, numericAnswer: 3.5, tolerance: 0 };
+
+  it('accepts a decimal comma', () => {
+    expect(scoreObjectiveAnswer(question, '3,5')).toEqual({ isCorrect: true, marksObtained: 2 });
+  });
+
+  it('does not read a decimal comma as a thousands separator', () => {
+    expect(scoreObjectiveAnswer({ ...question, numericAnswer: 35 }, '3,5').isCorrect).toBe(false);
+  });
+});
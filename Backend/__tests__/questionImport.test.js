@@ -0,0 +1,51 @@
+const ExcelJS = require('exceljs');
+const { parseXLSXRows, parseQuestionFile } = require('../utils/questionImport');
+
+const buildWorkbook = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Questions');
+  rows.forEach(row => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+describe('parseXLSXRows', () => {
+  it('reads the first worksheet as text cells and skips empty rows', async () => {
+    const buffer = await buildWorkbook([
+      ['Question', 'Option A', 'Option B', 'Answer', 'Marks'],
+      ['What is 2 + 2?', '3', '4', 'B', 2],
+      [],
+      ['Pick the prime', '4', '7', 'B', null]
+    ]);
+
+    expect(await parseXLSXRows(buffer)).toEqual([
+      ['Question', 'Option A', 'Option B', 'Answer', 'Marks'],
+      ['What is 2 + 2?', '3', '4', 'B', '2'],
+      ['Pick the prime', '4', '7', 'B', '']
+    ]);
+  });
+
+  it('rejects files that are not Excel workbooks', async () => {
+    await expect(parseXLSXRows(Buffer.from('not a workbook'))).rejects.toThrow('Could not read the Excel file');
+  });
+});
+
+describe('parseQuestionFile', () => {
+  it('maps spreadsheet columns to questions', async () => {
+    const buffer = await buildWorkbook([
+      ['Question', 'Option A', 'Option B', 'Answer', 'Marks'],
+      ['What is 2 + 2?', '3', '4', 'B', 2]
+    ]);
+
+    const preview = await parseQuestionFile({ buffer, fileName: 'questions.xlsx' });
+
+    expect(preview.format).toBe('xlsx');
+    expect(preview.rows).toHaveLength(1);
+    expect(preview.rows[0].isValid).toBe(true);
+    expect(preview.rows[0].question.marks).toBe(2);
+  });
+
+  it('does not accept legacy .xls workbooks', async () => {
+    await expect(parseQuestionFile({ buffer: Buffer.from(''), fileName: 'questions.xls' }))
+      .rejects.toThrow('Unsupported file format');
+  });
+});
@@ -0,0 +1,205 @@
+const {
+  serializeStudentQuestion,
+  serializeStudentAnswer,
+  serializeStudentExam,
+  serializeStudentAttempt
+} = require('../utils/studentSerializer');
+
+// Fields that would let a student work out the answers
+const ANSWER_KEY_FIELDS = [
+  'correctAnswer',
+  'correctAnswers',
+  'isCorrect',
+  'explanation',
+  'expectedAnswer',
+  'acceptedAnswers',
+  'gradingKeywords',
+  'numericAnswer',
+  'rubric'
+];
+
+// Every key used anywhere in a serialized value
+const collectKeys = (value, keys = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectKeys(item, keys));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      keys.add(key);
+      collectKeys(value[key], keys);
+    });
+  }
+  return keys;
+};
+
+const expectNoAnswerKey = (value, allowed = []) => {
+  const keys = collectKeys(value);
+  ANSWER_KEY_FIELDS
+    .filter(field => !allowed.includes(field))
+    .forEach(field => expect(keys.has(field)).toBe(false));
+};
+
+const multipleChoiceQuestion = {
+  _id: 'q1',
+  questionNumber: 1,
+  questionText: 'What is 2 + 2?',
+  questionType: 'Objective',
+  answerType: 'multiple-choice',
+  marks: 2,
+  options: ['3', '4', '5', '6'],
+  correctAnswer: 1,
+  correctAnswers: [1],
+  explanation: 'Basic addition'
+};
+
+const fillBlankQuestion = {
+  _id: 'q2',
+  questionNumber: 2,
+  questionText: 'The capital of Nigeria is ____',
+  questionType: 'Objective',
+  answerType: 'fill-blank',
+  marks: 1,
+  acceptedAnswers: ['Abuja'],
+  explanation: 'Abuja replaced Lagos in 1991'
+};
+
+const numericQuestion = {
+  _id: 'q3',
+  questionNumber: 3,
+  questionText: 'How many metres are in 2.5 km?',
+  questionType: 'Objective',
+  answerType: 'numeric',
+  marks: 1,
+  numericAnswer: 2500,
+  tolerance: 0,
+  unit: 'm'
+};
+
+const theoryQuestion = {
+  _id: 'q4',
+  questionNumber: 4,
+  questionText: 'Explain photosynthesis.',
+  questionType: 'Theory',
+  marks: 10,
+  expectedAnswer: 'Plants make glucose from light, water and carbon dioxide',
+  gradingKeywords: [{ term: 'chlorophyll', synonyms: [], weight: 1 }],
+  rubric: { title: 'Essay', criteria: [] }
+};
+
+// A legacy Question document, whose options carry isCorrect
+const legacyQuestion = {
+  _id: 'q5',
+  questionText: 'Which is a prime number?',
+  questionType: 'Objective',
+  marks: 1,
+  options: [
+    { _id: 'o1', text: '4', isCorrect: false },
+    { _id: 'o2', text: '7', isCorrect: true }
+  ],
+  explanation: '7 has no divisors but 1 and itself',
+  toObject() {
+    const { toObject, ...plain } = this;
+    return plain;
+  }
+};
+
+const exam = {
+  _id: 'e1',
+  title: 'Mid-term',
+  examCode: 'ABC123',
+  duration: 60,
+  totalMarks: 14,
+  embeddedQuestions: [multipleChoiceQuestion, fillBlankQuestion, numericQuestion, theoryQuestion],
+  settings: { showResultsImmediately: false }
+};
+
+const answers = [
+  { questionId: 'q1', questionNumber: 1, answer: 1, isCorrect: true, marksObtained: 2, sequence: 3 },
+  { questionId: 'q2', questionNumber: 2, answer: 'Abuja', isCorrect: true, marksObtained: 1, sequence: 4 }
+];
+
+const buildAttempt = (changes) => ({
+  _id: 'a1',
+  exam: { _id: 'e1', title: 'Mid-term' },
+  startTime: new Date('2025-01-15T09:00:00Z'),
+  answers,
+  score: 3,
+  percentage: 21,
+  actualScore: 3,
+  actualPercentage: 21,
+  ...changes
+});
+
+describe('serializeStudentQuestion', () => {
+  it.each([
+    ['multiple-choice', multipleChoiceQuestion],
+    ['fill-blank', fillBlankQuestion],
+    ['numeric', numericQuestion],
+    ['theory', theoryQuestion],
+    ['legacy', legacyQuestion]
+  ])('leaves out the answer key of a %s question', (type, question) => {
+    expectNoAnswerKey(serializeStudentQuestion(question));
+  });
+
+  it('keeps what the student needs to answer', () => {
+    expect(serializeStudentQuestion(multipleChoiceQuestion).options).toEqual(['3', '4', '5', '6']);
+    expect(serializeStudentQuestion(legacyQuestion).options).toEqual([
+      { _id: 'o1', text: '4' },
+      { _id: 'o2', text: '7' }
+    ]);
+    expect(serializeStudentQuestion(numericQuestion).unit).toBe('m');
+  });
+});
+
+describe('serializeStudentAnswer', () => {
+  it('leaves out grading until results are released', () => {
+    answers.forEach(answer => expectNoAnswerKey(serializeStudentAnswer(answer)));
+  });
+
+  it('includes grading once results are released', () => {
+    const serialized = serializeStudentAnswer(answers[0], { resultsReleased: true });
+    expect(serialized.isCorrect).toBe(true);
+    expect(serialized.marksObtained).toBe(2);
+    expectNoAnswerKey(serialized, ['isCorrect']);
+  });
+});
+
+describe('serializeStudentExam', () => {
+  it('never includes questions or their answer keys', () => {
+    const serialized = serializeStudentExam(exam);
+    expect(serialized.embeddedQuestions).toBeUndefined();
+    expect(serialized.questionCount).toBe(4);
+    expectNoAnswerKey(serialized);
+  });
+});
+
+describe('serializeStudentAttempt', () => {
+  it('hides grading and scores while the attempt is in progress', () => {
+    const serialized = serializeStudentAttempt(buildAttempt({ isCompleted: false }));
+    expectNoAnswerKey(serialized);
+    expect(serialized.score).toBeUndefined();
+    expect(serialized.percentage).toBeUndefined();
+  });
+
+  it('hides grading and scores after submission until results are released', () => {
+    const serialized = serializeStudentAttempt(buildAttempt({
+      isCompleted: true,
+      submittedAt: new Date('2025-01-15T09:45:00Z'),
+      gradingStatus: 'completed',
+      resultsReleased: false
+    }));
+    expectNoAnswerKey(serialized);
+    expect(serialized.score).toBeUndefined();
+    expect(serialized.actualPercentage).toBeUndefined();
+  });
+
+  it('shows scores and marked answers once results are released', () => {
+    const serialized = serializeStudentAttempt(buildAttempt({
+      isCompleted: true,
+      gradingStatus: 'completed',
+      resultsReleased: true
+    }));
+    expect(serialized.score).toBe(3);
+    expect(serialized.answers[0].isCorrect).toBe(true);
+    expectNoAnswerKey(serialized, ['isCorrect']);
+  });
+});
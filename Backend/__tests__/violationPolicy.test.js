@@ -0,0 +1,50 @@
+const { countViolations } = require('../utils/violationPolicy');
+
+const policy = {
+  enabled: true,
+  countedEvents: ['tab-hidden', 'window-blur', 'fullscreen-exit']
+};
+
+const at = (seconds) => new Date(Date.UTC(2025, 0, 15, 9, 0, 0) + seconds * 1000);
+const event = (type, seconds) => ({ type, occurredAt: at(seconds) });
+
+describe('countViolations', () => {
+  it('counts a tab switch in fullscreen once', () => {
+    const events = [
+      event('fullscreen-exit', 10),
+      event('window-blur', 10.2),
+      event('tab-hidden', 10.3)
+    ];
+    expect(countViolations(policy, events)).toBe(1);
+  });
+
+  it('counts events more than a second apart separately', () => {
+    const events = [
+      event('tab-hidden', 10),
+      event('tab-hidden', 30),
+      event('fullscreen-exit', 31.5)
+    ];
+    expect(countViolations(policy, events)).toBe(3);
+  });
+
+  it('ignores events the policy does not count', () => {
+    const events = [event('copy', 10), event('paste', 40)];
+    expect(countViolations(policy, events)).toBe(0);
+  });
+
+  it('does not count an incident again when it is reported in two parts', () => {
+    const recorded = [event('fullscreen-exit', 10)];
+    const events = [event('tab-hidden', 10.4), event('tab-hidden', 60)];
+    expect(countViolations(policy, events, recorded)).toBe(1);
+  });
+
+  it('counts late reports of earlier incidents', () => {
+    const recorded = [event('tab-hidden', 60)];
+    const events = [event('tab-hidden', 10)];
+    expect(countViolations(policy, events, recorded)).toBe(1);
+  });
+
+  it('counts nothing without a policy', () => {
+    expect(countViolations(null, [event('tab-hidden', 10)])).toBe(0);
+  });
+});
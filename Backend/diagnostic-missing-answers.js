@@ -12,6 +12,7 @@ require('dotenv').config();
 
 // Models
 const Exam = require('./models/Exam');
+const ExamAttempt = require('./models/ExamAttempt');
 const User = require('./models/User');
 
 const connectDB = async () => {
@@ -63,6 +64,8 @@ const analyzeMissingAnswers = async (examId = null) => {
       console.log(`Total Questions: ${exam.embeddedQuestions?.length || exam.questions?.length || 0}`);
       console.log(`Total Marks: ${exam.totalMarks}`);
       
+      exam.attempts = await ExamAttempt.find({ exam: exam._id }).lean();
+
       if (!exam.attempts || exam.attempts.length === 0) {
         console.log('No attempts found for this exam');
         continue;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A school year, e.g. "2025/2026". Exactly one session is current; earlier
+// sessions are archived by the rollover and keep their exams and results.
+const academicSessionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Session name is required'],
+    unique: true,
+    trim: true,
+    match: [/^\d{4}\/\d{4}$/, 'Session must be in format "YYYY/YYYY"']
+  },
+  startDate: Date,
+  endDate: Date,
+  isCurrent: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Archived'],
+    default: 'Active'
+  },
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+academicSessionSchema.index({ isCurrent: 1 });
+
+// Terms of the session, in order
+academicSessionSchema.virtual('terms', {
+  ref: 'Term',
+  localField: '_id',
+  foreignField: 'session',
+  options: { sort: { order: 1 } }
+});
+
+// Static method to get the current session
+academicSessionSchema.statics.getCurrent = function() {
+  return this.findOne({ isCurrent: true });
+};
+
+// Static method to name the session a date falls in. Sessions run from
+// September to July, so March 2026 is in "2025/2026".
+academicSessionSchema.statics.nameFor = function(date = new Date()) {
+  const startYear = date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}/${startYear + 1}`;
+};
+
+academicSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AcademicSession', academicSessionSchema);
@@ -1,13 +1,39 @@
 const mongoose = require('mongoose');
 
+const LEVELS = ['JSS1', 'JSS2', 'JSS3', 'SS1', 'SS2', 'SS3'];
+const JUNIOR_LEVELS = ['JSS1', 'JSS2', 'JSS3'];
+const DEPARTMENTS = ['Science', 'Commercial', 'Arts'];
+
 const classSchema = new mongoose.Schema({
+  // Derived from level, department and arm, e.g. "JSS1A" or "SS2 Science"
   name: {
     type: String,
     required: [true, 'Class name is required'],
-    enum: ['JSS1', 'JSS2', 'JSS3', 'SS1', 'SS2', 'SS3'],
     unique: true,
     trim: true
   },
+  level: {
+    type: String,
+    required: [true, 'Class level is required'],
+    enum: LEVELS
+  },
+  arm: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [20, 'Arm cannot exceed 20 characters'],
+    match: [/^[A-Za-z0-9 ]*$/, 'Arm can only contain letters, numbers and spaces']
+  },
+  department: {
+    type: String,
+    enum: DEPARTMENTS,
+    validate: {
+      validator: function(v) {
+        return !v || !JUNIOR_LEVELS.includes(this.level);
+      },
+      message: 'Departments only apply to senior classes'
+    }
+  },
   description: {
     type: String,
     trim: true
@@ -55,16 +81,20 @@ const classSchema = new mongoose.Schema({
 
 // Index for performance
 classSchema.index({ name: 1 });
+classSchema.index({ level: 1 });
 classSchema.index({ academicYear: 1 });
 
-// Virtual for class category
-classSchema.virtual('category').get(function() {
-  return ['JSS1', 'JSS2', 'JSS3'].includes(this.name) ? 'Junior' : 'Senior';
+// Keep the name in step with level, department and arm
+classSchema.pre('validate', function(next) {
+  if (this.level) {
+    this.name = this.constructor.buildName(this);
+  }
+  next();
 });
 
-// Virtual for class level (for backward compatibility)
-classSchema.virtual('level').get(function() {
-  return this.name;
+// Virtual for class category
+classSchema.virtual('category').get(function() {
+  return JUNIOR_LEVELS.includes(this.level) ? 'Junior' : 'Senior';
 });
 
 // Virtual for student count
@@ -108,16 +138,38 @@ classSchema.methods.isFull = function() {
   return this.students.length >= this.maxStudents;
 };
 
+// Level and department lists for routes and validators
+classSchema.statics.LEVELS = LEVELS;
+classSchema.statics.JUNIOR_LEVELS = JUNIOR_LEVELS;
+classSchema.statics.DEPARTMENTS = DEPARTMENTS;
+
 // Static method to get classes by category
 classSchema.statics.getByCategory = function(category) {
-  const classNames = category === 'Junior' 
-    ? ['JSS1', 'JSS2', 'JSS3'] 
-    : ['SS1', 'SS2', 'SS3'];
+  const levels = category === 'Junior'
+    ? JUNIOR_LEVELS
+    : LEVELS.filter(level => !JUNIOR_LEVELS.includes(level));
   
-  return this.find({ name: { $in: classNames }, isActive: true })
+  return this.find({ level: { $in: levels }, isActive: true })
     .populate('subjects students classTeacher');
 };
 
+// Static method to get every arm of a level
+classSchema.statics.getByLevel = function(level) {
+  return this.find({ level, isActive: true })
+    .populate('subjects classTeacher', 'name firstName lastName')
+    .sort({ name: 1 });
+};
+
+// Static method to name a class: single-character arms are joined to the
+// level ("JSS1A"), longer arms and departments are spaced ("SS2 Science B")
+classSchema.statics.buildName = function({ level, arm, department }) {
+  const trimmedArm = (arm || '').trim();
+  if (department) {
+    return [level, department, trimmedArm].filter(Boolean).join(' ');
+  }
+  return trimmedArm.length > 1 ? `${level} ${trimmedArm}` : `${level}${trimmedArm}`;
+};
+
 // Static method to get available classes (not full)
 classSchema.statics.getAvailable = function() {
   return this.aggregate([
@@ -132,18 +184,26 @@ classSchema.statics.getAvailable = function() {
   ]);
 };
 
-// Static method to initialize all Nigerian classes
-classSchema.statics.initializeNigerianClasses = async function() {
-  const classNames = ['JSS1', 'JSS2', 'JSS3', 'SS1', 'SS2', 'SS3'];
-  
-  for (const className of classNames) {
-    const existingClass = await this.findOne({ name: className });
-    if (!existingClass) {
-      await this.create({
-        name: className,
-        description: `${className} - ${['JSS1', 'JSS2', 'JSS3'].includes(className) ? 'Junior' : 'Senior'} Secondary School`,
-        maxStudents: 40
-      });
+// Static method to initialize the Nigerian class structure. Levels that
+// have no class yet get one class per arm; levels with classes are left alone.
+classSchema.statics.initializeNigerianClasses = async function({ arms = [''] } = {}) {
+  for (const level of LEVELS) {
+    // Classes created before arms existed are named after their level
+    await this.updateMany(
+      { name: level, level: { $exists: false } },
+      { $set: { level, arm: '' } }
+    );
+
+    const hasClasses = await this.exists({ level });
+    if (!hasClasses) {
+      for (const arm of arms) {
+        await this.create({
+          level,
+          arm,
+          description: `${level} - ${JUNIOR_LEVELS.includes(level) ? 'Junior' : 'Senior'} Secondary School`,
+          maxStudents: 40
+        });
+      }
     }
   }
 };
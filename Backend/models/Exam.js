@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { INTEGRITY_EVENT_TYPES } = require('../utils/integrityEvents');
 
 const examSchema = new mongoose.Schema({
   title: {
@@ -26,11 +27,30 @@ const examSchema = new mongoose.Schema({
     ref: 'Class',
     required: [true, 'Class is required']
   },
+  // Set when the exam is open to every arm of a level
+  targetLevel: {
+    type: String,
+    enum: ['JSS1', 'JSS2', 'JSS3', 'SS1', 'SS2', 'SS3']
+  },
+  // Set when the exam is open to several specific arms (includes `class`)
+  targetClasses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Teacher is required']
   },
+  // Session and term the exam was set in
+  academicSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term'
+  },
   description: {
     type: String,
     trim: true,
@@ -87,6 +107,12 @@ const examSchema = new mongoose.Schema({
       enum: ['Objective', 'Theory'],
       required: [true, 'Question type is required']
     },
+    // How an objective question is answered; see the Question model
+    answerType: {
+      type: String,
+      enum: ['multiple-choice', 'true-false', 'fill-blank', 'numeric', 'matching', 'ordering'],
+      default: 'multiple-choice'
+    },
     marks: {
       type: Number,
       required: [true, 'Question marks is required'],
@@ -101,13 +127,108 @@ const examSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    // Multiple-answer questions list every correct option index here;
+    // correctAnswer keeps the first of them for older readers
+    multipleAnswers: {
+      type: Boolean,
+      default: false
+    },
+    correctAnswers: [{
+      type: Number,
+      min: 0
+    }],
+    scoringMode: {
+      type: String,
+      enum: ['all-or-nothing', 'partial', 'negative'],
+      default: 'all-or-nothing'
+    },
+    // Answer keys of the types without options
+    acceptedAnswers: [{
+      type: String,
+      trim: true
+    }],
+    caseSensitive: {
+      type: Boolean,
+      default: false
+    },
+    numericAnswer: {
+      type: Number
+    },
+    tolerance: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    toleranceType: {
+      type: String,
+      enum: ['absolute', 'relative'],
+      default: 'absolute'
+    },
+    unit: {
+      type: String,
+      trim: true
+    },
+    acceptedUnits: [{
+      type: String,
+      trim: true
+    }],
+    matchingPairs: [{
+      left: { type: String, trim: true },
+      right: { type: String, trim: true }
+    }],
+    orderingItems: [{
+      type: String,
+      trim: true
+    }],
     explanation: {
       type: String,
       trim: true
     },
+    // Marking guide of theory questions, copied from the question bank
+    expectedAnswer: {
+      type: String,
+      trim: true
+    },
+    gradingKeywords: [{
+      term: { type: String, trim: true },
+      synonyms: [{ type: String, trim: true }],
+      weight: { type: Number, default: 1 }
+    }],
+    // Copy of the question's rubric as it was when the exam was set
+    rubric: {
+      rubricId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rubric'
+      },
+      title: String,
+      criteria: [{
+        _id: false,
+        title: String,
+        description: String,
+        bands: [{
+          _id: false,
+          label: String,
+          points: Number,
+          descriptor: String
+        }]
+      }]
+    },
     additionalInfo: {
       type: String,
       trim: true
+    },
+    // Copied from the question bank so per-student draws can be stratified
+    difficulty: {
+      type: String,
+      enum: ['Easy', 'Medium', 'Hard']
+    },
+    topic: {
+      type: String,
+      trim: true
+    },
+    sourceQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
     }
   }],
   questionCount: {
@@ -161,6 +282,54 @@ const examSchema = new mongoose.Schema({
     autoSubmit: {
       type: Boolean,
       default: true
+    },
+    // What happens when recorded integrity events count as violations
+    violationPolicy: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      countedEvents: {
+        type: [{
+          type: String,
+          enum: INTEGRITY_EVENT_TYPES
+        }],
+        default: ['tab-hidden', 'window-blur', 'fullscreen-exit']
+      },
+      // The attempt is submitted on this violation; earlier ones only warn (0 = never submit)
+      autoSubmitAfter: {
+        type: Number,
+        default: 3,
+        min: [0, 'Auto-submit limit cannot be negative']
+      },
+      // Minutes taken off the student's remaining time per violation
+      penaltyMinutes: {
+        type: Number,
+        default: 0,
+        min: [0, 'Penalty minutes cannot be negative']
+      }
+    },
+    // Penalty for guessing: this fraction of a question's marks is taken off
+    // for each wrong objective answer. Blank answers are never penalised.
+    negativeMarking: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      fraction: {
+        type: Number,
+        default: 0.25,
+        min: [0, 'Negative marking fraction cannot be negative'],
+        max: [1, 'Negative marking fraction cannot exceed 1']
+      }
+    },
+    // Suggest a mark for each theory answer from its question's keywords for
+    // the teacher to accept or override
+    assistedGrading: {
+      enabled: {
+        type: Boolean,
+        default: false
+      }
     }
   },
   status: {
@@ -172,60 +341,16 @@ const examSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set while the teacher has paused the whole exam
+  pausedAt: {
+    type: Date,
+    default: null
+  },
   allowRetakes: {
     type: Boolean,
     default: false,
     comment: 'Allow students to retake the exam after completion'
   },
-  attempts: [{
-    student: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    startTime: Date,
-    endTime: Date,
-    timeSpent: Number,
-    score: Number,
-    percentage: Number,
-    answers: [{
-      questionNumber: Number,
-      questionType: String,
-      answer: mongoose.Schema.Types.Mixed,
-      isCorrect: Boolean,
-      marksObtained: Number,
-      timeSpent: Number,
-      needsGrading: { type: Boolean, default: false },
-      gradedBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      gradedAt: { type: Date }
-    }],
-    isCompleted: {
-      type: Boolean,
-      default: false
-    },
-    submittedAt: Date,
-    ipAddress: String,
-    userAgent: String,
-    gradingStatus: {
-      type: String,
-      enum: ['Pending', 'Partial', 'Completed'],
-      default: 'Pending'
-    },
-    autoGradedMarks: { type: Number, default: 0 },
-    manualGradedMarks: { type: Number, default: 0 },
-    actualScore: { type: Number, default: 0 },
-    actualPercentage: { type: Number, default: 0 },
-    resultsReleased: { type: Boolean, default: false },
-    resultsReleasedAt: { type: Date },
-    gradedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    gradedAt: { type: Date },
-    needsGrading: { type: Boolean, default: false }
-  }],
   // Question bank selection for random question generation
   useQuestionBank: {
     type: Boolean,
@@ -245,7 +370,12 @@ const examSchema = new mongoose.Schema({
         ref: 'Question'
       }],
       count: { type: Number, default: 0 }
-    }
+    },
+    // Keep each student's draw proportional to the pool's mix of these fields
+    stratifyBy: [{
+      type: String,
+      enum: ['difficulty', 'topic']
+    }]
   },
   analytics: {
     totalAttempts: { type: Number, default: 0 },
@@ -262,7 +392,10 @@ const examSchema = new mongoose.Schema({
 examSchema.index({ examCode: 1 });
 examSchema.index({ subject: 1 });
 examSchema.index({ class: 1 });
+examSchema.index({ targetClasses: 1 });
+examSchema.index({ targetLevel: 1 });
 examSchema.index({ teacher: 1 });
+examSchema.index({ academicSession: 1, term: 1 });
 examSchema.index({ status: 1 });
 examSchema.index({ startTime: 1, endTime: 1 });
 
@@ -296,32 +429,6 @@ examSchema.methods.isAvailableForStudent = function(studentId) {
   return this.allowedStudents.some(id => id.toString() === studentId.toString());
 };
 
-// Method to add student attempt
-examSchema.methods.addAttempt = function(attemptData) {
-  this.attempts.push(attemptData);
-  this.analytics.totalAttempts = this.attempts.length;
-  
-  // Update analytics
-  const completedAttempts = this.attempts.filter(attempt => attempt.isCompleted);
-  if (completedAttempts.length > 0) {
-    const percentages = completedAttempts.map(attempt => attempt.percentage || 0);
-    this.analytics.averageScore = percentages.reduce((a, b) => a + b, 0) / percentages.length;
-    this.analytics.highestScore = Math.max(...percentages);
-    this.analytics.lowestScore = Math.min(...percentages);
-    this.analytics.passRate = (completedAttempts.filter(attempt => 
-      attempt.score >= this.passingMarks).length / completedAttempts.length) * 100;
-  }
-  
-  return this.save();
-};
-
-// Method to get student's attempt
-examSchema.methods.getStudentAttempt = function(studentId) {
-  return this.attempts.find(attempt => 
-    attempt.student.toString() === studentId.toString()
-  );
-};
-
 // Static method to generate unique exam code
 examSchema.statics.generateExamCode = async function() {
   let code;
@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const { INTEGRITY_EVENT_TYPES } = require('../utils/integrityEvents');
+
+const answerSchema = new mongoose.Schema({
+  // Client-side question id (embedded question _id or "embedded_<number>")
+  questionId: String,
+  questionNumber: Number,
+  questionType: String,
+  answer: mongoose.Schema.Types.Mixed,
+  // Option index as displayed to the student when options were shuffled;
+  // grading maps it back and stores the exam's own index in `answer`
+  shuffledAnswer: mongoose.Schema.Types.Mixed,
+  isCorrect: Boolean,
+  marksObtained: Number,
+  // Deducted under the exam's negative marking for a wrong objective answer
+  negativeMarks: {
+    type: Number,
+    default: 0
+  },
+  timeSpent: Number,
+  answeredAt: Date,
+  // Client sequence number and idempotency key of the save that wrote this answer
+  sequence: Number,
+  saveKey: String,
+  needsGrading: { type: Boolean, default: false },
+  // Assisted marking of a theory answer: the mark its keywords suggest and
+  // where each keyword was found, then whether the teacher took that mark
+  suggestion: {
+    marks: Number,
+    coverage: Number,
+    matches: [{
+      _id: false,
+      term: String,
+      weight: Number,
+      matched: Boolean,
+      variant: String,
+      ranges: [{ _id: false, start: Number, end: Number }]
+    }],
+    generatedAt: Date
+  },
+  suggestionStatus: {
+    type: String,
+    enum: ['accepted', 'overridden']
+  },
+  // Rubric marking: the band chosen for each criterion (by index in the
+  // question's rubric), its points and the teacher's comment on it
+  rubricScores: [{
+    _id: false,
+    criterion: Number,
+    band: Number,
+    points: Number,
+    comment: String
+  }],
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: { type: Date }
+});
+
+// Something the student's browser noticed during the exam that a teacher may
+// want to review, e.g. leaving the exam tab or pasting text
+const integrityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INTEGRITY_EVENT_TYPES,
+    required: true
+  },
+  // When it happened, by the student's clock corrected to server time
+  occurredAt: { type: Date, required: true },
+  recordedAt: { type: Date, default: Date.now },
+  details: { type: String, maxlength: 200 }
+}, { _id: false });
+
+// A change to the device or network an attempt is being taken from
+const sessionEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: [
+      'session-started', 'ip-changed', 'user-agent-changed', 'fingerprint-changed', 'rejected',
+      'takeover-requested', 'takeover-approved', 'takeover-denied', 'takeover-completed'
+    ],
+    required: true
+  },
+  at: { type: Date, default: Date.now },
+  fingerprint: String,
+  ipAddress: String,
+  userAgent: String,
+  // The value before the change, for ip-changed, user-agent-changed and fingerprint-changed
+  previous: String
+}, { _id: false });
+
+const examAttemptSchema = new mongoose.Schema({
+  exam: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: [true, 'Exam is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  // Copied from the exam so results can be filtered by session and term
+  academicSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Term'
+  },
+  startTime: Date,
+  endTime: Date,
+  // Server-side cut-off for this attempt, fixed when the attempt starts
+  deadline: Date,
+  // Per-attempt question set and order (see utils/questionShuffle). The
+  // drawn questions and their total are only set when the exam draws a
+  // random paper per student from its question bank pool.
+  shuffleSeed: String,
+  drawnQuestions: [Number],
+  totalMarks: Number,
+  questionOrder: [Number],
+  optionOrders: [{
+    _id: false,
+    questionNumber: Number,
+    order: [Number]
+  }],
+  timeSpent: { type: Number, default: 0 },
+  score: Number,
+  percentage: Number,
+  answers: [answerSchema],
+  isCompleted: {
+    type: Boolean,
+    default: false
+  },
+  submittedAt: Date,
+  // How the attempt was closed: by the student or automatically by the server
+  submissionReason: {
+    type: String,
+    enum: ['submitted', 'auto-submitted', 'violation-limit', 'teacher-submitted'],
+    default: 'submitted'
+  },
+  ipAddress: String,
+  userAgent: String,
+  // The one device the attempt may be answered from: a token handed out by
+  // /start, the device fingerprint it was issued to and that device's socket
+  session: {
+    token: String,
+    fingerprint: String,
+    socketId: String,
+    boundAt: Date
+  },
+  // Another device asking to continue the attempt, waiting on the teacher
+  takeoverRequest: {
+    fingerprint: String,
+    ipAddress: String,
+    userAgent: String,
+    requestedAt: Date,
+    status: { type: String, enum: ['pending', 'approved', 'denied'] }
+  },
+  sessionLog: [sessionEventSchema],
+  integrityEvents: [integrityEventSchema],
+  // Integrity events counted by the exam's violation policy, and the minutes
+  // taken off the deadline for them
+  violationCount: { type: Number, default: 0 },
+  penaltyMinutes: { type: Number, default: 0 },
+  // Minutes the teacher added to the deadline
+  extraMinutes: { type: Number, default: 0 },
+  // Set while the attempt is paused; the clock is stopped until it is resumed
+  pausedAt: { type: Date, default: null },
+  gradingStatus: {
+    type: String,
+    enum: ['Pending', 'Partial', 'Completed'],
+    default: 'Pending'
+  },
+  autoGradedMarks: { type: Number, default: 0 },
+  manualGradedMarks: { type: Number, default: 0 },
+  actualScore: { type: Number, default: 0 },
+  actualPercentage: { type: Number, default: 0 },
+  resultsReleased: { type: Boolean, default: false },
+  resultsReleasedAt: { type: Date },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: { type: Date },
+  needsGrading: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+examAttemptSchema.index({ exam: 1, student: 1 });
+// One attempt in progress per student and exam, so concurrent /start requests
+// cannot both create one
+examAttemptSchema.index(
+  { exam: 1, student: 1 },
+  { unique: true, partialFilterExpression: { isCompleted: false }, name: 'exam_1_student_1_open' }
+);
+examAttemptSchema.index({ exam: 1, isCompleted: 1 });
+examAttemptSchema.index({ student: 1, submittedAt: -1 });
+examAttemptSchema.index({ isCompleted: 1, deadline: 1 });
+examAttemptSchema.index({ academicSession: 1, term: 1 });
+
+// Static method to get a student's in-progress attempt for an exam
+examAttemptSchema.statics.findActiveAttempt = function(examId, studentId) {
+  return this.findOne({ exam: examId, student: studentId, isCompleted: false })
+    .sort({ startTime: -1 });
+};
+
+// Static method to get a student's most recent attempt for an exam
+examAttemptSchema.statics.findLatestAttempt = function(examId, studentId, filters = {}) {
+  return this.findOne({ exam: examId, student: studentId, ...filters })
+    .sort({ startTime: -1, createdAt: -1 });
+};
+
+// Static method to save one answer without rewriting the rest of the attempt.
+// Replaces the answer for the same question in place, or appends it. Only an
+// older answer is replaced, so a stale or replayed request can never
+// overwrite a newer one: by default answers are ordered by their client
+// sequence number, and with { compareBy: 'answeredAt' } by answer timestamp.
+// Resolves to { status, attempt, current } where status is one of
+// 'saved', 'duplicate' (same idempotency key already applied), 'stale' or 'closed'.
+examAttemptSchema.statics.saveAnswer = async function(attemptId, answerData, timeSpent = 0, options = {}) {
+  const { compareBy = 'sequence' } = options;
+  const increment = timeSpent ? { $inc: { timeSpent } } : {};
+  const orderValue = answerData[compareBy];
+  const isOrdered = compareBy === 'answeredAt' ? orderValue instanceof Date : typeof orderValue === 'number';
+  const sameQuestion = isOrdered
+    ? {
+        questionNumber: answerData.questionNumber,
+        $or: [{ [compareBy]: { $lt: orderValue } }, { [compareBy]: null }]
+      }
+    : { questionNumber: answerData.questionNumber };
+
+  for (let tries = 0; tries < 2; tries++) {
+    const replaced = await this.findOneAndUpdate(
+      { _id: attemptId, isCompleted: false, answers: { $elemMatch: sameQuestion } },
+      { $set: { 'answers.$': answerData }, ...increment },
+      { new: true }
+    );
+    if (replaced) return { status: 'saved', attempt: replaced };
+
+    const appended = await this.findOneAndUpdate(
+      { _id: attemptId, isCompleted: false, 'answers.questionNumber': { $ne: answerData.questionNumber } },
+      { $push: { answers: answerData }, ...increment },
+      { new: true }
+    );
+    if (appended) return { status: 'saved', attempt: appended };
+
+    // Neither update matched: the attempt is closed, the stored answer is
+    // newer, or another request added this question between the two updates
+    const attempt = await this.findById(attemptId);
+    if (!attempt || attempt.isCompleted) return { status: 'closed', attempt };
+
+    const current = attempt.answers.find(answer => answer.questionNumber === answerData.questionNumber);
+    if (current && isOrdered && current[compareBy] >= orderValue) {
+      const duplicate = answerData.saveKey && current.saveKey === answerData.saveKey;
+      return { status: duplicate ? 'duplicate' : 'stale', attempt, current };
+    }
+  }
+
+  return { status: 'stale', attempt: null };
+};
+
+// Append integrity events to an open attempt without rewriting the rest of it,
+// adding `violations` to its violation count. Only the most recent events are
+// kept so a misbehaving client can't grow the document without bound.
+// Resolves to the updated attempt, or null if closed.
+examAttemptSchema.statics.recordIntegrityEvents = function(attemptId, events, { violations = 0, maxEvents = 1000 } = {}) {
+  const update = { $push: { integrityEvents: { $each: events, $slice: -maxEvents } } };
+  if (violations > 0) update.$inc = { violationCount: violations };
+
+  return this.findOneAndUpdate(
+    { _id: attemptId, isCompleted: false },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+// Move an open attempt's deadline by `minutes` (negative to shorten it) in a
+// single update, so concurrent adjustments can't overwrite each other.
+// `currentDeadline` is used for attempts started before deadlines were stored.
+// `countAs` names the running total the minutes are added to (penaltyMinutes,
+// extraMinutes). Resolves to the updated attempt, or null if closed.
+examAttemptSchema.statics.adjustDeadline = function(attemptId, minutes, currentDeadline, { countAs = null } = {}) {
+  const stage = {
+    deadline: { $add: [{ $ifNull: ['$deadline', currentDeadline] }, minutes * 60 * 1000] }
+  };
+  if (countAs) {
+    stage[countAs] = { $add: [{ $ifNull: [`$${countAs}`, 0] }, Math.abs(minutes)] };
+  }
+
+  return this.findOneAndUpdate(
+    { _id: attemptId, isCompleted: false },
+    [{ $set: stage }],
+    { new: true }
+  );
+};
+
+// Close an open attempt with its grading in a single update that only matches
+// while it is still open, so a student's submission, the deadline sweeper, a
+// teacher force-submit and a violation auto-submit can't all grade and save
+// the same attempt. `changes` are cast through the attempt document, as a
+// save would. Resolves to the completed attempt, or null if already closed.
+examAttemptSchema.statics.completeAttempt = function(attempt, changes) {
+  attempt.set({ ...changes, isCompleted: true });
+
+  const update = { isCompleted: true };
+  Object.keys(changes).forEach(path => {
+    update[path] = attempt.get(path);
+  });
+
+  return this.findOneAndUpdate(
+    { _id: attempt._id, isCompleted: false },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Stop the clock on the open attempts matching `filter` (one attempt, or every
+// attempt at an exam). Resolves to the update result.
+examAttemptSchema.statics.pauseAttempts = function(filter) {
+  return this.updateMany(
+    { ...filter, isCompleted: false, pausedAt: null },
+    [{ $set: { pausedAt: '$$NOW' } }]
+  );
+};
+
+// Restart the clock on paused attempts, pushing each deadline back by the
+// time it spent paused. Migrated legacy attempts have no deadline yet; /start
+// sets it from the start time, so theirs stays empty.
+examAttemptSchema.statics.resumeAttempts = function(filter) {
+  return this.updateMany(
+    { ...filter, isCompleted: false, pausedAt: { $ne: null } },
+    [{
+      $set: {
+        deadline: {
+          $cond: [
+            { $ifNull: ['$deadline', false] },
+            { $add: ['$deadline', { $subtract: ['$$NOW', '$pausedAt'] }] },
+            null
+          ]
+        },
+        pausedAt: null
+      }
+    }]
+  );
+};
+
+// Transform output
+examAttemptSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    if (ret.session) delete ret.session.token;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ExamAttempt', examAttemptSchema);
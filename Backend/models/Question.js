@@ -12,6 +12,12 @@ const questionSchema = new mongoose.Schema({
     enum: ['Objective', 'Theory'],
     required: [true, 'Question type is required']
   },
+  // How an objective question is answered and auto-graded
+  answerType: {
+    type: String,
+    enum: ['multiple-choice', 'true-false', 'fill-blank', 'numeric', 'matching', 'ordering'],
+    default: 'multiple-choice'
+  },
   subject: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subject',
@@ -57,6 +63,64 @@ const questionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // "Select all that apply": every option flagged isCorrect must be picked
+  multipleAnswers: {
+    type: Boolean,
+    default: false
+  },
+  // How a multiple-answer question is marked: full marks only for the exact
+  // set, a share per correct pick, or a share off for every wrong pick too
+  scoringMode: {
+    type: String,
+    enum: ['all-or-nothing', 'partial', 'negative'],
+    default: 'all-or-nothing'
+  },
+  // Fill-in-the-blank: any of these answers is accepted
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Accepted answer cannot exceed 200 characters']
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Numeric: the answer, how far off it may be (an amount, or a percentage
+  // of the answer when relative) and the unit it is given in
+  numericAnswer: {
+    type: Number
+  },
+  tolerance: {
+    type: Number,
+    min: [0, 'Tolerance cannot be negative'],
+    default: 0
+  },
+  toleranceType: {
+    type: String,
+    enum: ['absolute', 'relative'],
+    default: 'absolute'
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  // Other ways of writing the unit a student may use, e.g. "metres" for "m"
+  acceptedUnits: [{
+    type: String,
+    trim: true
+  }],
+  // Matching: each left item with the right item it goes with
+  matchingPairs: [{
+    left: { type: String, trim: true, maxlength: [200, 'Matching item cannot exceed 200 characters'] },
+    right: { type: String, trim: true, maxlength: [200, 'Matching item cannot exceed 200 characters'] }
+  }],
+  // Ordering: the items in their correct order
+  orderingItems: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Ordering item cannot exceed 200 characters']
+  }],
   explanation: {
     type: String,
     trim: true,
@@ -72,6 +136,18 @@ const questionSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Keywords for assisted marking: a word or phrase, other ways of saying it
+  // and how much it counts towards the suggested mark
+  gradingKeywords: [{
+    term: { type: String, trim: true, required: true },
+    synonyms: [{ type: String, trim: true }],
+    weight: { type: Number, default: 1, min: [0.5, 'Keyword weight must be at least 0.5'], max: [10, 'Keyword weight cannot exceed 10'] }
+  }],
+  // Marking scheme a teacher grades answers to this question with
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
   // Media attachments
   image: {
     type: String,
@@ -132,6 +208,32 @@ questionSchema.virtual('successRate').get(function() {
 
 // Pre-save middleware for objective questions validation
 questionSchema.pre('save', function(next) {
+  // Answer types without options carry their answer key in their own fields
+  if (this.questionType === 'Objective') {
+    switch (this.answerType) {
+      case 'fill-blank':
+        if (this.acceptedAnswers.filter(answer => answer).length === 0) {
+          return next(new Error('Fill-in-the-blank questions must have at least one accepted answer'));
+        }
+        return next();
+      case 'numeric':
+        if (typeof this.numericAnswer !== 'number' || isNaN(this.numericAnswer)) {
+          return next(new Error('Numeric questions must have a numeric answer'));
+        }
+        return next();
+      case 'matching':
+        if (this.matchingPairs.filter(pair => pair.left && pair.right).length < 2) {
+          return next(new Error('Matching questions must have at least 2 complete pairs'));
+        }
+        return next();
+      case 'ordering':
+        if (this.orderingItems.filter(item => item).length < 2) {
+          return next(new Error('Ordering questions must have at least 2 items'));
+        }
+        return next();
+    }
+  }
+
   if (this.questionType === 'Objective') {
     // Ensure at least 2 options
     if (this.options.length < 2) {
@@ -151,10 +253,19 @@ questionSchema.pre('save', function(next) {
   next();
 });
 
-// Method to check if answer is correct (for objective questions)
+// Method to check if answer is correct (for objective questions). Multiple-answer
+// questions take the picked option texts as an array and need the exact set.
 questionSchema.methods.checkAnswer = function(studentAnswer) {
   if (this.questionType === 'Objective') {
-    return this.correctAnswer.toLowerCase().trim() === studentAnswer.toLowerCase().trim();
+    const normalize = (text) => String(text).toLowerCase().trim();
+
+    if (this.multipleAnswers) {
+      const picked = new Set((Array.isArray(studentAnswer) ? studentAnswer : [studentAnswer]).map(normalize));
+      const correct = this.options.filter(option => option.isCorrect).map(option => normalize(option.text));
+      return picked.size === correct.length && correct.every(text => picked.has(text));
+    }
+
+    return normalize(this.correctAnswer) === normalize(studentAnswer);
   }
   
   // For theory questions, manual grading is required
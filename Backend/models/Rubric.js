@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// One level of performance on a criterion, e.g. "Excellent - 4 points"
+const bandSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Band label is required'],
+    trim: true,
+    maxlength: [50, 'Band label cannot exceed 50 characters']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Band points are required'],
+    min: [0, 'Band points cannot be negative']
+  },
+  descriptor: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Band descriptor cannot exceed 500 characters']
+  }
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Criterion title is required'],
+    trim: true,
+    maxlength: [100, 'Criterion title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Criterion description cannot exceed 500 characters']
+  },
+  bands: {
+    type: [bandSchema],
+    validate: {
+      validator: (bands) => bands.length >= 2,
+      message: 'Each criterion needs at least 2 bands'
+    }
+  }
+});
+
+// A reusable marking scheme for theory questions. Questions reference it and
+// exams copy it, so editing a rubric does not change exams already set.
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rubric title is required'],
+    trim: true,
+    maxlength: [100, 'Rubric title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rubric description cannot exceed 500 characters']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: (criteria) => criteria.length >= 1,
+      message: 'A rubric needs at least one criterion'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+rubricSchema.index({ teacher: 1 });
+
+// Points for the top band of every criterion
+rubricSchema.virtual('maxPoints').get(function() {
+  return (this.criteria || []).reduce((sum, criterion) => (
+    sum + Math.max(0, ...criterion.bands.map(band => band.points))
+  ), 0);
+});
+
+rubricSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Rubric', rubricSchema);
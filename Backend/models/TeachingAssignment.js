@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A teacher teaching a subject to one class. A subject can be split between
+// teachers by class, e.g. one teacher takes JSS1A Mathematics and another
+// JSS2A Mathematics.
+const teachingAssignmentSchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject is required']
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+teachingAssignmentSchema.index({ teacher: 1, subject: 1, class: 1 }, { unique: true });
+teachingAssignmentSchema.index({ subject: 1, class: 1 });
+
+// The { subject, class } pairs a teacher is assigned, usable as $or clauses
+// against documents that carry both fields (exams, questions)
+teachingAssignmentSchema.statics.getPairs = async function(teacherId) {
+  const assignments = await this.find({ teacher: teacherId }).select('subject class');
+  return assignments.map(assignment => ({
+    subject: assignment.subject,
+    class: assignment.class
+  }));
+};
+
+module.exports = mongoose.model('TeachingAssignment', teachingAssignmentSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const TERM_NAMES = ['First Term', 'Second Term', 'Third Term'];
+
+// One of the three terms of an academic session. The current term is the
+// one new exams are tagged with.
+const termSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession',
+    required: [true, 'Session is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    enum: TERM_NAMES
+  },
+  order: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 3
+  },
+  startDate: Date,
+  endDate: Date,
+  isCurrent: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+termSchema.index({ session: 1, name: 1 }, { unique: true });
+termSchema.index({ isCurrent: 1 });
+
+termSchema.statics.TERM_NAMES = TERM_NAMES;
+
+// Static method to get the current term
+termSchema.statics.getCurrent = function() {
+  return this.findOne({ isCurrent: true });
+};
+
+termSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Term', termSchema);
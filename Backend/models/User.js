@@ -56,10 +56,49 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subject'
   }],
+  // Senior students: their department, when it differs from their class's
+  department: {
+    type: String,
+    enum: ['Science', 'Commercial', 'Arts', null]
+  },
+  // Optional subjects the student takes on top of the compulsory ones
+  electiveSubjects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  }],
+  // Set when an admin records the student's subjects
+  enrolledAt: Date,
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set when a student finishes SS3; graduates are kept as inactive alumni
+  graduatedAt: Date,
+  graduationSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  // End-of-session promotion decisions, oldest first
+  promotionHistory: [{
+    _id: false,
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicSession'
+    },
+    fromClass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    },
+    toClass: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    },
+    outcome: {
+      type: String,
+      enum: ['promoted', 'repeated', 'graduated']
+    },
+    decidedAt: Date
+  }],
   profileImage: {
     type: String,
     default: null
@@ -5,9 +5,21 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
 const Question = require('../models/Question');
+const AcademicSession = require('../models/AcademicSession');
+const Term = require('../models/Term');
+const TeachingAssignment = require('../models/TeachingAssignment');
 const { protect, adminOnly } = require('../middleware/auth');
 const assignSubjectsToClasses = require('../utils/assignSubjectsToClasses');
+const { getCurrentPeriod, rolloverSession, getNextSessionName } = require('../utils/academicCalendar');
+const {
+  PROMOTION_OUTCOMES,
+  buildPromotionProposals,
+  resolvePromotionDecisions,
+  applyPromotions
+} = require('../utils/promotion');
+const { setTeacherAssignments, moveClassAssignments, removeAssignments } = require('../utils/teachingAssignments');
 
 const router = express.Router();
 
@@ -433,6 +445,9 @@ router.delete('/users/:id', async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    if (user.role === 'teacher') {
+      await removeAssignments({ teacher: user._id });
+    }
 
     res.json({
       success: true,
@@ -497,28 +512,23 @@ router.get('/teachers/:id/assignments', async (req, res) => {
       });
     }
 
-    // Get subjects where this teacher is assigned
-    const subjects = await Subject.find({ 
-      teachers: teacher._id,
-      isActive: true 
-    }).populate('classes');
-
-    // Create assignments array with subject-class combinations
-    const assignments = [];
-    
-    subjects.forEach(subject => {
-      subject.classes.forEach(classObj => {
-        assignments.push({
-          subject: subject._id,
-          class: classObj._id
-        });
-      });
-    });
+    const assignments = await TeachingAssignment.find({ teacher: teacher._id })
+      .populate('subject', 'name code')
+      .populate('class', 'name level')
+      .sort({ createdAt: 1 });
 
     res.json({
       success: true,
       data: {
-        assignments
+        assignments: assignments
+          .filter(assignment => assignment.subject && assignment.class)
+          .map(assignment => ({
+            _id: assignment._id,
+            subject: assignment.subject._id,
+            class: assignment.class._id,
+            subjectName: assignment.subject.name,
+            className: assignment.class.name
+          }))
       }
     });
 
@@ -534,12 +544,24 @@ router.get('/teachers/:id/assignments', async (req, res) => {
 // @desc    Update teacher assignments
 // @route   PUT /api/admin/teachers/:id/assignments
 // @access  Private/Admin
-router.put('/teachers/:id/assignments', async (req, res) => {
+router.put('/teachers/:id/assignments', [
+  body('assignments').isArray().withMessage('Assignments must be a list'),
+  body('assignments.*.subject').isMongoId().withMessage('Valid subject ID is required'),
+  body('assignments.*.class').isMongoId().withMessage('Valid class ID is required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { assignments } = req.body;
-    const teacherId = req.params.id;
 
-    const teacher = await User.findById(teacherId);
+    const teacher = await User.findById(req.params.id);
     if (!teacher || teacher.role !== 'teacher') {
       return res.status(404).json({
         success: false,
@@ -547,49 +569,27 @@ router.put('/teachers/:id/assignments', async (req, res) => {
       });
     }
 
-    // Remove teacher from all existing assignments
-    await Subject.updateMany(
-      { teachers: teacherId },
-      { $pull: { teachers: teacherId } }
-    );
-
-    // Add teacher to new assignments
-    const subjectClassPairs = {};
-    assignments.forEach(assignment => {
-      if (!subjectClassPairs[assignment.subject]) {
-        subjectClassPairs[assignment.subject] = [];
-      }
-      subjectClassPairs[assignment.subject].push(assignment.class);
-    });
-
-    // Update subjects with new teacher assignments
-    for (const [subjectId, classIds] of Object.entries(subjectClassPairs)) {
-      const subject = await Subject.findById(subjectId);
-      if (subject) {
-        // Add teacher to subject
-        if (!subject.teachers.includes(teacherId)) {
-          subject.teachers.push(teacherId);
-        }
-        
-        // Ensure all classes are in the subject's classes array
-        classIds.forEach(classId => {
-          if (!subject.classes.includes(classId)) {
-            subject.classes.push(classId);
-          }
-        });
-        
-        await subject.save();
-      }
+    const subjectIds = [...new Set(assignments.map(assignment => assignment.subject))];
+    const classIds = [...new Set(assignments.map(assignment => assignment.class))];
+    const [subjectCount, classCount] = await Promise.all([
+      Subject.countDocuments({ _id: { $in: subjectIds }, isActive: true }),
+      Class.countDocuments({ _id: { $in: classIds }, isActive: true })
+    ]);
+    if (subjectCount !== subjectIds.length || classCount !== classIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more subjects or classes not found or inactive'
+      });
     }
 
-    // Update teacher's subjects list
-    const assignedSubjects = Object.keys(subjectClassPairs);
-    teacher.subjects = assignedSubjects;
-    await teacher.save();
+    const saved = await setTeacherAssignments(teacher, assignments, req.user._id);
 
     res.json({
       success: true,
-      message: 'Teacher assignments updated successfully'
+      message: 'Teacher assignments updated successfully',
+      data: {
+        assignments: saved
+      }
     });
 
   } catch (error) {
@@ -621,7 +621,7 @@ router.get('/classes', async (req, res) => {
         select: 'firstName lastName email teacherId',
         match: { isActive: true }
       })
-      .sort({ name: 1 });
+      .sort({ level: 1, name: 1 });
 
     // Get student counts for each class and add sample students
     const classesWithStudents = await Promise.all(
@@ -668,16 +668,97 @@ router.get('/classes', async (req, res) => {
   }
 });
 
+// @desc    Create a class arm
+// @route   POST /api/admin/classes
+// @access  Private/Admin
+router.post('/classes', [
+  body('level').isIn(Class.LEVELS).withMessage('Valid class level is required'),
+  body('arm').optional().trim().isLength({ max: 20 }).withMessage('Arm cannot exceed 20 characters'),
+  body('department').optional({ checkFalsy: true }).isIn(Class.DEPARTMENTS).withMessage('Invalid department'),
+  body('maxStudents').optional().isInt({ min: 1, max: 100 }).withMessage('Max students must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { level, arm, department, description, maxStudents } = req.body;
+
+    const name = Class.buildName({ level, arm, department });
+    const existingClass = await Class.findOne({ name });
+    if (existingClass) {
+      return res.status(400).json({
+        success: false,
+        message: `${name} already exists`
+      });
+    }
+
+    const { session } = await getCurrentPeriod();
+    const classItem = new Class({
+      level,
+      arm: arm || '',
+      department: department || undefined,
+      academicYear: session.name,
+      description,
+      maxStudents: maxStudents || 40
+    });
+    await classItem.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${classItem.name} created successfully`,
+      data: {
+        class: {
+          ...classItem.toObject(),
+          studentsCount: 0,
+          students: []
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create class error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating class'
+    });
+  }
+});
+
 // @desc    Create/Initialize Nigerian school classes
 // @route   POST /api/admin/classes/initialize
 // @access  Private/Admin
-router.post('/classes/initialize', async (req, res) => {
+router.post('/classes/initialize', [
+  body('arms').optional().isArray({ min: 1 }).withMessage('Arms must be a non-empty list'),
+  body('arms.*').trim().isLength({ max: 20 }).withMessage('Arm cannot exceed 20 characters')
+], async (req, res) => {
   try {
-    await Class.initializeNigerianClasses();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await Class.initializeNigerianClasses({ arms: req.body.arms ? [...new Set(req.body.arms)] : undefined });
     
     const classes = await Class.find()
       .populate('subjects classTeacher')
-      .sort({ name: 1 });
+      .sort({ level: 1, name: 1 });
 
     res.json({
       success: true,
@@ -701,7 +782,7 @@ router.post('/classes/initialize', async (req, res) => {
 // @access  Private/Admin
 router.put('/classes/:id', async (req, res) => {
   try {
-    const { description, classTeacher, subjects, maxStudents } = req.body;
+    const { arm, department, description, classTeacher, subjects, maxStudents } = req.body;
 
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -719,7 +800,14 @@ router.put('/classes/:id', async (req, res) => {
       });
     }
 
-    // Update fields (name cannot be changed as it's fixed)
+    // Renaming changes the arm or department; the level stays fixed
+    if (arm !== undefined) {
+      classToUpdate.arm = arm;
+    }
+    if (department !== undefined) {
+      classToUpdate.department = department || undefined;
+    }
+
     if (description !== undefined) {
       classToUpdate.description = description;
     }
@@ -877,7 +965,7 @@ router.put('/classes/:id', async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Duplicate value error'
+        message: 'A class with this name already exists'
       });
     }
 
@@ -889,6 +977,86 @@ router.put('/classes/:id', async (req, res) => {
   }
 });
 
+// @desc    Merge a class arm into another arm of the same level
+// @route   POST /api/admin/classes/:id/merge
+// @access  Private/Admin
+router.post('/classes/:id/merge', [
+  body('intoClassId').isMongoId().withMessage('Valid class to merge into is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { intoClassId } = req.body;
+    if (req.params.id === intoClassId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A class cannot be merged into itself'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Class.findById(req.params.id),
+      Class.findById(intoClassId)
+    ]);
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    if (source.level !== target.level) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only arms of the same level can be merged'
+      });
+    }
+
+    // Move students, then everything else that points at the old arm
+    const moved = await User.updateMany({ class: source._id }, { $set: { class: target._id } });
+
+    target.students = mergeIdLists(target.students, source.students);
+    target.subjects = mergeIdLists(target.subjects, source.subjects);
+    if (!target.classTeacher && source.classTeacher) {
+      target.classTeacher = source.classTeacher;
+    }
+    await target.save();
+
+    await Subject.updateMany({ classes: source._id }, { $addToSet: { classes: target._id } });
+    await Subject.updateMany({ classes: source._id }, { $pull: { classes: source._id } });
+    await Exam.updateMany({ class: source._id }, { $set: { class: target._id } });
+    await Exam.updateMany({ targetClasses: source._id }, { $addToSet: { targetClasses: target._id } });
+    await Exam.updateMany({ targetClasses: source._id }, { $pull: { targetClasses: source._id } });
+    await Question.updateMany({ class: source._id }, { $set: { class: target._id } });
+    await moveClassAssignments(source._id, target._id);
+
+    await Class.findByIdAndDelete(source._id);
+
+    res.json({
+      success: true,
+      message: `${source.name} merged into ${target.name}`,
+      data: {
+        class: target,
+        movedStudents: moved.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge classes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error merging classes'
+    });
+  }
+});
+
 // @desc    Delete class (not recommended for Nigerian school structure)
 // @route   DELETE /api/admin/classes/:id
 // @access  Private/Admin
@@ -911,15 +1079,17 @@ router.delete('/classes/:id', async (req, res) => {
       });
     }
 
-    // For Nigerian school system, we don't actually delete core classes
-    if (['JSS1', 'JSS2', 'JSS3', 'SS1', 'SS2', 'SS3'].includes(classToDelete.name)) {
+    // Every level of the Nigerian school system keeps at least one class
+    const armsInLevel = await Class.countDocuments({ level: classToDelete.level });
+    if (armsInLevel <= 1) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete core Nigerian school classes. You can only update them.'
+        message: `Cannot delete the only ${classToDelete.level} class. You can only update it.`
       });
     }
 
     await Class.findByIdAndDelete(req.params.id);
+    await removeAssignments({ class: classToDelete._id });
 
     res.json({
       success: true,
@@ -935,6 +1105,359 @@ router.delete('/classes/:id', async (req, res) => {
   }
 });
 
+// @desc    Archive the current academic session and open the next one
+// @route   POST /api/admin/sessions/rollover
+// @access  Private/Admin
+router.post('/sessions/rollover', [
+  body('name').optional({ checkFalsy: true }).trim()
+    .matches(/^\d{4}\/\d{4}$/).withMessage('Session must be in format "YYYY/YYYY"')
+    .custom(value => {
+      const [startYear, endYear] = value.split('/').map(Number);
+      return endYear === startYear + 1;
+    }).withMessage('Session years must be consecutive, e.g. 2025/2026'),
+  body('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid end date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session: previous } = await getCurrentPeriod();
+    const name = req.body.name || getNextSessionName(previous.name);
+    const { startDate, endDate } = req.body;
+
+    if (name <= previous.name) {
+      return res.status(400).json({
+        success: false,
+        message: `The new session must come after ${previous.name}`
+      });
+    }
+
+    const existingSession = await AcademicSession.findOne({ name });
+    if (existingSession) {
+      return res.status(400).json({
+        success: false,
+        message: `Session ${name} already exists`
+      });
+    }
+
+    if (startDate && endDate && new Date(startDate) >= new Date(endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    const { session, term, closedExams } = await rolloverSession(previous, { name, startDate, endDate });
+
+    res.status(201).json({
+      success: true,
+      message: `${previous.name} archived. ${session.name} ${term.name} has started.`,
+      data: {
+        previousSession: previous,
+        session,
+        term,
+        closedExams
+      }
+    });
+
+  } catch (error) {
+    console.error('Session rollover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rolling over academic session'
+    });
+  }
+});
+
+// @desc    Make a term of the current session the current term
+// @route   PUT /api/admin/sessions/terms/:termId/current
+// @access  Private/Admin
+router.put('/sessions/terms/:termId/current', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.termId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid term ID'
+      });
+    }
+
+    const term = await Term.findById(req.params.termId).populate('session');
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    if (!term.session.isCurrent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only terms of the current session can be made current. Use the rollover to start a new session.'
+      });
+    }
+
+    await Term.updateMany({ session: term.session._id }, { $set: { isCurrent: false } });
+    term.isCurrent = true;
+    if (!term.startDate) term.startDate = new Date();
+    await term.save();
+
+    res.json({
+      success: true,
+      message: `${term.name} of ${term.session.name} is now the current term`,
+      data: {
+        term
+      }
+    });
+
+  } catch (error) {
+    console.error('Set current term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error setting current term'
+    });
+  }
+});
+
+// @desc    Propose next session's class for every student
+// @route   GET /api/admin/promotions/preview
+// @access  Private/Admin
+router.get('/promotions/preview', async (req, res) => {
+  try {
+    const maxFailedSubjects = req.query.maxFailedSubjects !== undefined
+      ? parseInt(req.query.maxFailedSubjects)
+      : 2;
+    if (isNaN(maxFailedSubjects) || maxFailedSubjects < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Allowed failed subjects must be zero or more'
+      });
+    }
+
+    const { session } = await getCurrentPeriod();
+    const { proposals, classes } = await buildPromotionProposals(session, { maxFailedSubjects });
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        maxFailedSubjects,
+        proposals,
+        classes
+      }
+    });
+
+  } catch (error) {
+    console.error('Promotion preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building promotion list'
+    });
+  }
+});
+
+// @desc    Promote, hold back or graduate students for the current session
+// @route   POST /api/admin/promotions/apply
+// @access  Private/Admin
+router.post('/promotions/apply', [
+  body('decisions').isArray({ min: 1 }).withMessage('At least one decision is required'),
+  body('decisions.*.student').isMongoId().withMessage('Valid student ID is required'),
+  body('decisions.*.outcome').isIn(PROMOTION_OUTCOMES).withMessage('Outcome must be promoted, repeated or graduated'),
+  body('decisions.*.toClass').optional({ checkFalsy: true }).isMongoId().withMessage('Valid class ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session } = await getCurrentPeriod();
+    const { changes, error } = await resolvePromotionDecisions(req.body.decisions, session);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const summary = await applyPromotions(changes, session);
+
+    res.json({
+      success: true,
+      message: `${summary.promoted} promoted, ${summary.repeated} repeating, ${summary.graduated} graduated`,
+      data: {
+        session: session.name,
+        summary
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying promotions'
+    });
+  }
+});
+
+// @desc    Get a class's students with their department and electives
+// @route   GET /api/admin/enrollment/:classId
+// @access  Private/Admin
+router.get('/enrollment/:classId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.classId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid class ID'
+      });
+    }
+
+    const classDoc = await Class.findById(req.params.classId);
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const [students, subjects] = await Promise.all([
+      User.find({ class: classDoc._id, role: 'student', isActive: true })
+        .select('firstName lastName studentId department electiveSubjects enrolledAt')
+        .sort({ lastName: 1, firstName: 1 }),
+      Subject.find({ classes: classDoc._id, isActive: true })
+        .select('name code isCompulsory departments')
+        .sort({ name: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        class: classDoc,
+        students,
+        subjects
+      }
+    });
+
+  } catch (error) {
+    console.error('Get enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting enrollment'
+    });
+  }
+});
+
+// @desc    Set the department and electives of several students
+// @route   PUT /api/admin/enrollment
+// @access  Private/Admin
+router.put('/enrollment', [
+  body('enrollments').isArray({ min: 1 }).withMessage('At least one student is required'),
+  body('enrollments.*.student').isMongoId().withMessage('Valid student ID is required'),
+  body('enrollments.*.department').optional({ checkFalsy: true }).isIn(Class.DEPARTMENTS).withMessage('Department must be Science, Commercial or Arts'),
+  body('enrollments.*.electiveSubjects').optional().isArray().withMessage('Elective subjects must be a list'),
+  body('enrollments.*.electiveSubjects.*').isMongoId().withMessage('Invalid elective subject')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { enrollments } = req.body;
+
+    const studentIds = [...new Set(enrollments.map(enrollment => enrollment.student))];
+    const electiveIds = [...new Set(enrollments.flatMap(enrollment => enrollment.electiveSubjects || []))];
+    const [students, subjects] = await Promise.all([
+      User.find({ _id: { $in: studentIds }, role: 'student' }).populate('class', 'name level'),
+      Subject.find({ _id: { $in: electiveIds }, isActive: true }).select('name classes')
+    ]);
+
+    if (students.length !== studentIds.length || studentIds.length !== enrollments.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each student must be listed once and exist'
+      });
+    }
+
+    if (subjects.length !== electiveIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more subjects not found or inactive'
+      });
+    }
+
+    // Check every student before changing any
+    for (const enrollment of enrollments) {
+      const student = students.find(other => other._id.toString() === enrollment.student);
+      const studentName = `${student.firstName} ${student.lastName}`;
+      if (!student.class) {
+        return res.status(400).json({
+          success: false,
+          message: `${studentName} is not in a class`
+        });
+      }
+
+      if (enrollment.department && Class.JUNIOR_LEVELS.includes(student.class.level)) {
+        return res.status(400).json({
+          success: false,
+          message: `${studentName} is in ${student.class.name}. Departments are for senior students.`
+        });
+      }
+
+      const notOffered = subjects.find(subject =>
+        (enrollment.electiveSubjects || []).includes(subject._id.toString()) &&
+        !subject.classes.some(classId => classId.toString() === student.class._id.toString())
+      );
+      if (notOffered) {
+        return res.status(400).json({
+          success: false,
+          message: `${notOffered.name} is not offered in ${student.class.name}`
+        });
+      }
+    }
+
+    const enrolledAt = new Date();
+    await User.bulkWrite(enrollments.map(enrollment => ({
+      updateOne: {
+        filter: { _id: enrollment.student },
+        update: {
+          $set: {
+            department: enrollment.department || null,
+            electiveSubjects: [...new Set(enrollment.electiveSubjects || [])],
+            enrolledAt
+          }
+        }
+      }
+    })));
+
+    res.json({
+      success: true,
+      message: `Subjects saved for ${enrollments.length} student${enrollments.length !== 1 ? 's' : ''}`
+    });
+
+  } catch (error) {
+    console.error('Update enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating enrollment'
+    });
+  }
+});
+
 // @desc    Get all subjects
 // @route   GET /api/admin/subjects
 // @access  Private/Admin
@@ -1080,7 +1603,6 @@ router.post('/subjects', [
       departments,
       category,
       classes, 
-      teachers, 
       isCore, 
       isCompulsory,
       applicableLevels,
@@ -1110,7 +1632,6 @@ router.post('/subjects', [
       departments: departments || [],
       category: category || 'Core',
       classes: classes || [],
-      teachers: teachers || [],
       isCore: isCore !== false,
       isCompulsory: isCompulsory || false,
       applicableLevels: applicableLevels || [],
@@ -1167,7 +1688,6 @@ router.put('/subjects/:id', [
       departments,
       category,
       classes, 
-      teachers, 
       isCore, 
       isCompulsory,
       applicableLevels,
@@ -1215,7 +1735,6 @@ router.put('/subjects/:id', [
     if (departments) subjectToUpdate.departments = departments;
     if (category) subjectToUpdate.category = category;
     if (classes) subjectToUpdate.classes = classes;
-    if (teachers) subjectToUpdate.teachers = teachers;
     if (isCore !== undefined) subjectToUpdate.isCore = isCore;
     if (isCompulsory !== undefined) subjectToUpdate.isCompulsory = isCompulsory;
     if (applicableLevels) subjectToUpdate.applicableLevels = applicableLevels;
@@ -1276,6 +1795,7 @@ router.delete('/subjects/:id', async (req, res) => {
       { $pull: { subjects: req.params.id } }
     );
 
+    await TeachingAssignment.deleteMany({ subject: subjectToDelete._id });
     await Subject.findByIdAndDelete(req.params.id);
 
     res.json({
@@ -1292,12 +1812,14 @@ router.delete('/subjects/:id', async (req, res) => {
   }
 });
 
-// @desc    Assign teacher to subject
+// @desc    Assign teacher to a subject in some or all of its classes
 // @route   POST /api/admin/assign-teacher
 // @access  Private/Admin
 router.post('/assign-teacher', [
   body('teacherId').isMongoId().withMessage('Valid teacher ID is required'),
-  body('subjectId').isMongoId().withMessage('Valid subject ID is required')
+  body('subjectId').isMongoId().withMessage('Valid subject ID is required'),
+  body('classIds').optional().isArray().withMessage('Classes must be an array'),
+  body('classIds.*').isMongoId().withMessage('Valid class IDs are required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1329,15 +1851,30 @@ router.post('/assign-teacher', [
       });
     }
 
-    // Add teacher to subject
-    await subject.addTeacher(teacherId);
+    // Without classes, the teacher takes the subject in every class it is taught in
+    const classIds = req.body.classIds && req.body.classIds.length > 0 ? req.body.classIds : subject.classes;
+    if (classIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The subject is not taught in any class yet'
+      });
+    }
 
-    // Add subject to teacher
-    if (!teacher.subjects.includes(subjectId)) {
-      teacher.subjects.push(subjectId);
-      await teacher.save();
+    const classCount = await Class.countDocuments({ _id: { $in: classIds } });
+    if (classCount !== new Set(classIds.map(id => id.toString())).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more classes were not found'
+      });
     }
 
+    // Added to the teacher's existing assignments
+    const existingPairs = await TeachingAssignment.getPairs(teacher._id);
+    await setTeacherAssignments(teacher, [
+      ...existingPairs,
+      ...classIds.map(classId => ({ subject: subject._id, class: classId }))
+    ], req.user._id);
+
     res.json({
       success: true,
       message: 'Teacher assigned to subject successfully'
@@ -1458,16 +1995,24 @@ router.get('/exam-analytics', async (req, res) => {
 // @access  Private/Admin
 router.get('/results', async (req, res) => {
   try {
-    const { subject, class: classId, student, dateRange, page = 1, limit = 50 } = req.query;
+    const { subject, class: classId, student, dateRange, academicSession, term, page = 1, limit = 50 } = req.query;
 
-    // Build match query for exams
+    const invalidFilter = getInvalidResultFilter(req.query);
+    if (invalidFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidFilter} ID`
+      });
+    }
+
+    // Build match query for exams (matched after the exam lookup)
     let examMatchQuery = {};
     
     if (subject) {
-      examMatchQuery.subject = new mongoose.Types.ObjectId(subject);
+      examMatchQuery['examInfo.subject'] = new mongoose.Types.ObjectId(subject);
     }
     if (classId) {
-      examMatchQuery.class = new mongoose.Types.ObjectId(classId);
+      examMatchQuery['examInfo.class'] = new mongoose.Types.ObjectId(classId);
     }
     
     // Date range filtering
@@ -1493,25 +2038,46 @@ router.get('/results', async (req, res) => {
       }
       
       if (startDate) {
-        attemptMatchQuery['attempts.submittedAt'] = { $gte: startDate };
+        attemptMatchQuery.submittedAt = { $gte: startDate };
       }
     }
 
     if (student) {
-      attemptMatchQuery['attempts.student'] = new mongoose.Types.ObjectId(student);
+      attemptMatchQuery.student = new mongoose.Types.ObjectId(student);
+    }
+    if (academicSession) {
+      attemptMatchQuery.academicSession = new mongoose.Types.ObjectId(academicSession);
+    }
+    if (term) {
+      attemptMatchQuery.term = new mongoose.Types.ObjectId(term);
     }
 
     // Only include completed attempts with released results
-    attemptMatchQuery['attempts.isCompleted'] = true;
-    attemptMatchQuery['attempts.resultsReleased'] = true;
+    attemptMatchQuery.isCompleted = true;
+    attemptMatchQuery.resultsReleased = true;
+
+    // Attach each attempt's exam so exam filters can be applied
+    const attemptStages = [
+      { $match: attemptMatchQuery },
+      {
+        $lookup: {
+          from: 'exams',
+          localField: 'exam',
+          foreignField: '_id',
+          as: 'examInfo'
+        }
+      },
+      { $unwind: '$examInfo' },
+      { $match: examMatchQuery }
+    ];
 
     // Aggregate exam attempts
     const pipeline = [
-      { $match: examMatchQuery },
+      ...attemptStages,
       {
         $lookup: {
           from: 'subjects',
-          localField: 'subject',
+          localField: 'examInfo.subject',
           foreignField: '_id',
           as: 'subjectInfo'
         }
@@ -1519,17 +2085,15 @@ router.get('/results', async (req, res) => {
       {
         $lookup: {
           from: 'classes',
-          localField: 'class',
+          localField: 'examInfo.class',
           foreignField: '_id',
           as: 'classInfo'
         }
       },
-      { $unwind: '$attempts' },
-      { $match: attemptMatchQuery },
       {
         $lookup: {
           from: 'users',
-          localField: 'attempts.student',
+          localField: 'student',
           foreignField: '_id',
           as: 'studentInfo'
         }
@@ -1537,24 +2101,24 @@ router.get('/results', async (req, res) => {
       { $unwind: '$studentInfo' },
       {
         $project: {
-          _id: '$attempts._id',
+          _id: '$_id',
           score: {
             $cond: {
-              if: { $gt: ['$attempts.actualScore', 0] },
-              then: '$attempts.actualScore',
-              else: '$attempts.score'
+              if: { $gt: ['$actualScore', 0] },
+              then: '$actualScore',
+              else: '$score'
         }
       },
           percentage: {
             $cond: {
-              if: { $gt: ['$attempts.actualPercentage', 0] },
-              then: '$attempts.actualPercentage',
-              else: '$attempts.percentage'
+              if: { $gt: ['$actualPercentage', 0] },
+              then: '$actualPercentage',
+              else: '$percentage'
             }
           },
-          submittedAt: '$attempts.submittedAt',
-          gradingStatus: '$attempts.gradingStatus',
-          timeSpent: '$attempts.timeSpent',
+          submittedAt: '$submittedAt',
+          gradingStatus: '$gradingStatus',
+          timeSpent: '$timeSpent',
         student: {
           _id: '$studentInfo._id',
           firstName: '$studentInfo.firstName',
@@ -1562,11 +2126,11 @@ router.get('/results', async (req, res) => {
           studentId: '$studentInfo.studentId'
         },
         exam: {
-            _id: '$_id',
-            title: '$title',
-            examCode: '$examCode',
-            totalMarks: '$totalMarks',
-            passingMarks: '$passingMarks',
+            _id: '$examInfo._id',
+            title: '$examInfo.title',
+            examCode: '$examInfo.examCode',
+            totalMarks: '$examInfo.totalMarks',
+            passingMarks: '$examInfo.passingMarks',
             subject: { $arrayElemAt: ['$subjectInfo', 0] },
             class: { $arrayElemAt: ['$classInfo', 0] }
           }
@@ -1578,7 +2142,7 @@ router.get('/results', async (req, res) => {
     // Get total count for pagination
     const totalPipeline = [...pipeline];
     totalPipeline.push({ $count: 'total' });
-    const totalResult = await Exam.aggregate(totalPipeline);
+    const totalResult = await ExamAttempt.aggregate(totalPipeline);
     const total = totalResult[0]?.total || 0;
 
     // Add pagination
@@ -1586,29 +2150,27 @@ router.get('/results', async (req, res) => {
     pipeline.push({ $limit: parseInt(limit) });
 
     // Execute the aggregation
-    const results = await Exam.aggregate(pipeline);
+    const results = await ExamAttempt.aggregate(pipeline);
 
     // Calculate analytics
     const analyticsQuery = [
-      { $match: examMatchQuery },
-      { $unwind: '$attempts' },
-      { $match: attemptMatchQuery },
+      ...attemptStages,
       {
         $project: {
-          totalMarks: 1,
-          passingMarks: 1,
+          totalMarks: '$examInfo.totalMarks',
+          passingMarks: '$examInfo.passingMarks',
           percentage: {
             $cond: {
-              if: { $gt: ['$attempts.actualPercentage', 0] },
-              then: '$attempts.actualPercentage',
-              else: '$attempts.percentage'
+              if: { $gt: ['$actualPercentage', 0] },
+              then: '$actualPercentage',
+              else: '$percentage'
             }
           },
           score: {
             $cond: {
-              if: { $gt: ['$attempts.actualScore', 0] },
-              then: '$attempts.actualScore',
-              else: '$attempts.score'
+              if: { $gt: ['$actualScore', 0] },
+              then: '$actualScore',
+              else: '$score'
             }
           }
         }
@@ -1638,7 +2200,7 @@ router.get('/results', async (req, res) => {
       }
     ];
 
-    const analyticsResult = await Exam.aggregate(analyticsQuery);
+    const analyticsResult = await ExamAttempt.aggregate(analyticsQuery);
     const analytics = analyticsResult[0] || {
       totalExams: 0,
       averageScore: 0,
@@ -1647,13 +2209,11 @@ router.get('/results', async (req, res) => {
 
     // Get top performers
     const topPerformersQuery = [
-      { $match: examMatchQuery },
-      { $unwind: '$attempts' },
-      { $match: attemptMatchQuery },
+      ...attemptStages,
       {
         $lookup: {
           from: 'users',
-          localField: 'attempts.student',
+          localField: 'student',
           foreignField: '_id',
           as: 'studentInfo'
         }
@@ -1661,35 +2221,35 @@ router.get('/results', async (req, res) => {
       {
         $lookup: {
           from: 'classes',
-          localField: 'class',
+          localField: 'examInfo.class',
           foreignField: '_id',
           as: 'classInfo'
         }
       },
       {
         $project: {
-          'attempts.student': 1,
+          student: 1,
           studentInfo: 1,
           classInfo: 1,
           percentage: {
             $cond: {
-              if: { $gt: ['$attempts.actualPercentage', 0] },
-              then: '$attempts.actualPercentage',
-              else: '$attempts.percentage'
+              if: { $gt: ['$actualPercentage', 0] },
+              then: '$actualPercentage',
+              else: '$percentage'
             }
           },
           score: {
             $cond: {
-              if: { $gt: ['$attempts.actualScore', 0] },
-              then: '$attempts.actualScore',
-              else: '$attempts.score'
+              if: { $gt: ['$actualScore', 0] },
+              then: '$actualScore',
+              else: '$score'
             }
           }
         }
       },
       {
       $group: {
-          _id: '$attempts.student',
+          _id: '$student',
           firstName: { $first: { $arrayElemAt: ['$studentInfo.firstName', 0] } },
           lastName: { $first: { $arrayElemAt: ['$studentInfo.lastName', 0] } },
           class: { $first: { $arrayElemAt: ['$classInfo', 0] } },
@@ -1702,7 +2262,7 @@ router.get('/results', async (req, res) => {
       { $limit: 10 }
     ];
 
-    const topPerformers = await Exam.aggregate(topPerformersQuery);
+    const topPerformers = await ExamAttempt.aggregate(topPerformersQuery);
 
     res.json({
       success: true,
@@ -1762,9 +2322,7 @@ router.get('/results/:examId/:studentId', async (req, res) => {
     }
 
     // Find the specific attempt for this student
-    const attempt = exam.attempts.find(
-      att => att.student.toString() === studentId && att.isCompleted
-    );
+    const attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId, { isCompleted: true });
 
     if (!attempt) {
       return res.status(404).json({
@@ -1841,7 +2399,15 @@ router.get('/results/:examId/:studentId', async (req, res) => {
 // @access  Private/Admin
 router.get('/results/export', async (req, res) => {
   try {
-    const { subject, class: classId, student, dateRange } = req.query;
+    const { subject, class: classId, student, dateRange, academicSession, term } = req.query;
+
+    const invalidFilter = getInvalidResultFilter(req.query);
+    if (invalidFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidFilter} ID`
+      });
+    }
 
     // Build the same query as the results endpoint
     let matchQuery = {};
@@ -1872,6 +2438,19 @@ router.get('/results/export', async (req, res) => {
     }
 
     const pipeline = [
+      { $match: { isCompleted: true } },
+      // Score is exported as a percentage; use the graded value when available
+      {
+        $addFields: {
+          score: {
+            $cond: {
+              if: { $gt: ['$actualPercentage', 0] },
+              then: '$actualPercentage',
+              else: { $ifNull: ['$percentage', 0] }
+            }
+          }
+        }
+      },
       {
         $lookup: {
           from: 'exams',
@@ -1920,6 +2499,12 @@ router.get('/results/export', async (req, res) => {
     if (student) {
       pipeline.push({ $match: { 'student': new mongoose.Types.ObjectId(student) } });
     }
+    if (academicSession) {
+      pipeline.push({ $match: { 'academicSession': new mongoose.Types.ObjectId(academicSession) } });
+    }
+    if (term) {
+      pipeline.push({ $match: { 'term': new mongoose.Types.ObjectId(term) } });
+    }
     if (matchQuery.submittedAt) {
       pipeline.push({ $match: matchQuery });
     }
@@ -1950,8 +2535,7 @@ router.get('/results/export', async (req, res) => {
 
     pipeline.push({ $sort: { submittedAt: -1 } });
 
-    const ExamResult = require('../models/ExamResult');
-    const results = await ExamResult.aggregate(pipeline);
+    const results = await ExamAttempt.aggregate(pipeline);
 
     // Convert to CSV
     const csvHeader = 'Student Name,Student ID,Exam Title,Exam Code,Subject,Class,Score,Grade,Date\n';
@@ -2052,4 +2636,28 @@ router.post('/classes/assign-subjects', async (req, res) => {
   }
 });
 
+// Ids from both lists, without repeats
+const mergeIdLists = (ids, moreIds) => {
+  const merged = ids.map(id => id.toString());
+  moreIds.forEach(id => {
+    if (!merged.includes(id.toString())) merged.push(id.toString());
+  });
+  return merged;
+};
+
+// Results filters holding ids, with the name used in error messages
+const RESULT_FILTER_IDS = {
+  subject: 'subject',
+  class: 'class',
+  student: 'student',
+  academicSession: 'academic session',
+  term: 'term'
+};
+
+// Name of the first results filter that is not a valid id, or null
+const getInvalidResultFilter = (query) => {
+  const key = Object.keys(RESULT_FILTER_IDS).find(key => query[key] && !mongoose.Types.ObjectId.isValid(query[key]));
+  return key ? RESULT_FILTER_IDS[key] : null;
+};
+
 module.exports = router; 
\ No newline at end of file
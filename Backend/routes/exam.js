@@ -1,6 +1,14 @@
 const express = require('express');
 const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
+const Class = require('../models/Class');
+const User = require('../models/User');
 const { protect, optionalAuth } = require('../middleware/auth');
+const { getPaperQuestionCount } = require('../utils/questionShuffle');
+const { serializeStudentExam } = require('../utils/studentSerializer');
+const { getNegativeMarking } = require('../utils/examGrading');
+const { getExamClassFilter } = require('../utils/examAudience');
+const { getExamSubjectFilter } = require('../utils/subjectEnrollment');
 
 const router = express.Router();
 
@@ -26,7 +34,7 @@ router.get('/code/:examCode', optionalAuth, async (req, res) => {
     // Calculate question count from embedded questions or legacy questions
     let questionCount = 0;
     if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
-      questionCount = exam.embeddedQuestions.length;
+      questionCount = getPaperQuestionCount(exam);
     } else if (exam.questions && exam.questions.length > 0) {
       questionCount = exam.questions.length;
     }
@@ -49,7 +57,8 @@ router.get('/code/:examCode', optionalAuth, async (req, res) => {
           endTime: exam.endTime,
           status: exam.status,
           isCurrentlyActive: exam.isCurrentlyActive(),
-          questionCount: questionCount
+          questionCount: questionCount,
+          negativeMarking: getNegativeMarking(exam) ? { fraction: exam.settings.negativeMarking.fraction } : null
         }
       }
     });
@@ -70,21 +79,37 @@ router.get('/active/:classId', protect, async (req, res) => {
   try {
     const { classId } = req.params;
 
+    const classDoc = await Class.findById(classId);
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    // Students only see exams in the subjects they take
+    let subjectFilter = {};
+    if (req.user.role === 'student') {
+      const student = await User.findById(req.user._id).populate('class');
+      subjectFilter = await getExamSubjectFilter(student);
+    }
+
     const activeExams = await Exam.find({
-      class: classId,
+      ...getExamClassFilter(classDoc),
+      ...subjectFilter,
       status: 'Active',
       startTime: { $lte: new Date() },
       endTime: { $gte: new Date() },
       isActive: true
     })
     .populate('subject teacher', 'name firstName lastName')
-    .select('-questions -attempts')
+    .select('-questions')
     .sort({ startTime: 1 });
 
     res.json({
       success: true,
       data: {
-        exams: activeExams
+        exams: activeExams.map(serializeStudentExam)
       }
     });
 
@@ -134,8 +159,8 @@ router.get('/:id/stats', protect, async (req, res) => {
           teacher: exam.teacher
         },
         analytics: exam.analytics,
-        totalAttempts: exam.attempts.length,
-        completedAttempts: exam.attempts.filter(att => att.isCompleted).length
+        totalAttempts: await ExamAttempt.countDocuments({ exam: exam._id }),
+        completedAttempts: await ExamAttempt.countDocuments({ exam: exam._id, isCompleted: true })
       }
     });
 
@@ -0,0 +1,57 @@
+const express = require('express');
+const AcademicSession = require('../models/AcademicSession');
+const { protect } = require('../middleware/auth');
+const { getCurrentPeriod } = require('../utils/academicCalendar');
+
+const router = express.Router();
+
+// @desc    Get all academic sessions with their terms, newest first
+// @route   GET /api/sessions
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const sessions = await AcademicSession.find()
+      .populate('terms')
+      .sort({ name: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting academic sessions'
+    });
+  }
+});
+
+// @desc    Get the current academic session and term
+// @route   GET /api/sessions/current
+// @access  Private
+router.get('/current', protect, async (req, res) => {
+  try {
+    const { session, term } = await getCurrentPeriod();
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        term
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting current session'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,65 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
 const Question = require('../models/Question');
 const { protect, studentOnly } = require('../middleware/auth');
+const {
+  DEADLINE_GRACE_SECONDS,
+  computeAttemptDeadline,
+  getAttemptDeadline,
+  getRemainingSeconds,
+  isPastDeadline
+} = require('../utils/examTimer');
+const {
+  gradeExamAttempt,
+  autoSubmitExam,
+  getAttemptTotalMarks,
+  getAttemptPassingMarks,
+  hasPassed,
+  getNegativeMarking,
+  buildScoreBreakdown
+} = require('../utils/examGrading');
+const { buildRubricFeedback } = require('../utils/rubricScoring');
+const { getExamClassFilter, isExamForClass } = require('../utils/examAudience');
+const { getExamSubjectFilter, isEnrolledForExam } = require('../utils/subjectEnrollment');
+const { usesOptions, getCorrectOptionIndices, toSelectedIndices, formatTypedAnswer, formatTypedCorrectAnswer, getTypedAnswerKey } = require('../utils/objectiveScoring');
+const {
+  createShuffleSeed,
+  isRandomDraw,
+  getPaperQuestionCount,
+  drawAttemptQuestions,
+  buildAttemptLayout,
+  applyAttemptLayout
+} = require('../utils/questionShuffle');
+const {
+  serializeStudentQuestion,
+  serializeStudentAnswer,
+  serializeStudentExam,
+  serializeStudentAttempt
+} = require('../utils/studentSerializer');
+const {
+  INTEGRITY_EVENT_TYPES,
+  getViolationPolicy,
+  countViolations,
+  enforceViolationPolicy
+} = require('../utils/violationPolicy');
+const {
+  getSessionClient,
+  claimExamSession,
+  isSessionValid,
+  recordClientChange
+} = require('../utils/examSession');
 
 const router = express.Router();
 
+// Why /start turned a device away, by the outcome of claiming the exam session
+const SESSION_CONFLICT_MESSAGES = {
+  conflict: 'This exam is already open on another device. Ask your teacher to let you continue on this one.',
+  'takeover-pending': 'Waiting for your teacher to let you continue on this device.',
+  'takeover-denied': 'Your teacher did not allow this exam to continue on this device.'
+};
+
 // Apply student protection to all routes
 router.use(protect);
 router.use(studentOnly);
@@ -21,46 +75,35 @@ router.get('/dashboard', async (req, res) => {
     // Get student with class info
     const student = await User.findById(studentId).populate('class');
 
-    // Get available exams for student's class
+    // Get available exams for student's class in the subjects they take
     const availableExams = await Exam.find({
-      class: student.class._id,
+      ...getExamClassFilter(student.class),
+      ...(await getExamSubjectFilter(student)),
       status: 'Active',
       startTime: { $lte: new Date() },
       endTime: { $gte: new Date() },
       isActive: true
-    }).populate('subject teacher');
+    }).populate('subject teacher', 'name code firstName lastName');
 
-    // Get student's exam history
-    const examHistory = await Exam.find({
-      'attempts.student': studentId
-    }).populate('subject class');
+    // Get student's exam history (latest attempt per exam)
+    const examHistory = await getLatestAttemptsByExam(studentId);
 
     // Calculate statistics - only include released results
-    const completedExams = examHistory.filter(exam => {
-      const attempt = exam.attempts.find(att => 
-        att.student.toString() === studentId.toString() && att.isCompleted
-      );
-      return attempt && attempt.resultsReleased && attempt.gradingStatus === 'Completed';
-    });
+    const completedExams = examHistory.filter(attempt => 
+      attempt.isCompleted && attempt.resultsReleased && attempt.gradingStatus === 'Completed'
+    );
 
     // Calculate average percentage instead of raw scores
-    const totalPercentage = completedExams.reduce((sum, exam) => {
-      const attempt = exam.attempts.find(att => 
-        att.student.toString() === studentId.toString()
-      );
-      return sum + (attempt ? (attempt.actualPercentage || attempt.percentage || 0) : 0);
+    const totalPercentage = completedExams.reduce((sum, attempt) => {
+      return sum + (attempt.actualPercentage || attempt.percentage || 0);
     }, 0);
 
     const averageScore = completedExams.length > 0 ? totalPercentage / completedExams.length : 0;
 
     // Get recent exam attempts with proper result filtering
     const recentAttempts = examHistory
-      .map(exam => {
-        const attempt = exam.attempts.find(att => 
-          att.student.toString() === studentId.toString()
-        );
-        
-        if (!attempt) return null;
+      .map(attempt => {
+        const exam = attempt.exam;
         
         // Check if results have been released
         const resultsReleased = attempt.resultsReleased || false;
@@ -68,7 +111,7 @@ router.get('/dashboard', async (req, res) => {
         
         // Only show actual scores if results are released
         let displayAttempt = {
-          ...attempt.toObject(),
+          ...serializeStudentAttempt(attempt),
           score: 0,
           percentage: 0,
           passed: null,
@@ -78,7 +121,7 @@ router.get('/dashboard', async (req, res) => {
         if (resultsReleased && gradingStatus === 'Completed') {
           displayAttempt.score = attempt.actualScore || attempt.score || 0;
           displayAttempt.percentage = attempt.actualPercentage || attempt.percentage || 0;
-          displayAttempt.passed = displayAttempt.score >= exam.passingMarks;
+          displayAttempt.passed = hasPassed(exam, attempt, displayAttempt.score);
           displayAttempt.gradingStatus = 'Completed';
         } else {
           // Show PENDING status
@@ -87,9 +130,8 @@ router.get('/dashboard', async (req, res) => {
           displayAttempt.passed = 'PENDING';
         }
         
-        return { exam, attempt: displayAttempt };
+        return { exam: serializeStudentExam(exam), attempt: displayAttempt };
       })
-      .filter(item => item)
       .sort((a, b) => new Date(b.attempt.submittedAt) - new Date(a.attempt.submittedAt))
       .slice(0, 5);
 
@@ -102,7 +144,7 @@ router.get('/dashboard', async (req, res) => {
           averageScore: Math.round(averageScore * 100) / 100,
           totalExams: examHistory.length
         },
-        availableExams,
+        availableExams: availableExams.map(serializeStudentExam),
         recentAttempts,
         student: {
           name: student.fullName,
@@ -153,9 +195,13 @@ router.post('/join-exam', [
       });
     }
 
-    // Check if exam is currently active (within start and end time)
+    // Check if student has already completed the exam
+    const existingAttempt = await ExamAttempt.findActiveAttempt(exam._id, studentId);
+
+    // Check if exam is currently active (within start and end time). An
+    // attempt the teacher gave extra time can be resumed after the end time.
     const now = new Date();
-    if (now < exam.startTime || now > exam.endTime) {
+    if (now < exam.startTime || (now > exam.endTime && !existingAttempt)) {
       return res.status(403).json({
         success: false,
         message: 'Exam is not available at this time'
@@ -164,21 +210,25 @@ router.post('/join-exam', [
 
     // Check if student belongs to the exam's class
     const student = await User.findById(studentId).populate('class');
-    if (student.class._id.toString() !== exam.class._id.toString()) {
+    if (!isExamForClass(exam, student.class)) {
       return res.status(403).json({
         success: false,
         message: 'You are not enrolled in the class for this exam'
       });
     }
 
-    // Check if student has already completed the exam
-    const existingAttempt = exam.attempts.find(attempt => 
-      attempt.student.toString() === studentId.toString() && !attempt.isCompleted
-    );
+    if (!(await isEnrolledForExam(student, exam))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not take the subject of this exam'
+      });
+    }
     
-    const completedAttempts = exam.attempts.filter(attempt => 
-      attempt.student.toString() === studentId.toString() && attempt.isCompleted
-    );
+    const completedAttempts = await ExamAttempt.find({
+      exam: exam._id,
+      student: studentId,
+      isCompleted: true
+    }).sort({ submittedAt: 1 });
     
     // Block retakes if not allowed and student has already completed
     if (completedAttempts.length > 0 && !exam.allowRetakes) {
@@ -193,36 +243,7 @@ router.post('/join-exam', [
     }
 
     // Prepare questions for student (hide correct answers and sensitive info)
-    let examQuestions = [];
-    
-    if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
-      // Use embedded questions (new structure)
-      examQuestions = exam.embeddedQuestions.map(question => ({
-        _id: question._id || `embedded_${question.questionNumber}`,
-        questionNumber: question.questionNumber,
-        questionText: question.questionText,
-        questionType: question.questionType,
-        marks: question.marks,
-        options: question.questionType === 'Objective' ? question.options : [],
-        additionalInfo: question.additionalInfo || ''
-        // Hide correctAnswer, explanation for student
-      }));
-    } else if (exam.questions && exam.questions.length > 0) {
-      // Legacy question bank structure (for backward compatibility)
-      await exam.populate('questions');
-      examQuestions = exam.questions.map(question => {
-        const questionObj = question.toJSON();
-        if (question.questionType === 'Objective') {
-          questionObj.options = question.options.map(option => ({
-            _id: option._id,
-            text: option.text
-          }));
-          delete questionObj.correctAnswer;
-        }
-        delete questionObj.expectedAnswer;
-        return questionObj;
-      });
-    }
+    const examQuestions = await getStudentQuestions(exam);
 
     if (examQuestions.length === 0) {
       return res.status(400).json({
@@ -231,23 +252,13 @@ router.post('/join-exam', [
       });
     }
 
-    // Shuffle questions if enabled
-    if (exam.settings.shuffleQuestions) {
-      for (let i = examQuestions.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [examQuestions[i], examQuestions[j]] = [examQuestions[j], examQuestions[i]];
-      }
-    }
-
-    // Shuffle options if enabled
-    // DISABLED: Option shuffling removed due to grading issues
-    // if (exam.settings.shuffleOptions) {
-    //   examQuestions.forEach(question => {
-    //     if (question.questionType === 'Objective' && question.options && question.options.length > 0) {
-    //       // Option shuffling logic removed
-    //     }
-    //   });
-    // }
+    // A resumed attempt is served in its stored layout. New attempts get their
+    // paper and question and option order when they start, as the exam's own
+    // order would give away matching and ordering answers.
+    const questions = existingAttempt ? await getStudentPaper(exam, existingAttempt, examQuestions) : [];
+    const questionCount = existingAttempt
+      ? questions.length
+      : (exam.embeddedQuestions && exam.embeddedQuestions.length > 0 ? getPaperQuestionCount(exam) : examQuestions.length);
 
     res.json({
       success: true,
@@ -262,15 +273,17 @@ router.post('/join-exam', [
           totalMarks: exam.totalMarks,
           instructions: exam.instructions,
           settings: exam.settings,
-          questionCount: examQuestions.length,
+          questionCount,
           examType: exam.examType,
           questionTypes: exam.questionTypes
         },
-        questions: examQuestions,
+        questions,
         canResume: existingAttempt && !existingAttempt.isCompleted,
         resumeData: existingAttempt ? {
           startTime: existingAttempt.startTime,
-          answers: existingAttempt.answers,
+          deadline: getAttemptDeadline(exam, existingAttempt),
+          paused: !!existingAttempt.pausedAt,
+          answers: existingAttempt.answers.map(answer => serializeStudentAnswer(answer)),
           timeSpent: existingAttempt.timeSpent || 0
         } : null
       }
@@ -288,8 +301,22 @@ router.post('/join-exam', [
 // @desc    Start exam attempt
 // @route   POST /api/student/exams/:examId/start
 // @access  Private/Student
-router.post('/exams/:examId/start', async (req, res) => {
+router.post('/exams/:examId/start', [
+  body('deviceFingerprint').isString().isLength({ min: 8, max: 200 }).withMessage('Device fingerprint is required'),
+  body('socketId').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Invalid socket ID'),
+  body('sessionToken').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Invalid session token'),
+  body('requestTakeover').optional().isBoolean().withMessage('Request takeover must be true or false')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { examId } = req.params;
     const studentId = req.user._id;
 
@@ -301,9 +328,12 @@ router.post('/exams/:examId/start', async (req, res) => {
       });
     }
 
-    // Check if exam is currently active
+    // Find active (incomplete) attempt for this student
+    let existingAttempt = await ExamAttempt.findActiveAttempt(exam._id, studentId);
+
+    // Check if exam is currently active; attempts given extra time can run past the end time
     const now = new Date();
-    if (now < exam.startTime || now > exam.endTime) {
+    if (now < exam.startTime || (now > exam.endTime && !existingAttempt)) {
       return res.status(403).json({
         success: false,
         message: 'Exam is not available at this time'
@@ -312,21 +342,25 @@ router.post('/exams/:examId/start', async (req, res) => {
 
     // Additional class validation for start exam endpoint
     const student = await User.findById(studentId).populate('class');
-    if (student.class._id.toString() !== exam.class._id.toString()) {
+    if (!isExamForClass(exam, student.class)) {
       return res.status(403).json({
         success: false,
         message: 'You are not enrolled in the class for this exam'
       });
     }
 
-    // Find active (incomplete) attempt for this student
-    let existingAttempt = exam.attempts.find(attempt => 
-      attempt.student.toString() === studentId.toString() && !attempt.isCompleted
-    );
+    if (!(await isEnrolledForExam(student, exam))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not take the subject of this exam'
+      });
+    }
 
-    const completedAttempts = exam.attempts.filter(attempt => 
-      attempt.student.toString() === studentId.toString() && attempt.isCompleted
-    );
+    const completedAttempts = await ExamAttempt.find({
+      exam: exam._id,
+      student: studentId,
+      isCompleted: true
+    }).sort({ submittedAt: 1 });
 
     // Block retakes if not allowed and student has already completed
     if (completedAttempts.length > 0 && !exam.allowRetakes) {
@@ -342,26 +376,86 @@ router.post('/exams/:examId/start', async (req, res) => {
 
     if (!existingAttempt) {
       // Create new attempt
-      existingAttempt = {
+      existingAttempt = new ExamAttempt({
+        exam: exam._id,
         student: studentId,
+        academicSession: exam.academicSession,
+        term: exam.term,
         startTime: now,
+        deadline: computeAttemptDeadline(exam, now),
         answers: [],
         isCompleted: false,
+        // Students starting while the whole exam is paused wait with their clock stopped
+        pausedAt: exam.pausedAt ? now : null,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent')
-      };
-      exam.attempts.push(existingAttempt);
+      });
+
+      // Fix this student's paper and its question and option order for the whole attempt
+      if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
+        const shuffleSeed = createShuffleSeed();
+        const paper = drawAttemptQuestions(exam, shuffleSeed);
+        const layout = buildAttemptLayout(exam, paper, shuffleSeed);
+        existingAttempt.shuffleSeed = shuffleSeed;
+        existingAttempt.questionOrder = layout.questionOrder;
+        existingAttempt.optionOrders = layout.optionOrders;
+
+        if (isRandomDraw(exam)) {
+          existingAttempt.drawnQuestions = paper.map(question => question.questionNumber);
+          existingAttempt.totalMarks = paper.reduce((sum, question) => sum + (question.marks || 0), 0);
+        }
+      }
+
+      try {
+        await existingAttempt.save();
+      } catch (error) {
+        // A concurrent /start created this student's open attempt first: use that one
+        if (error.code !== 11000) throw error;
+        existingAttempt = await ExamAttempt.findActiveAttempt(exam._id, studentId);
+        if (!existingAttempt) throw error;
+      }
     }
 
-    // Calculate remaining time
-    const elapsedTime = existingAttempt.timeSpent || 0;
-    const totalDuration = exam.duration * 60; // Convert to seconds
-    const remainingTime = Math.max(0, totalDuration - elapsedTime);
+    // Only one device may sit the attempt; another must be let in by the teacher
+    const claim = claimExamSession(existingAttempt, getSessionClient(req), {
+      requestTakeover: req.body.requestTakeover === true
+    });
+    if (claim.status !== 'bound') {
+      await existingAttempt.save();
+      notifyExamMonitor(req, exam, studentId, existingAttempt);
+      if (claim.requested) {
+        notifyTakeoverRequested(req, exam, student);
+      }
+      return res.status(409).json({
+        success: false,
+        message: SESSION_CONFLICT_MESSAGES[claim.status],
+        data: {
+          sessionConflict: true,
+          takeoverStatus: claim.status
+        }
+      });
+    }
+    if (claim.revokedSocketId && req.app.locals.examMonitor) {
+      req.app.locals.examMonitor.sendToSocket(claim.revokedSocketId, 'exam-session-revoked', {
+        examId: exam._id.toString(),
+        message: 'Your exam has moved to another device with your teacher\'s approval.'
+      });
+    }
+
+    // Remaining time is measured against the stored deadline, not client-reported time
+    if (!existingAttempt.deadline) {
+      existingAttempt.deadline = computeAttemptDeadline(exam, existingAttempt.startTime);
+    }
+    const deadline = getAttemptDeadline(exam, existingAttempt, now);
+    const remainingTime = getRemainingSeconds(deadline, now);
 
     if (remainingTime <= 0) {
       // Time has expired, auto-submit if not already done
       if (!existingAttempt.isCompleted) {
-        await autoSubmitExam(exam, existingAttempt, studentId);
+        await autoSubmitExam(exam, existingAttempt, studentId, {
+          notificationService: req.app.locals.notificationService,
+          examMonitor: req.app.locals.examMonitor
+        });
       }
       return res.status(400).json({
         success: false,
@@ -369,14 +463,24 @@ router.post('/exams/:examId/start', async (req, res) => {
       });
     }
 
-    await exam.save();
+    await existingAttempt.save();
+    notifyExamMonitor(req, exam, studentId, existingAttempt);
+
+    // Serve the questions in this attempt's own layout
+    const questions = await getStudentPaper(exam, existingAttempt);
 
     res.json({
       success: true,
       data: {
         attemptId: existingAttempt._id,
+        sessionToken: existingAttempt.session.token,
+        questions,
+        startTime: existingAttempt.startTime,
         remainingTime,
-        answers: existingAttempt.answers,
+        deadline,
+        paused: !!existingAttempt.pausedAt,
+        serverTime: now,
+        answers: existingAttempt.answers.map(answer => serializeStudentAnswer(answer)),
         timeSpent: existingAttempt.timeSpent || 0
       }
     });
@@ -395,6 +499,8 @@ router.post('/exams/:examId/start', async (req, res) => {
 // @access  Private/Student
 router.post('/exams/:examId/answer', [
   body('questionId').notEmpty().withMessage('Question ID is required'),
+  body('sequence').optional().isInt({ min: 0 }).withMessage('Sequence must be a non-negative integer'),
+  body('idempotencyKey').optional().isString().isLength({ max: 200 }).withMessage('Invalid idempotency key'),
   body('answer').custom((value, { req }) => {
     // Allow empty answers for theory questions, but require non-empty for objective
     if (value === '' || value === null || value === undefined) {
@@ -423,7 +529,7 @@ router.post('/exams/:examId/answer', [
     }
 
     const { examId } = req.params;
-    const { questionId, answer, timeSpent } = req.body;
+    const { questionId, answer, timeSpent, sequence, idempotencyKey } = req.body;
     const studentId = req.user._id;
 
     const exam = await Exam.findById(examId);
@@ -436,9 +542,7 @@ router.post('/exams/:examId/answer', [
     }
 
     // Find student's attempt
-    const attempt = exam.attempts.find(att => 
-      att.student.toString() === studentId.toString()
-    );
+    const attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId);
 
     if (!attempt) {
       console.log('ERROR: Exam attempt not found for student:', studentId);
@@ -456,33 +560,46 @@ router.post('/exams/:examId/answer', [
       });
     }
 
-    console.log('Current attempt answers count BEFORE save:', attempt.answers.length);
+    if (!isSessionValid(attempt, req.body.sessionToken)) {
+      return rejectInvalidSession(res);
+    }
+    await recordClientChange(attempt, req);
 
-    // Find the question to get the correct question number
-    let questionNumber = null;
-    if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
-      const question = exam.embeddedQuestions.find(q => 
-        q._id?.toString() === questionId.toString() || 
-        questionId.includes('embedded_') && questionId === `embedded_${q.questionNumber}`
-      );
-      questionNumber = question ? question.questionNumber : null;
-      console.log('Found embedded question:', question ? { number: question.questionNumber, type: question.questionType } : 'NOT FOUND');
-    } else if (exam.questions && exam.questions.length > 0) {
-      await exam.populate('questions');
-      const question = exam.questions.find(q => q._id?.toString() === questionId.toString());
-      questionNumber = question ? question.questionNumber : null;
-      console.log('Found legacy question:', question ? { number: question.questionNumber, type: question.questionType } : 'NOT FOUND');
+    // The teacher has stopped this attempt's clock; the answer waits on the client until it resumes
+    if (attempt.pausedAt) {
+      return res.status(423).json({
+        success: false,
+        message: 'Your exam has been paused by your teacher',
+        data: { paused: true }
+      });
     }
 
-    // If we can't find the question number, extract it from questionId if it's in embedded format
-    if (!questionNumber && questionId.includes('embedded_')) {
-      const match = questionId.match(/embedded_(\d+)/);
-      if (match) {
-        questionNumber = parseInt(match[1]);
-        console.log('Extracted question number from embedded ID:', questionNumber);
-      }
+    // Reject saves once the server-side deadline has passed and close the attempt
+    const now = new Date();
+    const deadline = getAttemptDeadline(exam, attempt);
+    if (isPastDeadline(deadline, now, DEADLINE_GRACE_SECONDS)) {
+      console.log('ERROR: Answer received after deadline:', { studentId, deadline });
+      await autoSubmitExam(exam, attempt, studentId, {
+        notificationService: req.app.locals.notificationService,
+        examMonitor: req.app.locals.examMonitor
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Exam time has expired. Your exam has been submitted automatically.',
+        data: {
+          autoSubmitted: true,
+          deadline,
+          serverTime: now
+        }
+      });
     }
 
+    console.log('Current attempt answers count BEFORE save:', attempt.answers.length);
+
+    // Find the question to get the correct question number
+    let questionNumber = await resolveQuestionNumber(exam, questionId);
+    console.log('Resolved question number:', questionNumber || 'NOT FOUND');
+
     // Update or add answer - match by questionId OR questionNumber
     const existingAnswerIndex = attempt.answers.findIndex(ans => 
       (ans.questionId && ans.questionId.toString() === questionId.toString()) ||
@@ -515,38 +632,80 @@ router.post('/exams/:examId/answer', [
       timeSpent: timeSpent || 0,
       answeredAt: new Date()
     };
+    if (sequence !== undefined) answerData.sequence = parseInt(sequence);
+    if (idempotencyKey) answerData.saveKey = idempotencyKey;
 
     console.log('Prepared answer data:', answerData);
 
     if (existingAnswerIndex >= 0) {
       console.log('UPDATING existing answer at index:', existingAnswerIndex);
       console.log('Old answer:', attempt.answers[existingAnswerIndex]);
-      attempt.answers[existingAnswerIndex] = answerData;
-      console.log('New answer:', attempt.answers[existingAnswerIndex]);
     } else {
       console.log('ADDING new answer');
-      attempt.answers.push(answerData);
     }
 
-    // Update total time spent
-    if (timeSpent) {
-      attempt.timeSpent = (attempt.timeSpent || 0) + timeSpent;
+    // Write only this answer (and the time spent) so concurrent saves don't overwrite each other
+    const result = await ExamAttempt.saveAnswer(attempt._id, answerData, timeSpent || 0);
+    const timerData = {
+      deadline,
+      serverTime: new Date(),
+      remainingTime: getRemainingSeconds(deadline)
+    };
+
+    if (result.status === 'closed') {
+      console.log('ERROR: Attempt was completed before the answer could be saved:', studentId);
+      return res.status(400).json({
+        success: false,
+        message: 'Exam has already been completed'
+      });
     }
 
-    console.log('Current attempt answers count AFTER update:', attempt.answers.length);
-    console.log('All current answers:', attempt.answers.map(ans => ({
-      questionNumber: ans.questionNumber,
-      questionId: ans.questionId,
-      answer: ans.answer,
-      answeredAt: ans.answeredAt
-    })));
+    // A retried request whose save was already applied
+    if (result.status === 'duplicate') {
+      console.log('Duplicate answer save ignored:', idempotencyKey);
+      return res.json({
+        success: true,
+        message: 'Answer already saved',
+        data: {
+          ...timerData,
+          duplicate: true,
+          sequence: result.current.sequence
+        }
+      });
+    }
 
-    await exam.save();
+    // A newer save for this question already won; send back what is stored
+    // so the client can reconcile instead of silently overwriting it
+    if (result.status === 'stale') {
+      console.log('Stale answer save rejected:', { questionNumber, sequence });
+      return res.status(409).json({
+        success: false,
+        message: 'A newer answer for this question has already been saved',
+        data: {
+          ...timerData,
+          conflict: true,
+          current: result.current ? {
+            questionId: result.current.questionId,
+            questionNumber: result.current.questionNumber,
+            answer: result.current.answer,
+            sequence: result.current.sequence,
+            saveKey: result.current.saveKey
+          } : null
+        }
+      });
+    }
+
+    console.log('Current attempt answers count AFTER update:', result.attempt.answers.length);
     console.log('SUCCESSFULLY saved answer to database');
+    notifyExamMonitor(req, exam, studentId, result.attempt);
 
     res.json({
       success: true,
-      message: 'Answer saved successfully'
+      message: 'Answer saved successfully',
+      data: {
+        ...timerData,
+        sequence: answerData.sequence
+      }
     });
 
   } catch (error) {
@@ -565,6 +724,258 @@ router.post('/exams/:examId/answer', [
   }
 });
 
+// @desc    Replay answers saved on the device while offline
+// @route   POST /api/student/exams/:examId/answers/sync
+// @access  Private/Student
+router.post('/exams/:examId/answers/sync', [
+  body('answers').isArray({ min: 1, max: 500 }).withMessage('Answers must be a non-empty array'),
+  body('answers.*.questionId').notEmpty().withMessage('Question ID is required'),
+  body('answers.*.answeredAt').isISO8601().withMessage('Answer timestamp is required'),
+  body('answers.*.sequence').optional().isInt({ min: 0 }).withMessage('Sequence must be a non-negative integer'),
+  body('answers.*.idempotencyKey').optional().isString().isLength({ max: 200 }).withMessage('Invalid idempotency key')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { examId } = req.params;
+    const studentId = req.user._id;
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const attempt = await ExamAttempt.findActiveAttempt(exam._id, studentId);
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'No exam in progress to sync answers to'
+      });
+    }
+
+    if (!isSessionValid(attempt, req.body.sessionToken)) {
+      return rejectInvalidSession(res);
+    }
+    await recordClientChange(attempt, req);
+
+    // Answers from while the attempt is paused are not accepted
+    const now = new Date();
+    const deadline = getAttemptDeadline(exam, attempt);
+    const latestAccepted = new Date(Math.min(
+      attempt.pausedAt ? attempt.pausedAt.getTime() : now.getTime(),
+      deadline.getTime() + DEADLINE_GRACE_SECONDS * 1000
+    ));
+
+    // Apply the oldest answers first so the latest answer per question wins
+    const entries = [...req.body.answers].sort((a, b) => new Date(a.answeredAt) - new Date(b.answeredAt));
+    const results = [];
+
+    for (const entry of entries) {
+      const result = { questionId: entry.questionId, sequence: entry.sequence };
+      const answeredAt = new Date(entry.answeredAt);
+
+      const questionNumber = await resolveQuestionNumber(exam, entry.questionId);
+      if (!questionNumber) {
+        results.push({ ...result, status: 'rejected', reason: 'Question not found' });
+        continue;
+      }
+
+      // Client clocks are corrected by the client; anything claiming to be from
+      // before the attempt or after the deadline is not accepted
+      if (answeredAt < attempt.startTime || answeredAt > latestAccepted) {
+        results.push({ ...result, status: 'rejected', reason: 'Answer time is outside the attempt' });
+        continue;
+      }
+
+      const answerData = {
+        questionId: entry.questionId,
+        questionNumber,
+        answer: entry.answer,
+        timeSpent: entry.timeSpent || 0,
+        answeredAt
+      };
+      if (entry.sequence !== undefined) answerData.sequence = parseInt(entry.sequence);
+      if (entry.idempotencyKey) answerData.saveKey = entry.idempotencyKey;
+
+      const saved = await ExamAttempt.saveAnswer(attempt._id, answerData, entry.timeSpent || 0, {
+        compareBy: 'answeredAt'
+      });
+
+      if (saved.status === 'closed') {
+        results.push({ ...result, status: 'closed' });
+        break;
+      }
+
+      if (saved.status === 'stale' && saved.current) {
+        result.current = {
+          questionId: saved.current.questionId,
+          questionNumber: saved.current.questionNumber,
+          answer: saved.current.answer,
+          sequence: saved.current.sequence,
+          saveKey: saved.current.saveKey
+        };
+      }
+      results.push({ ...result, status: saved.status });
+    }
+
+    console.log(`Synced ${entries.length} offline answer(s) for student ${studentId}:`,
+      results.map(result => `${result.questionId}=${result.status}`).join(', '));
+    if (results.some(result => result.status === 'saved')) {
+      notifyExamMonitor(req, exam, studentId);
+    }
+
+    // Answers given before the deadline are kept, then the attempt is closed
+    if (isPastDeadline(deadline, now, DEADLINE_GRACE_SECONDS)) {
+      const refreshedAttempt = await ExamAttempt.findById(attempt._id);
+      await autoSubmitExam(exam, refreshedAttempt, studentId, {
+        notificationService: req.app.locals.notificationService,
+        examMonitor: req.app.locals.examMonitor
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Exam time has expired. Your synced answers were saved and your exam has been submitted automatically.',
+        data: {
+          autoSubmitted: true,
+          deadline,
+          serverTime: now,
+          results
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Answers synced successfully',
+      data: {
+        deadline,
+        serverTime: new Date(),
+        remainingTime: getRemainingSeconds(deadline),
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Sync answers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error syncing answers'
+    });
+  }
+});
+
+// @desc    Record integrity events noticed by the exam page
+// @route   POST /api/student/exams/:examId/integrity-events
+// @access  Private/Student
+router.post('/exams/:examId/integrity-events', [
+  body('events').isArray({ min: 1, max: 50 }).withMessage('Events must be a non-empty array'),
+  body('events.*.type').isIn(INTEGRITY_EVENT_TYPES).withMessage('Invalid event type'),
+  body('events.*.occurredAt').isISO8601().withMessage('Event timestamp is required'),
+  body('events.*.details').optional().isString().isLength({ max: 200 }).withMessage('Event details are too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { examId } = req.params;
+    const studentId = req.user._id;
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const attempt = await ExamAttempt.findActiveAttempt(exam._id, studentId);
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'No exam in progress to record events for'
+      });
+    }
+
+    if (!isSessionValid(attempt, req.body.sessionToken)) {
+      return rejectInvalidSession(res);
+    }
+
+    // Events can't be dated before the attempt started or in the future
+    const now = new Date();
+    const events = req.body.events.map(event => {
+      const occurredAt = new Date(event.occurredAt);
+      return {
+        type: event.type,
+        occurredAt: new Date(Math.min(Math.max(occurredAt.getTime(), attempt.startTime.getTime()), now.getTime())),
+        recordedAt: now,
+        details: event.details
+      };
+    });
+
+    const policy = getViolationPolicy(exam);
+    const violations = countViolations(policy, events, attempt.integrityEvents);
+
+    let updatedAttempt = await ExamAttempt.recordIntegrityEvents(attempt._id, events, { violations });
+    if (!updatedAttempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Exam has already been completed'
+      });
+    }
+
+    console.log(`Recorded ${events.length} integrity event(s) for student ${studentId}:`,
+      events.map(event => event.type).join(', '));
+
+    let enforcement = null;
+    if (violations > 0) {
+      enforcement = await enforceViolationPolicy(exam, updatedAttempt, violations, {
+        notificationService: req.app.locals.notificationService,
+        examMonitor: req.app.locals.examMonitor
+      });
+      updatedAttempt = enforcement.attempt;
+    }
+
+    // A forced submission has already been pushed to the monitor
+    if (!enforcement || enforcement.action !== 'submitted') {
+      notifyExamMonitor(req, exam, studentId, updatedAttempt);
+    }
+
+    res.json({
+      success: true,
+      message: enforcement && enforcement.action === 'submitted' ? enforcement.message : 'Events recorded',
+      data: {
+        recorded: events.length,
+        totalEvents: updatedAttempt.integrityEvents.length,
+        violationCount: updatedAttempt.violationCount,
+        warning: enforcement && enforcement.warning ? enforcement.warning : null,
+        autoSubmitted: !!enforcement && enforcement.action === 'submitted'
+      }
+    });
+
+  } catch (error) {
+    console.error('Record integrity events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording integrity events'
+    });
+  }
+});
+
 // @desc    Submit exam
 // @route   POST /api/student/exams/:examId/submit
 // @access  Private/Student
@@ -597,9 +1008,7 @@ router.post('/exams/:examId/submit', async (req, res) => {
     });
 
     // Find student's attempt
-    const attempt = exam.attempts.find(att => 
-      att.student.toString() === studentId.toString()
-    );
+    const attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId);
 
     if (!attempt) {
       console.log('ERROR: Exam attempt not found for student:', studentId);
@@ -632,6 +1041,10 @@ router.post('/exams/:examId/submit', async (req, res) => {
       });
     }
 
+    if (!isSessionValid(attempt, req.body.sessionToken)) {
+      return rejectInvalidSession(res);
+    }
+
     console.log('Starting grading process...');
     // Calculate final score and grade the exam
     const gradingResult = await gradeExamAttempt(exam, attempt);
@@ -645,27 +1058,29 @@ router.post('/exams/:examId/submit', async (req, res) => {
       gradedAnswersCount: gradingResult.gradedAnswers?.length || 0
     });
 
-    // Mark as completed but hide scores until results are released
-    attempt.isCompleted = true;
-    attempt.submittedAt = new Date();
-    attempt.score = 0; // Don't show actual score until released
-    attempt.percentage = 0; // Don't show actual percentage until released
-    attempt.gradingStatus = gradingResult.gradingStatus;
-    
-    // Store actual scores for teacher use (hidden from student)
-    attempt.actualScore = gradingResult.actualScore || gradingResult.totalScore;
-    attempt.actualPercentage = gradingResult.actualPercentage || gradingResult.percentage;
-    
-    // Check if any theory questions need grading
-    const hasTheoryQuestions = gradingResult.gradedAnswers.some(ans => ans.needsGrading);
-    attempt.needsGrading = hasTheoryQuestions;
-
-    console.log('Answers before grading update:', attempt.answers.length);
-    // Update answers with grading results
-    attempt.answers = gradingResult.gradedAnswers;
-    console.log('Answers after grading update:', attempt.answers.length);
+    // Mark as completed but hide scores until results are released. Actual
+    // scores are stored for teacher use. The attempt is only closed if it is
+    // still open, so a deadline or violation auto-submit running at the same
+    // time can't grade it twice.
+    const completedAttempt = await ExamAttempt.completeAttempt(attempt, {
+      submittedAt: new Date(),
+      score: 0,
+      percentage: 0,
+      gradingStatus: gradingResult.gradingStatus,
+      actualScore: gradingResult.actualScore || gradingResult.totalScore,
+      actualPercentage: gradingResult.actualPercentage || gradingResult.percentage,
+      needsGrading: gradingResult.gradedAnswers.some(ans => ans.needsGrading),
+      answers: gradingResult.gradedAnswers
+    });
 
-    await exam.save();
+    if (!completedAttempt) {
+      console.log('ERROR: Attempt completed during submission for student:', studentId);
+      return res.status(400).json({
+        success: false,
+        message: 'Exam has already been submitted'
+      });
+    }
+    notifyExamMonitor(req, exam, studentId, completedAttempt);
 
     // Send notification to teacher
     try {
@@ -736,10 +1151,9 @@ router.get('/exams/:examId/results', async (req, res) => {
       });
     }
 
-    // Find student's attempt
-    const attempt = exam.attempts.find(att => 
-      att.student.toString() === studentId.toString()
-    );
+    // Find student's attempt, preferring the latest completed one
+    const attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId, { isCompleted: true }) ||
+      await ExamAttempt.findLatestAttempt(exam._id, studentId);
 
     if (!attempt) {
       return res.status(404).json({
@@ -802,8 +1216,14 @@ router.get('/exams/:examId/results', async (req, res) => {
           questionText: question.questionText,
           questionType: question.questionType,
           marks: question.marks,
+          answerType: question.answerType,
           options: question.questionType === 'Objective' ? question.options : [],
-          correctAnswer: question.questionType === 'Objective' ? question.correctAnswer : undefined
+          correctAnswer: question.questionType === 'Objective' ? question.correctAnswer : undefined,
+          multipleAnswers: !!question.multipleAnswers,
+          correctAnswers: question.correctAnswers || [],
+          scoringMode: question.scoringMode,
+          ...getTypedAnswerKey(question),
+          rubric: question.rubric
         }));
       } else if (exam.questions && exam.questions.length > 0) {
         // Fallback for older exams with separate Question documents
@@ -812,8 +1232,12 @@ router.get('/exams/:examId/results', async (req, res) => {
           questionText: question.questionText,
           questionType: question.questionType,
           marks: question.marks,
-          options: question.questionType === 'Objective' ? question.options : [],
-          correctAnswer: question.questionType === 'Objective' ? question.correctAnswer : undefined
+          options: question.questionType === 'Objective' ? question.options.map(option => option.text) : [],
+          correctAnswer: question.questionType === 'Objective' ? question.options.findIndex(option => option.isCorrect) : undefined,
+          multipleAnswers: !!question.multipleAnswers,
+          correctAnswers: question.multipleAnswers ? getCorrectOptionIndices(question) : [],
+          scoringMode: question.scoringMode,
+          ...getTypedAnswerKey(question)
         }));
       }
     }
@@ -825,16 +1249,29 @@ router.get('/exams/:examId/results', async (req, res) => {
       let studentAnswerText = answer.answer;
       let correctAnswerText = null;
       
-      if (questionDetails && questionDetails.questionType === 'Objective') {
+      if (questionDetails && questionDetails.questionType === 'Objective' && !usesOptions(questionDetails)) {
+        studentAnswerText = formatTypedAnswer(questionDetails, answer.answer);
+        correctAnswerText = formatTypedCorrectAnswer(questionDetails) || null;
+      } else if (questionDetails && questionDetails.questionType === 'Objective') {
         // For objective questions, convert answer index to actual option text
         if (questionDetails.options && questionDetails.options.length > 0) {
-          if (typeof answer.answer === 'number' && questionDetails.options[answer.answer]) {
-            studentAnswerText = questionDetails.options[answer.answer];
-          }
-          
-          // Get correct answer text
-          if (typeof questionDetails.correctAnswer === 'number' && questionDetails.options[questionDetails.correctAnswer]) {
-            correctAnswerText = questionDetails.options[questionDetails.correctAnswer];
+          const toOptionText = (indices) => indices
+            .filter(index => questionDetails.options[index] !== undefined)
+            .map(index => questionDetails.options[index])
+            .join(', ');
+
+          if (questionDetails.multipleAnswers) {
+            studentAnswerText = toOptionText(toSelectedIndices(answer.answer)) || studentAnswerText;
+            correctAnswerText = toOptionText(getCorrectOptionIndices(questionDetails)) || null;
+          } else {
+            if (typeof answer.answer === 'number' && questionDetails.options[answer.answer]) {
+              studentAnswerText = questionDetails.options[answer.answer];
+            }
+
+            // Get correct answer text
+            if (typeof questionDetails.correctAnswer === 'number' && questionDetails.options[questionDetails.correctAnswer]) {
+              correctAnswerText = questionDetails.options[questionDetails.correctAnswer];
+            }
           }
         }
       }
@@ -843,13 +1280,19 @@ router.get('/exams/:examId/results', async (req, res) => {
         questionNumber: answer.questionNumber,
         questionText: questionDetails?.questionText || `Question ${answer.questionNumber}`,
         questionType: questionDetails?.questionType || answer.questionType || 'Unknown',
+        answerType: questionDetails?.answerType,
         marks: questionDetails?.marks || 1,
         studentAnswer: answer.answer,
         studentAnswerText: studentAnswerText,
         correctAnswer: questionDetails?.correctAnswer,
+        correctAnswers: questionDetails?.correctAnswers || [],
+        multipleAnswers: !!questionDetails?.multipleAnswers,
+        scoringMode: questionDetails?.scoringMode,
         correctAnswerText: correctAnswerText,
         isCorrect: answer.isCorrect,
         marksObtained: answer.marksObtained,
+        negativeMarks: answer.negativeMarks || 0,
+        rubricFeedback: questionDetails ? buildRubricFeedback(questionDetails, answer.rubricScores) : null,
         timeSpent: answer.timeSpent,
         options: questionDetails?.options || []
       };
@@ -861,9 +1304,10 @@ router.get('/exams/:examId/results', async (req, res) => {
         exam: {
           title: exam.title,
           subject: exam.subject.name,
-          totalMarks: exam.totalMarks,
-          passingMarks: exam.passingMarks,
-          duration: exam.duration
+          totalMarks: getAttemptTotalMarks(exam, attempt),
+          passingMarks: getAttemptPassingMarks(exam, attempt),
+          duration: exam.duration,
+          negativeMarking: getNegativeMarking(exam) ? { fraction: exam.settings.negativeMarking.fraction } : null
         },
         attempt: {
           score: displayScore,
@@ -872,9 +1316,10 @@ router.get('/exams/:examId/results', async (req, res) => {
           timeSpent: attempt.timeSpent,
           gradingStatus: displayStatus,
           resultsReleased: resultsReleased,
-          passed: resultsReleased ? displayPercentage >= (exam.passingMarks / exam.totalMarks * 100) : null,
+          passed: resultsReleased ? hasPassed(exam, attempt, displayScore) : null,
           message: resultsReleased ? null : 'Results are pending teacher review and will be available once released.'
         },
+        breakdown: resultsReleased ? buildScoreBreakdown(exam, attempt) : null,
         answers: enhancedAnswers
       }
     });
@@ -899,21 +1344,13 @@ router.get('/exam-history', async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
 
     // Find exams where student has attempts
-    const exams = await Exam.find({
-      'attempts.student': studentId
-    })
-    .populate('subject class teacher')
-    .sort({ 'attempts.submittedAt': -1 })
-    .limit(parseInt(limit))
-    .skip((parseInt(page) - 1) * parseInt(limit));
-
-    const total = await Exam.countDocuments({
-      'attempts.student': studentId
-    });
+    const attempts = await getLatestAttemptsByExam(studentId, 'subject class teacher');
+    const total = attempts.length;
+    const pageAttempts = attempts.slice((parseInt(page) - 1) * parseInt(limit), parseInt(page) * parseInt(limit));
 
     // Format exam history
-    const examHistory = exams.map(exam => {
-      const attempt = exam.getStudentAttempt(studentId);
+    const examHistory = pageAttempts.map(attempt => {
+      const exam = attempt.exam;
       
       // Check if results have been released
       const resultsReleased = attempt.resultsReleased || false;
@@ -927,7 +1364,7 @@ router.get('/exam-history', async (req, res) => {
       if (resultsReleased && gradingStatus === 'Completed') {
         displayScore = attempt.actualScore || attempt.score || 0;
         displayPercentage = attempt.actualPercentage || attempt.percentage || 0;
-        passed = displayScore >= exam.passingMarks;
+        passed = hasPassed(exam, attempt, displayScore);
       }
 
       return {
@@ -937,8 +1374,8 @@ router.get('/exam-history', async (req, res) => {
           subject: exam.subject,
           class: exam.class,
           teacher: exam.teacher,
-          totalMarks: exam.totalMarks,
-          passingMarks: exam.passingMarks
+          totalMarks: getAttemptTotalMarks(exam, attempt),
+          passingMarks: getAttemptPassingMarks(exam, attempt)
         },
         attempt: {
           score: displayScore,
@@ -991,16 +1428,25 @@ router.delete('/exams/:examId/reset', async (req, res) => {
 
     // Additional class validation
     const student = await User.findById(studentId).populate('class');
-    if (student.class._id.toString() !== exam.class._id.toString()) {
+    if (!isExamForClass(exam, student.class)) {
       return res.status(403).json({
         success: false,
         message: 'You are not enrolled in the class for this exam'
       });
     }
 
-    const completedAttempts = exam.attempts.filter(attempt => 
-      attempt.student.toString() === studentId.toString() && attempt.isCompleted
-    );
+    if (!(await isEnrolledForExam(student, exam))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not take the subject of this exam'
+      });
+    }
+
+    const completedAttempts = await ExamAttempt.find({
+      exam: exam._id,
+      student: studentId,
+      isCompleted: true
+    });
 
     // If exam allows retakes, don't reset - just inform that retakes are allowed
     if (exam.allowRetakes && completedAttempts.length > 0) {
@@ -1013,11 +1459,8 @@ router.delete('/exams/:examId/reset', async (req, res) => {
     }
 
     // Remove student's attempts (for testing or when retakes not allowed)
-    exam.attempts = exam.attempts.filter(attempt => 
-      attempt.student.toString() !== studentId.toString()
-    );
-
-    await exam.save();
+    await ExamAttempt.deleteMany({ exam: exam._id, student: studentId });
+    notifyExamMonitor(req, exam, studentId, null);
 
     res.json({
       success: true,
@@ -1035,259 +1478,114 @@ router.delete('/exams/:examId/reset', async (req, res) => {
   }
 });
 
-// Helper function to auto-submit exam when time expires
-const autoSubmitExam = async (exam, attempt, studentId) => {
-  try {
-    const gradingResult = await gradeExamAttempt(exam, attempt);
+// Helper function to get a student's most recent attempt for each exam, newest first
+const getLatestAttemptsByExam = async (studentId, examPopulate = 'subject class') => {
+  const attempts = await ExamAttempt.find({ student: studentId })
+    .populate({
+      path: 'exam',
+      select: '-embeddedQuestions -questions',
+      populate: { path: examPopulate }
+    })
+    .sort({ startTime: -1 });
+
+  const seenExams = new Set();
+  return attempts
+    .filter(attempt => {
+      if (!attempt.exam || seenExams.has(attempt.exam._id.toString())) return false;
+      seenExams.add(attempt.exam._id.toString());
+      return true;
+    })
+    .sort((a, b) => new Date(b.submittedAt || b.startTime) - new Date(a.submittedAt || a.startTime));
+};
 
-    attempt.isCompleted = true;
-    attempt.submittedAt = new Date();
-    attempt.score = gradingResult.totalScore;
-    attempt.percentage = gradingResult.percentage;
-    attempt.gradingStatus = gradingResult.gradingStatus;
-    attempt.answers = gradingResult.gradedAnswers;
+// Questions as served to a student: only what is needed to display them
+const getStudentQuestions = async (exam) => {
+  if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
+    return exam.embeddedQuestions.map(serializeStudentQuestion);
+  }
 
-    await exam.save();
-    
-    console.log(`Auto-submitted exam ${exam._id} for student ${studentId}`);
-  } catch (error) {
-    console.error('Auto-submit failed:', error);
+  if (exam.questions && exam.questions.length > 0) {
+    // Legacy question bank structure (for backward compatibility)
+    if (!exam.populated('questions')) await exam.populate('questions');
+    return exam.questions.map(serializeStudentQuestion);
   }
-};
 
-// Helper function to grade exam attempt
-const gradeExamAttempt = async (exam, attempt) => {
-  console.log('=== GRADING EXAM ATTEMPT ===');
-  console.log('Exam ID:', exam._id);
-  console.log('Student ID:', attempt.student);
-  console.log('Input answers count:', attempt.answers?.length || 0);
-  
-  let totalScore = 0;
-  let objectiveScore = 0;
-  let theoryScore = 0;
-  let objectiveQuestions = 0;
-  let theoryQuestions = 0;
-  let gradingStatus = 'Pending'; // Always start as pending until teacher releases results
-
-  const gradedAnswers = [];
+  return [];
+};
 
-  try {
-    // Use embedded questions if available, otherwise fall back to legacy questions
-    let examQuestions = [];
-    if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
-      examQuestions = exam.embeddedQuestions;
-      console.log('Using embedded questions:', examQuestions.length);
-    } else if (exam.questions && exam.questions.length > 0) {
-      await exam.populate('questions');
-      examQuestions = exam.questions;
-      console.log('Using legacy questions:', examQuestions.length);
-    }
+// An attempt's questions as the student sees them: embedded questions in the
+// attempt's stored layout, legacy bank questions shuffled when the exam asks
+const getStudentPaper = async (exam, attempt, questions) => {
+  questions = questions || await getStudentQuestions(exam);
 
-    // If no questions found, return default result
-    if (examQuestions.length === 0) {
-      console.warn('No questions found for exam:', exam._id);
-      return {
-        totalScore: 0,
-        percentage: 0,
-        gradingStatus: 'Pending',
-        gradedAnswers: [],
-        totalQuestions: 0,
-        answeredQuestions: 0,
-        breakdown: {
-          objective: { score: 0, questions: 0, maxMarks: 0 },
-          theory: { score: 0, questions: 0, maxMarks: 0 }
-        }
-      };
-    }
+  if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
+    return applyAttemptLayout(questions, attempt);
+  }
 
-    // If no answers provided (student submitted blank exam)
-    if (!attempt.answers || attempt.answers.length === 0) {
-      console.log('No answers provided for exam:', exam._id);
-      return {
-        totalScore: 0,
-        percentage: 0,
-        gradingStatus: 'Pending',
-        gradedAnswers: [],
-        totalQuestions: examQuestions.length,
-        answeredQuestions: 0,
-        breakdown: {
-          objective: {
-            score: 0,
-            questions: examQuestions.filter(q => q.questionType === 'Objective').length,
-            maxMarks: examQuestions
-              .filter(q => q.questionType === 'Objective')
-              .reduce((sum, q) => sum + (q.marks || 0), 0)
-          },
-          theory: {
-            score: 0,
-            questions: examQuestions.filter(q => q.questionType === 'Theory').length,
-            maxMarks: examQuestions
-              .filter(q => q.questionType === 'Theory')
-              .reduce((sum, q) => sum + (q.marks || 0), 0)
-          }
-        }
-      };
+  if (exam.settings.shuffleQuestions) {
+    // Legacy question bank exams have no question numbers to store an order by
+    questions = [...questions];
+    for (let i = questions.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [questions[i], questions[j]] = [questions[j], questions[i]];
     }
+  }
+  return questions;
+};
 
-    // Grade each answer
-    console.log('Processing answers - Student submitted:', attempt.answers.map(ans => ({
-      questionId: ans.questionId,
-      questionNumber: ans.questionNumber,
-      answer: ans.answer,
-      answeredAt: ans.answeredAt
-    })));
-
-    console.log('Available exam questions:', examQuestions.map(q => ({
-      questionNumber: q.questionNumber,
-      questionType: q.questionType,
-      marks: q.marks,
-      _id: q._id
-    })));
-
-    for (const answer of attempt.answers) {
-      let question;
-      
-      console.log('Processing answer:', { 
-        questionId: answer.questionId, 
-        questionNumber: answer.questionNumber,
-        answer: answer.answer,
-        answeredAt: answer.answeredAt
-      });
-      
-      // Find the question (handle both embedded and legacy structures)
-      if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
-        // For embedded questions, match by questionNumber primarily
-        question = examQuestions.find(q => {
-          // Try matching by questionNumber first (most reliable for embedded questions)
-          if (q.questionNumber === answer.questionNumber) {
-            return true;
-          }
-          // Fallback to ID matching if available
-          if (q._id && answer.questionId && q._id.toString() === answer.questionId.toString()) {
-            return true;
-          }
-          // Try matching by generated ID pattern
-          if (answer.questionId && answer.questionId.includes('embedded_') && 
-              answer.questionId === `embedded_${q.questionNumber}`) {
-            return true;
-          }
-          return false;
-        });
-      } else {
-        // For legacy questions, match by ID
-        question = examQuestions.find(q => q._id?.toString() === answer.questionId?.toString());
-      }
-
-      if (!question) {
-        console.error('CRITICAL: Question not found for answer:', {
-          questionId: answer.questionId,
-          questionNumber: answer.questionNumber,
-          answer: answer.answer,
-          availableQuestions: examQuestions.map(q => ({ 
-            id: q._id, 
-            number: q.questionNumber, 
-            type: q.questionType 
-          }))
-        });
-        // Still add the answer to gradedAnswers to prevent data loss
-        gradedAnswers.push({
-          ...answer,
-          questionType: 'Unknown',
-          isCorrect: false,
-          marksObtained: 0,
-          needsGrading: true
-        });
-        continue;
-      }
+// Question number for a client question id: the embedded question's _id or
+// "embedded_<number>", or a legacy bank question's _id
+const resolveQuestionNumber = async (exam, questionId) => {
+  const id = questionId.toString();
 
-      console.log('Found matching question:', {
-        questionNumber: question.questionNumber,
-        questionType: question.questionType,
-        marks: question.marks
-      });
+  if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
+    const question = exam.embeddedQuestions.find(q =>
+      q._id?.toString() === id || id === `embedded_${q.questionNumber}`
+    );
+    if (question) return question.questionNumber;
+  } else if (exam.questions && exam.questions.length > 0) {
+    if (!exam.populated('questions')) await exam.populate('questions');
+    const question = exam.questions.find(q => q._id?.toString() === id);
+    if (question) return question.questionNumber;
+  }
 
-      const gradedAnswer = {
-        ...answer,
-        questionType: question.questionType
-      };
+  const match = id.match(/^embedded_(\d+)$/);
+  return match ? parseInt(match[1]) : null;
+};
 
-      if (question.questionType === 'Objective') {
-        objectiveQuestions++;
-        
-        // Calculate score but don't show to student until teacher releases results
-        const studentAnswer = parseInt(answer.answer);
-        const correctAnswer = question.correctAnswer;
-        const isCorrect = !isNaN(studentAnswer) && studentAnswer === correctAnswer;
-        
-        console.log('Grading objective question:', {
-          questionNumber: question.questionNumber,
-          studentAnswer,
-          correctAnswer,
-          isCorrect,
-          marks: question.marks
-        });
-        
-        gradedAnswer.isCorrect = isCorrect;
-        gradedAnswer.marksObtained = isCorrect ? (question.marks || 0) : 0;
-        gradedAnswer.needsGrading = false; // Objective questions are auto-graded
-        
-        objectiveScore += gradedAnswer.marksObtained;
-        totalScore += gradedAnswer.marksObtained;
-      } else if (question.questionType === 'Theory') {
-        theoryQuestions++;
-        
-        console.log('Theory question found, needs manual grading');
-        
-        // Theory questions need manual grading
-        gradedAnswer.isCorrect = null;
-        gradedAnswer.marksObtained = 0; // Will be updated during manual grading
-        gradedAnswer.needsGrading = true;
-      }
+// Push a student's changed attempt to teachers watching the exam live.
+// Leave attempt undefined to have the latest one looked up.
+const notifyExamMonitor = (req, exam, studentId, attempt) => {
+  const examMonitor = req.app.locals.examMonitor;
+  if (examMonitor) {
+    examMonitor.attemptUpdated(exam, studentId, attempt);
+  }
+};
 
-      gradedAnswers.push(gradedAnswer);
-    }
+// A request from a device that does not hold the attempt's session
+const rejectInvalidSession = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'This exam is open on another device. Answers from this device are no longer accepted.',
+    data: { sessionRevoked: true }
+  });
+};
 
-    // Don't calculate percentage - keep as 0 until teacher releases results
-    const percentage = 0; // Will be calculated when teacher releases results
+// Let the exam's teacher know a student wants to continue on another device
+const notifyTakeoverRequested = async (req, exam, student) => {
+  const notificationService = req.app.locals.notificationService;
+  if (!notificationService) return;
 
-    console.log('Grading summary:', {
-      totalScore,
-      objectiveScore,
-      theoryScore,
-      objectiveQuestions,
-      theoryQuestions,
-      gradingStatus: 'Pending'
+  try {
+    await notificationService.notifyExamSessionTakeover({
+      studentId: student._id,
+      teacherId: exam.teacher,
+      examId: exam._id,
+      examTitle: exam.title,
+      studentName: `${student.firstName} ${student.lastName}`
     });
-
-    return {
-      totalScore: 0, // Don't show actual score until teacher releases
-      percentage: 0, // Don't show percentage until teacher releases
-      gradingStatus: 'Pending',
-      gradedAnswers,
-      totalQuestions: examQuestions.length,
-      answeredQuestions: attempt.answers.length,
-      actualScore: totalScore, // Store actual score for teacher use
-      actualPercentage: exam.totalMarks > 0 ? (totalScore / exam.totalMarks) * 100 : 0,
-      breakdown: {
-        objective: {
-          score: objectiveScore,
-          questions: objectiveQuestions,
-          maxMarks: examQuestions
-            .filter(q => q.questionType === 'Objective')
-            .reduce((sum, q) => sum + (q.marks || 0), 0)
-        },
-        theory: {
-          score: theoryScore,
-          questions: theoryQuestions,
-          maxMarks: examQuestions
-            .filter(q => q.questionType === 'Theory')
-            .reduce((sum, q) => sum + (q.marks || 0), 0)
-        }
-      }
-    };
-  } catch (error) {
-    console.error('Error in gradeExamAttempt:', error);
-    throw error;
+  } catch (notificationError) {
+    console.error('Error sending session takeover notification:', notificationError);
   }
 };
 
@@ -1,14 +1,102 @@
 const express = require('express');
+const multer = require('multer');
+const archiver = require('archiver');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
 const Question = require('../models/Question');
+const Rubric = require('../models/Rubric');
+const TeachingAssignment = require('../models/TeachingAssignment');
 const { protect, teacherOrAdmin } = require('../middleware/auth');
+const { parseQuestionFile, validateImportedQuestion } = require('../utils/questionImport');
+const { EXPORT_FORMATS, buildQtiPackage, buildGiftFile } = require('../utils/questionExport');
+const {
+  autoSubmitExam,
+  getAttemptQuestions,
+  getAttemptTotalMarks,
+  calculateAttemptScore,
+  buildScoreBreakdown
+} = require('../utils/examGrading');
+const { computeAttemptDeadline, getAttemptDeadline, buildTimerSyncPayload, buildStudentTimerSync } = require('../utils/examTimer');
+const { drawSample } = require('../utils/questionShuffle');
+const { INTEGRITY_EVENT_TYPES } = require('../utils/violationPolicy');
+const { SESSION_LOG_LIMIT } = require('../utils/examSession');
+const { getExamClassIds, getAudienceError } = require('../utils/examAudience');
+const { getCurrentPeriod } = require('../utils/academicCalendar');
+const { getTeachingError, getExamAccessFilter } = require('../utils/teachingAssignments');
+const {
+  cleanGradingKeywords,
+  getGradingKeywords,
+  suggestTheoryMarks,
+  isAssistedGradingEnabled,
+  getSuggestionStatus
+} = require('../utils/theoryGrading');
+const { toEmbeddedRubric, hasRubric, getRubricError, scoreRubric } = require('../utils/rubricScoring');
+const { SCORING_MODES, ANSWER_TYPES, usesOptions, getAnswerKeyError, toTypedAnswerKey, getTypedAnswerKey } = require('../utils/objectiveScoring');
 
 const router = express.Router();
 
+// Shared by exam create and update
+const examSettingsValidation = [
+  body('settings.violationPolicy.enabled').optional().isBoolean().withMessage('Violation policy enabled must be true or false'),
+  body('settings.violationPolicy.autoSubmitAfter').optional().isInt({ min: 0, max: 50 }).withMessage('Auto-submit limit must be between 0 and 50 violations'),
+  body('settings.violationPolicy.penaltyMinutes').optional().isInt({ min: 0, max: 60 }).withMessage('Penalty must be between 0 and 60 minutes'),
+  body('settings.violationPolicy.countedEvents').optional().isArray().withMessage('Counted events must be a list'),
+  body('settings.violationPolicy.countedEvents.*').isIn(INTEGRITY_EVENT_TYPES).withMessage('Invalid integrity event type'),
+  body('settings.negativeMarking.enabled').optional().isBoolean().withMessage('Negative marking enabled must be true or false'),
+  body('settings.negativeMarking.fraction').optional().isFloat({ min: 0, max: 1 }).withMessage('Negative marking fraction must be between 0 and 1'),
+  body('settings.assistedGrading.enabled').optional().isBoolean().withMessage('Assisted grading enabled must be true or false')
+];
+
+// Shared by question create and update
+const answerKeyValidation = [
+  body('answerType').optional().isIn(ANSWER_TYPES).withMessage('Invalid answer type'),
+  body('multipleAnswers').optional().isBoolean().withMessage('Multiple answers must be true or false'),
+  body('scoringMode').optional().isIn(SCORING_MODES).withMessage('Invalid scoring mode'),
+  body('acceptedAnswers').optional().isArray().withMessage('Accepted answers must be a list'),
+  body('caseSensitive').optional().isBoolean().withMessage('Case sensitive must be true or false'),
+  body('tolerance').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Tolerance must be zero or more'),
+  body('toleranceType').optional().isIn(['absolute', 'relative']).withMessage('Invalid tolerance type'),
+  body('matchingPairs').optional().isArray().withMessage('Matching pairs must be a list'),
+  body('orderingItems').optional().isArray().withMessage('Ordering items must be a list'),
+  body('gradingKeywords').optional().isArray().withMessage('Grading keywords must be a list'),
+  body('gradingKeywords.*.synonyms').optional().isArray().withMessage('Keyword synonyms must be a list'),
+  body('gradingKeywords.*.weight').optional().isFloat({ min: 0.5, max: 10 }).withMessage('Keyword weight must be between 0.5 and 10'),
+  body('rubric').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid rubric')
+];
+
+// Shared by rubric create and update
+const rubricValidation = [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Rubric title is required and cannot exceed 100 characters'),
+  body('subject').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid subject'),
+  body('criteria').isArray({ min: 1 }).withMessage('A rubric needs at least one criterion'),
+  body('criteria.*.bands').isArray({ min: 2 }).withMessage('Each criterion needs at least 2 bands'),
+  body('criteria.*.bands.*.points').isFloat({ min: 0 }).withMessage('Band points must be zero or more')
+];
+
+// Question import files are parsed in memory and never written to disk
+const questionImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+// Wrap multer so upload errors return a JSON 400 instead of the generic 500 handler
+const uploadQuestionFile = (req, res, next) => {
+  questionImportUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large. Maximum size is 5MB.' : error.message
+      });
+    }
+    next();
+  });
+};
+
 // Apply teacher/admin protection to all routes
 router.use(protect);
 router.use(teacherOrAdmin);
@@ -20,21 +108,9 @@ router.get('/dashboard', async (req, res) => {
   try {
     const teacherId = req.user._id;
 
-    // Get teacher's subject assignments to determine their students
-    const subjects = await Subject.find({ 
-      teachers: teacherId, 
-      isActive: true 
-    }).populate('classes');
-
-    // Get all class IDs where this teacher teaches
-    const classIds = [];
-    subjects.forEach(subject => {
-      subject.classes.forEach(cls => {
-        if (!classIds.some(id => id.toString() === cls._id.toString())) {
-          classIds.push(cls._id);
-        }
-      });
-    });
+    // Get the classes and subjects this teacher is assigned to
+    const classIds = await TeachingAssignment.distinct('class', { teacher: teacherId });
+    const subjectIds = await TeachingAssignment.distinct('subject', { teacher: teacherId });
 
     // Get total students in teacher's classes
     const totalStudents = await User.countDocuments({
@@ -47,6 +123,18 @@ router.get('/dashboard', async (req, res) => {
     const allExams = await Exam.find({ teacher: teacherId, isActive: true });
     const totalExams = allExams.length;
 
+    // Get attempts for those exams, grouped by exam
+    const allAttempts = await ExamAttempt.find({ exam: { $in: allExams.map(exam => exam._id) } })
+      .select('-answers')
+      .populate('student', 'firstName lastName studentId email');
+    const attemptsByExam = {};
+    allAttempts.forEach(attempt => {
+      const key = attempt.exam.toString();
+      if (!attemptsByExam[key]) attemptsByExam[key] = [];
+      attemptsByExam[key].push(attempt);
+    });
+    const getExamAttempts = (exam) => attemptsByExam[exam._id.toString()] || [];
+
     // Get active exams (currently running)
     const now = new Date();
     const activeExams = allExams.filter(exam => 
@@ -58,7 +146,7 @@ router.get('/dashboard', async (req, res) => {
     for (const exam of allExams) {
       const theoryQuestionCount = exam.embeddedQuestions?.filter(q => q.questionType === 'Theory').length || 0;
       if (theoryQuestionCount > 0) {
-        const pendingAttempts = exam.attempts.filter(attempt => 
+        const pendingAttempts = getExamAttempts(exam).filter(attempt => 
           attempt.isCompleted && 
           (attempt.gradingStatus === 'Pending' || attempt.gradingStatus === 'Partial')
         );
@@ -72,19 +160,22 @@ router.get('/dashboard', async (req, res) => {
       .limit(5)
       .populate('subject class')
       .lean();
+    recentExams.forEach(exam => {
+      exam.attempts = getExamAttempts(exam);
+    });
 
     // Get pending grading details (actual attempts that need grading)
     const pendingGradingDetails = [];
     for (const exam of allExams) {
       const theoryQuestionCount = exam.embeddedQuestions?.filter(q => q.questionType === 'Theory').length || 0;
       if (theoryQuestionCount > 0) {
-        const pendingAttempts = exam.attempts.filter(attempt => 
+        const pendingAttempts = getExamAttempts(exam).filter(attempt => 
           attempt.isCompleted && 
           (attempt.gradingStatus === 'Pending' || attempt.gradingStatus === 'Partial')
         );
         
         for (const attempt of pendingAttempts) {
-          const student = await User.findById(attempt.student).select('firstName lastName studentId email');
+          const student = attempt.student;
           if (student) {
             pendingGradingDetails.push({
               _id: attempt._id,
@@ -108,22 +199,18 @@ router.get('/dashboard', async (req, res) => {
 
     // Get exam statistics
     const examStats = {
-      totalAttempts: allExams.reduce((sum, exam) => sum + exam.attempts.length, 0),
-      completedAttempts: allExams.reduce((sum, exam) => 
-        sum + exam.attempts.filter(attempt => attempt.isCompleted).length, 0
-      )
+      totalAttempts: allAttempts.length,
+      completedAttempts: allAttempts.filter(attempt => attempt.isCompleted).length
     };
 
     // Calculate average percentage across all completed attempts
     let totalPercentage = 0;
     let scoreCount = 0;
-    allExams.forEach(exam => {
-      exam.attempts.forEach(attempt => {
-        if (attempt.isCompleted && attempt.percentage !== undefined) {
-          totalPercentage += attempt.percentage;
-          scoreCount++;
-        }
-      });
+    allAttempts.forEach(attempt => {
+      if (attempt.isCompleted && attempt.percentage !== undefined) {
+        totalPercentage += attempt.percentage;
+        scoreCount++;
+      }
     });
     const averageScore = scoreCount > 0 ? Math.round(totalPercentage / scoreCount) : 0;
 
@@ -142,7 +229,7 @@ router.get('/dashboard', async (req, res) => {
           totalAttempts: examStats.totalAttempts,
           completedAttempts: examStats.completedAttempts,
           averageScore,
-          totalSubjects: subjects.length
+          totalSubjects: subjectIds.length
         },
         examsByStatus: {
           draft: allExams.filter(e => e.status === 'Draft').length,
@@ -167,18 +254,27 @@ router.get('/dashboard', async (req, res) => {
 // @access  Private/Teacher
 router.get('/subjects', async (req, res) => {
   try {
-    const teacher = await User.findById(req.user._id).populate({
-      path: 'subjects',
-      populate: {
-        path: 'classes',
-        model: 'Class'
-      }
-    });
+    const assignments = await TeachingAssignment.find({ teacher: req.user._id })
+      .populate('subject')
+      .populate('class');
+
+    // Each subject lists only the classes this teacher teaches it to
+    const subjects = [];
+    assignments
+      .filter(assignment => assignment.subject && assignment.subject.isActive && assignment.class)
+      .forEach(assignment => {
+        let subject = subjects.find(other => other._id.toString() === assignment.subject._id.toString());
+        if (!subject) {
+          subject = { ...assignment.subject.toObject(), classes: [] };
+          subjects.push(subject);
+        }
+        subject.classes.push(assignment.class);
+      });
 
     res.json({
       success: true,
       data: {
-        subjects: teacher.subjects
+        subjects
       }
     });
 
@@ -198,34 +294,28 @@ router.get('/assignments', async (req, res) => {
   try {
     const teacherId = req.user._id;
 
-    // Find all subjects where this teacher is assigned
-    const subjects = await Subject.find({ 
-      teachers: teacherId, 
-      isActive: true 
-    }).populate('classes');
-
-    // Create assignments array with subject-class combinations
-    const assignments = [];
-    
-    subjects.forEach(subject => {
-      subject.classes.forEach(classObj => {
-        assignments.push({
-          _id: `${subject._id}_${classObj._id}`,
-          subject: {
-            _id: subject._id,
-            name: subject.name,
-            code: subject.code,
-            category: subject.category
-          },
-          class: {
-            _id: classObj._id,
-            name: classObj.name,
-            level: classObj.level,
-            section: classObj.section
-          }
-        });
-      });
-    });
+    const teachingAssignments = await TeachingAssignment.find({ teacher: teacherId })
+      .populate('subject')
+      .populate('class');
+
+    const assignments = teachingAssignments
+      .filter(assignment => assignment.subject && assignment.subject.isActive && assignment.class)
+      .map(assignment => ({
+        _id: `${assignment.subject._id}_${assignment.class._id}`,
+        subject: {
+          _id: assignment.subject._id,
+          name: assignment.subject.name,
+          code: assignment.subject.code,
+          category: assignment.subject.category
+        },
+        class: {
+          _id: assignment.class._id,
+          name: assignment.class.name,
+          level: assignment.class.level,
+          arm: assignment.class.arm,
+          department: assignment.class.department
+        }
+      }));
 
     res.json({
       success: true,
@@ -252,7 +342,8 @@ router.post('/questions', [
   body('subject').isMongoId().withMessage('Valid subject ID is required'),
   body('class').isMongoId().withMessage('Valid class ID is required'),
   body('marks').isFloat({ min: 0.5, max: 20 }).withMessage('Marks must be between 0.5 and 20'),
-  body('difficulty').optional().isIn(['Easy', 'Medium', 'Hard']).withMessage('Invalid difficulty level')
+  body('difficulty').optional().isIn(['Easy', 'Medium', 'Hard']).withMessage('Invalid difficulty level'),
+  ...answerKeyValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -271,14 +362,26 @@ router.post('/questions', [
       class: classId,
       marks,
       difficulty,
+      answerType = 'multiple-choice',
       options,
+      multipleAnswers,
+      scoringMode,
       explanation,
       expectedAnswer,
       keywords,
+      gradingKeywords,
+      rubric,
       topic,
       tags
     } = req.body;
 
+    if (questionType === 'Theory' && rubric && !(await findTeacherRubric(req.user._id, rubric))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
     // Verify teacher has access to this subject
     const subjectDoc = await Subject.findById(subject);
     if (!subjectDoc) {
@@ -288,11 +391,11 @@ router.post('/questions', [
       });
     }
     
-    const hasAccess = subjectDoc.teachers.includes(req.user._id);
-    if (!hasAccess) {
+    const teachingError = await getTeachingError(req.user._id, subjectDoc, [classId]);
+    if (teachingError) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have access to this subject'
+        message: teachingError
       });
     }
 
@@ -304,8 +407,16 @@ router.post('/questions', [
       });
     }
 
-    // Validate objective question options
-    if (questionType === 'Objective') {
+    // Validate objective question options, or the answer key of types without them
+    if (questionType === 'Objective' && !usesOptions({ answerType })) {
+      const answerKeyError = getAnswerKeyError(req.body);
+      if (answerKeyError) {
+        return res.status(400).json({
+          success: false,
+          message: answerKeyError
+        });
+      }
+    } else if (questionType === 'Objective') {
       if (!options || options.length < 2) {
         return res.status(400).json({
           success: false,
@@ -335,8 +446,13 @@ router.post('/questions', [
       tags: tags || []
     };
 
-    if (questionType === 'Objective') {
+    if (questionType === 'Objective' && !usesOptions({ answerType })) {
+      Object.assign(questionData, toTypedAnswerKey(req.body));
+    } else if (questionType === 'Objective') {
+      questionData.answerType = answerType;
       questionData.options = options;
+      questionData.multipleAnswers = answerType === 'multiple-choice' && !!multipleAnswers;
+      questionData.scoringMode = scoringMode || 'all-or-nothing';
       // Set correctAnswer to the text of the first correct option
       const correctOptions = options.filter(option => option.isCorrect);
       if (correctOptions.length > 0) {
@@ -344,7 +460,12 @@ router.post('/questions', [
       }
     } else {
       questionData.expectedAnswer = expectedAnswer;
-      questionData.keywords = keywords || [];
+      questionData.rubric = rubric || undefined;
+      questionData.gradingKeywords = cleanGradingKeywords(gradingKeywords);
+      // Plain keywords mirror the grading keyword terms when only those were given
+      questionData.keywords = keywords && keywords.length > 0
+        ? keywords
+        : questionData.gradingKeywords.map(keyword => keyword.term);
     }
 
     const question = new Question(questionData);
@@ -375,6 +496,179 @@ router.post('/questions', [
   }
 });
 
+// @desc    Preview a question import file (CSV, XLSX, GIFT or Aiken)
+// @route   POST /api/teacher/questions/import/preview
+// @access  Private/Teacher
+router.post('/questions/import/preview', uploadQuestionFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file to import'
+      });
+    }
+
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid column mapping'
+        });
+      }
+    }
+
+    const preview = await parseQuestionFile({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format: req.body.format,
+      mapping,
+      defaults: {
+        marks: req.body.defaultMarks,
+        difficulty: req.body.defaultDifficulty,
+        topic: req.body.defaultTopic
+      }
+    });
+
+    const validCount = preview.rows.filter(row => row.isValid).length;
+
+    res.json({
+      success: true,
+      data: {
+        ...preview,
+        summary: {
+          total: preview.rows.length,
+          valid: validCount,
+          invalid: preview.rows.length - validCount
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Preview question import error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Could not read the uploaded file'
+    });
+  }
+});
+
+// @desc    Import previewed questions into the question bank
+// @route   POST /api/teacher/questions/import
+// @access  Private/Teacher
+router.post('/questions/import', [
+  body('subject').isMongoId().withMessage('Valid subject ID is required'),
+  body('class').isMongoId().withMessage('Valid class ID is required'),
+  body('questions').isArray({ min: 1 }).withMessage('At least one question is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { subject, class: classId, questions } = req.body;
+
+    // Verify teacher has access to this subject
+    const subjectDoc = await Subject.findById(subject);
+    if (!subjectDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const teachingError = await getTeachingError(req.user._id, subjectDoc, [classId]);
+    if (teachingError) {
+      return res.status(403).json({
+        success: false,
+        message: teachingError
+      });
+    }
+
+    if (!subjectDoc.classes.includes(classId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This subject is not assigned to the selected class'
+      });
+    }
+
+    const imported = [];
+    const skipped = [];
+
+    // Re-validate every row server-side and only commit the valid ones
+    for (let i = 0; i < questions.length; i++) {
+      const item = questions[i];
+      const rowNumber = item.row || i + 1;
+      const rowErrors = validateImportedQuestion(item);
+
+      if (rowErrors.length > 0) {
+        skipped.push({ row: rowNumber, errors: rowErrors });
+        continue;
+      }
+
+      const questionData = {
+        questionText: item.questionText.trim(),
+        questionType: item.questionType,
+        subject,
+        class: classId,
+        teacher: req.user._id,
+        marks: item.marks,
+        difficulty: item.difficulty,
+        explanation: item.explanation,
+        topic: item.topic,
+        tags: item.tags || []
+      };
+
+      if (item.questionType === 'Objective') {
+        questionData.options = item.options.map(option => ({
+          text: option.text,
+          isCorrect: !!option.isCorrect
+        }));
+        questionData.multipleAnswers = !!item.multipleAnswers;
+        if (SCORING_MODES.includes(item.scoringMode)) questionData.scoringMode = item.scoringMode;
+      } else {
+        questionData.expectedAnswer = item.expectedAnswer;
+        questionData.keywords = item.keywords || [];
+      }
+
+      try {
+        const question = new Question(questionData);
+        await question.save();
+        imported.push(question._id);
+      } catch (saveError) {
+        skipped.push({ row: rowNumber, errors: [saveError.message] });
+      }
+    }
+
+    res.status(imported.length > 0 ? 201 : 400).json({
+      success: imported.length > 0,
+      message: imported.length > 0
+        ? `Imported ${imported.length} question${imported.length !== 1 ? 's' : ''}${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`
+        : 'No valid questions to import',
+      data: {
+        importedCount: imported.length,
+        skippedCount: skipped.length,
+        questionIds: imported,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('Import questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing questions'
+    });
+  }
+});
+
 // @desc    Get teacher's questions for selection (question bank)
 // @route   GET /api/teacher/questions/for-selection
 // @access  Private/Teacher
@@ -479,15 +773,27 @@ router.get('/questions/statistics', async (req, res) => {
   }
 });
 
-// @desc    Get teacher's questions
+// @desc    Get teacher's questions, or export them as a QTI 2.1 package / GIFT file with ?format=qti|gift
 // @route   GET /api/teacher/questions
-// @access  Private/Teacher
+// @access  Private/Teacher (admins see questions from all teachers)
 router.get('/questions', async (req, res) => {
   try {
-    const { subject, class: classId, questionType, difficulty, page = 1, limit = 10, search } = req.query;
+    const { subject, class: classId, questionType, difficulty, page = 1, limit = 10, search, format, teacher } = req.query;
+
+    if (format && !EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format. Use one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
 
     // Build query
-    let query = { teacher: req.user._id, isActive: true };
+    let query = { isActive: true };
+    if (req.user.role === 'admin') {
+      if (teacher) query.teacher = teacher;
+    } else {
+      query.teacher = req.user._id;
+    }
     if (subject) query.subject = subject;
     if (classId) query.class = classId;
     if (questionType) query.questionType = questionType;
@@ -500,6 +806,10 @@ router.get('/questions', async (req, res) => {
       ];
     }
 
+    if (format) {
+      return exportQuestions(res, query, format);
+    }
+
     const questions = await Question.find(query)
       .populate('subject class')
       .sort({ createdAt: -1 })
@@ -532,8 +842,17 @@ router.get('/questions', async (req, res) => {
 // @desc    Update question
 // @route   PUT /api/teacher/questions/:id
 // @access  Private/Teacher
-router.put('/questions/:id', async (req, res) => {
+router.put('/questions/:id', answerKeyValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const question = await Question.findOne({ 
       _id: req.params.id, 
       teacher: req.user._id 
@@ -550,14 +869,37 @@ router.put('/questions/:id', async (req, res) => {
       questionText,
       marks,
       difficulty,
+      answerType,
       options,
+      multipleAnswers,
+      scoringMode,
       explanation,
       expectedAnswer,
       keywords,
+      gradingKeywords,
+      rubric,
       topic,
       tags
     } = req.body;
 
+    if (question.questionType === 'Theory' && rubric && !(await findTeacherRubric(req.user._id, rubric))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    // A new answer type, or the key of a type without options, replaces the whole answer key
+    if (question.questionType === 'Objective' && answerType && !usesOptions({ answerType })) {
+      const answerKeyError = getAnswerKeyError(req.body);
+      if (answerKeyError) {
+        return res.status(400).json({
+          success: false,
+          message: answerKeyError
+        });
+      }
+    }
+
     // Update fields
     if (questionText) question.questionText = questionText;
     if (marks) question.marks = marks;
@@ -566,11 +908,24 @@ router.put('/questions/:id', async (req, res) => {
     if (topic) question.topic = topic;
     if (tags) question.tags = tags;
 
-    if (question.questionType === 'Objective' && options) {
-      question.options = options;
+    if (question.questionType === 'Objective' && answerType && !usesOptions({ answerType })) {
+      question.options = [];
+      question.multipleAnswers = false;
+      question.set(toTypedAnswerKey(req.body));
+    } else if (question.questionType === 'Objective') {
+      if (answerType) question.answerType = answerType;
+      if (options) question.options = options;
+      if (multipleAnswers !== undefined) question.multipleAnswers = question.answerType === 'multiple-choice' && multipleAnswers;
+      if (scoringMode) question.scoringMode = scoringMode;
     } else if (question.questionType === 'Theory') {
       if (expectedAnswer) question.expectedAnswer = expectedAnswer;
+      // An empty rubric detaches the question from its rubric
+      if (rubric !== undefined) question.rubric = rubric || undefined;
       if (keywords) question.keywords = keywords;
+      if (gradingKeywords) {
+        question.gradingKeywords = cleanGradingKeywords(gradingKeywords);
+        if (!keywords) question.keywords = question.gradingKeywords.map(keyword => keyword.term);
+      }
     }
 
     await question.save();
@@ -639,20 +994,41 @@ router.delete('/questions/:id', async (req, res) => {
   }
 });
 
-// @desc    Create new exam
-// @route   POST /api/teacher/exams
+// @desc    Get the teacher's rubrics
+// @route   GET /api/teacher/rubrics
 // @access  Private/Teacher
-router.post('/exams', [
-  body('title').trim().isLength({ min: 5 }).withMessage('Exam title must be at least 5 characters'),
-  body('subject').isMongoId().withMessage('Valid subject ID is required'),
-  body('class').isMongoId().withMessage('Valid class ID is required'),
-  body('duration').isInt({ min: 5, max: 300 }).withMessage('Duration must be between 5 and 300 minutes'),
-  body('totalMarks').isInt({ min: 1 }).withMessage('Total marks must be at least 1'),
-  body('passingMarks').isInt({ min: 0 }).withMessage('Passing marks cannot be negative'),
-  body('startTime').isISO8601().withMessage('Valid start time is required'),
-  body('endTime').isISO8601().withMessage('Valid end time is required'),
-  body('questions').optional().isArray({ min: 1 }).withMessage('At least one question is required')
-], async (req, res) => {
+router.get('/rubrics', async (req, res) => {
+  try {
+    const query = { teacher: req.user._id };
+    if (req.query.subject) {
+      // Rubrics without a subject suit every subject
+      query.subject = { $in: [req.query.subject, null] };
+    }
+
+    const rubrics = await Rubric.find(query)
+      .populate('subject', 'name code')
+      .sort({ title: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rubrics
+      }
+    });
+
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting rubrics'
+    });
+  }
+});
+
+// @desc    Create a rubric
+// @route   POST /api/teacher/rubrics
+// @access  Private/Teacher
+router.post('/rubrics', rubricValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -663,96 +1039,248 @@ router.post('/exams', [
       });
     }
 
-    const {
-      title,
-      subject,
-      class: classId,
-      description,
-      duration,
-      totalMarks,
-      passingMarks,
-      startTime,
-      endTime,
-      instructions,
-      examType,
-      settings,
-      questions,
-      useQuestionBank,
-      questionBankSelection
-    } = req.body;
-
-    // Verify teacher has access to this subject and class
-    const subjectDoc = await Subject.findById(subject);
-    if (!subjectDoc || !subjectDoc.teachers.includes(req.user._id)) {
-      return res.status(403).json({
+    const rubricError = getRubricError(req.body);
+    if (rubricError) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have access to this subject'
+        message: rubricError
       });
     }
 
-    if (!subjectDoc.classes.includes(classId)) {
-      return res.status(403).json({
+    const { title, description, subject, criteria } = req.body;
+
+    const rubric = new Rubric({
+      title,
+      description,
+      subject: subject || undefined,
+      teacher: req.user._id,
+      criteria
+    });
+    await rubric.save();
+    await rubric.populate('subject', 'name code');
+
+    res.status(201).json({
+      success: true,
+      message: 'Rubric created successfully',
+      data: {
+        rubric
+      }
+    });
+
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating rubric'
+    });
+  }
+});
+
+// @desc    Update a rubric; exams already set keep the copy they were set with
+// @route   PUT /api/teacher/rubrics/:id
+// @access  Private/Teacher
+router.put('/rubrics/:id', rubricValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'This subject is not assigned to the selected class'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Validate dates
-    if (new Date(startTime) >= new Date(endTime)) {
-      return res.status(400).json({
+    const rubric = await findTeacherRubric(req.user._id, req.params.id);
+    if (!rubric) {
+      return res.status(404).json({
         success: false,
-        message: 'End time must be after start time'
+        message: 'Rubric not found or you do not have permission to edit it'
       });
     }
 
-    if (passingMarks > totalMarks) {
+    const rubricError = getRubricError(req.body);
+    if (rubricError) {
       return res.status(400).json({
         success: false,
-        message: 'Passing marks cannot exceed total marks'
+        message: rubricError
       });
     }
 
-    // Handle different question input formats
-    let finalQuestions = [];
-    
-    if (useQuestionBank && questionBankSelection) {
-      // New question bank approach - fetch questions from the bank
-      const allQuestionIds = [
-        ...(questionBankSelection.objective?.questions || []),
-        ...(questionBankSelection.theory?.questions || [])
-      ];
-      
-      if (allQuestionIds.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'At least one question must be selected from the question bank'
-        });
+    const { title, description, subject, criteria } = req.body;
+    rubric.title = title;
+    rubric.description = description;
+    rubric.subject = subject || undefined;
+    rubric.criteria = criteria;
+
+    await rubric.save();
+    await rubric.populate('subject', 'name code');
+
+    res.json({
+      success: true,
+      message: 'Rubric updated successfully',
+      data: {
+        rubric
       }
-      
-      // Fetch questions from the database
-      const bankQuestions = await Question.find({
-        _id: { $in: allQuestionIds },
-        teacher: req.user._id,
-        isActive: true
+    });
+
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating rubric'
+    });
+  }
+});
+
+// @desc    Delete a rubric and detach it from the teacher's questions
+// @route   DELETE /api/teacher/rubrics/:id
+// @access  Private/Teacher
+router.delete('/rubrics/:id', async (req, res) => {
+  try {
+    const rubric = await findTeacherRubric(req.user._id, req.params.id);
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found or you do not have permission to delete it'
       });
-      
-      if (bankQuestions.length !== allQuestionIds.length) {
+    }
+
+    await Question.updateMany({ rubric: rubric._id }, { $unset: { rubric: 1 } });
+    await Rubric.findByIdAndDelete(rubric._id);
+
+    res.json({
+      success: true,
+      message: 'Rubric deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting rubric'
+    });
+  }
+});
+
+// @desc    Create new exam
+// @route   POST /api/teacher/exams
+// @access  Private/Teacher
+router.post('/exams', [
+  body('title').trim().isLength({ min: 5 }).withMessage('Exam title must be at least 5 characters'),
+  body('subject').isMongoId().withMessage('Valid subject ID is required'),
+  body('class').isMongoId().withMessage('Valid class ID is required'),
+  body('targetLevel').optional({ checkFalsy: true }).isIn(Class.LEVELS).withMessage('Invalid class level'),
+  body('targetClasses').optional().isArray().withMessage('Target classes must be a list'),
+  body('targetClasses.*').isMongoId().withMessage('Invalid target class'),
+  body('duration').isInt({ min: 5, max: 300 }).withMessage('Duration must be between 5 and 300 minutes'),
+  body('totalMarks').isInt({ min: 1 }).withMessage('Total marks must be at least 1'),
+  body('passingMarks').isInt({ min: 0 }).withMessage('Passing marks cannot be negative'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('questions').optional().isArray({ min: 1 }).withMessage('At least one question is required'),
+  body('questionBankSelection.stratifyBy').optional().isArray().withMessage('Stratify by must be a list'),
+  body('questionBankSelection.stratifyBy.*').optional().isIn(['difficulty', 'topic']).withMessage('Can only stratify by difficulty or topic'),
+  ...examSettingsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      title,
+      subject,
+      class: classId,
+      targetLevel,
+      targetClasses = [],
+      description,
+      duration,
+      totalMarks,
+      passingMarks,
+      startTime,
+      endTime,
+      instructions,
+      examType,
+      settings,
+      questions,
+      useQuestionBank,
+      questionBankSelection
+    } = req.body;
+
+    const subjectDoc = await Subject.findById(subject);
+    if (!subjectDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    if (!subjectDoc.classes.includes(classId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This subject is not assigned to the selected class'
+      });
+    }
+
+    const classDoc = await Class.findById(classId);
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const audienceError = await getAudienceError(subjectDoc, classDoc, { targetLevel, targetClasses });
+    if (audienceError) {
+      return res.status(400).json({
+        success: false,
+        message: audienceError
+      });
+    }
+
+    // The teacher must teach the subject to every class that writes the exam
+    const audienceClassIds = await getExamClassIds({ class: classId, targetLevel, targetClasses });
+    const teachingError = await getTeachingError(req.user._id, subjectDoc, audienceClassIds);
+    if (teachingError) {
+      return res.status(403).json({
+        success: false,
+        message: teachingError
+      });
+    }
+
+    // Validate dates
+    if (new Date(startTime) >= new Date(endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    if (passingMarks > totalMarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passing marks cannot exceed total marks'
+      });
+    }
+
+    // Handle different question input formats
+    let finalQuestions = [];
+    
+    if (useQuestionBank && questionBankSelection) {
+      // New question bank approach - fetch questions from the bank
+      const pool = await loadQuestionBankPool(req.user._id, questionBankSelection);
+      if (pool.error) {
         return res.status(400).json({
           success: false,
-          message: 'Some selected questions were not found or you do not have access to them'
+          message: pool.error
         });
       }
-      
-      // Convert bank questions to the expected format
-      finalQuestions = bankQuestions.map(q => ({
-        questionText: q.questionText,
-        questionType: q.questionType,
-        marks: q.marks,
-        options: q.questionType === 'Objective' ? q.options.map(opt => opt.text || opt) : [],
-        correctAnswer: q.questionType === 'Objective' ? q.options.findIndex(opt => opt.isCorrect) : undefined,
-        explanation: q.explanation || '',
-        additionalInfo: ''
-      }));
+      finalQuestions = pool.questions;
       
     } else if (questions && questions.length > 0) {
       // Legacy approach - direct questions array
@@ -800,7 +1328,29 @@ router.post('/exams', [
         });
       }
 
-      if (question.questionType === 'Objective') {
+      if (question.questionType === 'Objective' && !usesOptions(question)) {
+        if (!ANSWER_TYPES.includes(question.answerType)) {
+          return res.status(400).json({
+            success: false,
+            message: `Question ${i + 1}: Invalid answer type`
+          });
+        }
+
+        const answerKeyError = getAnswerKeyError(question);
+        if (answerKeyError) {
+          return res.status(400).json({
+            success: false,
+            message: `Question ${i + 1}: ${answerKeyError}`
+          });
+        }
+
+        if (question.scoringMode && !SCORING_MODES.includes(question.scoringMode)) {
+          return res.status(400).json({
+            success: false,
+            message: `Question ${i + 1}: Invalid scoring mode`
+          });
+        }
+      } else if (question.questionType === 'Objective') {
         if (!question.options || question.options.length < 2) {
           return res.status(400).json({
             success: false,
@@ -808,7 +1358,22 @@ router.post('/exams', [
           });
         }
 
-        if (question.correctAnswer === undefined || question.correctAnswer < 0 || question.correctAnswer >= question.options.length) {
+        if (question.multipleAnswers) {
+          const correctAnswers = question.correctAnswers || [];
+          if (correctAnswers.length === 0 || correctAnswers.some(index => !Number.isInteger(index) || index < 0 || index >= question.options.length)) {
+            return res.status(400).json({
+              success: false,
+              message: `Question ${i + 1}: Please select at least one valid correct answer`
+            });
+          }
+
+          if (question.scoringMode && !SCORING_MODES.includes(question.scoringMode)) {
+            return res.status(400).json({
+              success: false,
+              message: `Question ${i + 1}: Invalid scoring mode`
+            });
+          }
+        } else if (question.correctAnswer === undefined || question.correctAnswer < 0 || question.correctAnswer >= question.options.length) {
           return res.status(400).json({
             success: false,
             message: `Question ${i + 1}: Please select a valid correct answer`
@@ -826,8 +1391,10 @@ router.post('/exams', [
       }
     }
 
-    // Calculate total marks from questions to verify
-    const calculatedTotalMarks = finalQuestions.reduce((sum, q) => sum + q.marks, 0);
+    // Calculate total marks from questions to verify (per drawn paper for bank draws)
+    const calculatedTotalMarks = useQuestionBank && questionBankSelection
+      ? calculatePaperMarks(finalQuestions, questionBankSelection)
+      : finalQuestions.reduce((sum, q) => sum + q.marks, 0);
     
     if (calculatedTotalMarks !== totalMarks) {
       return res.status(400).json({
@@ -838,6 +1405,7 @@ router.post('/exams', [
 
     // Generate unique exam code
     const examCode = await Exam.generateExamCode();
+    const { session: academicSession, term } = await getCurrentPeriod();
 
     // Prepare exam data with embedded questions
     const examData = {
@@ -845,7 +1413,13 @@ router.post('/exams', [
       examCode,
       subject,
       class: classId,
+      targetLevel: targetLevel || undefined,
+      targetClasses: !targetLevel && targetClasses.length > 0
+        ? [...new Set([classId, ...targetClasses])]
+        : [],
       teacher: req.user._id,
+      academicSession: academicSession._id,
+      term: term._id,
       description,
       duration,
       totalMarks,
@@ -864,16 +1438,7 @@ router.post('/exams', [
       },
       allowRetakes: settings?.allowRetakes || false,
       // Store questions directly in the exam (no more question bank dependency)
-      embeddedQuestions: finalQuestions.map((q, index) => ({
-        questionNumber: index + 1,
-        questionText: q.questionText.trim(),
-        questionType: q.questionType,
-        marks: q.marks,
-        options: q.questionType === 'Objective' ? q.options.filter(opt => opt && opt.trim() !== '') : [],
-        correctAnswer: q.questionType === 'Objective' ? q.correctAnswer : undefined,
-        explanation: q.explanation || '',
-        additionalInfo: q.additionalInfo || ''
-      })),
+      embeddedQuestions: toEmbeddedQuestions(finalQuestions),
       questionCount: finalQuestions.length,
       questionTypes: {
         objective: {
@@ -898,12 +1463,9 @@ router.post('/exams', [
     try {
       const notificationService = req.app.locals.notificationService;
       if (notificationService) {
-        const Class = require('../models/Class');
-        const User = require('../models/User');
-        
-        // Get all students in the selected class
+        // Get all students in the classes the exam is open to
         const students = await User.find({ 
-          class: classId, 
+          class: { $in: await getExamClassIds(exam) }, 
           role: 'student', 
           isActive: true 
         }).select('_id');
@@ -959,26 +1521,38 @@ router.post('/exams', [
 // @access  Private/Teacher
 router.get('/exams', async (req, res) => {
   try {
-    const { status, subject, class: classId, page = 1, limit = 10 } = req.query;
+    const { status, subject, class: classId, academicSession, term, page = 1, limit = 10 } = req.query;
 
     // Build query
     let query = { teacher: req.user._id, isActive: true };
     if (status) query.status = status;
     if (subject) query.subject = subject;
     if (classId) query.class = classId;
+    if (academicSession) query.academicSession = academicSession;
+    if (term) query.term = term;
 
     const exams = await Exam.find(query)
       .populate('subject class questions')
+      .populate('academicSession term', 'name')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit));
 
     const total = await Exam.countDocuments(query);
 
+    // Attach attempt summaries (without answers) for the listing's counts
+    const attempts = await ExamAttempt.find({ exam: { $in: exams.map(exam => exam._id) } })
+      .select('exam student isCompleted gradingStatus submittedAt resultsReleased')
+      .lean();
+    const examsWithAttempts = exams.map(exam => ({
+      ...exam.toJSON(),
+      attempts: attempts.filter(attempt => attempt.exam.toString() === exam._id.toString())
+    }));
+
     res.json({
       success: true,
       data: {
-        exams
+        exams: examsWithAttempts
       },
         pagination: {
           current: parseInt(page),
@@ -1032,8 +1606,22 @@ router.get('/exams/:id', async (req, res) => {
 // @desc    Update exam
 // @route   PUT /api/teacher/exams/:id
 // @access  Private/Teacher
-router.put('/exams/:id', async (req, res) => {
+router.put('/exams/:id', [
+  ...examSettingsValidation,
+  body('targetLevel').optional({ checkFalsy: true }).isIn(Class.LEVELS).withMessage('Invalid class level'),
+  body('targetClasses').optional().isArray().withMessage('Target classes must be a list'),
+  body('targetClasses.*').isMongoId().withMessage('Invalid target class')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const exam = await Exam.findOne({ 
       _id: req.params.id, 
       teacher: req.user._id 
@@ -1064,9 +1652,64 @@ router.put('/exams/:id', async (req, res) => {
       endTime,
       instructions,
       settings,
-      questions,
-      examType
+      examType,
+      useQuestionBank,
+      questionBankSelection
     } = req.body;
+    let { questions } = req.body;
+
+    // A changed audience is checked the same way as when the exam was created
+    if (req.body.targetLevel !== undefined || req.body.targetClasses !== undefined) {
+      const targetLevel = req.body.targetLevel || null;
+      const targetClasses = req.body.targetClasses || [];
+      const [subjectDoc, classDoc] = await Promise.all([
+        Subject.findById(exam.subject),
+        Class.findById(exam.class)
+      ]);
+      if (!subjectDoc || !classDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'The exam\'s subject or class no longer exists'
+        });
+      }
+
+      const audienceError = await getAudienceError(subjectDoc, classDoc, { targetLevel, targetClasses });
+      if (audienceError) {
+        return res.status(400).json({
+          success: false,
+          message: audienceError
+        });
+      }
+
+      // The teacher must teach the subject to every class that writes the exam
+      const audienceClassIds = await getExamClassIds({ class: exam.class, targetLevel, targetClasses });
+      const teachingError = await getTeachingError(req.user._id, subjectDoc, audienceClassIds);
+      if (teachingError) {
+        return res.status(403).json({
+          success: false,
+          message: teachingError
+        });
+      }
+
+      exam.targetLevel = targetLevel || undefined;
+      exam.targetClasses = !targetLevel && targetClasses.length > 0
+        ? [...new Set([exam.class.toString(), ...targetClasses])]
+        : [];
+    }
+
+    // A changed question bank selection rebuilds the pool students draw from
+    if (useQuestionBank && questionBankSelection) {
+      const pool = await loadQuestionBankPool(req.user._id, questionBankSelection);
+      if (pool.error) {
+        return res.status(400).json({
+          success: false,
+          message: pool.error
+        });
+      }
+      questions = pool.questions;
+      exam.useQuestionBank = true;
+      exam.questionBankSelection = questionBankSelection;
+    }
 
     // Validate questions if provided
     if (questions && questions.length > 0) {
@@ -1089,16 +1732,7 @@ router.put('/exams/:id', async (req, res) => {
       }
 
       // Update embedded questions
-      exam.embeddedQuestions = questions.map((q, index) => ({
-        questionNumber: index + 1,
-        questionText: q.questionText.trim(),
-        questionType: q.questionType,
-        marks: q.marks,
-        options: q.questionType === 'Objective' ? q.options.filter(opt => opt && opt.trim() !== '') : [],
-        correctAnswer: q.questionType === 'Objective' ? q.correctAnswer : undefined,
-        explanation: q.explanation || '',
-        additionalInfo: q.additionalInfo || ''
-      }));
+      exam.embeddedQuestions = toEmbeddedQuestions(questions);
 
       // Update question counts and types
       exam.questionCount = questions.length;
@@ -1164,7 +1798,7 @@ router.delete('/exams/:id', async (req, res) => {
     }
 
     // Prevent deleting if exam has attempts
-    if (exam.attempts && exam.attempts.length > 0) {
+    if (await ExamAttempt.exists({ exam: exam._id })) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete exam that has student attempts'
@@ -1276,11 +1910,10 @@ router.post('/exams/:id/questions', [
 // @access  Private/Teacher
 router.get('/exams/:id/results', async (req, res) => {
   try {
-    const exam = await Exam.findOne({ 
-      _id: req.params.id, 
-      teacher: req.user._id 
-    }).populate('attempts.student', 'firstName lastName studentId email')
-    .populate('questions'); // Also populate legacy questions if they exist
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
+    }).populate('questions'); // Also populate legacy questions if they exist
 
     if (!exam) {
       return res.status(404).json({
@@ -1289,8 +1922,9 @@ router.get('/exams/:id/results', async (req, res) => {
       });
     }
 
-    // Filter completed attempts and format them properly
-    const completedAttempts = exam.attempts.filter(attempt => attempt.isCompleted);
+    // Get completed attempts and format them properly
+    const completedAttempts = await ExamAttempt.find({ exam: exam._id, isCompleted: true })
+      .populate('student', 'firstName lastName studentId email');
 
     // Get all exam questions first
     let allExamQuestions = [];
@@ -1329,16 +1963,28 @@ router.get('/exams/:id/results', async (req, res) => {
           answer: answer.answer,
           isCorrect: answer.isCorrect,
           marksObtained: answer.marksObtained || 0,
+          negativeMarks: answer.negativeMarks || 0,
           timeSpent: answer.timeSpent,
           needsGrading: answer.needsGrading || (question?.questionType === 'Theory'),
+          suggestion: answer.suggestion && answer.suggestion.marks !== undefined ? answer.suggestion : null,
+          suggestionStatus: answer.suggestionStatus,
+          rubricScores: answer.rubricScores || [],
           gradedBy: answer.gradedBy,
           gradedAt: answer.gradedAt,
           question: question ? {
             questionText: question.questionText,
             questionType: question.questionType,
             marks: question.marks,
+            answerType: question.answerType,
             options: question.options || [],
             correctAnswer: question.correctAnswer,
+            multipleAnswers: !!question.multipleAnswers,
+            correctAnswers: question.correctAnswers || [],
+            scoringMode: question.scoringMode,
+            ...getTypedAnswerKey(question),
+            expectedAnswer: question.expectedAnswer,
+            gradingKeywords: question.questionType === 'Theory' ? getGradingKeywords(question) : [],
+            rubric: hasRubric(question) ? question.rubric : null,
             explanation: question.explanation
           } : {
             questionText: `Question ${answer.questionNumber}`,
@@ -1351,8 +1997,11 @@ router.get('/exams/:id/results', async (req, res) => {
         });
       });
 
-      // Then, add any unanswered questions
-      allExamQuestions.forEach((question, index) => {
+      // Then, add any unanswered questions from this attempt's paper
+      const paperQuestions = exam.embeddedQuestions && exam.embeddedQuestions.length > 0
+        ? getAttemptQuestions(exam, attempt)
+        : allExamQuestions;
+      paperQuestions.forEach((question, index) => {
         const existingAnswer = formattedAnswers.find(ans => 
           ans.questionNumber === question.questionNumber ||
           ans.questionId === question._id?.toString() ||
@@ -1375,8 +2024,16 @@ router.get('/exams/:id/results', async (req, res) => {
               questionText: question.questionText,
               questionType: question.questionType,
               marks: question.marks,
+              answerType: question.answerType,
               options: question.options || [],
               correctAnswer: question.correctAnswer,
+              multipleAnswers: !!question.multipleAnswers,
+              correctAnswers: question.correctAnswers || [],
+              scoringMode: question.scoringMode,
+              ...getTypedAnswerKey(question),
+              expectedAnswer: question.expectedAnswer,
+              gradingKeywords: question.questionType === 'Theory' ? getGradingKeywords(question) : [],
+              rubric: hasRubric(question) ? question.rubric : null,
               explanation: question.explanation
             }
           });
@@ -1387,8 +2044,9 @@ router.get('/exams/:id/results', async (req, res) => {
       formattedAnswers.sort((a, b) => (a.questionNumber || 0) - (b.questionNumber || 0));
 
       // Calculate current total score (including both auto-graded and manually graded)
-      const currentTotalScore = formattedAnswers.reduce((sum, answer) => sum + (answer.marksObtained || 0), 0);
-      const currentPercentage = exam.totalMarks > 0 ? (currentTotalScore / exam.totalMarks) * 100 : 0;
+      const currentTotalScore = calculateAttemptScore(formattedAnswers);
+      const attemptTotalMarks = getAttemptTotalMarks(exam, attempt);
+      const currentPercentage = attemptTotalMarks > 0 ? (currentTotalScore / attemptTotalMarks) * 100 : 0;
 
       return {
         _id: attempt._id,
@@ -1399,10 +2057,16 @@ router.get('/exams/:id/results', async (req, res) => {
         percentage: currentPercentage, // Show current calculated percentage
         actualPercentage: attempt.actualPercentage, // Store for reference
         submittedAt: attempt.submittedAt,
+        submissionReason: attempt.submissionReason || 'submitted',
         timeSpent: attempt.timeSpent,
         gradingStatus: attempt.gradingStatus,
         resultsReleased: attempt.resultsReleased || false,
         isCompleted: attempt.isCompleted,
+        integrityEvents: attempt.integrityEvents || [],
+        violationCount: attempt.violationCount || 0,
+        penaltyMinutes: attempt.penaltyMinutes || 0,
+        sessionLog: attempt.sessionLog || [],
+        breakdown: buildScoreBreakdown(exam, attempt),
         answers: formattedAnswers
       };
     });
@@ -1438,6 +2102,8 @@ router.get('/exams/:id/results', async (req, res) => {
           totalMarks: exam.totalMarks,
           passingMarks: exam.passingMarks,
           examType: exam.examType,
+          negativeMarking: exam.settings?.negativeMarking?.enabled ? exam.settings.negativeMarking : null,
+          assistedGrading: isAssistedGradingEnabled(exam),
           embeddedQuestions: exam.embeddedQuestions // Include questions for reference
         },
         attempts: formattedAttempts,
@@ -1459,9 +2125,9 @@ router.get('/exams/:id/results', async (req, res) => {
 // @access  Private/Teacher
 router.post('/exams/:id/release-results', async (req, res) => {
   try {
-    const exam = await Exam.findOne({ 
-      _id: req.params.id, 
-      teacher: req.user._id 
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
     });
 
     if (!exam) {
@@ -1475,30 +2141,26 @@ router.post('/exams/:id/release-results', async (req, res) => {
     // Students with pending grading will see "Pending" status until graded
 
     // Update all completed attempts to show actual scores
-    exam.attempts.forEach(attempt => {
-      if (attempt.isCompleted) {
-        // Restore actual scores
-        if (attempt.actualScore !== undefined) {
-          attempt.score = attempt.actualScore;
-        }
-        if (attempt.actualPercentage !== undefined) {
-          attempt.percentage = attempt.actualPercentage;
-        }
-        attempt.gradingStatus = 'Completed';
-        attempt.resultsReleased = true;
-        attempt.resultsReleasedAt = new Date();
+    const completedAttempts = await ExamAttempt.find({ exam: exam._id, isCompleted: true });
+    for (const attempt of completedAttempts) {
+      // Restore actual scores
+      if (attempt.actualScore !== undefined) {
+        attempt.score = attempt.actualScore;
       }
-    });
-
-    await exam.save();
+      if (attempt.actualPercentage !== undefined) {
+        attempt.percentage = attempt.actualPercentage;
+      }
+      attempt.gradingStatus = 'Completed';
+      attempt.resultsReleased = true;
+      attempt.resultsReleasedAt = new Date();
+      await attempt.save();
+    }
 
     // Send notifications to all students who took the exam
     try {
       const notificationService = req.app.locals.notificationService;
       if (notificationService) {
-        const studentIds = exam.attempts
-          .filter(attempt => attempt.isCompleted)
-          .map(attempt => attempt.student);
+        const studentIds = [...new Set(completedAttempts.map(attempt => attempt.student.toString()))];
 
         if (studentIds.length > 0) {
           await notificationService.notifyResultPublished({
@@ -1534,9 +2196,9 @@ router.post('/exams/:id/release-results', async (req, res) => {
 // @access  Private/Teacher
 router.post('/exams/:id/unrelease-results', async (req, res) => {
   try {
-    const exam = await Exam.findOne({ 
-      _id: req.params.id, 
-      teacher: req.user._id 
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
     });
 
     if (!exam) {
@@ -1546,19 +2208,13 @@ router.post('/exams/:id/unrelease-results', async (req, res) => {
       });
     }
 
-    // Update all completed attempts to hide scores from students
-    exam.attempts.forEach(attempt => {
-      if (attempt.isCompleted) {
-        // Hide scores from students by setting resultsReleased to false
-        attempt.resultsReleased = false;
-        attempt.resultsUnreleasedAt = new Date();
-        
-        // Keep the actual scores intact for teacher reference
-        // but students won't be able to see them
-      }
-    });
-
-    await exam.save();
+    // Update all completed attempts to hide scores from students.
+    // Keep the actual scores intact for teacher reference
+    // but students won't be able to see them
+    await ExamAttempt.updateMany(
+      { exam: exam._id, isCompleted: true },
+      { $set: { resultsReleased: false } }
+    );
 
     res.json({
       success: true,
@@ -1574,14 +2230,11 @@ router.post('/exams/:id/unrelease-results', async (req, res) => {
   }
 });
 
-// @desc    Grade individual student answers
-// @route   POST /api/teacher/exams/:id/grade-student
+// @desc    Give a student extra minutes on their exam in progress
+// @route   POST /api/teacher/exams/:id/attempts/:studentId/extend-time
 // @access  Private/Teacher
-router.post('/exams/:id/grade-student', [
-  body('studentId').isMongoId().withMessage('Valid student ID is required'),
-  body('grades').isArray().withMessage('Grades must be an array'),
-  body('grades.*.questionNumber').isInt({ min: 1 }).withMessage('Valid question number is required'),
-  body('grades.*.marksObtained').isFloat({ min: 0 }).withMessage('Valid marks is required')
+router.post('/exams/:id/attempts/:studentId/extend-time', [
+  body('minutes').isInt({ min: 1, max: 180 }).withMessage('Extra time must be between 1 and 180 minutes')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1593,56 +2246,444 @@ router.post('/exams/:id/grade-student', [
       });
     }
 
-    const { studentId, grades } = req.body;
-    
-    const exam = await Exam.findOne({ 
-      _id: req.params.id, 
-      teacher: req.user._id 
-    });
-
-    if (!exam) {
-      return res.status(404).json({
-        success: false,
-        message: 'Exam not found or you do not have permission to access it'
-      });
+    const found = await findOpenAttempt(req);
+    if (found.error) {
+      return res.status(found.status).json({ success: false, message: found.error });
     }
-
-    // Find student's attempt
-    const attempt = exam.attempts.find(att => 
-      att.student.toString() === studentId.toString() && att.isCompleted
+    const { exam, attempt } = found;
+    const minutes = parseInt(req.body.minutes);
+
+    const updatedAttempt = await ExamAttempt.adjustDeadline(
+      attempt._id,
+      minutes,
+      computeAttemptDeadline(exam, attempt.startTime),
+      { countAs: 'extraMinutes' }
     );
-
-    if (!attempt) {
-      return res.status(404).json({
+    if (!updatedAttempt) {
+      return res.status(400).json({
         success: false,
-        message: 'Student attempt not found'
+        message: 'The student has already submitted this exam'
       });
     }
 
-    // Update grades for each answer
-    let totalScore = 0;
-    grades.forEach(grade => {
-      const answerIndex = attempt.answers.findIndex(ans => 
-        ans.questionNumber === grade.questionNumber
-      );
-      
-      if (answerIndex >= 0) {
-        attempt.answers[answerIndex].marksObtained = grade.marksObtained;
-        attempt.answers[answerIndex].isCorrect = grade.marksObtained > 0;
-        attempt.answers[answerIndex].needsGrading = false;
-        attempt.answers[answerIndex].gradedBy = req.user._id;
-        attempt.answers[answerIndex].gradedAt = new Date();
+    broadcastAttemptControl(req, exam, updatedAttempt, 'time-extended',
+      `Your teacher gave you ${minutes} extra minute(s)`);
+
+    res.json({
+      success: true,
+      message: `Added ${minutes} minute(s) to the student's exam`,
+      data: {
+        deadline: getAttemptDeadline(exam, updatedAttempt),
+        extraMinutes: updatedAttempt.extraMinutes
       }
     });
 
-    // Recalculate total score
-    attempt.answers.forEach(answer => {
-      totalScore += answer.marksObtained || 0;
+  } catch (error) {
+    console.error('Extend exam time error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error extending exam time'
     });
-
+  }
+});
+
+// @desc    Pause a student's exam in progress
+// @route   POST /api/teacher/exams/:id/attempts/:studentId/pause
+// @access  Private/Teacher
+router.post('/exams/:id/attempts/:studentId/pause', async (req, res) => {
+  try {
+    const found = await findOpenAttempt(req);
+    if (found.error) {
+      return res.status(found.status).json({ success: false, message: found.error });
+    }
+    const { exam, attempt } = found;
+
+    const result = await ExamAttempt.pauseAttempts({ _id: attempt._id });
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam is already paused'
+      });
+    }
+
+    const updatedAttempt = await ExamAttempt.findById(attempt._id);
+    broadcastAttemptControl(req, exam, updatedAttempt, 'paused', 'Your teacher has paused your exam');
+
+    res.json({
+      success: true,
+      message: 'Exam paused for the student'
+    });
+
+  } catch (error) {
+    console.error('Pause attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pausing exam'
+    });
+  }
+});
+
+// @desc    Resume a student's paused exam
+// @route   POST /api/teacher/exams/:id/attempts/:studentId/resume
+// @access  Private/Teacher
+router.post('/exams/:id/attempts/:studentId/resume', async (req, res) => {
+  try {
+    const found = await findOpenAttempt(req);
+    if (found.error) {
+      return res.status(found.status).json({ success: false, message: found.error });
+    }
+    const { exam, attempt } = found;
+
+    const result = await ExamAttempt.resumeAttempts({ _id: attempt._id });
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam is not paused'
+      });
+    }
+
+    const updatedAttempt = await ExamAttempt.findById(attempt._id);
+    broadcastAttemptControl(req, exam, updatedAttempt, 'resumed', 'Your teacher has resumed your exam');
+
+    res.json({
+      success: true,
+      message: 'Exam resumed for the student',
+      data: {
+        deadline: getAttemptDeadline(exam, updatedAttempt)
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resuming exam'
+    });
+  }
+});
+
+// @desc    Submit a student's exam in progress on their behalf
+// @route   POST /api/teacher/exams/:id/attempts/:studentId/force-submit
+// @access  Private/Teacher
+router.post('/exams/:id/attempts/:studentId/force-submit', async (req, res) => {
+  try {
+    const found = await findOpenAttempt(req);
+    if (found.error) {
+      return res.status(found.status).json({ success: false, message: found.error });
+    }
+    const { exam, attempt } = found;
+
+    const submitted = await autoSubmitExam(exam, attempt, attempt.student, {
+      reason: 'teacher-submitted',
+      examMonitor: req.app.locals.examMonitor
+    });
+    if (!submitted) {
+      // The student, the deadline or a violation may have submitted it first
+      if (await ExamAttempt.exists({ _id: attempt._id, isCompleted: true })) {
+        return res.status(404).json({
+          success: false,
+          message: 'This student has no exam in progress'
+        });
+      }
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to submit the student\'s exam'
+      });
+    }
+
+    broadcastAttemptControl(req, exam, attempt, 'force-submitted',
+      'Your teacher has submitted your exam. Your answers have been saved.');
+
+    res.json({
+      success: true,
+      message: 'Exam submitted for the student'
+    });
+
+  } catch (error) {
+    console.error('Force submit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error submitting exam'
+    });
+  }
+});
+
+// @desc    Approve or deny a student continuing their exam on another device
+// @route   POST /api/teacher/exams/:id/attempts/:studentId/session-takeover
+// @access  Private/Teacher
+router.post('/exams/:id/attempts/:studentId/session-takeover', [
+  body('approve').isBoolean().withMessage('Approve must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findOpenAttempt(req);
+    if (found.error) {
+      return res.status(found.status).json({ success: false, message: found.error });
+    }
+    const { exam, attempt } = found;
+    const approve = req.body.approve === true || req.body.approve === 'true';
+
+    // Only a request still waiting can be answered, so two teachers can't both decide it
+    const updatedAttempt = await ExamAttempt.findOneAndUpdate(
+      { _id: attempt._id, isCompleted: false, 'takeoverRequest.status': 'pending' },
+      {
+        $set: { 'takeoverRequest.status': approve ? 'approved' : 'denied' },
+        $push: {
+          sessionLog: {
+            $each: [{
+              event: approve ? 'takeover-approved' : 'takeover-denied',
+              at: new Date(),
+              fingerprint: attempt.takeoverRequest.fingerprint,
+              ipAddress: attempt.takeoverRequest.ipAddress,
+              userAgent: attempt.takeoverRequest.userAgent
+            }],
+            $slice: -SESSION_LOG_LIMIT
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updatedAttempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This student has no request waiting to continue on another device'
+      });
+    }
+
+    // The waiting device continues (or gives up) straight away; an approved
+    // takeover closes the exam on the device that had it
+    const examMonitor = req.app.locals.examMonitor;
+    if (examMonitor) {
+      examMonitor.sendToStudent(attempt.student, 'exam-session-takeover', {
+        examId: exam._id.toString(),
+        fingerprint: updatedAttempt.takeoverRequest.fingerprint,
+        status: updatedAttempt.takeoverRequest.status
+      });
+      if (approve && updatedAttempt.session && updatedAttempt.session.socketId) {
+        examMonitor.sendToSocket(updatedAttempt.session.socketId, 'exam-session-revoked', {
+          examId: exam._id.toString(),
+          message: 'Your exam has moved to another device with your teacher\'s approval.'
+        });
+      }
+      examMonitor.attemptUpdated(exam, attempt.student, updatedAttempt);
+    }
+
+    res.json({
+      success: true,
+      message: approve
+        ? 'The student can now continue on the new device'
+        : 'The student will stay on their original device'
+    });
+
+  } catch (error) {
+    console.error('Session takeover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error answering session request'
+    });
+  }
+});
+
+// @desc    Pause the exam for every student sitting it
+// @route   POST /api/teacher/exams/:id/pause
+// @access  Private/Teacher
+router.post('/exams/:id/pause', async (req, res) => {
+  try {
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to access it'
+      });
+    }
+
+    const now = new Date();
+    if (now < exam.startTime || now > exam.endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only an exam that is running can be paused'
+      });
+    }
+
+    const pausedExam = await Exam.findOneAndUpdate(
+      { _id: exam._id, pausedAt: null },
+      [{ $set: { pausedAt: '$$NOW' } }],
+      { new: true }
+    );
+    if (!pausedExam) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam is already paused'
+      });
+    }
+
+    const result = await ExamAttempt.pauseAttempts({ exam: exam._id });
+    broadcastExamControl(req, pausedExam, 'paused', 'Your teacher has paused the exam');
+
+    res.json({
+      success: true,
+      message: `Exam paused for ${result.modifiedCount} student(s)`
+    });
+
+  } catch (error) {
+    console.error('Pause exam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pausing exam'
+    });
+  }
+});
+
+// @desc    Resume a paused exam for every student sitting it
+// @route   POST /api/teacher/exams/:id/resume
+// @access  Private/Teacher
+router.post('/exams/:id/resume', async (req, res) => {
+  try {
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to access it'
+      });
+    }
+
+    // The exam closes as much later as it was paused for, so students who
+    // have not started yet keep their full window
+    const resumedExam = await Exam.findOneAndUpdate(
+      { _id: exam._id, pausedAt: { $ne: null } },
+      [{
+        $set: {
+          endTime: { $add: ['$endTime', { $subtract: ['$$NOW', '$pausedAt'] }] },
+          pausedAt: null
+        }
+      }],
+      { new: true }
+    );
+    if (!resumedExam) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam is not paused'
+      });
+    }
+
+    const result = await ExamAttempt.resumeAttempts({ exam: exam._id });
+    broadcastExamControl(req, resumedExam, 'resumed', 'Your teacher has resumed the exam');
+
+    res.json({
+      success: true,
+      message: `Exam resumed for ${result.modifiedCount} student(s)`,
+      data: {
+        endTime: resumedExam.endTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume exam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resuming exam'
+    });
+  }
+});
+
+// @desc    Grade individual student answers
+// @route   POST /api/teacher/exams/:id/grade-student
+// @access  Private/Teacher
+router.post('/exams/:id/grade-student', [
+  body('studentId').isMongoId().withMessage('Valid student ID is required'),
+  body('grades').isArray().withMessage('Grades must be an array'),
+  body('grades.*.questionNumber').isInt({ min: 1 }).withMessage('Valid question number is required'),
+  body('grades.*.marksObtained').optional().isFloat({ min: 0 }).withMessage('Valid marks is required'),
+  body('grades.*.rubricScores').optional().isArray().withMessage('Rubric scores must be a list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { studentId, grades } = req.body;
+    
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to access it'
+      });
+    }
+
+    // Find student's attempt
+    const attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId, { isCompleted: true });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student attempt not found'
+      });
+    }
+
+    // Questions graded with a rubric take their marks from the chosen bands
+    const resolvedGrades = [];
+    for (const grade of grades) {
+      const resolved = resolveGrade(exam, grade);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: `Question ${grade.questionNumber}: ${resolved.error}`
+        });
+      }
+      resolvedGrades.push({ questionNumber: grade.questionNumber, ...resolved });
+    }
+
+    // Update grades for each answer
+    resolvedGrades.forEach(grade => {
+      const answerIndex = attempt.answers.findIndex(ans => 
+        ans.questionNumber === grade.questionNumber
+      );
+      
+      if (answerIndex >= 0) {
+        attempt.answers[answerIndex].suggestionStatus = getSuggestionStatus(attempt.answers[answerIndex], grade.marksObtained);
+        attempt.answers[answerIndex].marksObtained = grade.marksObtained;
+        attempt.answers[answerIndex].rubricScores = grade.rubricScores;
+        attempt.answers[answerIndex].negativeMarks = 0; // The teacher's mark replaces any deduction
+        attempt.answers[answerIndex].isCorrect = grade.marksObtained > 0;
+        attempt.answers[answerIndex].needsGrading = false;
+        attempt.answers[answerIndex].gradedBy = req.user._id;
+        attempt.answers[answerIndex].gradedAt = new Date();
+      }
+    });
+
+    // Recalculate total score
+    const totalScore = calculateAttemptScore(attempt.answers);
+
     // Store actual scores (will be revealed when results are released)
     attempt.actualScore = totalScore;
-    attempt.actualPercentage = exam.totalMarks > 0 ? (totalScore / exam.totalMarks) * 100 : 0;
+    const attemptTotalMarks = getAttemptTotalMarks(exam, attempt);
+    attempt.actualPercentage = attemptTotalMarks > 0 ? (totalScore / attemptTotalMarks) * 100 : 0;
     
     // Check if all answers have been graded
     const needsGrading = attempt.answers.some(answer => answer.needsGrading);
@@ -1650,7 +2691,7 @@ router.post('/exams/:id/grade-student', [
       attempt.gradingStatus = 'Completed';
     }
 
-    await exam.save();
+    await attempt.save();
 
     res.json({
       success: true,
@@ -1677,7 +2718,12 @@ router.post('/exams/:id/grade-student', [
 router.put('/exams/:id/grade-question', [
   body('studentId').isMongoId().withMessage('Valid student ID is required'),
   body('questionNumber').isInt({ min: 1 }).withMessage('Valid question number is required'),
-  body('marksObtained').isFloat({ min: 0 }).withMessage('Valid marks is required')
+  body('acceptSuggestion').optional().isBoolean().withMessage('Accept suggestion must be true or false'),
+  body('rubricScores').optional().isArray().withMessage('Rubric scores must be a list'),
+  body('marksObtained')
+    .if(body('acceptSuggestion').not().equals('true'))
+    .if(body('rubricScores').not().exists())
+    .isFloat({ min: 0 }).withMessage('Valid marks is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1689,11 +2735,12 @@ router.put('/exams/:id/grade-question', [
       });
     }
 
-    const { studentId, questionNumber, marksObtained } = req.body;
+    const { studentId, questionNumber, acceptSuggestion, rubricScores } = req.body;
+    let { marksObtained } = req.body;
     
-    const exam = await Exam.findOne({ 
-      _id: req.params.id, 
-      teacher: req.user._id 
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
     });
 
     if (!exam) {
@@ -1704,9 +2751,7 @@ router.put('/exams/:id/grade-question', [
     }
 
     // Find student's attempt
-    const attempt = exam.attempts.find(att => 
-      att.student.toString() === studentId.toString() && att.isCompleted
-    );
+    const attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId, { isCompleted: true });
 
     if (!attempt) {
       return res.status(404).json({
@@ -1736,6 +2781,31 @@ router.put('/exams/:id/grade-question', [
       });
     }
 
+    // Confirming the assisted grading suggestion takes its mark
+    if (acceptSuggestion) {
+      const { suggestion } = attempt.answers[answerIndex];
+      if (!suggestion || suggestion.marks === undefined || suggestion.marks === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'This answer has no suggested mark to accept'
+        });
+      }
+      marksObtained = suggestion.marks;
+    }
+
+    let scoredRubric = [];
+    if (rubricScores) {
+      const resolved = resolveGrade(exam, { questionNumber, rubricScores });
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      marksObtained = resolved.marksObtained;
+      scoredRubric = resolved.rubricScores;
+    }
+
     // Validate marks don't exceed question's max marks
     if (marksObtained > question.marks) {
       return res.status(400).json({
@@ -1745,21 +2815,22 @@ router.put('/exams/:id/grade-question', [
     }
 
     // Update the specific answer
+    attempt.answers[answerIndex].suggestionStatus = getSuggestionStatus(attempt.answers[answerIndex], marksObtained);
     attempt.answers[answerIndex].marksObtained = marksObtained;
+    attempt.answers[answerIndex].rubricScores = scoredRubric;
+    attempt.answers[answerIndex].negativeMarks = 0; // The teacher's mark replaces any deduction
     attempt.answers[answerIndex].isCorrect = marksObtained > 0;
     attempt.answers[answerIndex].needsGrading = false;
     attempt.answers[answerIndex].gradedBy = req.user._id;
     attempt.answers[answerIndex].gradedAt = new Date();
 
     // Recalculate total score
-    let totalScore = 0;
-    attempt.answers.forEach(answer => {
-      totalScore += answer.marksObtained || 0;
-    });
+    const totalScore = calculateAttemptScore(attempt.answers);
 
     // Update stored scores
     attempt.actualScore = totalScore;
-    attempt.actualPercentage = exam.totalMarks > 0 ? (totalScore / exam.totalMarks) * 100 : 0;
+    const attemptTotalMarks = getAttemptTotalMarks(exam, attempt);
+    attempt.actualPercentage = attemptTotalMarks > 0 ? (totalScore / attemptTotalMarks) * 100 : 0;
     
     // Check if all answers have been graded
     const needsGrading = attempt.answers.some(answer => answer.needsGrading);
@@ -1767,7 +2838,7 @@ router.put('/exams/:id/grade-question', [
       attempt.gradingStatus = 'Completed';
     }
 
-    await exam.save();
+    await attempt.save();
 
     res.json({
       success: true,
@@ -1775,6 +2846,8 @@ router.put('/exams/:id/grade-question', [
       data: {
         questionNumber,
         marksObtained,
+        rubricScores: scoredRubric,
+        suggestionStatus: attempt.answers[answerIndex].suggestionStatus,
         totalScore,
         percentage: attempt.actualPercentage,
         gradingStatus: attempt.gradingStatus
@@ -1790,6 +2863,72 @@ router.put('/exams/:id/grade-question', [
   }
 });
 
+// @desc    Suggest marks for theory answers still waiting to be graded
+// @route   POST /api/teacher/exams/:id/grading-suggestions
+// @access  Private/Teacher
+router.post('/exams/:id/grading-suggestions', async (req, res) => {
+  try {
+    const exam = await Exam.findOne({
+      _id: req.params.id,
+      ...await getExamAccessFilter(req.user._id)
+    });
+
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found or you do not have permission to access it'
+      });
+    }
+
+    if (!isAssistedGradingEnabled(exam)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assisted grading is not turned on for this exam'
+      });
+    }
+
+    const theoryQuestions = new Map((exam.embeddedQuestions || [])
+      .filter(question => question.questionType === 'Theory')
+      .map(question => [question.questionNumber, question]));
+
+    const attempts = await ExamAttempt.find({ exam: exam._id, isCompleted: true });
+    let suggested = 0;
+
+    for (const attempt of attempts) {
+      let changed = false;
+      attempt.answers.forEach(answer => {
+        const question = theoryQuestions.get(answer.questionNumber);
+        if (!question || !answer.needsGrading) return;
+
+        const suggestion = suggestTheoryMarks(question, answer.answer);
+        if (suggestion) {
+          answer.suggestion = suggestion;
+          changed = true;
+          suggested++;
+        }
+      });
+      if (changed) await attempt.save();
+    }
+
+    res.json({
+      success: true,
+      message: suggested > 0
+        ? `Suggested marks for ${suggested} theory answer${suggested !== 1 ? 's' : ''}`
+        : 'No ungraded theory answers with keywords to suggest marks for',
+      data: {
+        suggested
+      }
+    });
+
+  } catch (error) {
+    console.error('Grading suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error suggesting marks'
+    });
+  }
+});
+
 // @desc    Debug exam data
 // @route   GET /api/teacher/exams/:id/debug
 // @access  Private/Teacher
@@ -1798,7 +2937,7 @@ router.get('/exams/:id/debug', async (req, res) => {
     const exam = await Exam.findOne({ 
       _id: req.params.id, 
       teacher: req.user._id 
-    }).populate('attempts.student', 'firstName lastName studentId email');
+    });
 
     if (!exam) {
       return res.status(404).json({
@@ -1807,6 +2946,9 @@ router.get('/exams/:id/debug', async (req, res) => {
       });
     }
 
+    const attempts = await ExamAttempt.find({ exam: exam._id })
+      .populate('student', 'firstName lastName studentId email');
+
     // Return complete exam data for debugging
     res.json({
       success: true,
@@ -1815,7 +2957,7 @@ router.get('/exams/:id/debug', async (req, res) => {
           _id: exam._id,
           title: exam.title,
           embeddedQuestions: exam.embeddedQuestions,
-          attempts: exam.attempts.map(attempt => ({
+          attempts: attempts.map(attempt => ({
             _id: attempt._id,
             student: attempt.student,
             answers: attempt.answers,
@@ -1845,7 +2987,7 @@ router.get('/exams/:id/debug', async (req, res) => {
 // @access  Private/Teacher
 router.post('/preview-random-selection', async (req, res) => {
   try {
-    const { objective = {}, theory = {} } = req.body;
+    const { objective = {}, theory = {}, stratifyBy = [] } = req.body;
 
     let previewQuestions = { objective: [], theory: [] };
 
@@ -1858,9 +3000,8 @@ router.post('/preview-random-selection', async (req, res) => {
         questionType: 'Objective'
       }).populate('subject class');
 
-      // Randomly select the requested number of questions
-      const shuffled = objectiveQuestions.sort(() => 0.5 - Math.random());
-      previewQuestions.objective = shuffled.slice(0, objective.count);
+      // Draw the requested number of questions the way a student's paper is drawn
+      previewQuestions.objective = drawSample(objectiveQuestions, objective.count, stratifyBy);
     }
 
     // Handle theory questions
@@ -1872,9 +3013,8 @@ router.post('/preview-random-selection', async (req, res) => {
         questionType: 'Theory'
       }).populate('subject class');
 
-      // Randomly select the requested number of questions
-      const shuffled = theoryQuestions.sort(() => 0.5 - Math.random());
-      previewQuestions.theory = shuffled.slice(0, theory.count);
+      // Draw the requested number of questions the way a student's paper is drawn
+      previewQuestions.theory = drawSample(theoryQuestions, theory.count, stratifyBy);
     }
 
     res.json({
@@ -1891,4 +3031,251 @@ router.post('/preview-random-selection', async (req, res) => {
   }
 });
 
+// An exam the teacher teaches and the given student's attempt at it that is
+// still in progress. Resolves to { exam, attempt } or { status, error }.
+const findOpenAttempt = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+    return { status: 400, error: 'Invalid student ID' };
+  }
+
+  const exam = await Exam.findOne({
+    _id: req.params.id,
+    ...await getExamAccessFilter(req.user._id)
+  });
+  if (!exam) {
+    return { status: 404, error: 'Exam not found or you do not have permission to access it' };
+  }
+
+  const attempt = await ExamAttempt.findActiveAttempt(exam._id, req.params.studentId);
+  if (!attempt) {
+    return { status: 404, error: 'This student has no exam in progress' };
+  }
+
+  return { exam, attempt };
+};
+
+// Tell the student's TakeExam page about a teacher control straight away, and
+// update the teacher's live monitor
+const broadcastAttemptControl = (req, exam, attempt, action, message) => {
+  const examMonitor = req.app.locals.examMonitor;
+  if (!examMonitor) return;
+
+  examMonitor.sendToStudentInExam(exam._id, attempt.student, 'attempt-control', {
+    examId: exam._id.toString(),
+    studentId: attempt.student.toString(),
+    action,
+    message,
+    paused: !!attempt.pausedAt && !attempt.isCompleted,
+    deadline: getAttemptDeadline(exam, attempt),
+    serverTime: new Date().toISOString()
+  });
+  examMonitor.attemptUpdated(exam, attempt.student, attempt);
+};
+
+// Same for a control that applies to every student sitting the exam; each
+// student's message carries their own deadline in the timer-sync format
+const broadcastExamControl = async (req, exam, action, message) => {
+  const examMonitor = req.app.locals.examMonitor;
+  if (!examMonitor) return;
+
+  const openAttempts = await ExamAttempt.find({ exam: exam._id, isCompleted: false })
+    .select('student startTime deadline pausedAt isCompleted');
+
+  const timerSync = buildTimerSyncPayload(exam, openAttempts);
+  Object.keys(timerSync.deadlines).forEach(studentId => {
+    examMonitor.sendToStudentInExam(exam._id, studentId, 'exam-control', {
+      ...buildStudentTimerSync(timerSync, studentId),
+      action,
+      message,
+      paused: !!exam.pausedAt
+    });
+  });
+  await examMonitor.refresh(exam);
+};
+
+const findTeacherRubric = async (teacherId, rubricId) => {
+  if (!mongoose.Types.ObjectId.isValid(rubricId)) return null;
+  return Rubric.findOne({ _id: rubricId, teacher: teacherId });
+};
+
+// A teacher's grade for one question: rubric band choices become marks and
+// rubric scores, a plain mark is kept as given
+const resolveGrade = (exam, grade) => {
+  if (!grade.rubricScores) {
+    if (grade.marksObtained === undefined || grade.marksObtained === null) return { error: 'Valid marks is required' };
+    return { marksObtained: grade.marksObtained, rubricScores: [] };
+  }
+
+  const question = (exam.embeddedQuestions || []).find(q => q.questionNumber === grade.questionNumber);
+  if (!question || !hasRubric(question)) return { error: 'This question is not marked with a rubric' };
+  return scoreRubric(question, grade.rubricScores);
+};
+
+// Load the pooled bank questions of a question bank selection in the exam's
+// embedded format. Resolves to { questions } or { error } with a message.
+const loadQuestionBankPool = async (teacherId, selection) => {
+  const allQuestionIds = [
+    ...(selection.objective?.questions || []),
+    ...(selection.theory?.questions || [])
+  ];
+
+  if (allQuestionIds.length === 0) {
+    return { error: 'At least one question must be selected from the question bank' };
+  }
+
+  // Only questions of a subject and class the teacher still teaches
+  const teachingPairs = await TeachingAssignment.getPairs(teacherId);
+  if (teachingPairs.length === 0) {
+    return { error: 'You are not assigned to teach any subject' };
+  }
+
+  const bankQuestions = await Question.find({
+    _id: { $in: allQuestionIds },
+    teacher: teacherId,
+    isActive: true,
+    $or: teachingPairs
+  }).populate('rubric');
+
+  if (bankQuestions.length !== allQuestionIds.length) {
+    return { error: 'Some selected questions were not found or you do not have access to them' };
+  }
+
+  const questions = bankQuestions.map(q => ({
+    questionText: q.questionText,
+    questionType: q.questionType,
+    marks: q.marks,
+    answerType: q.answerType,
+    options: q.questionType === 'Objective' ? q.options.map(opt => opt.text || opt) : [],
+    correctAnswer: q.questionType === 'Objective' && q.options.length > 0 ? q.options.findIndex(opt => opt.isCorrect) : undefined,
+    multipleAnswers: q.questionType === 'Objective' && !!q.multipleAnswers,
+    correctAnswers: q.questionType === 'Objective' && q.multipleAnswers
+      ? q.options.reduce((indices, opt, index) => (opt.isCorrect ? [...indices, index] : indices), [])
+      : [],
+    scoringMode: q.scoringMode,
+    acceptedAnswers: q.acceptedAnswers,
+    caseSensitive: q.caseSensitive,
+    numericAnswer: q.numericAnswer,
+    tolerance: q.tolerance,
+    toleranceType: q.toleranceType,
+    unit: q.unit,
+    acceptedUnits: q.acceptedUnits,
+    matchingPairs: q.matchingPairs,
+    orderingItems: q.orderingItems,
+    expectedAnswer: q.questionType === 'Theory' ? q.expectedAnswer : undefined,
+    gradingKeywords: q.questionType === 'Theory' ? getGradingKeywords(q) : [],
+    rubric: q.questionType === 'Theory' ? toEmbeddedRubric(q.rubric) : undefined,
+    explanation: q.explanation || '',
+    additionalInfo: '',
+    difficulty: q.difficulty,
+    topic: q.topic,
+    sourceQuestion: q._id
+  }));
+
+  // Each student draws `count` questions of a type from the pool
+  for (const type of ['Objective', 'Theory']) {
+    const count = selection[type.toLowerCase()]?.count || 0;
+    const poolSize = questions.filter(q => q.questionType === type).length;
+    if (count < 0 || count > poolSize) {
+      return { error: `Cannot draw ${count} ${type.toLowerCase()} questions from a pool of ${poolSize}` };
+    }
+  }
+
+  return { questions };
+};
+
+const toEmbeddedQuestions = (questions) => questions.map((q, index) => ({
+  questionNumber: index + 1,
+  questionText: q.questionText.trim(),
+  questionType: q.questionType,
+  marks: q.marks,
+  options: q.questionType === 'Objective' && usesOptions(q) ? q.options.filter(opt => opt && opt.trim() !== '') : [],
+  ...toEmbeddedAnswerKey(q),
+  expectedAnswer: q.questionType === 'Theory' ? q.expectedAnswer : undefined,
+  gradingKeywords: q.questionType === 'Theory' ? cleanGradingKeywords(q.gradingKeywords) : [],
+  rubric: q.questionType === 'Theory' ? toEmbeddedRubric(q.rubric) : undefined,
+  explanation: q.explanation || '',
+  additionalInfo: q.additionalInfo || '',
+  difficulty: q.difficulty,
+  topic: q.topic,
+  sourceQuestion: q.sourceQuestion
+}));
+
+// Answer key and marking of an objective question as stored on the exam
+const toEmbeddedAnswerKey = (q) => {
+  if (q.questionType !== 'Objective') return { correctAnswer: undefined, multipleAnswers: false, correctAnswers: [] };
+  if (!usesOptions(q)) return { ...toTypedAnswerKey(q), correctAnswer: undefined, multipleAnswers: false, correctAnswers: [] };
+  if (q.answerType === 'true-false' || !q.multipleAnswers) {
+    return { answerType: q.answerType || 'multiple-choice', correctAnswer: q.correctAnswer, multipleAnswers: false, correctAnswers: [] };
+  }
+
+  const correctAnswers = [...new Set(q.correctAnswers || [])].sort((a, b) => a - b);
+  return {
+    answerType: 'multiple-choice',
+    correctAnswer: correctAnswers[0],
+    multipleAnswers: true,
+    correctAnswers,
+    scoringMode: q.scoringMode || 'all-or-nothing'
+  };
+};
+
+// Marks on one student's paper for a question bank selection. Matches the
+// exam form: exact when every pooled question of a type carries the same
+// marks, otherwise the average mark times the number drawn.
+const calculatePaperMarks = (questions, selection) => {
+  // Selections saved without counts serve the whole pool
+  if (!selection.objective?.count && !selection.theory?.count) {
+    return questions.reduce((sum, q) => sum + q.marks, 0);
+  }
+
+  return ['Objective', 'Theory'].reduce((total, type) => {
+    const pool = questions.filter(q => q.questionType === type);
+    const count = selection[type.toLowerCase()]?.count || 0;
+    if (pool.length === 0 || count === 0) return total;
+    if (count >= pool.length) return total + pool.reduce((sum, q) => sum + q.marks, 0);
+
+    const uniqueMarks = [...new Set(pool.map(q => q.marks))];
+    if (uniqueMarks.length === 1) return total + uniqueMarks[0] * count;
+    const averageMarks = pool.reduce((sum, q) => sum + q.marks, 0) / pool.length;
+    return total + Math.round(averageMarks * count);
+  }, 0);
+};
+
+// Helper function to stream matching questions as a QTI 2.1 zip or GIFT file
+const exportQuestions = async (res, query, format) => {
+  // Lean documents skip the toJSON transform that hides correct answers
+  const questions = await Question.find(query).sort({ createdAt: 1 }).lean();
+
+  if (questions.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'No questions match the selected filters'
+    });
+  }
+
+  const timestamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'gift') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=questions_${timestamp}.gift`);
+    return res.send(buildGiftFile(questions));
+  }
+
+  const { files, media } = buildQtiPackage(questions);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', (error) => {
+    console.error('Export questions archive error:', error);
+    res.destroy(error);
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename=questions_qti21_${timestamp}.zip`);
+  archive.pipe(res);
+
+  files.forEach(file => archive.append(file.content, { name: file.name }));
+  media.forEach(item => archive.file(item.sourcePath, { name: item.href }));
+
+  await archive.finalize();
+};
+
 module.exports = router; 
\ No newline at end of file
@@ -3,6 +3,7 @@ require('dotenv').config({ path: '../config.env' });
 
 // Import models
 const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
 
 const fixExistingResults = async () => {
   try {
@@ -17,7 +18,7 @@ const fixExistingResults = async () => {
 
     // Find all exams with completed attempts
     const exams = await Exam.find({
-      'attempts.isCompleted': true
+      _id: { $in: await ExamAttempt.distinct('exam', { isCompleted: true }) }
     });
 
     console.log(`📋 Found ${exams.length} exams with completed attempts`);
@@ -27,7 +28,9 @@ const fixExistingResults = async () => {
     for (const exam of exams) {
       let examUpdated = false;
 
-      for (const attempt of exam.attempts) {
+      const attempts = await ExamAttempt.find({ exam: exam._id, isCompleted: true });
+
+      for (const attempt of attempts) {
         if (attempt.isCompleted) {
           // Add missing fields for existing attempts
           if (attempt.resultsReleased === undefined) {
@@ -82,7 +85,9 @@ const fixExistingResults = async () => {
       }
 
       if (examUpdated) {
-        await exam.save();
+        for (const attempt of attempts) {
+          await attempt.save();
+        }
         updatedCount++;
         console.log(`✅ Updated exam: ${exam.title} (${exam.examCode})`);
       }
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const ExamAttempt = require('../models/ExamAttempt');
+
+// Moves attempts embedded in exams.attempts into the examattempts collection
+// and converts any documents left in the old examresults collection.
+//
+// Usage: node scripts/migrateExamAttempts.js [--dry-run] [--keep-embedded]
+//   --dry-run        report what would be migrated without writing anything
+//   --keep-embedded  copy attempts but leave exams.attempts in place
+//
+// Safe to run more than once: embedded attempts keep their _id, so attempts
+// that were already migrated are skipped.
+
+const dryRun = process.argv.includes('--dry-run');
+const keepEmbedded = process.argv.includes('--keep-embedded');
+
+const EMBEDDED_ATTEMPT_FIELDS = [
+  'student', 'startTime', 'endTime', 'deadline', 'timeSpent', 'score', 'percentage',
+  'answers', 'isCompleted', 'submittedAt', 'submissionReason', 'ipAddress', 'userAgent',
+  'gradingStatus', 'autoGradedMarks', 'manualGradedMarks', 'actualScore',
+  'actualPercentage', 'resultsReleased', 'resultsReleasedAt', 'gradedBy', 'gradedAt',
+  'needsGrading'
+];
+
+const migrateEmbeddedAttempts = async (db) => {
+  const examsCollection = db.collection('exams');
+  const exams = await examsCollection.find(
+    { 'attempts.0': { $exists: true } },
+    { projection: { title: 1, examCode: 1, attempts: 1 } }
+  ).toArray();
+
+  console.log(`📋 Found ${exams.length} exams with embedded attempts`);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const exam of exams) {
+    let examMigrated = 0;
+    let examSkippedInvalid = 0;
+
+    for (const embedded of exam.attempts) {
+      if (!embedded.student) {
+        console.log(`⚠️  Skipping attempt ${embedded._id} in ${exam.examCode}: no student`);
+        skipped++;
+        examSkippedInvalid++;
+        continue;
+      }
+
+      const exists = await ExamAttempt.exists({ _id: embedded._id });
+      if (exists) {
+        skipped++;
+        continue;
+      }
+
+      const data = { _id: embedded._id, exam: exam._id };
+      EMBEDDED_ATTEMPT_FIELDS.forEach(field => {
+        if (embedded[field] !== undefined) data[field] = embedded[field];
+      });
+
+      if (!dryRun) {
+        await new ExamAttempt(data).save();
+      }
+      examMigrated++;
+    }
+
+    migrated += examMigrated;
+
+    // Only drop the embedded copy when every attempt made it across
+    if (!dryRun && !keepEmbedded && examSkippedInvalid === 0) {
+      await examsCollection.updateOne({ _id: exam._id }, { $unset: { attempts: '' } });
+    }
+
+    console.log(`✅ ${exam.title} (${exam.examCode}): ${examMigrated} attempt(s) migrated`);
+  }
+
+  return { migrated, skipped };
+};
+
+// The old ExamResult model stored percentages in `score` and per-answer points
+const convertLegacyResult = (result) => {
+  const answers = (result.answers || []).map((answer, index) => ({
+    questionId: answer.question ? answer.question.toString() : undefined,
+    questionNumber: index + 1,
+    questionType: answer.questionType === 'theory' ? 'Theory' : 'Objective',
+    answer: answer.questionType === 'theory' ? answer.textAnswer : answer.selectedAnswer,
+    isCorrect: answer.isCorrect,
+    marksObtained: answer.points || 0,
+    timeSpent: answer.timeSpent || 0,
+    needsGrading: false
+  }));
+  const totalPoints = answers.reduce((sum, answer) => sum + (answer.marksObtained || 0), 0);
+
+  return {
+    exam: result.exam,
+    student: result.student,
+    startTime: result.startedAt,
+    timeSpent: result.timeSpent || 0,
+    answers,
+    isCompleted: result.status !== 'incomplete',
+    submittedAt: result.submittedAt,
+    submissionReason: result.status === 'auto-submitted' ? 'auto-submitted' : 'submitted',
+    ipAddress: result.ipAddress,
+    userAgent: result.userAgent,
+    gradingStatus: result.isGraded === false ? 'Pending' : 'Completed',
+    score: 0,
+    percentage: 0,
+    actualScore: totalPoints,
+    actualPercentage: result.score || 0,
+    resultsReleased: false,
+    gradedBy: result.gradedBy,
+    gradedAt: result.gradedAt
+  };
+};
+
+const migrateLegacyResults = async (db) => {
+  const collections = await db.listCollections({ name: 'examresults' }).toArray();
+  if (collections.length === 0) {
+    console.log('ℹ️ No examresults collection found');
+    return { migrated: 0, skipped: 0 };
+  }
+
+  const results = await db.collection('examresults').find({}).toArray();
+  console.log(`📋 Found ${results.length} legacy exam results`);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const result of results) {
+    const exists = await ExamAttempt.exists({ exam: result.exam, student: result.student });
+    if (exists) {
+      skipped++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await new ExamAttempt(convertLegacyResult(result)).save();
+    }
+    migrated++;
+  }
+
+  return { migrated, skipped };
+};
+
+const migrateExamAttempts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🔍 Dry run: no changes will be written');
+
+    const db = mongoose.connection.db;
+
+    const embedded = await migrateEmbeddedAttempts(db);
+    const legacy = await migrateLegacyResults(db);
+
+    console.log('🎉 Migration finished');
+    console.log(`   - Embedded attempts migrated: ${embedded.migrated} (skipped ${embedded.skipped})`);
+    console.log(`   - Legacy results migrated: ${legacy.migrated} (skipped ${legacy.skipped})`);
+    if (keepEmbedded) {
+      console.log('   - exams.attempts left in place (--keep-embedded)');
+    }
+  } catch (error) {
+    console.error('❌ Error migrating exam attempts:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+};
+
+migrateExamAttempts();
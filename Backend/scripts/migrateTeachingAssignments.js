@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const TeachingAssignment = require('../models/TeachingAssignment');
+
+// Creates teaching assignments from the old flattened assignments, where a
+// teacher listed in Subject.teachers taught the subject to every class in
+// Subject.classes. Each teacher gets one assignment per (subject, class)
+// pair; narrow them down afterwards in Teacher Management.
+//
+// Usage: node scripts/migrateTeachingAssignments.js [--dry-run]
+//   --dry-run  report what would be created without writing anything
+//
+// Safe to run more than once: existing assignments are left as they are.
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateTeachingAssignments = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🔍 Dry run: no changes will be written');
+
+    const teachers = await User.find({ role: 'teacher' }).select('firstName lastName subjects');
+    console.log(`📋 Found ${teachers.length} teachers`);
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const teacher of teachers) {
+      const subjects = await Subject.find({ teachers: teacher._id }).select('name classes');
+      let teacherCreated = 0;
+
+      for (const subject of subjects) {
+        for (const classId of subject.classes) {
+          const exists = await TeachingAssignment.exists({
+            teacher: teacher._id,
+            subject: subject._id,
+            class: classId
+          });
+          if (exists) {
+            skipped++;
+            continue;
+          }
+
+          if (!dryRun) {
+            await TeachingAssignment.create({
+              teacher: teacher._id,
+              subject: subject._id,
+              class: classId
+            });
+          }
+          teacherCreated++;
+        }
+      }
+
+      // Keep User.subjects in step with the subjects the teacher is listed on
+      if (!dryRun && subjects.length !== teacher.subjects.length) {
+        teacher.subjects = subjects.map(subject => subject._id);
+        await teacher.save();
+      }
+
+      created += teacherCreated;
+      console.log(`✅ ${teacher.firstName} ${teacher.lastName}: ${teacherCreated} assignment(s) created across ${subjects.length} subject(s)`);
+    }
+
+    console.log('🎉 Migration finished');
+    console.log(`   - Assignments created: ${created} (skipped ${skipped} existing)`);
+  } catch (error) {
+    console.error('❌ Error migrating teaching assignments:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+  }
+};
+
+migrateTeachingAssignments();
@@ -162,6 +162,15 @@ mongoose.connect(process.env.MONGODB_URI, {
     console.log('ℹ️ Nigerian school classes already exist or error initializing:', error.message);
   }
 
+  // Make sure there is a current academic session and term
+  try {
+    const { initializeAcademicCalendar } = require('./utils/academicCalendar');
+    const { session, term } = await initializeAcademicCalendar();
+    console.log(`✅ Academic session ${session.name}, ${term.name}`);
+  } catch (error) {
+    console.log('ℹ️ Error initializing academic session:', error.message);
+  }
+
   // Initialize Nigerian school subjects
   try {
     const Subject = require('./models/Subject');
@@ -183,11 +192,19 @@ const notificationService = new NotificationService();
 // Store notification service in app locals for access in routes
 app.locals.notificationService = notificationService;
 
+// Live exam monitoring for teachers
+const ExamMonitor = require('./utils/examMonitor');
+const examMonitor = new ExamMonitor();
+app.locals.examMonitor = examMonitor;
+const { registerSessionSocket } = require('./utils/examSession');
+const { getStudentExamRoom } = require('./utils/examTimer');
+
 // Socket.io for real-time features
 const activeUsers = new Map();
 
 // Set the Socket.IO instance in notification service
 notificationService.setIO(io);
+examMonitor.setIO(io);
 
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
@@ -205,11 +222,33 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Join exam room
-  socket.on('join-exam', (data) => {
+  // Join exam room. A student's socket is tied to their attempt's session;
+  // a device that has lost the session is told so instead.
+  socket.on('join-exam', async (data) => {
     if (data && data.examId) {
+      const userData = activeUsers.get(socket.id);
+      if (userData && userData.role === 'student' && data.sessionToken) {
+        try {
+          const { valid } = await registerSessionSocket(data.examId, userData.userId, data.sessionToken, socket.id);
+          if (!valid) {
+            socket.emit('exam-session-revoked', {
+              examId: data.examId,
+              message: 'This exam is open on another device. Answers from this device are no longer accepted.'
+            });
+            return;
+          }
+        } catch (error) {
+          console.error('Exam session socket error:', error);
+        }
+      }
+
       socket.join(`exam-${data.examId}`);
       console.log(`User ${socket.id} joined exam ${data.examId}`);
+
+      if (userData && userData.role === 'student') {
+        socket.join(getStudentExamRoom(data.examId, userData.userId));
+        examMonitor.studentJoined(data.examId, userData.userId, socket.id);
+      }
     }
   });
 
@@ -218,28 +257,55 @@ io.on('connection', (socket) => {
     if (data && data.examId) {
       socket.leave(`exam-${data.examId}`);
       console.log(`User ${socket.id} left exam ${data.examId}`);
+
+      const userData = activeUsers.get(socket.id);
+      if (userData && userData.role === 'student') {
+        socket.leave(getStudentExamRoom(data.examId, userData.userId));
+        examMonitor.studentLeft(data.examId, userData.userId, socket.id);
+      }
     }
   });
 
-  // Handle exam timer updates
-  socket.on('exam-timer-update', (data) => {
+  // Teachers watching an exam live; only the exam's teachers or an admin are let in
+  socket.on('monitor-exam', async (data) => {
+    if (!data || !data.examId) return;
+
+    try {
+      const { exam, error } = await examMonitor.authorize(socket, data.examId);
+      if (error) {
+        socket.emit('monitor-error', { examId: data.examId, message: error });
+        return;
+      }
+
+      socket.join(`exam-${data.examId}-monitor`);
+      socket.emit('monitor-snapshot', await examMonitor.getSnapshot(exam));
+      console.log(`User ${socket.id} is monitoring exam ${data.examId}`);
+    } catch (error) {
+      console.error('Monitor exam error:', error);
+      socket.emit('monitor-error', { examId: data.examId, message: 'Failed to load exam monitor' });
+    }
+  });
+
+  socket.on('stop-monitor-exam', (data) => {
     if (data && data.examId) {
-      socket.to(`exam-${data.examId}`).emit('timer-sync', data);
+      socket.leave(`exam-${data.examId}-monitor`);
+      console.log(`User ${socket.id} stopped monitoring exam ${data.examId}`);
     }
   });
 
-  // Handle exam progress updates
+  // Handle exam progress updates; only the exam's monitors receive them
   socket.on('exam-progress', (data) => {
-    if (data && data.examId) {
-      socket.to(`exam-${data.examId}`).emit('progress-update', data);
+    const userData = activeUsers.get(socket.id);
+    if (data && data.examId && userData && userData.role === 'student') {
+      examMonitor.recordProgress(data.examId, userData.userId, data.progress);
     }
   });
 
-  // Handle answer updates for auto-save
+  // Answers are saved through the REST API; this only marks the student as active
   socket.on('answer-update', (data) => {
-    if (data && data.examId && data.questionId) {
-      // Could implement auto-save logic here
-      console.log(`Answer update for exam ${data.examId}, question ${data.questionId}`);
+    const userData = activeUsers.get(socket.id);
+    if (data && data.examId && data.questionId && userData && userData.role === 'student') {
+      examMonitor.recordProgress(data.examId, userData.userId);
     }
   });
 
@@ -248,6 +314,9 @@ io.on('connection', (socket) => {
     const userData = activeUsers.get(socket.id);
     if (userData) {
       console.log(`User ${userData.userId} (${userData.role}) disconnected:`, reason);
+      if (userData.role === 'student') {
+        examMonitor.socketDisconnected(socket.id, userData.userId);
+      }
       activeUsers.delete(socket.id);
     } else {
       console.log('User disconnected:', socket.id, 'Reason:', reason);
@@ -260,6 +329,14 @@ io.on('connection', (socket) => {
   });
 });
 
+// Push server-authoritative exam timers to exam rooms
+const { startTimerSync } = require('./utils/examTimer');
+startTimerSync(io);
+
+// Auto-submit attempts left open past their deadline
+const { startAttemptSweeper } = require('./utils/attemptSweeper');
+startAttemptSweeper({ notificationService, examMonitor });
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -280,6 +357,7 @@ app.use('/api/student', require('./routes/student'));
 app.use('/api/exam', require('./routes/exam'));
 app.use('/api/subject', require('./routes/subject'));
 app.use('/api/class', require('./routes/class'));
+app.use('/api/sessions', require('./routes/session'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,101 @@
+const AcademicSession = require('../models/AcademicSession');
+const Term = require('../models/Term');
+const Class = require('../models/Class');
+const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
+
+// Exams and results are tagged with the session and term they belong to.
+// The current session is created from the calendar the first time it is
+// needed; the admin rollover archives it and opens the next one.
+
+const createTerms = (session, currentOrder = 1) => Term.insertMany(
+  Term.TERM_NAMES.map((name, index) => ({
+    session: session._id,
+    name,
+    order: index + 1,
+    isCurrent: index + 1 === currentOrder
+  }))
+);
+
+// The current session and term, creating them if the school has none yet
+const getCurrentPeriod = async () => {
+  let session = await AcademicSession.getCurrent();
+  if (!session) {
+    const name = AcademicSession.nameFor();
+    session = await AcademicSession.findOneAndUpdate(
+      { name },
+      { $set: { isCurrent: true, status: 'Active' } },
+      { new: true }
+    ) || await AcademicSession.create({ name, isCurrent: true });
+  }
+
+  let term = await Term.findOne({ session: session._id, isCurrent: true });
+  if (!term) {
+    const terms = await Term.find({ session: session._id }).sort({ order: 1 });
+    if (terms.length === 0) {
+      [term] = await createTerms(session);
+    } else {
+      term = terms[0];
+      term.isCurrent = true;
+      await term.save();
+    }
+  }
+
+  return { session, term };
+};
+
+// Run at startup: make sure a current session exists, tag exams and results
+// saved before sessions existed with it, and keep class years in step
+const initializeAcademicCalendar = async () => {
+  const { session, term } = await getCurrentPeriod();
+  const untagged = { academicSession: { $exists: false } };
+  const tags = { $set: { academicSession: session._id, term: term._id } };
+
+  await Exam.updateMany(untagged, tags);
+  await ExamAttempt.updateMany(untagged, tags);
+  await Class.updateMany({ academicYear: { $ne: session.name } }, { $set: { academicYear: session.name } });
+
+  return { session, term };
+};
+
+// Archive `previous` and open the session named `name` in its first term.
+// Exams of the archived session that are still open are closed; its exams
+// and results stay tagged with it so they remain queryable.
+const rolloverSession = async (previous, { name, startDate, endDate }) => {
+  const closedExams = await Exam.updateMany(
+    { academicSession: previous._id, status: { $in: ['Published', 'Active'] } },
+    { $set: { status: 'Completed' } }
+  );
+
+  previous.isCurrent = false;
+  previous.status = 'Archived';
+  previous.archivedAt = new Date();
+  if (!previous.endDate) previous.endDate = previous.archivedAt;
+  await previous.save();
+  await Term.updateMany({ session: previous._id }, { $set: { isCurrent: false } });
+
+  const session = await AcademicSession.create({
+    name,
+    startDate: startDate || undefined,
+    endDate: endDate || undefined,
+    isCurrent: true
+  });
+  const [term] = await createTerms(session);
+
+  await Class.updateMany({}, { $set: { academicYear: name } });
+
+  return { session, term, closedExams: closedExams.modifiedCount };
+};
+
+// The "YYYY/YYYY" session after `name`
+const getNextSessionName = (name) => {
+  const [, endYear] = name.split('/').map(Number);
+  return `${endYear}/${endYear + 1}`;
+};
+
+module.exports = {
+  getCurrentPeriod,
+  initializeAcademicCalendar,
+  rolloverSession,
+  getNextSessionName
+};
@@ -17,12 +17,18 @@ const assignSubjectsToClasses = async () => {
     let assignmentCount = 0;
 
     for (const classItem of classes) {
-      const classLevel = ['JSS1', 'JSS2', 'JSS3'].includes(classItem.name) ? 'Junior' : 'Senior';
+      const classLevel = classItem.category;
       
       // Find subjects appropriate for this class level
       const appropriateSubjects = subjects.filter(subject => {
         // Include subjects that are for this level or for 'Both' levels
-        return subject.level === classLevel || subject.level === 'Both';
+        if (subject.level !== classLevel && subject.level !== 'Both') return false;
+
+        // Departmental streams only take subjects open to their department
+        return !classItem.department ||
+          subject.departments.length === 0 ||
+          subject.departments.includes('All') ||
+          subject.departments.includes(classItem.department);
       });
 
       // Get current subject IDs for this class
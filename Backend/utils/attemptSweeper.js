@@ -0,0 +1,67 @@
+const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
+const { autoSubmitExam } = require('./examGrading');
+const { DEADLINE_GRACE_SECONDS, getAttemptDeadline, isPastDeadline } = require('./examTimer');
+
+// How often open attempts are checked for an expired deadline
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+// Auto-submit every incomplete attempt whose deadline has passed. Covers
+// students who closed the browser and never came back to /start or
+// submitted. Deadlines already stop at the exam's end time unless a teacher
+// granted extra time, so the end time itself is not checked.
+const sweepAbandonedAttempts = async ({ notificationService = null, examMonitor = null } = {}) => {
+  const now = new Date();
+  let submittedCount = 0;
+
+  const examIds = await ExamAttempt.distinct('exam', { isCompleted: false });
+  if (examIds.length === 0) return 0;
+
+  const exams = await Exam.find({
+    _id: { $in: examIds },
+    status: { $in: ['Published', 'Active'] },
+    isActive: true
+  });
+
+  for (const exam of exams) {
+    const openAttempts = await ExamAttempt.find({ exam: exam._id, isCompleted: false });
+    const expiredAttempts = openAttempts.filter(attempt => {
+      const deadline = getAttemptDeadline(exam, attempt, now);
+      return isPastDeadline(deadline, now, DEADLINE_GRACE_SECONDS);
+    });
+
+    for (const attempt of expiredAttempts) {
+      const submitted = await autoSubmitExam(exam, attempt, attempt.student, { notificationService, examMonitor });
+      if (submitted) submittedCount++;
+    }
+  }
+
+  if (submittedCount > 0) {
+    console.log(`Attempt sweeper auto-submitted ${submittedCount} abandoned attempt(s)`);
+  }
+
+  return submittedCount;
+};
+
+const startAttemptSweeper = (services = {}, interval = SWEEP_INTERVAL) => {
+  let running = false;
+
+  return setInterval(async () => {
+    // Skip a tick rather than overlap with a slow previous sweep
+    if (running) return;
+    running = true;
+    try {
+      await sweepAbandonedAttempts(services);
+    } catch (error) {
+      console.error('Attempt sweeper error:', error);
+    } finally {
+      running = false;
+    }
+  }, interval);
+};
+
+module.exports = {
+  SWEEP_INTERVAL,
+  sweepAbandonedAttempts,
+  startAttemptSweeper
+};
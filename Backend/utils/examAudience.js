@@ -0,0 +1,75 @@
+const Class = require('../models/Class');
+
+// An exam is written by its own class, and also by every arm of
+// `targetLevel` or by each class in `targetClasses` when those are set.
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+// Query matching the exams a class can write
+const getExamClassFilter = (classDoc) => ({
+  $or: [
+    { class: classDoc._id },
+    { targetClasses: classDoc._id },
+    { targetLevel: classDoc.level }
+  ]
+});
+
+const isExamForClass = (exam, classDoc) => {
+  if (!classDoc) return false;
+  const classId = toId(classDoc);
+  return toId(exam.class) === classId ||
+    (exam.targetClasses || []).some(target => toId(target) === classId) ||
+    (!!exam.targetLevel && exam.targetLevel === classDoc.level);
+};
+
+// Ids of every class the exam is open to
+const getExamClassIds = async (exam) => {
+  if (exam.targetLevel) {
+    const classes = await Class.find({ level: exam.targetLevel, isActive: true }).select('_id');
+    return classes.map(classItem => classItem._id);
+  }
+  const ids = [toId(exam.class), ...(exam.targetClasses || []).map(toId)];
+  return [...new Set(ids)];
+};
+
+// Why an exam cannot be aimed at this audience, or null. A level audience
+// needs the subject taught in every arm of the level; an arms audience
+// needs arms of the same level as the exam's class that take the subject.
+const getAudienceError = async (subjectDoc, classDoc, { targetLevel, targetClasses = [] }) => {
+  const subjectClassIds = subjectDoc.classes.map(toId);
+
+  if (targetLevel) {
+    if (targetLevel !== classDoc.level) {
+      return `${classDoc.name} is not in ${targetLevel}`;
+    }
+    const arms = await Class.find({ level: targetLevel, isActive: true }).select('name');
+    const missing = arms.filter(arm => !subjectClassIds.includes(toId(arm)));
+    if (missing.length > 0) {
+      return `${subjectDoc.name} is not assigned to ${missing.map(arm => arm.name).join(', ')}`;
+    }
+    return null;
+  }
+
+  if (targetClasses.length > 0) {
+    const arms = await Class.find({ _id: { $in: targetClasses }, isActive: true }).select('name level');
+    if (arms.length !== new Set(targetClasses.map(toId)).size) {
+      return 'One or more selected classes were not found';
+    }
+    const otherLevel = arms.find(arm => arm.level !== classDoc.level);
+    if (otherLevel) {
+      return `${otherLevel.name} is not in ${classDoc.level}`;
+    }
+    const missing = arms.filter(arm => !subjectClassIds.includes(toId(arm)));
+    if (missing.length > 0) {
+      return `${subjectDoc.name} is not assigned to ${missing.map(arm => arm.name).join(', ')}`;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  getExamClassFilter,
+  isExamForClass,
+  getExamClassIds,
+  getAudienceError
+};
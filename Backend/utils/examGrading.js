@@ -0,0 +1,432 @@
+const User = require('../models/User');
+const ExamAttempt = require('../models/ExamAttempt');
+const { getOptionOrder, toCanonicalOptionIndex } = require('./questionShuffle');
+const { isArrangement, isAnswerGiven, toSelectedIndices, roundMarks, penalisesWrongParts, scoreObjectiveAnswer } = require('./objectiveScoring');
+const { isAssistedGradingEnabled, suggestTheoryMarks } = require('./theoryGrading');
+
+// Grade an attempt and close it without the student pressing submit (time
+// expired, abandoned attempt). Scores stay hidden until results are released,
+// exactly as for a normal submission. Resolves to true if this call submitted
+// the attempt, false if it was already submitted or submitting failed.
+const autoSubmitExam = async (exam, attempt, studentId, { reason = 'auto-submitted', notificationService = null, examMonitor = null } = {}) => {
+  if (attempt.isCompleted) return false;
+
+  try {
+    const gradingResult = await gradeExamAttempt(exam, attempt);
+
+    // Another submission may have closed the attempt while it was being graded
+    const completed = await ExamAttempt.completeAttempt(attempt, {
+      submittedAt: new Date(),
+      submissionReason: reason,
+      score: gradingResult.totalScore,
+      percentage: gradingResult.percentage,
+      gradingStatus: gradingResult.gradingStatus,
+      actualScore: gradingResult.actualScore || gradingResult.totalScore,
+      actualPercentage: gradingResult.actualPercentage || gradingResult.percentage,
+      needsGrading: gradingResult.gradedAnswers.some(ans => ans.needsGrading),
+      answers: gradingResult.gradedAnswers
+    });
+    if (!completed) {
+      console.log(`Exam ${exam._id} was already submitted for student ${studentId}`);
+      return false;
+    }
+    
+    console.log(`Auto-submitted exam ${exam._id} for student ${studentId}`);
+
+    if (examMonitor) {
+      await examMonitor.attemptUpdated(exam, studentId, completed);
+    }
+
+    if (notificationService) {
+      try {
+        const student = await User.findById(studentId).select('firstName lastName');
+        await notificationService.notifyExamAutoSubmitted({
+          studentId,
+          teacherId: exam.teacher,
+          examId: exam._id,
+          examTitle: exam.title,
+          studentName: student ? `${student.firstName} ${student.lastName}` : 'A student',
+          reason
+        });
+      } catch (notificationError) {
+        console.error('Error sending auto-submission notification:', notificationError);
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Auto-submit failed:', error);
+    return false;
+  }
+};
+
+// Questions on an attempt's paper: the questions drawn for it when the exam
+// draws from a question bank pool, otherwise every embedded question
+const getAttemptQuestions = (exam, attempt) => {
+  const questions = exam.embeddedQuestions || [];
+  const drawn = attempt.drawnQuestions || [];
+  if (drawn.length === 0) return questions;
+  return questions.filter(question => drawn.includes(question.questionNumber));
+};
+
+// Marks available on an attempt's paper; drawn papers can differ from the exam total
+const getAttemptTotalMarks = (exam, attempt) => {
+  return attempt && attempt.totalMarks ? attempt.totalMarks : exam.totalMarks;
+};
+
+// The pass mark for an attempt's paper: the exam's pass mark as a share of
+// its total, applied to the marks this paper carries
+const getAttemptPassingMarks = (exam, attempt) => {
+  const attemptTotal = getAttemptTotalMarks(exam, attempt);
+  if (!exam.totalMarks || attemptTotal === exam.totalMarks) return exam.passingMarks;
+  return roundMarks((exam.passingMarks / exam.totalMarks) * attemptTotal);
+};
+
+// Whether a score reaches the pass mark for the attempt's paper
+const hasPassed = (exam, attempt, score) => score >= getAttemptPassingMarks(exam, attempt);
+
+// The exam's negative marking setting, or null when wrong answers cost nothing
+const getNegativeMarking = (exam) => {
+  const negativeMarking = exam.settings && exam.settings.negativeMarking;
+  return negativeMarking && negativeMarking.enabled && negativeMarking.fraction > 0 ? negativeMarking : null;
+};
+
+// An objective answer that picked something and earned nothing. Blank answers are not wrong.
+const isWrongObjectiveAnswer = (answer) => {
+  return isAnswerGiven(answer.answer) && !(answer.marksObtained > 0);
+};
+
+// An attempt's score: marks earned less any negative marking, never below 0
+const calculateAttemptScore = (answers) => {
+  const earned = (answers || []).reduce((sum, answer) => sum + (answer.marksObtained || 0), 0);
+  const deducted = (answers || []).reduce((sum, answer) => sum + (answer.negativeMarks || 0), 0);
+  return Math.max(0, roundMarks(earned - deducted));
+};
+
+// Where an attempt's score came from, per question type, for its results
+const buildScoreBreakdown = (exam, attempt) => {
+  const answers = attempt.answers || [];
+  const questions = getAttemptQuestions(exam, attempt);
+  const negativeMarking = getNegativeMarking(exam);
+
+  const summarize = (type) => {
+    const typeAnswers = answers.filter(answer => answer.questionType === type);
+    return {
+      score: roundMarks(typeAnswers.reduce((sum, answer) => sum + (answer.marksObtained || 0), 0)),
+      questions: questions.filter(question => question.questionType === type).length,
+      maxMarks: questions
+        .filter(question => question.questionType === type)
+        .reduce((sum, question) => sum + (question.marks || 0), 0)
+    };
+  };
+
+  const objectiveAnswers = answers.filter(answer => answer.questionType === 'Objective');
+  const objective = {
+    ...summarize('Objective'),
+    correct: objectiveAnswers.filter(answer => answer.isCorrect).length,
+    wrong: objectiveAnswers.filter(isWrongObjectiveAnswer).length,
+    negativeMarks: roundMarks(objectiveAnswers.reduce((sum, answer) => sum + (answer.negativeMarks || 0), 0))
+  };
+
+  return {
+    objective,
+    theory: summarize('Theory'),
+    negativeMarking: negativeMarking ? { fraction: negativeMarking.fraction } : null,
+    totalScore: calculateAttemptScore(answers)
+  };
+};
+
+// Helper function to grade exam attempt
+const gradeExamAttempt = async (exam, attempt) => {
+  console.log('=== GRADING EXAM ATTEMPT ===');
+  console.log('Exam ID:', exam._id);
+  console.log('Student ID:', attempt.student);
+  console.log('Input answers count:', attempt.answers?.length || 0);
+  
+  let totalScore = 0;
+  let objectiveScore = 0;
+  let theoryScore = 0;
+  let negativeMarks = 0;
+  let objectiveQuestions = 0;
+  let theoryQuestions = 0;
+  let gradingStatus = 'Pending'; // Always start as pending until teacher releases results
+
+  const gradedAnswers = [];
+
+  try {
+    // Use embedded questions if available, otherwise fall back to legacy questions
+    let examQuestions = [];
+    if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
+      examQuestions = getAttemptQuestions(exam, attempt);
+      console.log('Using embedded questions:', examQuestions.length);
+    } else if (exam.questions && exam.questions.length > 0) {
+      await exam.populate('questions');
+      examQuestions = exam.questions;
+      console.log('Using legacy questions:', examQuestions.length);
+    }
+
+    // If no questions found, return default result
+    if (examQuestions.length === 0) {
+      console.warn('No questions found for exam:', exam._id);
+      return {
+        totalScore: 0,
+        percentage: 0,
+        gradingStatus: 'Pending',
+        gradedAnswers: [],
+        totalQuestions: 0,
+        answeredQuestions: 0,
+        breakdown: {
+          objective: { score: 0, questions: 0, maxMarks: 0 },
+          theory: { score: 0, questions: 0, maxMarks: 0 }
+        }
+      };
+    }
+
+    // If no answers provided (student submitted blank exam)
+    if (!attempt.answers || attempt.answers.length === 0) {
+      console.log('No answers provided for exam:', exam._id);
+      return {
+        totalScore: 0,
+        percentage: 0,
+        gradingStatus: 'Pending',
+        gradedAnswers: [],
+        totalQuestions: examQuestions.length,
+        answeredQuestions: 0,
+        breakdown: {
+          objective: {
+            score: 0,
+            questions: examQuestions.filter(q => q.questionType === 'Objective').length,
+            maxMarks: examQuestions
+              .filter(q => q.questionType === 'Objective')
+              .reduce((sum, q) => sum + (q.marks || 0), 0)
+          },
+          theory: {
+            score: 0,
+            questions: examQuestions.filter(q => q.questionType === 'Theory').length,
+            maxMarks: examQuestions
+              .filter(q => q.questionType === 'Theory')
+              .reduce((sum, q) => sum + (q.marks || 0), 0)
+          }
+        }
+      };
+    }
+
+    // Grade each answer
+    console.log('Processing answers - Student submitted:', attempt.answers.map(ans => ({
+      questionId: ans.questionId,
+      questionNumber: ans.questionNumber,
+      answer: ans.answer,
+      answeredAt: ans.answeredAt
+    })));
+
+    console.log('Available exam questions:', examQuestions.map(q => ({
+      questionNumber: q.questionNumber,
+      questionType: q.questionType,
+      marks: q.marks,
+      _id: q._id
+    })));
+
+    for (const answer of attempt.answers) {
+      let question;
+      
+      console.log('Processing answer:', { 
+        questionId: answer.questionId, 
+        questionNumber: answer.questionNumber,
+        answer: answer.answer,
+        answeredAt: answer.answeredAt
+      });
+      
+      // Find the question (handle both embedded and legacy structures)
+      if (exam.embeddedQuestions && exam.embeddedQuestions.length > 0) {
+        // For embedded questions, match by questionNumber primarily
+        question = examQuestions.find(q => {
+          // Try matching by questionNumber first (most reliable for embedded questions)
+          if (q.questionNumber === answer.questionNumber) {
+            return true;
+          }
+          // Fallback to ID matching if available
+          if (q._id && answer.questionId && q._id.toString() === answer.questionId.toString()) {
+            return true;
+          }
+          // Try matching by generated ID pattern
+          if (answer.questionId && answer.questionId.includes('embedded_') && 
+              answer.questionId === `embedded_${q.questionNumber}`) {
+            return true;
+          }
+          return false;
+        });
+      } else {
+        // For legacy questions, match by ID
+        question = examQuestions.find(q => q._id?.toString() === answer.questionId?.toString());
+      }
+
+      if (!question) {
+        console.error('CRITICAL: Question not found for answer:', {
+          questionId: answer.questionId,
+          questionNumber: answer.questionNumber,
+          answer: answer.answer,
+          availableQuestions: examQuestions.map(q => ({ 
+            id: q._id, 
+            number: q.questionNumber, 
+            type: q.questionType 
+          }))
+        });
+        // Still add the answer to gradedAnswers to prevent data loss
+        gradedAnswers.push({
+          ...answer,
+          questionType: 'Unknown',
+          isCorrect: false,
+          marksObtained: 0,
+          needsGrading: true
+        });
+        continue;
+      }
+
+      console.log('Found matching question:', {
+        questionNumber: question.questionNumber,
+        questionType: question.questionType,
+        marks: question.marks
+      });
+
+      const gradedAnswer = {
+        ...answer,
+        questionType: question.questionType
+      };
+
+      if (question.questionType === 'Objective') {
+        objectiveQuestions++;
+        
+        // Calculate score but don't show to student until teacher releases results
+        let studentAnswer = answer.answer;
+
+        // Shuffled options: map the indices shown on screen back to the exam's
+        // own option indices. The displayed ones are kept so regrading maps from them again.
+        if (getOptionOrder(attempt, question.questionNumber)) {
+          const hasShuffledAnswer = answer.shuffledAnswer !== undefined && answer.shuffledAnswer !== null;
+          const displayedAnswer = hasShuffledAnswer ? answer.shuffledAnswer : answer.answer;
+          const displayedIndices = toSelectedIndices(displayedAnswer);
+          if (isArrangement(question) && Array.isArray(displayedAnswer)) {
+            // Matching and ordering answers are positional: map each slot, keeping blanks
+            studentAnswer = displayedAnswer.map(index => (
+              index === null || index === undefined || index === ''
+                ? null
+                : toCanonicalOptionIndex(attempt, question.questionNumber, parseInt(index))
+            ));
+            gradedAnswer.shuffledAnswer = displayedAnswer;
+            gradedAnswer.answer = studentAnswer;
+          } else if (!isArrangement(question) && displayedIndices.length > 0) {
+            const canonicalIndices = displayedIndices.map(index => toCanonicalOptionIndex(attempt, question.questionNumber, index));
+            studentAnswer = question.multipleAnswers ? canonicalIndices : canonicalIndices[0];
+            gradedAnswer.shuffledAnswer = question.multipleAnswers ? displayedIndices : displayedIndices[0];
+            gradedAnswer.answer = studentAnswer;
+          }
+        }
+
+        const { isCorrect, marksObtained } = scoreObjectiveAnswer(question, studentAnswer);
+        
+        console.log('Grading objective question:', {
+          questionNumber: question.questionNumber,
+          studentAnswer,
+          answerType: question.answerType,
+          correctAnswer: question.multipleAnswers ? question.correctAnswers : question.correctAnswer,
+          scoringMode: question.multipleAnswers || isArrangement(question) ? question.scoringMode : undefined,
+          isCorrect,
+          marksObtained,
+          marks: question.marks
+        });
+        
+        gradedAnswer.isCorrect = isCorrect;
+        gradedAnswer.marksObtained = marksObtained;
+        gradedAnswer.needsGrading = false; // Objective questions are auto-graded
+
+        // Negative marking: a fraction of the question's marks off for a wrong
+        // answer, unless the question's own scoring mode already deducted for it
+        const negativeMarking = getNegativeMarking(exam);
+        gradedAnswer.negativeMarks = negativeMarking && !penalisesWrongParts(question) &&
+          isWrongObjectiveAnswer({ answer: studentAnswer, marksObtained })
+          ? roundMarks((question.marks || 0) * negativeMarking.fraction)
+          : 0;
+        
+        objectiveScore += gradedAnswer.marksObtained;
+        negativeMarks += gradedAnswer.negativeMarks;
+        totalScore += gradedAnswer.marksObtained - gradedAnswer.negativeMarks;
+      } else if (question.questionType === 'Theory') {
+        theoryQuestions++;
+        
+        console.log('Theory question found, needs manual grading');
+        
+        // Theory questions need manual grading
+        gradedAnswer.isCorrect = null;
+        gradedAnswer.marksObtained = 0; // Will be updated during manual grading
+        gradedAnswer.needsGrading = true;
+
+        // Assisted grading: a suggested mark for the teacher to confirm
+        if (isAssistedGradingEnabled(exam)) {
+          const suggestion = suggestTheoryMarks(question, answer.answer);
+          if (suggestion) gradedAnswer.suggestion = suggestion;
+        }
+      }
+
+      gradedAnswers.push(gradedAnswer);
+    }
+
+    // Negative marking never takes the total below zero
+    totalScore = Math.max(0, roundMarks(totalScore));
+
+    // Don't calculate percentage - keep as 0 until teacher releases results
+    const percentage = 0; // Will be calculated when teacher releases results
+
+    console.log('Grading summary:', {
+      totalScore,
+      objectiveScore,
+      theoryScore,
+      negativeMarks,
+      objectiveQuestions,
+      theoryQuestions,
+      gradingStatus: 'Pending'
+    });
+
+    return {
+      totalScore: 0, // Don't show actual score until teacher releases
+      percentage: 0, // Don't show percentage until teacher releases
+      gradingStatus: 'Pending',
+      gradedAnswers,
+      totalQuestions: examQuestions.length,
+      answeredQuestions: attempt.answers.length,
+      actualScore: totalScore, // Store actual score for teacher use
+      actualPercentage: getAttemptTotalMarks(exam, attempt) > 0 ? (totalScore / getAttemptTotalMarks(exam, attempt)) * 100 : 0,
+      breakdown: {
+        objective: {
+          score: objectiveScore,
+          questions: objectiveQuestions,
+          maxMarks: examQuestions
+            .filter(q => q.questionType === 'Objective')
+            .reduce((sum, q) => sum + (q.marks || 0), 0),
+          negativeMarks: roundMarks(negativeMarks)
+        },
+        theory: {
+          score: theoryScore,
+          questions: theoryQuestions,
+          maxMarks: examQuestions
+            .filter(q => q.questionType === 'Theory')
+            .reduce((sum, q) => sum + (q.marks || 0), 0)
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Error in gradeExamAttempt:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  gradeExamAttempt,
+  autoSubmitExam,
+  getAttemptQuestions,
+  getAttemptTotalMarks,
+  getAttemptPassingMarks,
+  hasPassed,
+  getNegativeMarking,
+  calculateAttemptScore,
+  buildScoreBreakdown
+};
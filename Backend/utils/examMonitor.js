@@ -0,0 +1,296 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
+const { getAttemptDeadline, getRemainingSeconds, getStudentExamRoom } = require('./examTimer');
+const { getPaperQuestionCount } = require('./questionShuffle');
+const { getExamClassIds } = require('./examAudience');
+const { getExamAccessFilter } = require('./teachingAssignments');
+
+// Live view of an exam for the teacher proctoring it. Students report their
+// progress over the socket while they are in the exam-<id> room; attempt
+// changes made through the REST routes are pushed here too. Both reach the
+// teachers in the exam-<id>-monitor room. Messages meant for one student
+// (violation warnings, forced submission) go to their user-<id> room, and
+// teacher controls (extra time, pause, force-submit) to their own room in the
+// exam, so no student learns another's deadline.
+
+const getMonitorRoom = (examId) => `exam-${examId}-monitor`;
+
+// Session log entries that mean the attempt was reached from somewhere new
+const DEVICE_CHANGE_EVENTS = ['ip-changed', 'user-agent-changed', 'fingerprint-changed', 'rejected', 'takeover-completed'];
+
+const isAnswered = (answer) => answer.answer !== undefined && answer.answer !== null && answer.answer !== '';
+
+const getMonitorStatus = (attempt, connected) => {
+  if (!attempt) return 'not-started';
+  if (attempt.isCompleted) return 'submitted';
+  return connected ? 'in-progress' : 'disconnected';
+};
+
+class ExamMonitor {
+  constructor(io) {
+    this.io = io;
+    // examId -> Map(studentId -> { socketIds, currentQuestion, lastSeen })
+    this.presence = new Map();
+  }
+
+  // Set Socket.IO instance
+  setIO(io) {
+    this.io = io;
+  }
+
+  hasMonitors(examId) {
+    const room = this.io && this.io.sockets.adapter.rooms.get(getMonitorRoom(examId));
+    return !!room && room.size > 0;
+  }
+
+  // Verify the socket's login token and that the user may watch this exam:
+  // the teacher who set it, or an admin. Resolves to { exam } or { error }.
+  async authorize(socket, examId) {
+    if (!mongoose.Types.ObjectId.isValid(examId)) {
+      return { error: 'Invalid exam' };
+    }
+
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) return { error: 'Not authenticated' };
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return { error: 'Not authenticated' };
+    }
+
+    const user = await User.findById(decoded.id).select('role isActive');
+    if (!user || !user.isActive || !['teacher', 'admin'].includes(user.role)) {
+      return { error: 'Not authorized to monitor exams' };
+    }
+
+    const exam = await Exam.findById(examId);
+    if (!exam) return { error: 'Exam not found' };
+
+    // Teachers monitor the exams they can see results for
+    if (user.role === 'teacher' && !(await Exam.exists({ _id: exam._id, ...await getExamAccessFilter(user._id) }))) {
+      return { error: 'Not authorized to monitor this exam' };
+    }
+
+    return { exam };
+  }
+
+  getPresence(examId, studentId) {
+    const students = this.presence.get(examId.toString());
+    return students ? students.get(studentId.toString()) : null;
+  }
+
+  // One row of the monitor for a student and their latest attempt
+  buildStudentEntry(exam, student, attempt, now = new Date()) {
+    const studentId = (student._id || student).toString();
+    const presence = this.getPresence(exam._id, studentId);
+    const connected = !!presence && presence.socketIds.size > 0;
+
+    const entry = {
+      studentId,
+      status: getMonitorStatus(attempt, connected),
+      connected,
+      currentQuestion: presence ? presence.currentQuestion : null,
+      lastSeen: presence ? presence.lastSeen : null,
+      answeredCount: 0,
+      integrityEventCount: 0,
+      violationCount: 0,
+      paused: false,
+      extraMinutes: 0,
+      takeoverPending: false,
+      deviceChanges: 0,
+      questionCount: getPaperQuestionCount(exam) || (exam.questions || []).length,
+      startTime: null,
+      deadline: null,
+      remainingSeconds: null,
+      submittedAt: null,
+      submissionReason: null
+    };
+
+    if (student.firstName) {
+      entry.name = `${student.firstName} ${student.lastName}`;
+      entry.admissionNumber = student.studentId;
+    }
+
+    if (attempt) {
+      const deadline = getAttemptDeadline(exam, attempt, now);
+      entry.answeredCount = (attempt.answers || []).filter(isAnswered).length;
+      entry.integrityEventCount = (attempt.integrityEvents || []).length;
+      entry.violationCount = attempt.violationCount || 0;
+      entry.paused = !!attempt.pausedAt && !attempt.isCompleted;
+      entry.extraMinutes = attempt.extraMinutes || 0;
+      entry.takeoverPending = !attempt.isCompleted && !!attempt.takeoverRequest && attempt.takeoverRequest.status === 'pending';
+      entry.deviceChanges = (attempt.sessionLog || []).filter(event => DEVICE_CHANGE_EVENTS.includes(event.event)).length;
+      if (attempt.drawnQuestions && attempt.drawnQuestions.length > 0) {
+        entry.questionCount = attempt.drawnQuestions.length;
+      }
+      entry.startTime = attempt.startTime;
+      entry.deadline = deadline;
+      entry.remainingSeconds = attempt.isCompleted ? 0 : getRemainingSeconds(deadline, now);
+      entry.submittedAt = attempt.submittedAt || null;
+      entry.submissionReason = attempt.submissionReason || null;
+    }
+
+    return entry;
+  }
+
+  // Every student the exam is open to, with the state of their latest attempt
+  async getSnapshot(exam) {
+    const studentQuery = { role: 'student', class: { $in: await getExamClassIds(exam) }, isActive: true };
+    if (exam.allowedStudents && exam.allowedStudents.length > 0) {
+      studentQuery._id = { $in: exam.allowedStudents };
+    }
+
+    const [students, attempts] = await Promise.all([
+      User.find(studentQuery).select('firstName lastName studentId').sort({ lastName: 1, firstName: 1 }),
+      ExamAttempt.find({ exam: exam._id })
+        .select('student startTime deadline answers.answer integrityEvents.type violationCount extraMinutes pausedAt takeoverRequest.status sessionLog.event drawnQuestions isCompleted submittedAt submissionReason')
+        .sort({ startTime: -1 })
+    ]);
+
+    const latestAttempts = new Map();
+    attempts.forEach(attempt => {
+      const studentId = attempt.student.toString();
+      if (!latestAttempts.has(studentId)) latestAttempts.set(studentId, attempt);
+    });
+
+    const now = new Date();
+    return {
+      examId: exam._id.toString(),
+      serverTime: now.toISOString(),
+      exam: {
+        title: exam.title,
+        examCode: exam.examCode,
+        duration: exam.duration,
+        startTime: exam.startTime,
+        endTime: exam.endTime,
+        pausedAt: exam.pausedAt || null
+      },
+      students: students.map(student =>
+        this.buildStudentEntry(exam, student, latestAttempts.get(student._id.toString()), now)
+      )
+    };
+  }
+
+  emitStudentUpdate(examId, student) {
+    if (!this.io) return;
+    this.io.to(getMonitorRoom(examId)).emit('monitor-student-update', {
+      examId: examId.toString(),
+      serverTime: new Date().toISOString(),
+      student
+    });
+  }
+
+  sendToStudent(studentId, event, payload) {
+    if (!this.io) return;
+    this.io.to(`user-${studentId}`).emit(event, payload);
+  }
+
+  // The student's sockets in the exam room
+  sendToStudentInExam(examId, studentId, event, payload) {
+    if (!this.io) return;
+    this.io.to(getStudentExamRoom(examId, studentId)).emit(event, payload);
+  }
+
+  sendToExam(examId, event, payload) {
+    if (!this.io) return;
+    this.io.to(`exam-${examId}`).emit(event, payload);
+  }
+
+  // One browser tab, e.g. the device that just lost an attempt's session
+  sendToSocket(socketId, event, payload) {
+    if (!this.io) return;
+    this.io.to(socketId).emit(event, payload);
+  }
+
+  // Resend the whole monitor after a change to every attempt (exam paused or resumed)
+  async refresh(exam) {
+    if (!this.hasMonitors(exam._id)) return;
+
+    try {
+      this.io.to(getMonitorRoom(exam._id)).emit('monitor-snapshot', await this.getSnapshot(exam));
+    } catch (error) {
+      console.error('Exam monitor refresh error:', error);
+    }
+  }
+
+  // Push a student's row after their attempt changed (started, answered,
+  // submitted, reset). Pass attempt as null when the student has none.
+  async attemptUpdated(exam, studentId, attempt) {
+    if (!this.hasMonitors(exam._id)) return;
+
+    try {
+      if (attempt === undefined) {
+        attempt = await ExamAttempt.findLatestAttempt(exam._id, studentId);
+      }
+      this.emitStudentUpdate(exam._id, this.buildStudentEntry(exam, studentId, attempt));
+    } catch (error) {
+      console.error('Exam monitor update error:', error);
+    }
+  }
+
+  studentJoined(examId, studentId, socketId) {
+    const key = examId.toString();
+    if (!this.presence.has(key)) this.presence.set(key, new Map());
+
+    const students = this.presence.get(key);
+    const id = studentId.toString();
+    if (!students.has(id)) {
+      students.set(id, { socketIds: new Set(), currentQuestion: null, lastSeen: null });
+    }
+
+    const presence = students.get(id);
+    presence.socketIds.add(socketId);
+    presence.lastSeen = new Date();
+    this.emitStudentUpdate(examId, { studentId: id, connected: true, lastSeen: presence.lastSeen });
+  }
+
+  // Progress reported by the student's browser between answer saves
+  recordProgress(examId, studentId, progress = {}) {
+    const presence = this.getPresence(examId, studentId);
+    if (!presence) return;
+
+    presence.lastSeen = new Date();
+    const update = { studentId: studentId.toString(), connected: true, lastSeen: presence.lastSeen };
+
+    if (Number.isInteger(progress.currentQuestion)) {
+      presence.currentQuestion = progress.currentQuestion;
+      update.currentQuestion = progress.currentQuestion;
+    }
+    if (Number.isInteger(progress.answered)) {
+      update.answeredCount = progress.answered;
+    }
+
+    this.emitStudentUpdate(examId, update);
+  }
+
+  studentLeft(examId, studentId, socketId) {
+    const key = examId.toString();
+    const students = this.presence.get(key);
+    const presence = students && students.get(studentId.toString());
+    if (!presence || !presence.socketIds.delete(socketId)) return;
+
+    if (presence.socketIds.size === 0) {
+      presence.lastSeen = new Date();
+      this.emitStudentUpdate(examId, { studentId: studentId.toString(), connected: false, lastSeen: presence.lastSeen });
+    }
+
+    // Forget the exam once nobody is sitting it
+    const anyConnected = [...students.values()].some(entry => entry.socketIds.size > 0);
+    if (!anyConnected) this.presence.delete(key);
+  }
+
+  // A socket closed: mark its student offline in every exam it was sitting
+  socketDisconnected(socketId, studentId) {
+    if (!studentId) return;
+    this.presence.forEach((students, examId) => {
+      this.studentLeft(examId, studentId, socketId);
+    });
+  }
+}
+
+module.exports = ExamMonitor;
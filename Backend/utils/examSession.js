@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const ExamAttempt = require('../models/ExamAttempt');
+
+// An attempt is locked to the first device that starts it. /start hands that
+// device a session token which every answer save, sync, integrity report and
+// submission must carry. Another device is turned away unless the teacher
+// approves it taking the attempt over. A device coming back is recognised
+// by its session token, or failing that its full fingerprint. With the token,
+// a changed fingerprint (browser update, new screen, time zone) is only
+// logged. Without it, the same device id with different browser traits may be
+// a copied id, so it needs the teacher's approval like any other device.
+// Changes of IP address, browser or fingerprint are kept in the attempt's
+// session log for the teacher to review.
+
+// Oldest entries are dropped past this many
+const SESSION_LOG_LIMIT = 200;
+
+const createSessionToken = () => crypto.randomBytes(24).toString('hex');
+
+// The device and network a request came from
+const getSessionClient = (req) => ({
+  sessionToken: req.body.sessionToken || null,
+  fingerprint: req.body.deviceFingerprint,
+  socketId: req.body.socketId || null,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const logSessionEvent = (attempt, event, client, previous) => {
+  attempt.sessionLog.push({
+    event,
+    at: new Date(),
+    fingerprint: client.fingerprint,
+    ipAddress: client.ipAddress,
+    userAgent: client.userAgent,
+    previous
+  });
+  if (attempt.sessionLog.length > SESSION_LOG_LIMIT) {
+    attempt.sessionLog.splice(0, attempt.sessionLog.length - SESSION_LOG_LIMIT);
+  }
+};
+
+// Keep the attempt's IP address and user agent current, logging any change
+const trackClientChanges = (attempt, client) => {
+  if (attempt.ipAddress && client.ipAddress && attempt.ipAddress !== client.ipAddress) {
+    logSessionEvent(attempt, 'ip-changed', client, attempt.ipAddress);
+  }
+  if (attempt.userAgent && client.userAgent && attempt.userAgent !== client.userAgent) {
+    logSessionEvent(attempt, 'user-agent-changed', client, attempt.userAgent);
+  }
+  attempt.ipAddress = client.ipAddress;
+  attempt.userAgent = client.userAgent;
+};
+
+// The random id part of a device fingerprint; the rest is a hash of browser
+// traits that can change between visits (see Frontend deviceFingerprint.js)
+const getDeviceId = (fingerprint) => String(fingerprint || '').split('-')[0];
+
+// Token holder with a changed fingerprint: a soft signal for the teacher, not a lockout
+const updateFingerprint = (attempt, client) => {
+  if (attempt.session.fingerprint === client.fingerprint) return;
+  logSessionEvent(attempt, 'fingerprint-changed', client, attempt.session.fingerprint);
+  attempt.session.fingerprint = client.fingerprint;
+};
+
+const bindSession = (attempt, client) => {
+  attempt.session = {
+    token: createSessionToken(),
+    fingerprint: client.fingerprint,
+    socketId: client.socketId,
+    boundAt: new Date()
+  };
+  trackClientChanges(attempt, client);
+};
+
+// Decide whether the device calling /start may take the attempt. Changes the
+// attempt in memory; the caller saves it. Resolves the outcome as
+//   bound            - this device holds the session (attempt.session.token)
+//   conflict         - another device holds it
+//   takeover-pending - waiting for the teacher
+//   takeover-denied  - the teacher refused this device
+// A new takeover request is flagged `requested`; a completed takeover also
+// returns the socket of the device that lost the session.
+const claimExamSession = (attempt, client, { requestTakeover = false } = {}) => {
+  const session = attempt.session || {};
+
+  if (!session.token) {
+    bindSession(attempt, client);
+    logSessionEvent(attempt, 'session-started', client);
+    return { status: 'bound' };
+  }
+
+  // Same device coming back (reload, reconnect, another tab): it holds the
+  // session token, or failing that has the same fingerprint
+  const holdsToken = !!client.sessionToken && client.sessionToken === session.token;
+  if (holdsToken || session.fingerprint === client.fingerprint) {
+    updateFingerprint(attempt, client);
+    if (client.socketId) attempt.session.socketId = client.socketId;
+    trackClientChanges(attempt, client);
+    return { status: 'bound' };
+  }
+
+  const takeover = attempt.takeoverRequest;
+  const isRequester = !!takeover && takeover.fingerprint === client.fingerprint;
+
+  if (isRequester && takeover.status === 'approved') {
+    const revokedSocketId = session.socketId;
+    bindSession(attempt, client);
+    attempt.takeoverRequest = undefined;
+    logSessionEvent(attempt, 'takeover-completed', client);
+    return { status: 'bound', revokedSocketId };
+  }
+
+  if (isRequester && takeover.status === 'pending') {
+    return { status: 'takeover-pending' };
+  }
+
+  // The bound device's id with other browser traits asks the teacher on its own
+  const sameDeviceId = getDeviceId(session.fingerprint) === getDeviceId(client.fingerprint);
+  if (requestTakeover || (sameDeviceId && !isRequester)) {
+    attempt.takeoverRequest = {
+      fingerprint: client.fingerprint,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent,
+      requestedAt: new Date(),
+      status: 'pending'
+    };
+    logSessionEvent(attempt, 'takeover-requested', client);
+    return { status: 'takeover-pending', requested: true };
+  }
+
+  if (isRequester && takeover.status === 'denied') {
+    return { status: 'takeover-denied' };
+  }
+
+  logSessionEvent(attempt, 'rejected', client);
+  return { status: 'conflict' };
+};
+
+// Attempts started before sessions existed have no token and are not checked
+const isSessionValid = (attempt, sessionToken) => {
+  return !attempt.session || !attempt.session.token || attempt.session.token === sessionToken;
+};
+
+// Log an IP address or browser change seen on a request mid-exam without
+// rewriting the rest of the attempt
+const recordClientChange = async (attempt, req) => {
+  const client = getSessionClient(req);
+  const entries = [];
+  const update = {};
+
+  if (attempt.ipAddress && client.ipAddress && attempt.ipAddress !== client.ipAddress) {
+    entries.push({ event: 'ip-changed', at: new Date(), ipAddress: client.ipAddress, userAgent: client.userAgent, previous: attempt.ipAddress });
+    update.ipAddress = client.ipAddress;
+  }
+  if (attempt.userAgent && client.userAgent && attempt.userAgent !== client.userAgent) {
+    entries.push({ event: 'user-agent-changed', at: new Date(), ipAddress: client.ipAddress, userAgent: client.userAgent, previous: attempt.userAgent });
+    update.userAgent = client.userAgent;
+  }
+  if (entries.length === 0) return false;
+
+  await ExamAttempt.updateOne(
+    { _id: attempt._id },
+    { $set: update, $push: { sessionLog: { $each: entries, $slice: -SESSION_LOG_LIMIT } } }
+  );
+  return true;
+};
+
+// A student's socket joined the exam room: remember it as the session's
+// socket, or report that it belongs to a device that no longer holds the session
+const registerSessionSocket = async (examId, studentId, sessionToken, socketId) => {
+  const attempt = await ExamAttempt.findActiveAttempt(examId, studentId);
+  if (!attempt || !attempt.session || !attempt.session.token) return { valid: true };
+  if (attempt.session.token !== sessionToken) return { valid: false };
+
+  await ExamAttempt.updateOne(
+    { _id: attempt._id, 'session.token': sessionToken },
+    { $set: { 'session.socketId': socketId } }
+  );
+  return { valid: true };
+};
+
+module.exports = {
+  SESSION_LOG_LIMIT,
+  getSessionClient,
+  claimExamSession,
+  isSessionValid,
+  recordClientChange,
+  registerSessionSocket
+};
@@ -0,0 +1,119 @@
+const Exam = require('../models/Exam');
+const ExamAttempt = require('../models/ExamAttempt');
+
+// How often every open exam receives a timer-sync event
+const TIMER_SYNC_INTERVAL = 15 * 1000; // 15 seconds
+
+// Answers that arrive slightly after the deadline are still accepted so a
+// save sent in the final second is not lost to network latency
+const DEADLINE_GRACE_SECONDS = 5;
+
+// Deadline for an attempt: the full duration from when the student started,
+// but never later than the exam's own closing time
+const computeAttemptDeadline = (exam, startTime) => {
+  const durationEnd = new Date(new Date(startTime).getTime() + exam.duration * 60 * 1000);
+  const examEnd = new Date(exam.endTime);
+  return durationEnd < examEnd ? durationEnd : examEnd;
+};
+
+// Attempts created before deadlines were stored get one derived from their
+// start time. A paused attempt's clock is stopped, so its deadline moves on
+// with the time it has spent paused.
+const getAttemptDeadline = (exam, attempt, now = new Date()) => {
+  const deadline = attempt.deadline
+    ? new Date(attempt.deadline)
+    : computeAttemptDeadline(exam, attempt.startTime || new Date());
+
+  if (attempt.pausedAt && !attempt.isCompleted) {
+    const pausedFor = Math.max(0, now.getTime() - new Date(attempt.pausedAt).getTime());
+    return new Date(deadline.getTime() + pausedFor);
+  }
+  return deadline;
+};
+
+const getRemainingSeconds = (deadline, now = new Date()) => {
+  return Math.max(0, Math.floor((new Date(deadline).getTime() - now.getTime()) / 1000));
+};
+
+const isPastDeadline = (deadline, now = new Date(), graceSeconds = 0) => {
+  return now.getTime() > new Date(deadline).getTime() + graceSeconds * 1000;
+};
+
+// A student's own room within an exam. Timer updates carry deadlines, which
+// reveal who is sitting the exam and who was given extra time, so each
+// student is only sent theirs.
+const getStudentExamRoom = (examId, studentId) => `exam-${examId}-student-${studentId}`;
+
+// Build the payload pushed to an exam's monitors: the server clock plus the
+// deadline of every attempt still in progress, keyed by student id
+const buildTimerSyncPayload = (exam, attempts, now = new Date()) => {
+  const deadlines = {};
+  attempts
+    .filter(attempt => !attempt.isCompleted && attempt.student)
+    .forEach(attempt => {
+      deadlines[attempt.student.toString()] = getAttemptDeadline(exam, attempt, now).toISOString();
+    });
+
+  return {
+    examId: exam._id.toString(),
+    serverTime: now.toISOString(),
+    examEndTime: exam.endTime,
+    deadlines
+  };
+};
+
+// The part of a timer-sync payload one student may see
+const buildStudentTimerSync = (payload, studentId) => ({
+  examId: payload.examId,
+  serverTime: payload.serverTime,
+  examEndTime: payload.examEndTime,
+  deadline: payload.deadlines[studentId.toString()] || null
+});
+
+// Periodically emit timer-sync for every exam-<id> room that has sockets in
+// it: each student gets their own deadline, the exam's monitors all of them
+const startTimerSync = (io, interval = TIMER_SYNC_INTERVAL) => {
+  const syncRooms = async () => {
+    try {
+      const examIds = [];
+      io.sockets.adapter.rooms.forEach((sockets, room) => {
+        const match = room.match(/^exam-([a-f\d]{24})$/i);
+        if (match && sockets.size > 0) examIds.push(match[1]);
+      });
+
+      if (examIds.length === 0) return;
+
+      const [exams, openAttempts] = await Promise.all([
+        Exam.find({ _id: { $in: examIds } }).select('duration endTime'),
+        ExamAttempt.find({ exam: { $in: examIds }, isCompleted: false }).select('exam student startTime deadline pausedAt isCompleted')
+      ]);
+
+      const now = new Date();
+      exams.forEach(exam => {
+        const attempts = openAttempts.filter(attempt => attempt.exam.toString() === exam._id.toString());
+        const payload = buildTimerSyncPayload(exam, attempts, now);
+        Object.keys(payload.deadlines).forEach(studentId => {
+          io.to(getStudentExamRoom(exam._id, studentId)).emit('timer-sync', buildStudentTimerSync(payload, studentId));
+        });
+        io.to(`exam-${exam._id}-monitor`).emit('timer-sync', payload);
+      });
+    } catch (error) {
+      console.error('Timer sync error:', error);
+    }
+  };
+
+  return setInterval(syncRooms, interval);
+};
+
+module.exports = {
+  TIMER_SYNC_INTERVAL,
+  DEADLINE_GRACE_SECONDS,
+  computeAttemptDeadline,
+  getAttemptDeadline,
+  getRemainingSeconds,
+  isPastDeadline,
+  getStudentExamRoom,
+  buildTimerSyncPayload,
+  buildStudentTimerSync,
+  startTimerSync
+};
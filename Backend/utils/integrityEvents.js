@@ -0,0 +1,15 @@
+// Integrity events the exam page can report. Exams choose which of them their
+// violation policy counts, and attempts record them, so both models use this list.
+const INTEGRITY_EVENT_TYPES = [
+  'fullscreen-exit',
+  'tab-hidden',
+  'window-blur',
+  'copy',
+  'paste',
+  'context-menu',
+  'devtools-open'
+];
+
+module.exports = {
+  INTEGRITY_EVENT_TYPES
+};
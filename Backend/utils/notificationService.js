@@ -153,6 +153,35 @@ class NotificationService {
     });
   }
 
+  async notifyExamAutoSubmitted({ studentId, teacherId, examId, examTitle, studentName, reason }) {
+    const violationLimit = reason === 'violation-limit';
+    return await this.createAndSendNotification({
+      recipientId: teacherId,
+      senderId: studentId,
+      type: 'exam_submitted',
+      title: 'Exam Auto-Submitted',
+      message: violationLimit
+        ? `${studentName}'s attempt at ${examTitle} was submitted automatically after reaching the integrity violation limit`
+        : `${studentName}'s attempt at ${examTitle} was submitted automatically after the time ran out`,
+      data: { examId, studentId, studentName, reason },
+      priority: violationLimit ? 'high' : 'normal',
+      actionUrl: `/teacher/results/${examId}`
+    });
+  }
+
+  async notifyExamSessionTakeover({ studentId, teacherId, examId, examTitle, studentName }) {
+    return await this.createAndSendNotification({
+      recipientId: teacherId,
+      senderId: studentId,
+      type: 'warning',
+      title: 'Exam Opened on Another Device',
+      message: `${studentName} is asking to continue ${examTitle} on another device`,
+      data: { examId, studentId, studentName },
+      priority: 'high',
+      actionUrl: `/teacher/exams/${examId}/monitor`
+    });
+  }
+
   async notifyResultPublished({ teacherId, studentIds, examId, examTitle, teacherName }) {
     const notifications = [];
     
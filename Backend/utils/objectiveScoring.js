@@ -0,0 +1,335 @@
+const Question = require('../models/Question');
+
+// Marking for objective questions, by answer type:
+//   multiple-choice - one option index, or for a multiple-answer ("select all
+//                     that apply") question an array of indices
+//   true-false      - the index of True or False
+//   fill-blank      - text, matched against the accepted answers
+//   numeric         - text holding a number and optionally its unit, within
+//                     the question's tolerance of the answer
+//   matching        - per left item (in the question's order), the index of
+//                     the right item matched to it
+//   ordering        - item indices in the order the student put them
+// Multiple-answer, matching and ordering questions are marked part by part
+// (options, pairs or positions) by the question's scoring mode:
+//   all-or-nothing - full marks only when every part is right
+//   partial        - an equal share of the marks for each right part; picking
+//                    more options than are correct scores 0
+//   negative       - the same share for each right part, minus a share for
+//                    each wrong one, never below 0
+
+const SCORING_MODES = Question.schema.path('scoringMode').enumValues;
+const ANSWER_TYPES = Question.schema.path('answerType').enumValues;
+
+const getAnswerType = (question) => question.answerType || 'multiple-choice';
+
+// Answered by picking from the question's options
+const usesOptions = (question) => ['multiple-choice', 'true-false'].includes(getAnswerType(question));
+
+// Answered by arranging items, each of which the attempt shuffles
+const isArrangement = (question) => ['matching', 'ordering'].includes(getAnswerType(question));
+
+// Whether a saved answer holds anything; blank matching slots do not count
+const isAnswerGiven = (answer) => {
+  if (answer === undefined || answer === null) return false;
+  if (Array.isArray(answer)) return answer.some(value => value !== null && value !== undefined && value !== '');
+  return String(answer).trim() !== '';
+};
+
+// Indices of the correct options. Bank questions flag their options
+// isCorrect; exam questions store the indices.
+const getCorrectOptionIndices = (question) => {
+  const options = question.options || [];
+  if (options.some(option => option && typeof option === 'object' && option.isCorrect !== undefined)) {
+    return options.reduce((indices, option, index) => (option.isCorrect ? [...indices, index] : indices), []);
+  }
+
+  if (question.multipleAnswers && question.correctAnswers && question.correctAnswers.length > 0) {
+    return [...question.correctAnswers];
+  }
+  return question.correctAnswer !== undefined && question.correctAnswer !== null ? [question.correctAnswer] : [];
+};
+
+// The option indices in a saved answer, without duplicates
+const toSelectedIndices = (answer) => {
+  if (answer === undefined || answer === null || answer === '') return [];
+  const values = Array.isArray(answer) ? answer : [answer];
+  const indices = values.map(value => parseInt(value)).filter(index => !isNaN(index));
+  return [...new Set(indices)];
+};
+
+const roundMarks = (marks) => Math.round(marks * 100) / 100;
+
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+// A typed number with its commas resolved: "3,5" and "3,25" use a decimal
+// comma, "1,234,567.5" groups thousands. Any other comma is ambiguous, so null.
+const normalizeNumberText = (text) => {
+  if (!text.includes(',')) return text;
+  if (/^[-+]?\d+,\d{1,2}$/.test(text)) return text.replace(',', '.');
+  if (/^[-+]?\d{1,3}(?:,\d{3})+(?:\.\d*)?(?:e[-+]?\d+)?$/i.test(text)) return text.replace(/,/g, '');
+  return null;
+};
+
+// "9.8 m/s" -> { value: 9.8, unit: 'm/s' }; "9,8 m/s" reads the same
+const parseNumericAnswer = (answer) => {
+  const match = String(answer).trim().match(/^([-+]?(?:\d[\d,]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return null;
+  const numberText = normalizeNumberText(match[1]);
+  if (numberText === null) return null;
+  const value = parseFloat(numberText);
+  return isNaN(value) ? null : { value, unit: match[2].trim() };
+};
+
+const isWithinTolerance = (question, value) => {
+  const tolerance = question.tolerance || 0;
+  const allowed = question.toleranceType === 'relative'
+    ? Math.abs(question.numericAnswer) * (tolerance / 100)
+    : tolerance;
+  // Leeway for floating point, e.g. 0.1 + 0.2
+  return Math.abs(value - question.numericAnswer) <= allowed + 1e-9;
+};
+
+// A unit typed with the number must be one the question accepts; leaving it
+// out is fine as the unit is shown beside the answer box
+const isAcceptedUnit = (question, unit) => {
+  if (!unit) return true;
+  const compact = (text) => String(text).replace(/\s+/g, '');
+  return [question.unit, ...(question.acceptedUnits || [])]
+    .filter(accepted => accepted)
+    .some(accepted => compact(accepted) === compact(unit));
+};
+
+const isTextAnswerCorrect = (question, answer) => {
+  if (!isAnswerGiven(answer)) return false;
+
+  if (getAnswerType(question) === 'numeric') {
+    const parsed = parseNumericAnswer(answer);
+    return !!parsed && isWithinTolerance(question, parsed.value) && isAcceptedUnit(question, parsed.unit);
+  }
+
+  const given = normalizeText(answer, question.caseSensitive);
+  return (question.acceptedAnswers || [])
+    .filter(accepted => accepted)
+    .some(accepted => normalizeText(accepted, question.caseSensitive) === given);
+};
+
+// Number of pairs or items in a matching or ordering question
+const getArrangementSize = (question) => {
+  return getAnswerType(question) === 'matching'
+    ? (question.matchingPairs || []).length
+    : (question.orderingItems || []).length;
+};
+
+const scoreByMode = (question, rightParts, wrongParts, isCorrect, partCount) => {
+  const marks = question.marks || 0;
+  const share = partCount > 0 ? marks / partCount : 0;
+
+  switch (question.scoringMode) {
+    case 'partial':
+      return rightParts * share;
+    case 'negative':
+      return Math.max(0, (rightParts - wrongParts) * share);
+    default:
+      return isCorrect ? marks : 0;
+  }
+};
+
+// Scored part by part in 'negative' mode, which already takes a share off for
+// each wrong part, so the exam's negative marking must not apply on top
+const penalisesWrongParts = (question) => {
+  return question.scoringMode === 'negative' && (!!question.multipleAnswers || isArrangement(question));
+};
+
+// Resolves { isCorrect, marksObtained }; isCorrect only for a fully correct answer
+const scoreObjectiveAnswer = (question, answer) => {
+  const marks = question.marks || 0;
+
+  if (!usesOptions(question) && !isArrangement(question)) {
+    const isCorrect = isTextAnswerCorrect(question, answer);
+    return { isCorrect, marksObtained: isCorrect ? marks : 0 };
+  }
+
+  // Matching pairs line up with their right items and ordering items are
+  // stored in order, so part i is right when it holds index i. A right item
+  // shared by several pairs matches any of them.
+  if (isArrangement(question)) {
+    const size = getArrangementSize(question);
+    const pairs = question.matchingPairs || [];
+    const isRightPart = (value, index) => value === index ||
+      (getAnswerType(question) === 'matching' && !!pairs[value] && pairs[value].right === pairs[index].right);
+    const given = (Array.isArray(answer) ? answer : []).slice(0, size)
+      .map(value => (value === null || value === undefined || value === '' ? null : parseInt(value)));
+    const rightParts = given.filter((value, index) => value !== null && isRightPart(value, index)).length;
+    const wrongParts = given.filter((value, index) => value !== null && !isRightPart(value, index)).length;
+    const isCorrect = size > 0 && rightParts === size;
+    return { isCorrect, marksObtained: roundMarks(scoreByMode(question, rightParts, wrongParts, isCorrect, size)) };
+  }
+
+  const correct = getCorrectOptionIndices(question);
+  const selected = toSelectedIndices(answer);
+
+  if (!question.multipleAnswers) {
+    const isCorrect = selected.length === 1 && correct.includes(selected[0]);
+    return { isCorrect, marksObtained: isCorrect ? marks : 0 };
+  }
+
+  const correctPicks = selected.filter(index => correct.includes(index)).length;
+  const wrongPicks = selected.length - correctPicks;
+  const isCorrect = correct.length > 0 && correctPicks === correct.length && wrongPicks === 0;
+  const marksObtained = question.scoringMode === 'partial' && selected.length > correct.length
+    ? 0
+    : scoreByMode(question, correctPicks, wrongPicks, isCorrect, correct.length);
+
+  return { isCorrect, marksObtained: roundMarks(marksObtained) };
+};
+
+// Why an exam question's answer key cannot be marked, or null when it can.
+// Covers the answer types without options; option questions are checked by
+// the exam routes.
+const getAnswerKeyError = (question) => {
+  switch (getAnswerType(question)) {
+    case 'fill-blank':
+      if ((question.acceptedAnswers || []).filter(answer => answer && String(answer).trim()).length === 0) {
+        return 'Fill-in-the-blank questions must have at least one accepted answer';
+      }
+      return null;
+    case 'numeric':
+      if (question.numericAnswer === undefined || question.numericAnswer === null || question.numericAnswer === '' || isNaN(Number(question.numericAnswer))) {
+        return 'Numeric questions must have a numeric answer';
+      }
+      if (question.tolerance !== undefined && question.tolerance !== null && question.tolerance !== '' && !(Number(question.tolerance) >= 0)) {
+        return 'Tolerance must be zero or more';
+      }
+      return null;
+    case 'matching':
+      if ((question.matchingPairs || []).filter(pair => pair && pair.left && pair.right).length < 2) {
+        return 'Matching questions must have at least 2 complete pairs';
+      }
+      return null;
+    case 'ordering':
+      if ((question.orderingItems || []).filter(item => item && String(item).trim()).length < 2) {
+        return 'Ordering questions must have at least 2 items';
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// The stored answer key of a question without options, e.g. for its results
+const getTypedAnswerKey = (question) => {
+  if (usesOptions(question)) return {};
+  return {
+    acceptedAnswers: question.acceptedAnswers || [],
+    caseSensitive: !!question.caseSensitive,
+    numericAnswer: question.numericAnswer,
+    tolerance: question.tolerance || 0,
+    toleranceType: question.toleranceType,
+    unit: question.unit || '',
+    acceptedUnits: question.acceptedUnits || [],
+    matchingPairs: (question.matchingPairs || []).map(pair => ({ left: pair.left, right: pair.right })),
+    orderingItems: question.orderingItems || []
+  };
+};
+
+// "9.8 m/s² (± 0.1)" or "9.8 m/s² (± 2%)"
+const formatNumericAnswer = (question) => {
+  const unit = question.unit ? ` ${question.unit}` : '';
+  if (!question.tolerance) return `${question.numericAnswer}${unit}`;
+  const tolerance = question.toleranceType === 'relative' ? `${question.tolerance}%` : question.tolerance;
+  return `${question.numericAnswer}${unit} (± ${tolerance})`;
+};
+
+// An answer to a question without options as text, e.g. for results. Matching
+// and ordering answers must already hold the exam's own item indices.
+const formatTypedAnswer = (question, answer) => {
+  if (!isAnswerGiven(answer)) return '';
+
+  switch (getAnswerType(question)) {
+    case 'matching': {
+      const pairs = question.matchingPairs || [];
+      return (Array.isArray(answer) ? answer : [])
+        .map((rightIndex, leftIndex) => {
+          const right = pairs[parseInt(rightIndex)];
+          return pairs[leftIndex] && right ? `${pairs[leftIndex].left} → ${right.right}` : null;
+        })
+        .filter(text => text)
+        .join('; ');
+    }
+    case 'ordering':
+      return (Array.isArray(answer) ? answer : [])
+        .map(index => (question.orderingItems || [])[parseInt(index)])
+        .filter(item => item !== undefined)
+        .join(' → ');
+    default:
+      return String(answer);
+  }
+};
+
+// The correct answer to a question without options as text
+const formatTypedCorrectAnswer = (question) => {
+  switch (getAnswerType(question)) {
+    case 'fill-blank':
+      return (question.acceptedAnswers || []).join(' / ');
+    case 'numeric':
+      return formatNumericAnswer(question);
+    case 'matching':
+      return (question.matchingPairs || []).map(pair => `${pair.left} → ${pair.right}`).join('; ');
+    case 'ordering':
+      return (question.orderingItems || []).join(' → ');
+    default:
+      return '';
+  }
+};
+
+// The answer key fields of an answer type without options, cleaned of blank
+// entries, for storing on a question
+const toTypedAnswerKey = (question) => {
+  const answerType = getAnswerType(question);
+  const key = { answerType };
+
+  if (answerType === 'fill-blank') {
+    key.acceptedAnswers = (question.acceptedAnswers || []).map(answer => String(answer).trim()).filter(answer => answer);
+    key.caseSensitive = !!question.caseSensitive;
+  } else if (answerType === 'numeric') {
+    key.numericAnswer = Number(question.numericAnswer);
+    key.tolerance = Number(question.tolerance) || 0;
+    key.toleranceType = question.toleranceType === 'relative' ? 'relative' : 'absolute';
+    key.unit = question.unit ? String(question.unit).trim() : '';
+    key.acceptedUnits = (question.acceptedUnits || []).map(unit => String(unit).trim()).filter(unit => unit);
+  } else if (answerType === 'matching') {
+    key.matchingPairs = (question.matchingPairs || [])
+      .filter(pair => pair && pair.left && pair.right)
+      .map(pair => ({ left: String(pair.left).trim(), right: String(pair.right).trim() }));
+    key.scoringMode = question.scoringMode || 'all-or-nothing';
+  } else if (answerType === 'ordering') {
+    key.orderingItems = (question.orderingItems || []).map(item => String(item).trim()).filter(item => item);
+    key.scoringMode = question.scoringMode || 'all-or-nothing';
+  }
+
+  return key;
+};
+
+module.exports = {
+  SCORING_MODES,
+  ANSWER_TYPES,
+  getAnswerType,
+  usesOptions,
+  isArrangement,
+  isAnswerGiven,
+  getCorrectOptionIndices,
+  toSelectedIndices,
+  roundMarks,
+  parseNumericAnswer,
+  penalisesWrongParts,
+  scoreObjectiveAnswer,
+  getAnswerKeyError,
+  formatTypedAnswer,
+  formatTypedCorrectAnswer,
+  getTypedAnswerKey,
+  toTypedAnswerKey
+};
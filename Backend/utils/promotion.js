@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const ExamAttempt = require('../models/ExamAttempt');
+
+// End-of-session promotion. Each student moves up one level, repeats their
+// level when the session's results fall short, or graduates from SS3. A
+// subject is failed when the student's average over the session's graded
+// exams in it is below the subject's passing score; a student repeats after
+// failing a compulsory subject or more than `maxFailedSubjects` subjects.
+
+const PROMOTION_OUTCOMES = ['promoted', 'repeated', 'graduated'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const getNextLevel = (level) => {
+  const index = Class.LEVELS.indexOf(level);
+  return index >= 0 && index < Class.LEVELS.length - 1 ? Class.LEVELS[index + 1] : null;
+};
+
+// The class of the next level a class moves up to: the same arm and
+// department when the school has it, otherwise the same arm, otherwise the
+// level's first class
+const findNextClass = (classItem, classes) => {
+  const nextLevel = getNextLevel(classItem.level);
+  if (!nextLevel) return null;
+  const arms = classes.filter(other => other.level === nextLevel);
+  return arms.find(arm => arm.arm === classItem.arm && (arm.department || '') === (classItem.department || '')) ||
+    arms.find(arm => arm.arm === classItem.arm) ||
+    arms[0] ||
+    null;
+};
+
+const getAttemptPercentage = (attempt) =>
+  attempt.actualPercentage > 0 ? attempt.actualPercentage : (attempt.percentage || 0);
+
+// Average percentage per subject over the latest attempt of each exam.
+// `attempts` are one student's, newest first.
+const getSubjectAverages = (attempts) => {
+  const seenExams = new Set();
+  const totals = new Map();
+  attempts.forEach(attempt => {
+    const examId = attempt.exam._id.toString();
+    if (seenExams.has(examId)) return;
+    seenExams.add(examId);
+
+    const subjectId = attempt.exam.subject.toString();
+    const total = totals.get(subjectId) || { sum: 0, exams: 0 };
+    total.sum += getAttemptPercentage(attempt);
+    total.exams += 1;
+    totals.set(subjectId, total);
+  });
+
+  return [...totals.entries()].map(([subjectId, total]) => ({
+    subjectId,
+    average: round(total.sum / total.exams),
+    exams: total.exams
+  }));
+};
+
+const wasDecidedIn = (student, academicSession) =>
+  (student.promotionHistory || []).some(entry =>
+    entry.session && entry.session.toString() === academicSession._id.toString());
+
+// A proposed outcome for every active student, from the session's results
+const buildPromotionProposals = async (academicSession, { maxFailedSubjects = 2 } = {}) => {
+  const [classes, students, subjects, attempts] = await Promise.all([
+    Class.find({ isActive: true }).sort({ level: 1, name: 1 }),
+    User.find({ role: 'student', isActive: true })
+      .select('firstName lastName studentId class promotionHistory')
+      .sort({ lastName: 1, firstName: 1 }),
+    Subject.find().select('name passingScore isCompulsory'),
+    ExamAttempt.find({ academicSession: academicSession._id, isCompleted: true, gradingStatus: 'Completed' })
+      .select('student exam percentage actualPercentage startTime')
+      .populate('exam', 'subject')
+      .sort({ startTime: -1 })
+  ]);
+
+  const attemptsByStudent = new Map();
+  attempts.filter(attempt => attempt.exam).forEach(attempt => {
+    const studentId = attempt.student.toString();
+    if (!attemptsByStudent.has(studentId)) attemptsByStudent.set(studentId, []);
+    attemptsByStudent.get(studentId).push(attempt);
+  });
+
+  const proposals = [];
+  students.forEach(student => {
+    const classItem = classes.find(other => student.class && other._id.toString() === student.class.toString());
+    if (!classItem) return;
+
+    const results = getSubjectAverages(attemptsByStudent.get(student._id.toString()) || []).map(result => {
+      const subject = subjects.find(other => other._id.toString() === result.subjectId);
+      const passingScore = subject ? subject.passingScore : 40;
+      return {
+        subject: result.subjectId,
+        name: subject ? subject.name : 'Unknown subject',
+        average: result.average,
+        exams: result.exams,
+        passingScore,
+        isCompulsory: !!(subject && subject.isCompulsory),
+        passed: result.average >= passingScore
+      };
+    });
+    const failedSubjects = results.filter(result => !result.passed);
+    const shouldRepeat = failedSubjects.length > maxFailedSubjects ||
+      failedSubjects.some(result => result.isCompulsory);
+
+    const nextClass = findNextClass(classItem, classes);
+    let outcome = shouldRepeat ? 'repeated' : 'promoted';
+    if (!shouldRepeat && classItem.level === 'SS3') outcome = 'graduated';
+
+    let toClass = null;
+    if (outcome === 'promoted') toClass = nextClass ? nextClass._id : null;
+    if (outcome === 'repeated') toClass = classItem._id;
+
+    proposals.push({
+      student: {
+        _id: student._id,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        studentId: student.studentId
+      },
+      fromClass: {
+        _id: classItem._id,
+        name: classItem.name,
+        level: classItem.level
+      },
+      outcome,
+      toClass,
+      nextClass: nextClass ? nextClass._id : null,
+      overallAverage: results.length > 0
+        ? round(results.reduce((sum, result) => sum + result.average, 0) / results.length)
+        : null,
+      subjects: results,
+      failedSubjects: failedSubjects.length,
+      noResults: results.length === 0,
+      alreadyDecided: wasDecidedIn(student, academicSession)
+    });
+  });
+
+  return {
+    proposals,
+    classes: classes.map(classItem => ({
+      _id: classItem._id,
+      name: classItem.name,
+      level: classItem.level
+    }))
+  };
+};
+
+// Check the admin's decisions and turn them into changes, or explain why
+// they cannot be applied: { changes } or { error }
+const resolvePromotionDecisions = async (decisions, academicSession) => {
+  const studentIds = decisions.map(decision => decision.student);
+  if (new Set(studentIds).size !== studentIds.length) {
+    return { error: 'Each student can only have one decision' };
+  }
+
+  const [students, classes] = await Promise.all([
+    User.find({ _id: { $in: studentIds }, role: 'student', isActive: true }).populate('class', 'name level'),
+    Class.find({ isActive: true })
+  ]);
+
+  const changes = [];
+  for (const decision of decisions) {
+    const student = students.find(other => other._id.toString() === decision.student);
+    if (!student) {
+      return { error: 'One or more students were not found or are inactive' };
+    }
+
+    const studentName = `${student.firstName} ${student.lastName}`;
+    const fromClass = student.class;
+    if (!fromClass) {
+      return { error: `${studentName} is not in a class` };
+    }
+    if (wasDecidedIn(student, academicSession)) {
+      return { error: `${studentName} has already been moved this session` };
+    }
+
+    if (decision.outcome === 'graduated') {
+      if (fromClass.level !== 'SS3') {
+        return { error: `Only SS3 students can graduate (${studentName} is in ${fromClass.name})` };
+      }
+      changes.push({ student, fromClass, toClass: null, outcome: 'graduated' });
+      continue;
+    }
+
+    const expectedLevel = decision.outcome === 'promoted' ? getNextLevel(fromClass.level) : fromClass.level;
+    if (!expectedLevel) {
+      return { error: `${studentName} is in SS3 and can only repeat or graduate` };
+    }
+
+    const toClassId = decision.toClass || (decision.outcome === 'repeated' ? fromClass._id.toString() : null);
+    const toClass = classes.find(other => other._id.toString() === toClassId);
+    if (!toClass) {
+      return { error: `Choose a class for ${studentName}` };
+    }
+    if (toClass.level !== expectedLevel) {
+      return { error: `${studentName} must move to a ${expectedLevel} class` };
+    }
+
+    changes.push({ student, fromClass, toClass, outcome: decision.outcome });
+  }
+
+  return { changes };
+};
+
+// Apply the changes in one transaction, then rebuild the `students` list of
+// every class a student left or joined so it matches User.class
+const applyPromotions = async (changes, academicSession) => {
+  const dbSession = await mongoose.startSession();
+  const decidedAt = new Date();
+  const summary = { promoted: 0, repeated: 0, graduated: 0 };
+
+  try {
+    await dbSession.withTransaction(async () => {
+      const touchedClassIds = new Set();
+      PROMOTION_OUTCOMES.forEach(outcome => { summary[outcome] = 0; });
+
+      for (const change of changes) {
+        const update = {
+          $push: {
+            promotionHistory: {
+              session: academicSession._id,
+              fromClass: change.fromClass._id,
+              toClass: change.toClass ? change.toClass._id : undefined,
+              outcome: change.outcome,
+              decidedAt
+            }
+          }
+        };
+        update.$set = change.outcome === 'graduated'
+          ? { isActive: false, graduatedAt: decidedAt, graduationSession: academicSession._id }
+          : { class: change.toClass._id };
+
+        await User.updateOne({ _id: change.student._id }, update, { session: dbSession });
+
+        touchedClassIds.add(change.fromClass._id.toString());
+        if (change.toClass) touchedClassIds.add(change.toClass._id.toString());
+        summary[change.outcome] += 1;
+      }
+
+      for (const classId of touchedClassIds) {
+        const roster = await User.find({ class: classId, role: 'student', isActive: true })
+          .select('_id')
+          .session(dbSession);
+        await Class.updateOne(
+          { _id: classId },
+          { $set: { students: roster.map(student => student._id) } },
+          { session: dbSession }
+        );
+      }
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+
+  return summary;
+};
+
+module.exports = {
+  PROMOTION_OUTCOMES,
+  getNextLevel,
+  buildPromotionProposals,
+  resolvePromotionDecisions,
+  applyPromotions
+};
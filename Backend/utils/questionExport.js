@@ -0,0 +1,279 @@
+const path = require('path');
+const fs = require('fs');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const CP_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const CP_SCHEMA = 'http://www.imsglobal.org/xsd/imscp_v1p1.xsd';
+const MD_NAMESPACE = 'http://ltsc.ieee.org/xsd/LOM';
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+const EXPORT_FORMATS = ['qti', 'gift'];
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// GIFT reserves ~ = # { } :; newlines are written as \n so a multi-line
+// question never produces the blank line that ends a GIFT entry
+const escapeGift = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/([~=#{}:])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+const getKeywords = (question) => (question.keywords || []).filter(Boolean);
+
+const getCorrectOptionIndexes = (question) => (question.options || [])
+  .map((option, index) => (option.isCorrect ? index : -1))
+  .filter(index => index !== -1);
+
+// Resolve an image reference to a file inside Backend/uploads when it points
+// there, so it can be shipped inside the QTI package. Anything else (absolute
+// URLs, missing files) is kept as an external reference.
+const resolveLocalMedia = (reference) => {
+  if (!reference || /^[a-z]+:\/\//i.test(reference) || reference.startsWith('data:')) {
+    return null;
+  }
+
+  const relative = reference.replace(/^\/?uploads\//, '');
+  const sourcePath = path.join(UPLOADS_DIR, relative);
+  if (!sourcePath.startsWith(UPLOADS_DIR) || !fs.existsSync(sourcePath)) {
+    return null;
+  }
+
+  return {
+    sourcePath,
+    href: `media/${relative.replace(/[\\/]/g, '_')}`
+  };
+};
+
+const buildQtiItem = (question, identifier, imageHref) => {
+  const marks = question.marks || 1;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"`,
+    `  identifier="${identifier}" title="${escapeXml(question.topic || question.questionText.slice(0, 60))}"`,
+    '  adaptive="false" timeDependent="false">'
+  ];
+
+  if (question.questionType === 'Objective') {
+    const correctIndexes = getCorrectOptionIndexes(question);
+    const cardinality = correctIndexes.length > 1 ? 'multiple' : 'single';
+
+    lines.push(`  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">`);
+    lines.push('    <correctResponse>');
+    correctIndexes.forEach(index => lines.push(`      <value>CHOICE_${index + 1}</value>`));
+    lines.push('    </correctResponse>');
+    lines.push('  </responseDeclaration>');
+  } else {
+    lines.push('  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>');
+  }
+
+  lines.push('  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">');
+  lines.push('    <defaultValue><value>0</value></defaultValue>');
+  lines.push('  </outcomeDeclaration>');
+  lines.push('  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">');
+  lines.push(`    <defaultValue><value>${marks}</value></defaultValue>`);
+  lines.push('  </outcomeDeclaration>');
+  if (question.explanation) {
+    lines.push('  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>');
+  }
+
+  lines.push('  <itemBody>');
+  lines.push(`    <p>${escapeXml(question.questionText)}</p>`);
+  if (imageHref) {
+    lines.push(`    <p><img src="${escapeXml(imageHref)}" alt="${escapeXml(`Image for question ${identifier}`)}"/></p>`);
+  }
+
+  if (question.questionType === 'Objective') {
+    const correctCount = getCorrectOptionIndexes(question).length;
+    lines.push(`    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${correctCount > 1 ? 0 : 1}">`);
+    (question.options || []).forEach((option, index) => {
+      lines.push(`      <simpleChoice identifier="CHOICE_${index + 1}">${escapeXml(option.text)}</simpleChoice>`);
+    });
+    lines.push('    </choiceInteraction>');
+  } else {
+    lines.push('    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>');
+
+    // Marking guidance is only shown to scorers, never to candidates
+    const keywords = getKeywords(question);
+    if (question.expectedAnswer || keywords.length > 0) {
+      lines.push('    <rubricBlock view="scorer">');
+      if (question.expectedAnswer) {
+        lines.push(`      <p>Expected answer: ${escapeXml(question.expectedAnswer)}</p>`);
+      }
+      if (keywords.length > 0) {
+        lines.push(`      <p>Keywords: ${escapeXml(keywords.join(', '))}</p>`);
+      }
+      lines.push('    </rubricBlock>');
+    }
+  }
+  lines.push('  </itemBody>');
+
+  if (question.questionType === 'Objective') {
+    lines.push('  <responseProcessing>');
+    lines.push('    <responseCondition>');
+    lines.push('      <responseIf>');
+    lines.push('        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>');
+    lines.push(`        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${marks}</baseValue></setOutcomeValue>`);
+    lines.push('      </responseIf>');
+    lines.push('    </responseCondition>');
+    if (question.explanation) {
+      lines.push('    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>');
+    }
+    lines.push('  </responseProcessing>');
+  }
+
+  if (question.explanation) {
+    lines.push('  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">');
+    lines.push(`    <p>${escapeXml(question.explanation)}</p>`);
+    lines.push('  </modalFeedback>');
+  }
+
+  lines.push('</assessmentItem>');
+  return lines.join('\n');
+};
+
+const buildQtiManifest = (resources) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest xmlns="${CP_NAMESPACE}" xmlns:imsmd="${MD_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${CP_NAMESPACE} ${CP_SCHEMA}"`,
+    `  identifier="MANIFEST-${Date.now()}">`,
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>'
+  ];
+
+  resources.forEach(resource => {
+    lines.push(`    <resource identifier="${resource.identifier}" type="imsqti_item_xmlv2p1" href="${resource.href}">`);
+    if (resource.keywords.length > 0) {
+      lines.push('      <metadata>');
+      lines.push('        <imsmd:lom><imsmd:general>');
+      resource.keywords.forEach(keyword => {
+        lines.push(`          <imsmd:keyword><imsmd:string>${escapeXml(keyword)}</imsmd:string></imsmd:keyword>`);
+      });
+      lines.push('        </imsmd:general></imsmd:lom>');
+      lines.push('      </metadata>');
+    }
+    lines.push(`      <file href="${resource.href}"/>`);
+    if (resource.mediaHref) {
+      lines.push(`      <file href="${resource.mediaHref}"/>`);
+    }
+    lines.push('    </resource>');
+  });
+
+  lines.push('  </resources>');
+  lines.push('</manifest>');
+  return lines.join('\n');
+};
+
+// Build the files of an IMS QTI 2.1 content package. Returns the XML entries
+// to write and the local media files to copy alongside them; zipping is left
+// to the caller so the package can be streamed straight to the response.
+const buildQtiPackage = (questions) => {
+  const files = [];
+  const media = [];
+  const resources = [];
+
+  questions.forEach((question, index) => {
+    const identifier = `ITEM_${String(index + 1).padStart(4, '0')}_${question._id}`;
+    const href = `items/${identifier}.xml`;
+
+    const localImage = resolveLocalMedia(question.image);
+    if (localImage && !media.some(item => item.href === localImage.href)) {
+      media.push(localImage);
+    }
+    // Images stored in uploads are referenced relative to the item file
+    const imageHref = localImage ? `../${localImage.href}` : question.image;
+
+    files.push({ name: href, content: buildQtiItem(question, identifier, imageHref) });
+    resources.push({
+      identifier,
+      href,
+      mediaHref: localImage ? localImage.href : null,
+      keywords: [...new Set([...(question.tags || []), ...getKeywords(question)])]
+    });
+  });
+
+  files.unshift({ name: 'imsmanifest.xml', content: buildQtiManifest(resources) });
+
+  return { files, media };
+};
+
+const buildGiftQuestion = (question, index) => {
+  const lines = [];
+  const meta = [`marks: ${question.marks}`, `difficulty: ${question.difficulty}`];
+  if (question.tags && question.tags.length > 0) meta.push(`tags: ${question.tags.join(', ')}`);
+  lines.push(`// question ${index + 1}: ${meta.join(' | ')}`);
+
+  let text = escapeGift(question.questionText);
+  if (question.image) {
+    text += `<br><img src\\="${escapeGift(question.image)}">`;
+  }
+  const title = `Q${index + 1}${question.topic ? ` - ${escapeGift(question.topic)}` : ''}`;
+
+  const feedback = [];
+  if (question.explanation) feedback.push(question.explanation);
+
+  if (question.questionType === 'Objective') {
+    const correctIndexes = getCorrectOptionIndexes(question);
+    const weight = correctIndexes.length > 1 ? Math.round((100 / correctIndexes.length) * 100000) / 100000 : null;
+
+    lines.push(`::${title}::[html]${text} {`);
+    (question.options || []).forEach((option, optionIndex) => {
+      const isCorrect = correctIndexes.includes(optionIndex);
+      if (weight) {
+        lines.push(`  ~%${isCorrect ? weight : -100}%${escapeGift(option.text)}`);
+      } else {
+        lines.push(`  ${isCorrect ? '=' : '~'}${escapeGift(option.text)}`);
+      }
+    });
+  } else {
+    // GIFT essays carry no marking data, so the expected answer and keywords
+    // travel in the general feedback where teachers can still see them
+    if (question.expectedAnswer) feedback.push(`Expected answer: ${question.expectedAnswer}`);
+    const keywords = getKeywords(question);
+    if (keywords.length > 0) feedback.push(`Keywords: ${keywords.join(', ')}`);
+
+    lines.push(`::${title}::[html]${text} {`);
+  }
+
+  if (feedback.length > 0) {
+    lines.push(`  ####${escapeGift(feedback.join('\n'))}`);
+  }
+  lines.push('}');
+
+  return lines.join('\n');
+};
+
+// Build a Moodle GIFT file, grouping questions under $CATEGORY lines by topic
+const buildGiftFile = (questions) => {
+  const blocks = [];
+  let currentCategory = null;
+
+  const sorted = [...questions].sort((a, b) => (a.topic || '').localeCompare(b.topic || ''));
+  sorted.forEach((question, index) => {
+    const category = question.topic || '';
+    if (category && category !== currentCategory) {
+      blocks.push(`$CATEGORY: ${category}`);
+    }
+    currentCategory = category;
+    blocks.push(buildGiftQuestion(question, index));
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildQtiPackage,
+  buildGiftFile
+};
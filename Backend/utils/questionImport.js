@@ -0,0 +1,621 @@
+const ExcelJS = require('exceljs');
+
+// Supported import formats and the file extensions that map to them
+const IMPORT_FORMATS = {
+  csv: ['.csv'],
+  xlsx: ['.xlsx'],
+  gift: ['.gift'],
+  aiken: ['.aiken']
+};
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Known spreadsheet headers for each Question field (compared lowercased, without spaces/underscores)
+const COLUMN_ALIASES = {
+  questionText: ['questiontext', 'question', 'text', 'stem'],
+  questionType: ['questiontype', 'type'],
+  optionA: ['optiona', 'option1', 'a'],
+  optionB: ['optionb', 'option2', 'b'],
+  optionC: ['optionc', 'option3', 'c'],
+  optionD: ['optiond', 'option4', 'd'],
+  optionE: ['optione', 'option5', 'e'],
+  optionF: ['optionf', 'option6', 'f'],
+  options: ['options', 'choices'],
+  correctAnswer: ['correctanswer', 'answer', 'correct', 'key'],
+  marks: ['marks', 'mark', 'points', 'score'],
+  difficulty: ['difficulty', 'level'],
+  topic: ['topic'],
+  tags: ['tags', 'tag'],
+  explanation: ['explanation', 'feedback'],
+  expectedAnswer: ['expectedanswer', 'modelanswer', 'sampleanswer'],
+  keywords: ['keywords', 'keyword']
+};
+
+const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES);
+
+// Work out the import format from an explicit value or the uploaded file name
+const detectFormat = (fileName = '', format) => {
+  if (format && IMPORT_FORMATS[format.toLowerCase()]) {
+    return format.toLowerCase();
+  }
+
+  const lowerName = fileName.toLowerCase();
+  const match = Object.keys(IMPORT_FORMATS).find(key =>
+    IMPORT_FORMATS[key].some(ext => lowerName.endsWith(ext))
+  );
+
+  // Plain .txt files are usually Aiken exports
+  if (!match && lowerName.endsWith('.txt')) return 'aiken';
+
+  return match || null;
+};
+
+// Split a comma/semicolon/pipe separated cell into trimmed values
+const splitList = (value, separator = /[,;|]/) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (value === undefined || value === null) return [];
+  return String(value).split(separator).map(v => v.trim()).filter(Boolean);
+};
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, newlines inside quotes)
+const parseCSVRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM added by Excel
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop completely empty lines
+  return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+};
+
+// Read the first worksheet of an Excel workbook as an array of rows, each
+// cell as the text Excel displays for it
+const parseXLSXRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('Could not read the Excel file. Please save it as .xlsx and try again.');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow(row => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      cells.push(row.getCell(column).text);
+    }
+    rows.push(cells);
+  });
+  return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[\s_\-()]/g, '');
+
+// Guess which column holds which Question field
+const buildDefaultMapping = (headers) => {
+  const mapping = {};
+
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(key =>
+      !mapping[key] && COLUMN_ALIASES[key].includes(normalized)
+    );
+    if (field) mapping[field] = index;
+  });
+
+  return mapping;
+};
+
+// Resolve an answer key such as "B", "2", "A,C" or the option text into option indices
+const resolveCorrectIndices = (answer, options) => {
+  const indices = new Set();
+
+  splitList(answer).forEach(token => {
+    const upper = token.toUpperCase();
+    const letterIndex = OPTION_LETTERS.indexOf(upper);
+
+    if (letterIndex >= 0 && letterIndex < options.length) {
+      indices.add(letterIndex);
+    } else if (/^\d+$/.test(token) && parseInt(token) >= 1 && parseInt(token) <= options.length) {
+      indices.add(parseInt(token) - 1);
+    } else {
+      const textIndex = options.findIndex(option => option.toLowerCase() === token.toLowerCase());
+      if (textIndex >= 0) indices.add(textIndex);
+    }
+  });
+
+  return [...indices];
+};
+
+const normalizeQuestionType = (value, hasOptions) => {
+  const type = String(value || '').trim().toLowerCase();
+  if (['objective', 'obj', 'mcq', 'multiple choice', 'multiplechoice'].includes(type)) return 'Objective';
+  if (['theory', 'essay', 'subjective', 'short answer'].includes(type)) return 'Theory';
+  if (!type) return hasOptions ? 'Objective' : 'Theory';
+  return value;
+};
+
+const normalizeDifficulty = (value, defaultDifficulty) => {
+  if (!value) return defaultDifficulty;
+  const match = DIFFICULTIES.find(level => level.toLowerCase() === String(value).trim().toLowerCase());
+  return match || String(value).trim();
+};
+
+// Convert one spreadsheet row into Question fields using a column mapping
+const mapTabularRow = (cells, mapping, defaults) => {
+  const cell = (field) => {
+    const index = mapping[field];
+    if (index === undefined || index === null || index === '') return '';
+    const value = cells[parseInt(index)];
+    return value === undefined || value === null ? '' : String(value).trim();
+  };
+
+  let optionTexts = OPTION_LETTERS
+    .map(letter => cell(`option${letter}`))
+    .filter(text => text !== '');
+
+  if (optionTexts.length === 0 && cell('options')) {
+    optionTexts = splitList(cell('options'), '|');
+  }
+
+  const questionType = normalizeQuestionType(cell('questionType'), optionTexts.length > 0);
+  const question = {
+    questionText: cell('questionText'),
+    questionType,
+    marks: cell('marks') !== '' ? parseFloat(cell('marks')) : defaults.marks,
+    difficulty: normalizeDifficulty(cell('difficulty'), defaults.difficulty),
+    topic: cell('topic') || defaults.topic || '',
+    tags: splitList(cell('tags')).map(tag => tag.toLowerCase()),
+    explanation: cell('explanation')
+  };
+
+  if (questionType === 'Objective') {
+    const correctIndices = resolveCorrectIndices(cell('correctAnswer'), optionTexts);
+    question.options = optionTexts.map((text, index) => ({
+      text,
+      isCorrect: correctIndices.includes(index)
+    }));
+    // Several answers in the key make a "select all that apply" question
+    question.multipleAnswers = correctIndices.length > 1;
+  } else {
+    question.expectedAnswer = cell('expectedAnswer') || cell('correctAnswer');
+    question.keywords = splitList(cell('keywords'));
+  }
+
+  return question;
+};
+
+// Parse Aiken format: question text, lettered options, then "ANSWER: X"
+const parseAiken = (content, defaults) => {
+  const questions = [];
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let current = null;
+
+  const finish = (line) => {
+    if (current) {
+      questions.push({ ...current, line: current.line || line });
+    }
+    current = null;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+
+    if (!line) {
+      // Blank lines only separate questions when the previous one is complete
+      if (current && current.answered) finish(lineNumber);
+      return;
+    }
+
+    const optionMatch = line.match(/^([A-Z])[.)]\s+(.*)$/);
+    const answerMatch = line.match(/^ANSWER:\s*(.+)$/i);
+
+    if (answerMatch && current) {
+      const letters = splitList(answerMatch[1]).map(letter => letter.toUpperCase());
+      current.options = current.options.map((option, optionIndex) => ({
+        ...option,
+        isCorrect: letters.includes(OPTION_LETTERS[optionIndex])
+      }));
+      current.answered = true;
+      finish(lineNumber);
+    } else if (optionMatch && current && current.options.length < OPTION_LETTERS.length) {
+      current.options.push({ text: optionMatch[2].trim(), isCorrect: false });
+    } else if (current && current.options.length === 0) {
+      // Multi-line question stems
+      current.questionText += `\n${line}`;
+    } else {
+      finish(lineNumber);
+      current = {
+        line: lineNumber,
+        questionText: line,
+        questionType: 'Objective',
+        options: [],
+        marks: defaults.marks,
+        difficulty: defaults.difficulty,
+        topic: defaults.topic || '',
+        tags: [],
+        explanation: ''
+      };
+    }
+  });
+
+  finish(lines.length);
+
+  return questions.map(({ answered, line, ...question }) => ({ line, question }));
+};
+
+// Remove GIFT escape sequences (\~ \= \# \{ \} \:)
+const unescapeGift = (text) => text.replace(/\\([~=#{}:])/g, '$1').replace(/\\n/g, '\n').trim();
+
+// Strip an optional [html]/[moodle]/[markdown] format marker
+const stripGiftFormat = (text) => text.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+// Split a GIFT answer block on unescaped = and ~ markers
+const splitGiftAnswers = (block) => {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\' && i + 1 < block.length) {
+      if (current) current.text += char + block[i + 1];
+      i++;
+    } else if (char === '=' || char === '~') {
+      if (current) answers.push(current);
+      current = { marker: char, text: '' };
+    } else if (current) {
+      current.text += char;
+    }
+  }
+  if (current) answers.push(current);
+
+  return answers.map(answer => {
+    let text = answer.text;
+    let feedback = '';
+    let weight = null;
+
+    const feedbackIndex = text.search(/(^|[^\\])#/);
+    if (feedbackIndex >= 0) {
+      const splitAt = text[feedbackIndex] === '#' ? feedbackIndex : feedbackIndex + 1;
+      feedback = text.slice(splitAt + 1);
+      text = text.slice(0, splitAt);
+    }
+
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+    }
+
+    return {
+      text: unescapeGift(stripGiftFormat(text.trim())),
+      feedback: unescapeGift(feedback),
+      isCorrect: answer.marker === '=' || (weight !== null && weight > 0)
+    };
+  });
+};
+
+// Find the index of the first unescaped occurrence of a character
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Parse Moodle GIFT format (multiple choice, true/false, short answer and essay questions)
+const parseGift = (content, defaults) => {
+  const results = [];
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let topic = defaults.topic || '';
+  let block = [];
+  let blockStart = 1;
+
+  const blocks = [];
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (line.startsWith('//')) return;
+
+    if (line.startsWith('$CATEGORY:')) {
+      blocks.push({ category: line.slice('$CATEGORY:'.length).trim() });
+      return;
+    }
+
+    if (!line) {
+      if (block.length > 0) blocks.push({ text: block.join('\n'), line: blockStart });
+      block = [];
+      return;
+    }
+
+    if (block.length === 0) blockStart = index + 1;
+    block.push(rawLine);
+  });
+  if (block.length > 0) blocks.push({ text: block.join('\n'), line: blockStart });
+
+  blocks.forEach(entry => {
+    if (entry.category !== undefined) {
+      // Use the last segment of "$CATEGORY: $course$/Maths/Algebra" as the topic
+      const segments = entry.category.split('/').filter(Boolean);
+      topic = segments[segments.length - 1] || topic;
+      return;
+    }
+
+    let text = entry.text;
+    const base = {
+      marks: defaults.marks,
+      difficulty: defaults.difficulty,
+      topic,
+      tags: [],
+      explanation: ''
+    };
+
+    // Optional ::title::
+    const titleMatch = text.match(/^\s*::((?:\\.|[^:])*)::/);
+    if (titleMatch) text = text.slice(titleMatch[0].length);
+
+    const open = findUnescaped(text, '{');
+    const close = open >= 0 ? findUnescaped(text, '}', open) : -1;
+
+    if (open < 0 || close < 0) {
+      results.push({
+        line: entry.line,
+        question: { ...base, questionText: unescapeGift(stripGiftFormat(text)), questionType: 'Objective', options: [] },
+        errors: ['No answer block ({...}) found in GIFT question']
+      });
+      return;
+    }
+
+    // Text after the answer block is part of the stem ("fill the gap" style)
+    const stem = `${text.slice(0, open).trim()} ${text.slice(close + 1).trim()}`.trim();
+    let answerBlock = text.slice(open + 1, close).trim();
+    const questionText = unescapeGift(stripGiftFormat(stem));
+
+    // General feedback "####..." becomes the explanation
+    const generalFeedbackIndex = answerBlock.indexOf('####');
+    if (generalFeedbackIndex >= 0) {
+      base.explanation = unescapeGift(answerBlock.slice(generalFeedbackIndex + 4));
+      answerBlock = answerBlock.slice(0, generalFeedbackIndex).trim();
+    }
+
+    if (answerBlock === '') {
+      results.push({ line: entry.line, question: { ...base, questionText, questionType: 'Theory', expectedAnswer: '', keywords: [] } });
+      return;
+    }
+
+    if (answerBlock.startsWith('#')) {
+      results.push({
+        line: entry.line,
+        question: { ...base, questionText, questionType: 'Objective', options: [] },
+        errors: ['GIFT numeric questions are not supported']
+      });
+      return;
+    }
+
+    const trueFalse = answerBlock.match(/^(TRUE|FALSE|T|F)\b/i);
+    if (trueFalse) {
+      const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+      results.push({
+        line: entry.line,
+        question: {
+          ...base,
+          questionText,
+          questionType: 'Objective',
+          options: [
+            { text: 'True', isCorrect: isTrue },
+            { text: 'False', isCorrect: !isTrue }
+          ]
+        }
+      });
+      return;
+    }
+
+    const answers = splitGiftAnswers(answerBlock);
+
+    if (answers.some(answer => answer.text.includes('->'))) {
+      results.push({
+        line: entry.line,
+        question: { ...base, questionText, questionType: 'Objective', options: [] },
+        errors: ['GIFT matching questions are not supported']
+      });
+      return;
+    }
+
+    // Only "=" answers means a short-answer question: keep the accepted answers for manual grading
+    if (answers.length > 0 && answers.every(answer => answer.isCorrect) && !answerBlock.includes('~')) {
+      results.push({
+        line: entry.line,
+        question: {
+          ...base,
+          questionText,
+          questionType: 'Theory',
+          expectedAnswer: answers.map(answer => answer.text).join(' / '),
+          keywords: answers.map(answer => answer.text)
+        }
+      });
+      return;
+    }
+
+    results.push({
+      line: entry.line,
+      question: {
+        ...base,
+        questionText,
+        questionType: 'Objective',
+        options: answers.map(answer => ({ text: answer.text, isCorrect: answer.isCorrect }))
+      }
+    });
+  });
+
+  return results;
+};
+
+// Validate an imported question against the same rules as POST /api/teacher/questions
+const validateImportedQuestion = (question) => {
+  const errors = [];
+
+  if (!question.questionText || question.questionText.trim().length < 4) {
+    errors.push('Question text must be at least 4 characters');
+  }
+
+  if (!['Objective', 'Theory'].includes(question.questionType)) {
+    errors.push(`Invalid question type "${question.questionType}"`);
+  }
+
+  if (question.marks === undefined || isNaN(question.marks) || question.marks < 0.5 || question.marks > 20) {
+    errors.push('Marks must be between 0.5 and 20');
+  }
+
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`Invalid difficulty "${question.difficulty}"`);
+  }
+
+  if (question.topic && question.topic.length > 100) {
+    errors.push('Topic cannot exceed 100 characters');
+  }
+
+  if (question.explanation && question.explanation.length > 1000) {
+    errors.push('Explanation cannot exceed 1000 characters');
+  }
+
+  if (question.questionType === 'Objective') {
+    const options = question.options || [];
+    if (options.length < 2) {
+      errors.push('Objective questions must have at least 2 options');
+    }
+    if (options.some(option => !option.text || option.text.length > 500)) {
+      errors.push('Option text must be between 1 and 500 characters');
+    }
+    if (!options.some(option => option.isCorrect)) {
+      errors.push('Objective questions must have at least one correct answer');
+    }
+  }
+
+  if (question.questionType === 'Theory' && question.expectedAnswer && question.expectedAnswer.length > 5000) {
+    errors.push('Expected answer cannot exceed 5000 characters');
+  }
+
+  return errors;
+};
+
+// Parse an uploaded file into preview rows: { line, question, errors, isValid }
+const parseQuestionFile = async ({ buffer, fileName, format, mapping, defaults = {} }) => {
+  const importDefaults = {
+    marks: defaults.marks !== undefined && !isNaN(defaults.marks) ? parseFloat(defaults.marks) : 1,
+    difficulty: defaults.difficulty || 'Medium',
+    topic: defaults.topic || ''
+  };
+
+  const detectedFormat = detectFormat(fileName, format);
+  if (!detectedFormat) {
+    throw new Error('Unsupported file format. Use CSV, XLSX, GIFT or Aiken.');
+  }
+
+  let headers = [];
+  let usedMapping = null;
+  let parsed = [];
+
+  if (detectedFormat === 'csv' || detectedFormat === 'xlsx') {
+    const rows = detectedFormat === 'csv'
+      ? parseCSVRows(buffer.toString('utf8'))
+      : await parseXLSXRows(buffer);
+
+    if (rows.length === 0) {
+      throw new Error('The uploaded file is empty');
+    }
+
+    headers = rows[0].map(header => String(header).trim());
+    usedMapping = mapping && Object.keys(mapping).length > 0 ? mapping : buildDefaultMapping(headers);
+
+    if (usedMapping.questionText === undefined || usedMapping.questionText === '') {
+      throw new Error('Could not find a question text column. Please map the columns manually.');
+    }
+
+    parsed = rows.slice(1).map((cells, index) => ({
+      // +2: header row and 1-based line numbers
+      line: index + 2,
+      question: mapTabularRow(cells, usedMapping, importDefaults)
+    }));
+  } else {
+    const content = buffer.toString('utf8');
+    parsed = detectedFormat === 'gift'
+      ? parseGift(content, importDefaults)
+      : parseAiken(content, importDefaults);
+  }
+
+  const rows = parsed.map((row, index) => {
+    const errors = [...(row.errors || []), ...validateImportedQuestion(row.question)];
+    return {
+      row: index + 1,
+      line: row.line,
+      question: row.question,
+      errors,
+      isValid: errors.length === 0
+    };
+  });
+
+  return {
+    format: detectedFormat,
+    headers,
+    mapping: usedMapping,
+    rows
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  detectFormat,
+  parseCSVRows,
+  parseXLSXRows,
+  buildDefaultMapping,
+  parseAiken,
+  parseGift,
+  validateImportedQuestion,
+  parseQuestionFile
+};
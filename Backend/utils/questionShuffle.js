@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+
+// Question set and order for one attempt. The layout is generated once from
+// a random seed when the attempt starts and stored on the attempt, so every
+// reload serves the same paper and grading can map answers back.
+
+const createShuffleSeed = () => crypto.randomBytes(8).toString('hex');
+
+// Deterministic PRNG (mulberry32) seeded from a string, so a layout can be
+// regenerated from the stored seed if ever needed
+const createRandom = (seed) => {
+  let state = parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffleWith = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const QUESTION_TYPES = [
+  { type: 'Objective', key: 'objective' },
+  { type: 'Theory', key: 'theory' }
+];
+
+// An exam draws a paper per student when a question bank selection asks for
+// fewer questions of a type than its pool holds
+const isRandomDraw = (exam) => {
+  if (!exam.useQuestionBank || !exam.questionBankSelection) return false;
+  const pool = exam.embeddedQuestions || [];
+  const counts = QUESTION_TYPES.map(({ type, key }) => ({
+    count: exam.questionBankSelection[key]?.count || 0,
+    poolSize: pool.filter(question => question.questionType === type).length
+  }));
+
+  // Selections saved without counts serve the whole pool
+  if (counts.every(({ count }) => count === 0)) return false;
+  return counts.some(({ count, poolSize }) => count < poolSize);
+};
+
+// Number of questions on each student's paper
+const getPaperQuestionCount = (exam) => {
+  const pool = exam.embeddedQuestions || [];
+  if (!isRandomDraw(exam)) return pool.length;
+
+  return QUESTION_TYPES.reduce((total, { type, key }) => {
+    const poolSize = pool.filter(question => question.questionType === type).length;
+    return total + Math.min(exam.questionBankSelection[key]?.count || 0, poolSize);
+  }, 0);
+};
+
+// Split `count` across groups in proportion to their size (largest remainder),
+// so every difficulty/topic mix in the pool is represented on each paper
+const allocateByGroup = (groups, count, total) => {
+  const shares = groups.map(group => {
+    const exact = (group.items.length / total) * count;
+    return { group, take: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let remaining = count - shares.reduce((sum, share) => sum + share.take, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(share => {
+      if (remaining > 0 && share.take < share.group.items.length) {
+        share.take++;
+        remaining--;
+      }
+    });
+
+  return shares;
+};
+
+const drawFromPool = (pool, count, stratifyBy, random) => {
+  if (count >= pool.length) return pool;
+  if (!stratifyBy || stratifyBy.length === 0) {
+    return shuffleWith(pool, random).slice(0, count);
+  }
+
+  const groupsByKey = new Map();
+  pool.forEach(question => {
+    const key = stratifyBy.map(field => question[field] || '').join('|');
+    if (!groupsByKey.has(key)) groupsByKey.set(key, { key, items: [] });
+    groupsByKey.get(key).items.push(question);
+  });
+
+  // Sorted so the same seed always allocates the same way
+  const groups = [...groupsByKey.values()].sort((a, b) => a.key.localeCompare(b.key));
+  return allocateByGroup(groups, count, pool.length)
+    .flatMap(share => shuffleWith(share.group.items, random).slice(0, share.take));
+};
+
+// Draw `count` questions from any list of questions (bank or embedded)
+const drawSample = (pool, count, stratifyBy = [], seed = createShuffleSeed()) => {
+  return drawFromPool(pool, count, stratifyBy, createRandom(`${seed}:sample`));
+};
+
+// The embedded questions on this attempt's paper: a random subset per question
+// type for bank draws (optionally stratified by difficulty and topic), in exam
+// order; every question otherwise
+const drawAttemptQuestions = (exam, seed) => {
+  const pool = exam.embeddedQuestions || [];
+  if (!isRandomDraw(exam)) return pool;
+
+  const selection = exam.questionBankSelection;
+  const drawn = new Set();
+  QUESTION_TYPES.forEach(({ type, key }) => {
+    const typePool = pool.filter(question => question.questionType === type);
+    const count = selection[key]?.count || 0;
+    drawFromPool(typePool, count, selection.stratifyBy, createRandom(`${seed}:draw:${key}`))
+      .forEach(question => drawn.add(question.questionNumber));
+  });
+
+  return pool.filter(question => drawn.has(question.questionNumber));
+};
+
+// Build the layout for an attempt from the questions on its paper:
+//   questionOrder - question numbers in the order they are served
+//   optionOrders  - per objective question, order[displayedIndex] = canonical option index
+// The right items of a matching question and the items of an ordering
+// question are always shuffled, as their stored order is the answer. True or
+// false keeps its order.
+const buildAttemptLayout = (exam, questions, seed) => {
+  const settings = exam.settings || {};
+  const questionNumbers = questions.map(question => question.questionNumber);
+
+  const questionOrder = settings.shuffleQuestions
+    ? shuffleWith(questionNumbers, createRandom(`${seed}:questions`))
+    : questionNumbers;
+
+  const optionOrders = [];
+  questions
+    .filter(question => question.questionType === 'Objective')
+    .forEach(question => {
+      const answerType = question.answerType || 'multiple-choice';
+      let itemCount = 0;
+      if (answerType === 'matching') {
+        itemCount = (question.matchingPairs || []).length;
+      } else if (answerType === 'ordering') {
+        itemCount = (question.orderingItems || []).length;
+      } else if (answerType === 'multiple-choice' && settings.shuffleOptions) {
+        itemCount = (question.options || []).length;
+      }
+      if (itemCount < 2) return;
+
+      const canonical = [...Array(itemCount).keys()];
+      const order = shuffleWith(canonical, createRandom(`${seed}:options:${question.questionNumber}`));
+      // Never serve an arrangement already solved
+      if (answerType !== 'multiple-choice' && order.every((index, position) => index === position)) {
+        order.push(order.shift());
+      }
+      optionOrders.push({ questionNumber: question.questionNumber, order });
+    });
+
+  return { questionOrder, optionOrders };
+};
+
+const getOptionOrder = (attempt, questionNumber) => {
+  const entry = (attempt.optionOrders || []).find(item => item.questionNumber === questionNumber);
+  return entry && entry.order && entry.order.length > 0 ? entry.order : null;
+};
+
+// Keep the questions on the attempt's paper, put them in the attempt's order
+// and permute their options. Questions missing from a stored order (added
+// after the attempt started) are appended in their original order.
+const applyAttemptLayout = (questions, attempt) => {
+  if (!attempt) return questions;
+
+  const drawn = attempt.drawnQuestions || [];
+  if (drawn.length > 0) {
+    questions = questions.filter(question => drawn.includes(question.questionNumber));
+  }
+
+  const order = attempt.questionOrder || [];
+  const position = new Map(order.map((questionNumber, index) => [questionNumber, index]));
+  const ordered = order.length > 0
+    ? [...questions].sort((a, b) => {
+        const aPosition = position.has(a.questionNumber) ? position.get(a.questionNumber) : order.length;
+        const bPosition = position.has(b.questionNumber) ? position.get(b.questionNumber) : order.length;
+        return aPosition - bPosition;
+      })
+    : questions;
+
+  return ordered.map(question => {
+    const optionOrder = getOptionOrder(attempt, question.questionNumber);
+    if (!optionOrder || !question.options || optionOrder.length !== question.options.length) {
+      return question;
+    }
+    return {
+      ...question,
+      options: optionOrder.map(canonicalIndex => question.options[canonicalIndex])
+    };
+  });
+};
+
+// Map the option index a student picked on screen to the exam's own index
+const toCanonicalOptionIndex = (attempt, questionNumber, displayedIndex) => {
+  const optionOrder = getOptionOrder(attempt, questionNumber);
+  if (!optionOrder || isNaN(displayedIndex) || optionOrder[displayedIndex] === undefined) {
+    return displayedIndex;
+  }
+  return optionOrder[displayedIndex];
+};
+
+module.exports = {
+  createShuffleSeed,
+  isRandomDraw,
+  getPaperQuestionCount,
+  drawSample,
+  drawAttemptQuestions,
+  buildAttemptLayout,
+  applyAttemptLayout,
+  getOptionOrder,
+  toCanonicalOptionIndex
+};
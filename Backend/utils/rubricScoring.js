@@ -0,0 +1,106 @@
+const { roundMarks } = require('./objectiveScoring');
+
+// Rubric marking of theory answers. A rubric has criteria, each with bands of
+// points; the teacher picks one band per criterion and may comment on it.
+// The answer's mark is the question's marks scaled by the share of the
+// rubric's top points the chosen bands add up to, so one rubric serves
+// questions of any mark.
+
+// A rubric as copied onto an exam question, or undefined without one
+const toEmbeddedRubric = (rubric) => {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) return undefined;
+  return {
+    rubricId: rubric.rubricId || rubric._id,
+    title: rubric.title,
+    criteria: rubric.criteria.map(criterion => ({
+      title: criterion.title,
+      description: criterion.description,
+      bands: criterion.bands.map(band => ({
+        label: band.label,
+        points: band.points,
+        descriptor: band.descriptor
+      }))
+    }))
+  };
+};
+
+const hasRubric = (question) => !!(question.rubric && question.rubric.criteria && question.rubric.criteria.length > 0);
+
+const getCriterionMaxPoints = (criterion) => Math.max(0, ...criterion.bands.map(band => band.points));
+
+const getRubricMaxPoints = (rubric) => {
+  return (rubric.criteria || []).reduce((sum, criterion) => sum + getCriterionMaxPoints(criterion), 0);
+};
+
+// Why a rubric sent by a teacher cannot be saved, or null
+const getRubricError = (rubric) => {
+  const criteria = rubric.criteria || [];
+  if (criteria.length === 0) return 'A rubric needs at least one criterion';
+  for (const criterion of criteria) {
+    if (!criterion.title || !String(criterion.title).trim()) return 'Every criterion needs a title';
+    const bands = criterion.bands || [];
+    if (bands.length < 2) return `Criterion "${criterion.title}" needs at least 2 bands`;
+    if (bands.some(band => !band.label || !String(band.label).trim())) return `Every band of "${criterion.title}" needs a label`;
+    if (bands.some(band => !(Number(band.points) >= 0))) return `Band points of "${criterion.title}" must be zero or more`;
+  }
+  const maxPoints = criteria.reduce((sum, criterion) => (
+    sum + Math.max(0, ...criterion.bands.map(band => Number(band.points)))
+  ), 0);
+  return maxPoints > 0 ? null : 'At least one band must be worth points';
+};
+
+// The rubric scores and mark for a teacher's band choices on a question
+// with a rubric: { rubricScores, marksObtained } or { error }
+const scoreRubric = (question, selections) => {
+  const { criteria } = question.rubric;
+  const rubricScores = [];
+
+  for (let criterionIndex = 0; criterionIndex < criteria.length; criterionIndex++) {
+    const selection = (selections || []).find(item => Number(item.criterion) === criterionIndex);
+    const band = selection ? criteria[criterionIndex].bands[Number(selection.band)] : undefined;
+    if (!band) {
+      return { error: `Choose a band for "${criteria[criterionIndex].title}"` };
+    }
+    rubricScores.push({
+      criterion: criterionIndex,
+      band: Number(selection.band),
+      points: band.points,
+      comment: selection.comment ? String(selection.comment).trim() : undefined
+    });
+  }
+
+  const maxPoints = getRubricMaxPoints(question.rubric);
+  const points = rubricScores.reduce((sum, score) => sum + score.points, 0);
+  return {
+    rubricScores,
+    marksObtained: maxPoints > 0 ? roundMarks((question.marks || 0) * points / maxPoints) : 0
+  };
+};
+
+// What a student sees of their rubric marking once results are released
+const buildRubricFeedback = (question, rubricScores) => {
+  if (!hasRubric(question) || !rubricScores || rubricScores.length === 0) return null;
+  return rubricScores
+    .filter(score => question.rubric.criteria[score.criterion])
+    .map(score => {
+      const criterion = question.rubric.criteria[score.criterion];
+      const band = criterion.bands[score.band] || {};
+      return {
+        criterion: criterion.title,
+        band: band.label,
+        descriptor: band.descriptor,
+        points: score.points,
+        maxPoints: getCriterionMaxPoints(criterion),
+        comment: score.comment
+      };
+    });
+};
+
+module.exports = {
+  toEmbeddedRubric,
+  hasRubric,
+  getRubricMaxPoints,
+  getRubricError,
+  scoreRubric,
+  buildRubricFeedback
+};
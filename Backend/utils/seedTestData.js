@@ -18,12 +18,12 @@ const seedTestData = async () => {
 
     // Create Test Classes
     const classes = await Class.insertMany([
-      { name: 'JSS1', level: 'Junior', description: 'Junior Secondary School 1' },
-      { name: 'JSS2', level: 'Junior', description: 'Junior Secondary School 2' },
-      { name: 'JSS3', level: 'Junior', description: 'Junior Secondary School 3' },
-      { name: 'SS1', level: 'Senior', description: 'Senior Secondary School 1' },
-      { name: 'SS2', level: 'Senior', description: 'Senior Secondary School 2' },
-      { name: 'SS3', level: 'Senior', description: 'Senior Secondary School 3' },
+      { name: 'JSS1', level: 'JSS1', description: 'Junior Secondary School 1' },
+      { name: 'JSS2', level: 'JSS2', description: 'Junior Secondary School 2' },
+      { name: 'JSS3', level: 'JSS3', description: 'Junior Secondary School 3' },
+      { name: 'SS1', level: 'SS1', description: 'Senior Secondary School 1' },
+      { name: 'SS2', level: 'SS2', description: 'Senior Secondary School 2' },
+      { name: 'SS3', level: 'SS3', description: 'Senior Secondary School 3' },
     ]);
 
     console.log('✅ Classes created');
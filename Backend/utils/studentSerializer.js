@@ -0,0 +1,134 @@
+const { getPaperQuestionCount } = require('./questionShuffle');
+
+// What a student is allowed to see of exams, questions and their own attempts.
+// Everything is built from an allow-list, so fields added to the models later
+// (answer keys, marking guides, scores) stay server-side unless added here.
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// What a student picks from or arranges for each answer type. Matching
+// questions offer their right items and ordering questions their items as
+// options, so the attempt layout shuffles them like any other options.
+const getStudentOptions = (source, answerType) => {
+  if (answerType === 'matching') return (source.matchingPairs || []).map(pair => pair.right);
+  if (answerType === 'ordering') return [...(source.orderingItems || [])];
+  if (!['multiple-choice', 'true-false'].includes(answerType)) return [];
+
+  return (source.options || []).map(option => (
+    option && typeof option === 'object'
+      ? { _id: option._id, text: option.text }
+      : option
+  ));
+};
+
+// A question as shown while taking an exam. Works for embedded exam questions
+// and for legacy Question documents, whose options are { text, isCorrect }.
+const serializeStudentQuestion = (question) => {
+  const source = toPlain(question);
+  const isObjective = source.questionType === 'Objective';
+  const answerType = isObjective ? source.answerType || 'multiple-choice' : null;
+
+  const options = isObjective ? getStudentOptions(source, answerType) : [];
+
+  const serialized = {
+    _id: source._id || `embedded_${source.questionNumber}`,
+    questionNumber: source.questionNumber,
+    questionText: source.questionText,
+    questionType: source.questionType,
+    marks: source.marks,
+    answerType,
+    options,
+    multipleAnswers: answerType === 'multiple-choice' && !!source.multipleAnswers,
+    additionalInfo: source.additionalInfo || ''
+  };
+  if (source.image) serialized.image = source.image;
+  if (answerType === 'matching') serialized.matchingLeft = (source.matchingPairs || []).map(pair => pair.left);
+  if (answerType === 'numeric' && source.unit) serialized.unit = source.unit;
+
+  return serialized;
+};
+
+// A saved answer as the student's own client needs it to resume an attempt.
+// Grading fields are only included once results have been released.
+const serializeStudentAnswer = (answer, { resultsReleased = false } = {}) => {
+  const source = toPlain(answer);
+  const serialized = {
+    questionId: source.questionId,
+    questionNumber: source.questionNumber,
+    answer: source.answer,
+    sequence: source.sequence,
+    saveKey: source.saveKey,
+    answeredAt: source.answeredAt
+  };
+
+  if (resultsReleased) {
+    serialized.isCorrect = source.isCorrect;
+    serialized.marksObtained = source.marksObtained;
+  }
+
+  return serialized;
+};
+
+// Exam details for listings; never includes questions or the question bank selection
+const serializeStudentExam = (exam) => {
+  const source = toPlain(exam);
+  const hasEmbeddedQuestions = source.embeddedQuestions && source.embeddedQuestions.length > 0;
+
+  return {
+    _id: source._id,
+    title: source.title,
+    examCode: source.examCode,
+    subject: source.subject,
+    class: source.class,
+    teacher: source.teacher,
+    description: source.description,
+    duration: source.duration,
+    totalMarks: source.totalMarks,
+    passingMarks: source.passingMarks,
+    startTime: source.startTime,
+    endTime: source.endTime,
+    instructions: source.instructions,
+    examType: source.examType,
+    status: source.status,
+    questionCount: hasEmbeddedQuestions ? getPaperQuestionCount(source) : source.questionCount,
+    questionTypes: source.questionTypes,
+    settings: source.settings,
+    allowRetakes: source.allowRetakes
+  };
+};
+
+// An attempt summary for the student's dashboard. Scores and per-answer
+// grading stay hidden until the teacher releases results.
+const serializeStudentAttempt = (attempt) => {
+  const source = toPlain(attempt);
+  const resultsReleased = !!source.resultsReleased;
+
+  const serialized = {
+    _id: source._id,
+    exam: source.exam && source.exam._id ? source.exam._id : source.exam,
+    startTime: source.startTime,
+    submittedAt: source.submittedAt,
+    submissionReason: source.submissionReason,
+    timeSpent: source.timeSpent,
+    isCompleted: source.isCompleted,
+    gradingStatus: source.gradingStatus,
+    resultsReleased,
+    answers: (source.answers || []).map(answer => serializeStudentAnswer(answer, { resultsReleased }))
+  };
+
+  if (resultsReleased) {
+    serialized.score = source.score;
+    serialized.percentage = source.percentage;
+    serialized.actualScore = source.actualScore;
+    serialized.actualPercentage = source.actualPercentage;
+  }
+
+  return serialized;
+};
+
+module.exports = {
+  serializeStudentQuestion,
+  serializeStudentAnswer,
+  serializeStudentExam,
+  serializeStudentAttempt
+};
@@ -0,0 +1,55 @@
+const Subject = require('../models/Subject');
+
+// A student takes the subjects compulsory for everyone or for their
+// department, plus the electives they are enrolled in. A student's
+// department defaults to their class's (SS2 Science). Students with neither
+// a department nor an enrollment on record take every subject, so junior
+// classes keep working until an admin enrolls them.
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+const getStudentDepartment = (student) =>
+  student.department || (student.class && student.class.department) || null;
+
+const hasEnrollment = (student) => !!student.enrolledAt || !!getStudentDepartment(student);
+
+// Compulsory for this department (or for everyone when `department` is null)
+const isRequiredSubject = (subject, department) => {
+  if (!subject.isCompulsory) return false;
+  const departments = subject.departments || [];
+  return departments.length === 0 ||
+    departments.includes('All') ||
+    (!!department && departments.includes(department));
+};
+
+const takesSubject = (student, subject) => {
+  if (!hasEnrollment(student)) return true;
+  return isRequiredSubject(subject, getStudentDepartment(student)) ||
+    (student.electiveSubjects || []).some(elective => toId(elective) === toId(subject));
+};
+
+// Query restricting exams to the student's subjects. `student.class` must be populated.
+const getExamSubjectFilter = async (student) => {
+  if (!hasEnrollment(student)) return {};
+  const subjects = await Subject.find({ isActive: true }).select('isCompulsory departments');
+  return {
+    subject: { $in: subjects.filter(subject => takesSubject(student, subject)).map(subject => subject._id) }
+  };
+};
+
+// Whether the student takes the exam's subject. `student.class` must be populated.
+const isEnrolledForExam = async (student, exam) => {
+  if (!hasEnrollment(student)) return true;
+  const subject = exam.subject && exam.subject.departments
+    ? exam.subject
+    : await Subject.findById(toId(exam.subject)).select('isCompulsory departments');
+  return !!subject && takesSubject(student, subject);
+};
+
+module.exports = {
+  getStudentDepartment,
+  isRequiredSubject,
+  takesSubject,
+  getExamSubjectFilter,
+  isEnrolledForExam
+};
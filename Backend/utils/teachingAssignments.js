@@ -0,0 +1,109 @@
+const TeachingAssignment = require('../models/TeachingAssignment');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+
+// Teaching assignments decide who may set questions, exams and read results
+// for a subject in a class. Subject.teachers, Subject.classes and the
+// teacher's User.subjects are kept in step with them for the screens that
+// still list subjects that way.
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+// Recompute Subject.teachers of the given subjects from their assignments
+const syncSubjectTeachers = async (subjectIds) => {
+  for (const subjectId of new Set(subjectIds.map(toId))) {
+    const teacherIds = await TeachingAssignment.distinct('teacher', { subject: subjectId });
+    await Subject.updateOne({ _id: subjectId }, { $set: { teachers: teacherIds } });
+  }
+};
+
+// Replace all of a teacher's assignments with `pairs` ([{ subject, class }])
+const setTeacherAssignments = async (teacher, pairs, assignedBy) => {
+  const uniquePairs = [];
+  pairs.forEach(pair => {
+    const isDuplicate = uniquePairs.some(other =>
+      toId(other.subject) === toId(pair.subject) && toId(other.class) === toId(pair.class));
+    if (!isDuplicate) uniquePairs.push(pair);
+  });
+
+  const previousSubjectIds = await TeachingAssignment.distinct('subject', { teacher: teacher._id });
+  await TeachingAssignment.deleteMany({ teacher: teacher._id });
+  const assignments = await TeachingAssignment.insertMany(uniquePairs.map(pair => ({
+    teacher: teacher._id,
+    subject: pair.subject,
+    class: pair.class,
+    assignedBy
+  })));
+
+  // A class that is taught a subject takes that subject
+  for (const pair of uniquePairs) {
+    await Subject.updateOne({ _id: pair.subject }, { $addToSet: { classes: pair.class } });
+  }
+
+  const subjectIds = [...new Set(uniquePairs.map(pair => toId(pair.subject)))];
+  await syncSubjectTeachers([...previousSubjectIds, ...subjectIds]);
+
+  teacher.subjects = subjectIds;
+  await teacher.save();
+
+  return assignments;
+};
+
+// Why the teacher cannot set work in `subjectDoc` for these classes, or null
+const getTeachingError = async (teacherId, subjectDoc, classIds) => {
+  const ids = [...new Set(classIds.map(toId))];
+  const assigned = await TeachingAssignment.distinct('class', {
+    teacher: teacherId,
+    subject: subjectDoc._id,
+    class: { $in: ids }
+  });
+  const assignedIds = assigned.map(toId);
+  const missing = ids.filter(id => !assignedIds.includes(id));
+  if (missing.length === 0) return null;
+
+  const classes = await Class.find({ _id: { $in: missing } }).select('name');
+  const names = classes.map(classItem => classItem.name).join(', ') || 'this class';
+  return `You are not assigned to teach ${subjectDoc.name} to ${names}`;
+};
+
+// Query matching the exams a teacher may see results of, mark and release
+// results for: their own, and those in a subject and class they are
+// assigned to teach
+const getExamAccessFilter = async (teacherId) => {
+  const pairs = await TeachingAssignment.getPairs(teacherId);
+  return { $or: [{ teacher: teacherId }, ...pairs] };
+};
+
+// Point a merged class's assignments at the class it was merged into
+const moveClassAssignments = async (sourceId, targetId) => {
+  const assignments = await TeachingAssignment.find({ class: sourceId });
+  for (const assignment of assignments) {
+    const duplicate = await TeachingAssignment.exists({
+      teacher: assignment.teacher,
+      subject: assignment.subject,
+      class: targetId
+    });
+    if (duplicate) {
+      await assignment.deleteOne();
+    } else {
+      assignment.class = targetId;
+      await assignment.save();
+    }
+  }
+};
+
+// Drop the assignments of a deleted teacher or class
+const removeAssignments = async (filter) => {
+  const subjectIds = await TeachingAssignment.distinct('subject', filter);
+  await TeachingAssignment.deleteMany(filter);
+  await syncSubjectTeachers(subjectIds);
+};
+
+module.exports = {
+  syncSubjectTeachers,
+  setTeacherAssignments,
+  getTeachingError,
+  getExamAccessFilter,
+  moveClassAssignments,
+  removeAssignments
+};
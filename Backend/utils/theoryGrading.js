@@ -0,0 +1,130 @@
+// Assisted marking of theory answers. Each of a question's grading keywords
+// (a word or phrase, its synonyms and a weight) is looked for in the answer,
+// comparing word stems so "evaporates" finds "evaporation". The suggested
+// mark is the question's marks times the share of keyword weight found,
+// rounded to the nearest half mark. A suggestion is never a grade: the answer
+// stays needsGrading until the teacher accepts or overrides it.
+
+// Suffixes stripped to reach a word's stem, longest first
+const SUFFIXES = [
+  'ational', 'ization', 'fulness', 'iveness',
+  'ations', 'ating', 'ation', 'ments', 'ities', 'ously', 'ively',
+  'ates', 'ated', 'ness', 'ment', 'able', 'ible',
+  'ate', 'ing', 'ity', 'ies', 'ied', 'ous', 'ive', 'ful', 'ers', 'est', 'ism', 'ist',
+  'ed', 'es', 'er', 'ly', 'al',
+  's', 'e', 'y'
+];
+
+// Shortest stem a suffix may be stripped down to
+const MIN_STEM_LENGTH = 3;
+
+const stemWord = (word) => {
+  let stem = word.toLowerCase();
+  for (const suffix of SUFFIXES) {
+    if (stem.length - suffix.length >= MIN_STEM_LENGTH && stem.endsWith(suffix)) {
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+  // "running" -> "runn" -> "run", "studying" -> "study" -> "stud"
+  if (stem.length > MIN_STEM_LENGTH && (stem[stem.length - 1] === stem[stem.length - 2] || /[ey]$/.test(stem))) {
+    stem = stem.slice(0, -1);
+  }
+  return stem;
+};
+
+// Words of a text with their stems and where they are in it
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    tokens.push({ stem: stemWord(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+// Character ranges of every place the phrase's stems appear in a row
+const findPhrase = (tokens, phrase) => {
+  const phraseStems = tokenize(phrase).map(token => token.stem);
+  if (phraseStems.length === 0) return [];
+
+  const ranges = [];
+  for (let i = 0; i + phraseStems.length <= tokens.length; i++) {
+    if (phraseStems.every((stem, offset) => tokens[i + offset].stem === stem)) {
+      ranges.push({ start: tokens[i].start, end: tokens[i + phraseStems.length - 1].end });
+    }
+  }
+  return ranges;
+};
+
+// Grading keywords as submitted, without blanks; a missing weight counts 1
+const cleanGradingKeywords = (keywords) => {
+  return (keywords || [])
+    .filter(keyword => keyword && keyword.term && String(keyword.term).trim())
+    .map(keyword => ({
+      term: String(keyword.term).trim(),
+      synonyms: (keyword.synonyms || []).map(synonym => String(synonym).trim()).filter(synonym => synonym),
+      weight: Number(keyword.weight) > 0 ? Number(keyword.weight) : 1
+    }));
+};
+
+// A question's grading keywords; questions with only plain keywords weigh each one equally
+const getGradingKeywords = (question) => {
+  return cleanGradingKeywords(question.gradingKeywords && question.gradingKeywords.length > 0
+    ? question.gradingKeywords
+    : (question.keywords || []).map(term => ({ term })));
+};
+
+const roundToHalf = (marks) => Math.round(marks * 2) / 2;
+
+// The suggested mark for a theory answer with the keywords found, or null
+// when the question has no keywords to mark against
+const suggestTheoryMarks = (question, answer) => {
+  const keywords = getGradingKeywords(question);
+  if (keywords.length === 0) return null;
+
+  const tokens = tokenize(answer);
+  const matches = keywords.map(keyword => {
+    for (const variant of [keyword.term, ...keyword.synonyms]) {
+      const ranges = findPhrase(tokens, variant);
+      if (ranges.length > 0) {
+        return { term: keyword.term, weight: keyword.weight, matched: true, variant, ranges };
+      }
+    }
+    return { term: keyword.term, weight: keyword.weight, matched: false, variant: null, ranges: [] };
+  });
+
+  const totalWeight = matches.reduce((sum, match) => sum + match.weight, 0);
+  const matchedWeight = matches.filter(match => match.matched).reduce((sum, match) => sum + match.weight, 0);
+  const coverage = totalWeight > 0 ? matchedWeight / totalWeight : 0;
+
+  return {
+    marks: Math.min(question.marks || 0, roundToHalf(coverage * (question.marks || 0))),
+    coverage: Math.round(coverage * 100) / 100,
+    matches,
+    generatedAt: new Date()
+  };
+};
+
+// Whether the exam suggests marks for its theory answers
+const isAssistedGradingEnabled = (exam) => {
+  return !!(exam.settings && exam.settings.assistedGrading && exam.settings.assistedGrading.enabled);
+};
+
+// How a teacher's mark relates to the answer's suggestion, if it had one
+const getSuggestionStatus = (answer, marksObtained) => {
+  if (!answer.suggestion || answer.suggestion.marks === undefined || answer.suggestion.marks === null) {
+    return undefined;
+  }
+  return answer.suggestion.marks === marksObtained ? 'accepted' : 'overridden';
+};
+
+module.exports = {
+  stemWord,
+  cleanGradingKeywords,
+  getGradingKeywords,
+  suggestTheoryMarks,
+  isAssistedGradingEnabled,
+  getSuggestionStatus
+};
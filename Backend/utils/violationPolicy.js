@@ -0,0 +1,110 @@
+const ExamAttempt = require('../models/ExamAttempt');
+const { autoSubmitExam } = require('./examGrading');
+const { getAttemptDeadline, isPastDeadline } = require('./examTimer');
+const { INTEGRITY_EVENT_TYPES } = require('./integrityEvents');
+
+// An exam's violation policy turns recorded integrity events into
+// consequences: a warning for each violation, optionally minutes off the
+// deadline, and an automatic submission once the limit is reached.
+
+const getViolationPolicy = (exam) => {
+  const policy = exam.settings && exam.settings.violationPolicy;
+  return policy && policy.enabled ? policy : null;
+};
+
+// Counted events this close together are one incident: switching tabs in
+// fullscreen reports fullscreen-exit, window-blur and tab-hidden at once
+const INCIDENT_WINDOW_MS = 1000;
+
+// Violations among newly reported `events`: each incident that is made up of
+// new counted events only. `recordedEvents` are those already on the attempt,
+// so an incident split across two reports is not counted again.
+const countViolations = (policy, events, recordedEvents = []) => {
+  if (!policy) return 0;
+  const counted = policy.countedEvents || [];
+  const timeline = [
+    ...recordedEvents.map(event => ({ event, isNew: false })),
+    ...events.map(event => ({ event, isNew: true }))
+  ]
+    .filter(({ event }) => counted.includes(event.type))
+    .map(({ event, isNew }) => ({ at: new Date(event.occurredAt).getTime(), isNew }))
+    .sort((a, b) => a.at - b.at || a.isNew - b.isNew);
+
+  const incidents = [];
+  timeline.forEach(entry => {
+    const current = incidents[incidents.length - 1];
+    if (current && entry.at - current.startedAt <= INCIDENT_WINDOW_MS) {
+      current.isNew = current.isNew && entry.isNew;
+    } else {
+      incidents.push({ startedAt: entry.at, isNew: entry.isNew });
+    }
+  });
+
+  return incidents.filter(incident => incident.isNew).length;
+};
+
+// Apply the policy after `violations` new violations were recorded on the
+// attempt. Tells the student over the socket what happened and resolves to
+// { action: 'warned', attempt, warning } or { action: 'submitted', attempt, message }.
+const enforceViolationPolicy = async (exam, attempt, violations, { notificationService = null, examMonitor = null } = {}) => {
+  const policy = getViolationPolicy(exam);
+  const studentId = attempt.student;
+  const autoSubmitAfter = policy.autoSubmitAfter || 0;
+  const limitReached = autoSubmitAfter > 0 && attempt.violationCount >= autoSubmitAfter;
+
+  let current = attempt;
+  if (!limitReached && policy.penaltyMinutes > 0) {
+    const penalised = await ExamAttempt.adjustDeadline(
+      attempt._id,
+      -policy.penaltyMinutes * violations,
+      getAttemptDeadline(exam, attempt),
+      { countAs: 'penaltyMinutes' }
+    );
+    if (penalised) current = penalised;
+  }
+
+  const deadline = getAttemptDeadline(exam, current);
+  if (limitReached || isPastDeadline(deadline)) {
+    const reason = limitReached ? 'violation-limit' : 'auto-submitted';
+    if (!current.isCompleted) {
+      await autoSubmitExam(exam, current, studentId, { reason, notificationService, examMonitor });
+    }
+
+    const message = limitReached
+      ? 'Your exam was submitted automatically because the limit on integrity violations was reached.'
+      : 'Your exam was submitted automatically because penalties used up the remaining time.';
+    if (examMonitor) {
+      examMonitor.sendToStudent(studentId, 'exam-auto-submitted', { examId: exam._id.toString(), reason, message });
+    }
+    return { action: 'submitted', attempt: current, message };
+  }
+
+  const remaining = autoSubmitAfter > 0 ? autoSubmitAfter - current.violationCount : null;
+  const warning = {
+    examId: exam._id.toString(),
+    violationCount: current.violationCount,
+    remainingBeforeSubmit: remaining,
+    penaltyMinutes: policy.penaltyMinutes * violations,
+    totalPenaltyMinutes: current.penaltyMinutes || 0,
+    deadline,
+    serverTime: new Date(),
+    message: [
+      `Integrity violation ${current.violationCount} recorded.`,
+      policy.penaltyMinutes > 0 ? `${policy.penaltyMinutes * violations} minute(s) were taken off your time.` : '',
+      remaining !== null ? `Your exam will be submitted automatically after ${remaining} more.` : ''
+    ].filter(Boolean).join(' ')
+  };
+
+  if (examMonitor) {
+    examMonitor.sendToStudent(studentId, 'integrity-warning', warning);
+  }
+  return { action: 'warned', attempt: current, warning };
+};
+
+module.exports = {
+  INTEGRITY_EVENT_TYPES,
+  INCIDENT_WINDOW_MS,
+  getViolationPolicy,
+  countViolations,
+  enforceViolationPolicy
+};
@@ -22,6 +22,9 @@ import UserManagement from './pages/admin/UserManagement';
 import TeacherManagement from './pages/admin/TeacherManagement';
 import ClassManagement from './pages/admin/ClassManagement';
 import SubjectManagement from './pages/admin/SubjectManagement';
+import AcademicSessions from './pages/admin/AcademicSessions';
+import Promotions from './pages/admin/Promotions';
+import SubjectEnrollment from './pages/admin/SubjectEnrollment';
 import ExamAnalytics from './pages/admin/ExamAnalytics';
 import ResultDetails from './pages/admin/ResultDetails';
 
@@ -29,8 +32,11 @@ import ResultDetails from './pages/admin/ResultDetails';
 import TeacherDashboard from './pages/teacher/Dashboard';
 import CreateExam from './pages/teacher/CreateExam';
 import ExamResults from './pages/teacher/ExamResults';
+import LiveMonitor from './pages/teacher/LiveMonitor';
 import AllResults from './pages/teacher/AllResults';
 import ManageExams from './pages/teacher/ManageExams';
+import QuestionBank from './pages/teacher/QuestionBank';
+import Rubrics from './pages/teacher/Rubrics';
 
 // Student pages
 import StudentDashboard from './pages/student/Dashboard';
@@ -163,6 +169,27 @@ function AppRoutes() {
             </PageWrapper>
           </ProtectedRoute>
         } />
+        <Route path="/admin/sessions" element={
+          <ProtectedRoute allowedRoles={['admin']}>
+            <PageWrapper errorMessage="There was an error loading academic sessions.">
+            <AcademicSessions />
+            </PageWrapper>
+          </ProtectedRoute>
+        } />
+        <Route path="/admin/promotions" element={
+          <ProtectedRoute allowedRoles={['admin']}>
+            <PageWrapper errorMessage="There was an error loading promotions.">
+            <Promotions />
+            </PageWrapper>
+          </ProtectedRoute>
+        } />
+        <Route path="/admin/enrollment" element={
+          <ProtectedRoute allowedRoles={['admin']}>
+            <PageWrapper errorMessage="There was an error loading subject enrollment.">
+            <SubjectEnrollment />
+            </PageWrapper>
+          </ProtectedRoute>
+        } />
         <Route path="/admin/analytics" element={
           <ProtectedRoute allowedRoles={['admin']}>
             <PageWrapper errorMessage="There was an error loading exam analytics.">
@@ -214,6 +241,13 @@ function AppRoutes() {
             </PageWrapper>
           </ProtectedRoute>
         } />
+        <Route path="/teacher/exams/:examId/monitor" element={
+          <ProtectedRoute allowedRoles={['teacher']}>
+            <PageWrapper errorMessage="There was an error loading the live exam monitor.">
+              <LiveMonitor />
+            </PageWrapper>
+          </ProtectedRoute>
+        } />
         <Route path="/teacher/results" element={
           <ProtectedRoute allowedRoles={['teacher']}>
             <PageWrapper errorMessage="There was an error loading all results.">
@@ -221,6 +255,20 @@ function AppRoutes() {
             </PageWrapper>
           </ProtectedRoute>
         } />
+        <Route path="/teacher/question-bank" element={
+          <ProtectedRoute allowedRoles={['teacher']}>
+            <PageWrapper errorMessage="There was an error loading the question bank.">
+              <QuestionBank />
+            </PageWrapper>
+          </ProtectedRoute>
+        } />
+        <Route path="/teacher/rubrics" element={
+          <ProtectedRoute allowedRoles={['teacher']}>
+            <PageWrapper errorMessage="There was an error loading the rubrics.">
+              <Rubrics />
+            </PageWrapper>
+          </ProtectedRoute>
+        } />
 
         {/* Student routes */}
         <Route path="/student/dashboard" element={
@@ -0,0 +1,68 @@
+import React from 'react';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { DEFAULT_GRADING_KEYWORD } from '../utils/theoryGrading';
+
+// Grading keywords of a theory question: each a word or phrase, the
+// synonyms that also count for it and its weight in the suggested mark.
+// `onChange` receives the new list of rows.
+const GradingKeywordEditor = ({ keywords, onChange }) => {
+  const updateKeyword = (index, changes) => {
+    const rows = [...keywords];
+    rows[index] = { ...rows[index], ...changes };
+    onChange(rows);
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="form-label">Keywords for Grading (Optional)</label>
+      <p className="text-xs text-gray-500">
+        Exams with assisted grading suggest a mark from the share of keyword weight found in an answer.
+        Word endings are ignored, so "evaporate" also finds "evaporation".
+      </p>
+      {keywords.map((keyword, index) => (
+        <div key={index} className="flex items-center space-x-3">
+          <input
+            type="text"
+            className="form-input flex-1"
+            value={keyword.term}
+            onChange={(e) => updateKeyword(index, { term: e.target.value })}
+            placeholder="Keyword or phrase"
+          />
+          <input
+            type="text"
+            className="form-input flex-1"
+            value={keyword.synonyms}
+            onChange={(e) => updateKeyword(index, { synonyms: e.target.value })}
+            placeholder="Synonyms, comma separated"
+          />
+          <input
+            type="number"
+            className="form-input w-20"
+            value={keyword.weight}
+            onChange={(e) => updateKeyword(index, { weight: e.target.value })}
+            min="0.5"
+            max="10"
+            step="0.5"
+            title="Weight"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(keywords.filter((_, i) => i !== index))}
+            className="text-red-600 hover:text-red-800"
+          >
+            <TrashIcon className="h-5 w-5" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...keywords, { ...DEFAULT_GRADING_KEYWORD }])}
+        className="btn-secondary text-sm"
+      >
+        Add Keyword
+      </button>
+    </div>
+  );
+};
+
+export default GradingKeywordEditor;
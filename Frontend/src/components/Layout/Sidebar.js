@@ -11,6 +11,10 @@ import {
   PlusCircleIcon,
   DocumentTextIcon,
   ClockIcon,
+  ClipboardDocumentCheckIcon,
+  CalendarDaysIcon,
+  ArrowTrendingUpIcon,
+  UserGroupIcon,
 } from '@heroicons/react/24/outline';
 
 const Sidebar = ({ isOpen, onClose, userRole }) => {
@@ -22,12 +26,17 @@ const Sidebar = ({ isOpen, onClose, userRole }) => {
       { name: 'User Management', href: '/admin/users', icon: UsersIcon, description: 'Manage Users' },
       { name: 'Class Management', href: '/admin/classes', icon: AcademicCapIcon, description: 'Manage Classes' },
       { name: 'Subject Management', href: '/admin/subjects', icon: BookOpenIcon, description: 'Manage Subjects' },
+      { name: 'Subject Enrollment', href: '/admin/enrollment', icon: UserGroupIcon, description: 'Departments & Electives' },
+      { name: 'Academic Sessions', href: '/admin/sessions', icon: CalendarDaysIcon, description: 'Sessions & Terms' },
+      { name: 'Promotions', href: '/admin/promotions', icon: ArrowTrendingUpIcon, description: 'End-of-Year Moves' },
       { name: 'Exam Analytics', href: '/admin/analytics', icon: ChartBarIcon, description: 'View Reports' },
     ],
     teacher: [
       { name: 'Dashboard', href: '/teacher/dashboard', icon: HomeIcon, description: 'Your Overview' },
       { name: 'Create Exam', href: '/teacher/create-exam', icon: PlusCircleIcon, description: 'New Examination' },
       { name: 'Manage Exams', href: '/teacher/manage-exams', icon: ClipboardDocumentListIcon, description: 'All Examinations' },
+      { name: 'Question Bank', href: '/teacher/question-bank', icon: BookOpenIcon, description: 'Reusable Questions' },
+      { name: 'Rubrics', href: '/teacher/rubrics', icon: ClipboardDocumentCheckIcon, description: 'Marking Schemes' },
       { name: 'Exam Results', href: '/teacher/results', icon: DocumentTextIcon, description: 'View Results' },
     ],
     student: [
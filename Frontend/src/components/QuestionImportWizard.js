@@ -0,0 +1,406 @@
+import React, { useState } from 'react';
+import {
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+// Question fields a spreadsheet column can be mapped to
+const MAPPABLE_FIELDS = [
+  { key: 'questionText', label: 'Question Text' },
+  { key: 'questionType', label: 'Question Type' },
+  { key: 'optionA', label: 'Option A' },
+  { key: 'optionB', label: 'Option B' },
+  { key: 'optionC', label: 'Option C' },
+  { key: 'optionD', label: 'Option D' },
+  { key: 'optionE', label: 'Option E' },
+  { key: 'optionF', label: 'Option F' },
+  { key: 'options', label: 'Options (pipe separated)' },
+  { key: 'correctAnswer', label: 'Correct Answer' },
+  { key: 'marks', label: 'Marks' },
+  { key: 'difficulty', label: 'Difficulty' },
+  { key: 'topic', label: 'Topic' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'explanation', label: 'Explanation' },
+  { key: 'expectedAnswer', label: 'Expected Answer' },
+  { key: 'keywords', label: 'Keywords' }
+];
+
+const STEPS = ['Upload', 'Review', 'Done'];
+
+const QuestionImportWizard = ({ subjects, classes, onClose, onImported }) => {
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [settings, setSettings] = useState({
+    subject: '',
+    class: '',
+    defaultMarks: 1,
+    defaultDifficulty: 'Medium',
+    defaultTopic: ''
+  });
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [selectedRows, setSelectedRows] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const requestPreview = async (customMapping = null) => {
+    if (!file) {
+      toast.error('Please choose a file to import');
+      return;
+    }
+    if (!settings.subject || !settings.class) {
+      toast.error('Please select a subject and class');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('defaultMarks', settings.defaultMarks);
+      formData.append('defaultDifficulty', settings.defaultDifficulty);
+      formData.append('defaultTopic', settings.defaultTopic);
+      if (customMapping) {
+        formData.append('mapping', JSON.stringify(customMapping));
+      }
+
+      const response = await axios.post('/api/teacher/questions/import/preview', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      const data = response.data.data;
+      setPreview(data);
+      setMapping(data.mapping || {});
+      setSelectedRows(new Set(data.rows.filter(row => row.isValid).map(row => row.row)));
+      setStep(1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read the import file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMappingChange = (field, value) => {
+    const newMapping = { ...mapping };
+    if (value === '') {
+      delete newMapping[field];
+    } else {
+      newMapping[field] = parseInt(value);
+    }
+    setMapping(newMapping);
+  };
+
+  const toggleRow = (rowNumber) => {
+    setSelectedRows(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(rowNumber)) {
+        newSet.delete(rowNumber);
+      } else {
+        newSet.add(rowNumber);
+      }
+      return newSet;
+    });
+  };
+
+  const handleImport = async () => {
+    const rowsToImport = preview.rows.filter(row => row.isValid && selectedRows.has(row.row));
+    if (rowsToImport.length === 0) {
+      toast.error('There are no valid questions selected for import');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post('/api/teacher/questions/import', {
+        subject: settings.subject,
+        class: settings.class,
+        questions: rowsToImport.map(row => ({ ...row.question, row: row.row }))
+      });
+
+      setResult(response.data.data);
+      setStep(2);
+      toast.success(response.data.message);
+      if (onImported) onImported();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import questions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isTabular = preview && (preview.format === 'csv' || preview.format === 'xlsx');
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content max-w-5xl">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Import Questions</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+
+        {/* Step indicator */}
+        <div className="flex items-center space-x-4 mb-6">
+          {STEPS.map((label, index) => (
+            <div key={label} className="flex items-center space-x-2">
+              <span className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-medium ${
+                index <= step ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'
+              }`}>
+                {index + 1}
+              </span>
+              <span className={`text-sm ${index === step ? 'font-medium text-gray-900' : 'text-gray-500'}`}>
+                {label}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {step === 0 && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">Subject</label>
+                <select
+                  className="form-input"
+                  value={settings.subject}
+                  onChange={(e) => setSettings({ ...settings, subject: e.target.value })}
+                >
+                  <option value="">Select Subject</option>
+                  {subjects.map(subject => (
+                    <option key={subject._id} value={subject._id}>
+                      {subject.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Class</label>
+                <select
+                  className="form-input"
+                  value={settings.class}
+                  onChange={(e) => setSettings({ ...settings, class: e.target.value })}
+                >
+                  <option value="">Select Class</option>
+                  {classes.map(cls => (
+                    <option key={cls._id} value={cls._id}>
+                      {cls.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Default Marks</label>
+                <input
+                  type="number"
+                  className="form-input"
+                  value={settings.defaultMarks}
+                  onChange={(e) => setSettings({ ...settings, defaultMarks: parseFloat(e.target.value) })}
+                  min="0.5"
+                  max="20"
+                  step="0.5"
+                />
+              </div>
+              <div>
+                <label className="form-label">Default Difficulty</label>
+                <select
+                  className="form-input"
+                  value={settings.defaultDifficulty}
+                  onChange={(e) => setSettings({ ...settings, defaultDifficulty: e.target.value })}
+                >
+                  <option value="Easy">Easy</option>
+                  <option value="Medium">Medium</option>
+                  <option value="Hard">Hard</option>
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Default Topic (Optional)</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={settings.defaultTopic}
+                  onChange={(e) => setSettings({ ...settings, defaultTopic: e.target.value })}
+                  placeholder="Used when a row has no topic"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="form-label">File</label>
+              <input
+                type="file"
+                accept=".csv,.xlsx,.gift,.aiken,.txt"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="block w-full text-sm text-gray-700"
+              />
+              <p className="mt-2 text-xs text-gray-500">
+                Supported formats: CSV and Excel .xlsx (one question per row with columns such as Question, Option A-F,
+                Answer, Marks, Difficulty, Topic, Tags), Moodle GIFT (.gift) and Aiken (.txt).
+              </p>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={() => requestPreview()}
+                disabled={loading}
+                className="btn-primary flex items-center disabled:opacity-50"
+              >
+                <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                {loading ? 'Reading file...' : 'Upload & Preview'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 1 && preview && (
+          <div className="space-y-4">
+            {isTabular && (
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h4 className="text-sm font-medium text-gray-900 mb-3">Column Mapping</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {MAPPABLE_FIELDS.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+                      <select
+                        className="form-input text-sm"
+                        value={mapping[field.key] !== undefined ? mapping[field.key] : ''}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                      >
+                        <option value="">Not mapped</option>
+                        {preview.headers.map((header, index) => (
+                          <option key={index} value={index}>
+                            {header || `Column ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex justify-end mt-3">
+                  <button
+                    type="button"
+                    onClick={() => requestPreview(mapping)}
+                    disabled={loading}
+                    className="btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Apply Mapping
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="flex items-center space-x-4 text-sm">
+              <span className="text-gray-700">{preview.summary.total} rows found</span>
+              <span className="text-green-700">{preview.summary.valid} valid</span>
+              {preview.summary.invalid > 0 && (
+                <span className="text-red-700">{preview.summary.invalid} with errors (will be skipped)</span>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto border rounded-lg divide-y divide-gray-200">
+              {preview.rows.map(row => (
+                <div key={row.row} className={`p-3 flex items-start space-x-3 ${row.isValid ? '' : 'bg-red-50'}`}>
+                  <input
+                    type="checkbox"
+                    checked={row.isValid && selectedRows.has(row.row)}
+                    disabled={!row.isValid}
+                    onChange={() => toggleRow(row.row)}
+                    className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2 mb-1 text-xs">
+                      <span className="text-gray-500">Line {row.line}</span>
+                      <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">
+                        {row.question.questionType}
+                      </span>
+                      <span className="text-gray-600">{row.question.marks} mark{row.question.marks !== 1 ? 's' : ''}</span>
+                      <span className="text-gray-600">{row.question.difficulty}</span>
+                      {row.question.topic && <span className="text-gray-600">{row.question.topic}</span>}
+                    </div>
+                    <p className="text-sm text-gray-900 truncate">{row.question.questionText || '(no question text)'}</p>
+                    {row.question.questionType === 'Objective' && row.question.options?.length > 0 && (
+                      <p className="text-xs text-gray-600 mt-1">
+                        {row.question.options.map((option, index) => (
+                          <span key={index} className={`mr-3 ${option.isCorrect ? 'text-green-700 font-medium' : ''}`}>
+                            {String.fromCharCode(65 + index)}. {option.text}
+                          </span>
+                        ))}
+                      </p>
+                    )}
+                    {row.errors.length > 0 && (
+                      <ul className="mt-1 text-xs text-red-700 list-disc list-inside">
+                        {row.errors.map((error, index) => (
+                          <li key={index}>{error}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  {row.isValid ? (
+                    <CheckCircleIcon className="h-5 w-5 text-green-500 flex-shrink-0" />
+                  ) : (
+                    <ExclamationTriangleIcon className="h-5 w-5 text-red-500 flex-shrink-0" />
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-between pt-4">
+              <button type="button" onClick={() => setStep(0)} className="btn-secondary">
+                Back
+              </button>
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={loading || selectedRows.size === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                {loading ? 'Importing...' : `Import ${selectedRows.size} Question${selectedRows.size !== 1 ? 's' : ''}`}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 2 && result && (
+          <div className="space-y-4">
+            <div className="text-center py-6">
+              <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+              <h4 className="mt-2 text-lg font-medium text-gray-900">
+                {result.importedCount} question{result.importedCount !== 1 ? 's' : ''} imported
+              </h4>
+              {result.skippedCount > 0 && (
+                <p className="mt-1 text-sm text-gray-600">{result.skippedCount} skipped</p>
+              )}
+            </div>
+
+            {result.skipped?.length > 0 && (
+              <ul className="text-sm text-red-700 space-y-1">
+                {result.skipped.map(item => (
+                  <li key={item.row}>Row {item.row}: {item.errors.join(', ')}</li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex justify-end pt-4">
+              <button type="button" onClick={onClose} className="btn-primary">
+                Close
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionImportWizard;
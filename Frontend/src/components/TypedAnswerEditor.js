@@ -0,0 +1,269 @@
+import React from 'react';
+import { TrashIcon, ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline';
+import { SCORING_MODE_OPTIONS, ARRANGEMENT_SCORING_DESCRIPTIONS } from '../utils/objectiveScoring';
+
+// Answer key editor for the objective answer types that have no options:
+// fill in the blank, numeric, matching and ordering. Shared by the question
+// bank and the exam question editor; `onChange` receives the changed fields.
+const TypedAnswerEditor = ({ question, onChange }) => {
+  const updateListItem = (field, index, value) => {
+    const items = [...question[field]];
+    items[index] = value;
+    onChange({ [field]: items });
+  };
+
+  const removeListItem = (field, index) => {
+    onChange({ [field]: question[field].filter((_, i) => i !== index) });
+  };
+
+  const moveOrderingItem = (index, offset) => {
+    const items = [...question.orderingItems];
+    [items[index], items[index + offset]] = [items[index + offset], items[index]];
+    onChange({ orderingItems: items });
+  };
+
+  const scoringModeSelect = (
+    <div>
+      <label className="form-label">Marking</label>
+      <select
+        className="form-input"
+        value={question.scoringMode || 'all-or-nothing'}
+        onChange={(e) => onChange({ scoringMode: e.target.value })}
+      >
+        {SCORING_MODE_OPTIONS.map(mode => (
+          <option key={mode.value} value={mode.value}>{mode.label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">
+        {ARRANGEMENT_SCORING_DESCRIPTIONS[question.scoringMode || 'all-or-nothing']}
+      </p>
+    </div>
+  );
+
+  if (question.answerType === 'fill-blank') {
+    return (
+      <div className="space-y-3">
+        <label className="form-label">Accepted Answers</label>
+        <p className="text-xs text-gray-500">
+          A student's answer is correct if it matches any of these. Extra spaces are ignored.
+        </p>
+        {question.acceptedAnswers.map((answer, index) => (
+          <div key={index} className="flex items-center space-x-3">
+            <input
+              type="text"
+              className="form-input flex-1"
+              value={answer}
+              onChange={(e) => updateListItem('acceptedAnswers', index, e.target.value)}
+              placeholder={`Accepted answer ${index + 1}`}
+            />
+            {question.acceptedAnswers.length > 1 && (
+              <button
+                type="button"
+                onClick={() => removeListItem('acceptedAnswers', index)}
+                className="text-red-600 hover:text-red-800"
+              >
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange({ acceptedAnswers: [...question.acceptedAnswers, ''] })}
+          className="btn-secondary text-sm"
+        >
+          Add Accepted Answer
+        </button>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={question.caseSensitive}
+            onChange={(e) => onChange({ caseSensitive: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+          />
+          Case sensitive (e.g. chemical symbols such as "Co" and "CO")
+        </label>
+      </div>
+    );
+  }
+
+  if (question.answerType === 'numeric') {
+    return (
+      <div className="space-y-3">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Correct Answer</label>
+            <input
+              type="number"
+              className="form-input"
+              value={question.numericAnswer}
+              onChange={(e) => onChange({ numericAnswer: e.target.value })}
+              step="any"
+              placeholder="e.g., 9.8"
+            />
+          </div>
+          <div>
+            <label className="form-label">Unit (Optional)</label>
+            <input
+              type="text"
+              className="form-input"
+              value={question.unit}
+              onChange={(e) => onChange({ unit: e.target.value })}
+              placeholder="e.g., m/s²"
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Tolerance</label>
+            <input
+              type="number"
+              className="form-input"
+              value={question.tolerance}
+              onChange={(e) => onChange({ tolerance: e.target.value })}
+              min="0"
+              step="any"
+            />
+          </div>
+          <div>
+            <label className="form-label">Tolerance Type</label>
+            <select
+              className="form-input"
+              value={question.toleranceType}
+              onChange={(e) => onChange({ toleranceType: e.target.value })}
+            >
+              <option value="absolute">Plus or minus this amount</option>
+              <option value="relative">Plus or minus this percentage</option>
+            </select>
+          </div>
+        </div>
+        {question.unit && (
+          <div>
+            <label className="form-label">Other Accepted Units (Optional)</label>
+            <input
+              type="text"
+              className="form-input"
+              value={question.acceptedUnits.join(',')}
+              onChange={(e) => onChange({ acceptedUnits: e.target.value.split(',') })}
+              placeholder="Comma separated, e.g. m/s^2, ms-2"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Students may leave the unit out. A unit they type must be {question.unit} or one of these.
+            </p>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (question.answerType === 'matching') {
+    return (
+      <div className="space-y-3">
+        <label className="form-label">Matching Pairs</label>
+        <p className="text-xs text-gray-500">
+          Students see the left items in this order and match each to one of the right items, which are shuffled.
+        </p>
+        {question.matchingPairs.map((pair, index) => (
+          <div key={index} className="flex items-center space-x-3">
+            <input
+              type="text"
+              className="form-input flex-1"
+              value={pair.left}
+              onChange={(e) => updateListItem('matchingPairs', index, { ...pair, left: e.target.value })}
+              placeholder={`Item ${index + 1}`}
+            />
+            <span className="text-gray-400">→</span>
+            <input
+              type="text"
+              className="form-input flex-1"
+              value={pair.right}
+              onChange={(e) => updateListItem('matchingPairs', index, { ...pair, right: e.target.value })}
+              placeholder="Matches with"
+            />
+            {question.matchingPairs.length > 2 && (
+              <button
+                type="button"
+                onClick={() => removeListItem('matchingPairs', index)}
+                className="text-red-600 hover:text-red-800"
+              >
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            )}
+          </div>
+        ))}
+        {question.matchingPairs.length < 10 && (
+          <button
+            type="button"
+            onClick={() => onChange({ matchingPairs: [...question.matchingPairs, { left: '', right: '' }] })}
+            className="btn-secondary text-sm"
+          >
+            Add Pair
+          </button>
+        )}
+        {scoringModeSelect}
+      </div>
+    );
+  }
+
+  if (question.answerType === 'ordering') {
+    return (
+      <div className="space-y-3">
+        <label className="form-label">Items in the Correct Order</label>
+        <p className="text-xs text-gray-500">
+          Students see these items shuffled and put them back in this order.
+        </p>
+        {question.orderingItems.map((item, index) => (
+          <div key={index} className="flex items-center space-x-3">
+            <span className="text-sm font-medium text-gray-500 w-6">{index + 1}.</span>
+            <input
+              type="text"
+              className="form-input flex-1"
+              value={item}
+              onChange={(e) => updateListItem('orderingItems', index, e.target.value)}
+              placeholder={`Item ${index + 1}`}
+            />
+            <button
+              type="button"
+              onClick={() => moveOrderingItem(index, -1)}
+              disabled={index === 0}
+              className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            >
+              <ArrowUpIcon className="h-5 w-5" />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveOrderingItem(index, 1)}
+              disabled={index === question.orderingItems.length - 1}
+              className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            >
+              <ArrowDownIcon className="h-5 w-5" />
+            </button>
+            {question.orderingItems.length > 2 && (
+              <button
+                type="button"
+                onClick={() => removeListItem('orderingItems', index)}
+                className="text-red-600 hover:text-red-800"
+              >
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            )}
+          </div>
+        ))}
+        {question.orderingItems.length < 10 && (
+          <button
+            type="button"
+            onClick={() => onChange({ orderingItems: [...question.orderingItems, ''] })}
+            className="btn-secondary text-sm"
+          >
+            Add Item
+          </button>
+        )}
+        {scoringModeSelect}
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default TypedAnswerEditor;
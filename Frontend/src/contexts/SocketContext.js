@@ -163,9 +163,10 @@ export const SocketProvider = ({ children }) => {
   }, []);
 
   // Stable event methods that won't cause re-renders
-  const joinExamRoom = useCallback((examId) => {
+  // Students pass their attempt's session token so the server can tie this socket to it
+  const joinExamRoom = useCallback((examId, sessionToken) => {
     if (socketRef.current && isConnected) {
-      socketRef.current.emit('join-exam', { examId });
+      socketRef.current.emit('join-exam', { examId, sessionToken });
     }
   }, [isConnected]);
 
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import Layout from '../../components/Layout/Layout';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import {
+  CalendarDaysIcon,
+  ArrowPathIcon,
+  ArchiveBoxIcon,
+  CheckCircleIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+// The "YYYY/YYYY" session after `name`
+const getNextSessionName = (name) => {
+  const endYear = parseInt(name.split('/')[1]);
+  return `${endYear}/${endYear + 1}`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : 'Not set');
+
+const AcademicSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showRolloverModal, setShowRolloverModal] = useState(false);
+  const [rolloverData, setRolloverData] = useState({ name: '', startDate: '', endDate: '' });
+  const [rollingOver, setRollingOver] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/sessions');
+      setSessions(response.data.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load academic sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const currentSession = sessions.find(session => session.isCurrent);
+  const pastSessions = sessions.filter(session => !session.isCurrent);
+
+  const openRolloverModal = () => {
+    setRolloverData({
+      name: currentSession ? getNextSessionName(currentSession.name) : '',
+      startDate: '',
+      endDate: ''
+    });
+    setShowRolloverModal(true);
+  };
+
+  const handleMakeCurrent = async (term) => {
+    try {
+      const response = await axios.put(`/api/admin/sessions/terms/${term._id}/current`);
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change the current term');
+    }
+  };
+
+  const handleRollover = async (e) => {
+    e.preventDefault();
+    if (!window.confirm(
+      `Archive ${currentSession.name} and start ${rolloverData.name}? Exams of ${currentSession.name} that are still open will be closed. Its results stay available under the session filter.`
+    )) {
+      return;
+    }
+
+    setRollingOver(true);
+    try {
+      const response = await axios.post('/api/admin/sessions/rollover', rolloverData);
+      toast.success(response.data.message);
+      if (response.data.data.closedExams > 0) {
+        toast(`${response.data.data.closedExams} open exam${response.data.data.closedExams !== 1 ? 's were' : ' was'} closed`);
+      }
+      setShowRolloverModal(false);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start the new session');
+    } finally {
+      setRollingOver(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading academic sessions..." />;
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Academic Sessions
+              </h1>
+              <p className="text-gray-600">
+                New exams and their results are filed under the current session and term
+              </p>
+            </div>
+            {currentSession && (
+              <button
+                onClick={openRolloverModal}
+                className="btn-primary flex items-center"
+              >
+                <ArrowPathIcon className="h-5 w-5 mr-2" />
+                Start New Session
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Current Session */}
+        {currentSession ? (
+          <div className="bg-white rounded-lg shadow-sm">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <div className="flex items-center space-x-3">
+                <CalendarDaysIcon className="h-6 w-6 text-blue-600" />
+                <h2 className="text-lg font-semibold text-gray-900">{currentSession.name}</h2>
+                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                  Current
+                </span>
+              </div>
+              <p className="text-sm text-gray-500 mt-1">
+                {formatDate(currentSession.startDate)} - {formatDate(currentSession.endDate)}
+              </p>
+            </div>
+
+            <div className="p-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+              {(currentSession.terms || []).map(term => (
+                <div
+                  key={term._id}
+                  className={`border rounded-lg p-4 ${term.isCurrent ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <h3 className="font-medium text-gray-900">{term.name}</h3>
+                    {term.isCurrent && <CheckCircleIcon className="h-5 w-5 text-blue-600" />}
+                  </div>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {term.startDate ? `Started ${formatDate(term.startDate)}` : 'Not started'}
+                  </p>
+                  {!term.isCurrent && (
+                    <button
+                      onClick={() => handleMakeCurrent(term)}
+                      className="btn-secondary text-sm mt-3"
+                    >
+                      Make Current Term
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+            <CalendarDaysIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No current session</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              The server opens one from today's date when it starts.
+            </p>
+          </div>
+        )}
+
+        {/* Past Sessions */}
+        <div className="bg-white rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Past Sessions ({pastSessions.length})
+            </h2>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {pastSessions.length > 0 ? (
+              pastSessions.map(session => (
+                <div key={session._id} className="p-6 flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <ArchiveBoxIcon className="h-5 w-5 text-gray-400" />
+                    <div>
+                      <h3 className="font-medium text-gray-900">{session.name}</h3>
+                      <p className="text-sm text-gray-500">
+                        {formatDate(session.startDate)} - {formatDate(session.endDate)}
+                      </p>
+                    </div>
+                  </div>
+                  <span className="text-sm text-gray-500">
+                    {session.archivedAt ? `Archived ${formatDate(session.archivedAt)}` : session.status}
+                  </span>
+                </div>
+              ))
+            ) : (
+              <div className="p-6 text-sm text-gray-500">
+                Sessions you roll over from are kept here. Their results stay available in Exam Analytics.
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Rollover Modal */}
+        {showRolloverModal && (
+          <div className="modal-overlay">
+            <div className="modal-content max-w-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                Start New Session
+              </h3>
+              <form onSubmit={handleRollover} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  {currentSession.name} will be archived and the new session starts in its First Term.
+                  Open exams of {currentSession.name} are closed; its exams and results are kept.
+                </p>
+
+                <div>
+                  <label className="form-label">Session</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={rolloverData.name}
+                    onChange={(e) => setRolloverData({...rolloverData, name: e.target.value})}
+                    placeholder="e.g., 2026/2027"
+                    pattern="\d{4}/\d{4}"
+                    required
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Start Date (Optional)</label>
+                    <input
+                      type="date"
+                      className="form-input"
+                      value={rolloverData.startDate}
+                      onChange={(e) => setRolloverData({...rolloverData, startDate: e.target.value})}
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">End Date (Optional)</label>
+                    <input
+                      type="date"
+                      className="form-input"
+                      value={rolloverData.endDate}
+                      onChange={(e) => setRolloverData({...rolloverData, endDate: e.target.value})}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowRolloverModal(false)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-primary" disabled={rollingOver}>
+                    {rollingOver ? 'Starting...' : 'Archive & Start'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default AcademicSessions;
@@ -10,9 +10,26 @@ import {
   BookOpenIcon,
   ClipboardDocumentListIcon,
   CheckCircleIcon,
+  PlusIcon,
+  ArrowsRightLeftIcon,
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import {
+  CLASS_LEVELS,
+  DEPARTMENTS,
+  isJuniorLevel,
+  buildClassName,
+  getSiblingArms
+} from '../../utils/classes';
+
+const EMPTY_ARM_FORM = {
+  level: 'JSS1',
+  arm: '',
+  department: '',
+  description: '',
+  maxStudents: 40
+};
 
 const ClassManagement = () => {
   const [classes, setClasses] = useState([]);
@@ -26,21 +43,18 @@ const ClassManagement = () => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedClass, setSelectedClass] = useState(null);
   const [formData, setFormData] = useState({
+    arm: '',
+    department: '',
     description: '',
     classTeacher: '',
     subjects: [],
     maxStudents: 40
   });
-
-  // Fixed Nigerian class levels
-  const classLevels = [
-    { value: 'JSS1', label: 'JSS 1 (Junior Secondary 1)', category: 'Junior' },
-    { value: 'JSS2', label: 'JSS 2 (Junior Secondary 2)', category: 'Junior' },
-    { value: 'JSS3', label: 'JSS 3 (Junior Secondary 3)', category: 'Junior' },
-    { value: 'SS1', label: 'SS 1 (Senior Secondary 1)', category: 'Senior' },
-    { value: 'SS2', label: 'SS 2 (Senior Secondary 2)', category: 'Senior' },
-    { value: 'SS3', label: 'SS 3 (Senior Secondary 3)', category: 'Senior' }
-  ];
+  const [initArms, setInitArms] = useState('');
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [armForm, setArmForm] = useState(EMPTY_ARM_FORM);
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  const [mergeTarget, setMergeTarget] = useState('');
 
   useEffect(() => {
     fetchClasses();
@@ -81,7 +95,8 @@ const ClassManagement = () => {
   const initializeClasses = async () => {
     setInitializing(true);
     try {
-      await axios.post('/api/admin/classes/initialize');
+      const arms = initArms.split(',').map(arm => arm.trim()).filter(Boolean);
+      await axios.post('/api/admin/classes/initialize', arms.length > 0 ? { arms } : {});
       toast.success('Nigerian school classes initialized successfully');
       fetchClasses();
     } catch (error) {
@@ -117,8 +132,51 @@ const ClassManagement = () => {
     }
   };
 
+  const handleCreateArm = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/api/admin/classes', armForm);
+      toast.success(response.data.message);
+      setShowCreateModal(false);
+      setArmForm(EMPTY_ARM_FORM);
+      fetchClasses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create class');
+    }
+  };
+
+  const openMergeModal = (classItem) => {
+    setSelectedClass(classItem);
+    setMergeTarget(getSiblingArms(classes, classItem)[0]?._id || '');
+    setShowMergeModal(true);
+  };
+
+  const handleMergeClass = async (e) => {
+    e.preventDefault();
+    const target = classes.find(cls => cls._id === mergeTarget);
+    if (!target) {
+      toast.error('Please choose a class to merge into');
+      return;
+    }
+    if (!window.confirm(`Move all students, subjects, questions and exams of ${selectedClass.name} into ${target.name} and remove ${selectedClass.name}?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/admin/classes/${selectedClass._id}/merge`, { intoClassId: mergeTarget });
+      toast.success(response.data.message);
+      setShowMergeModal(false);
+      setSelectedClass(null);
+      fetchClasses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to merge classes');
+    }
+  };
+
   const resetForm = () => {
     setFormData({
+      arm: '',
+      department: '',
       description: '',
       classTeacher: '',
       subjects: [],
@@ -130,6 +188,8 @@ const ClassManagement = () => {
   const openEditModal = (classItem) => {
     setSelectedClass(classItem);
     setFormData({
+      arm: classItem.arm || '',
+      department: classItem.department || '',
       description: classItem.description || '',
       classTeacher: classItem.classTeacher?._id || '',
       subjects: classItem.subjects?.map(s => s._id) || [],
@@ -147,22 +207,18 @@ const ClassManagement = () => {
     }));
   };
 
-  const getClassCategory = (className) => {
-    return ['JSS1', 'JSS2', 'JSS3'].includes(className) ? 'Junior' : 'Senior';
-  };
-
   const filteredClasses = classes.filter(cls => {
     const matchesSearch = cls.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       cls.description?.toLowerCase().includes(searchTerm.toLowerCase());
     
-    const matchesLevel = !levelFilter || cls.name === levelFilter;
+    const matchesLevel = !levelFilter || cls.level === levelFilter;
     
     return matchesSearch && matchesLevel;
   });
 
   // Group classes by category for better organization
-  const juniorClasses = filteredClasses.filter(cls => getClassCategory(cls.name) === 'Junior');
-  const seniorClasses = filteredClasses.filter(cls => getClassCategory(cls.name) === 'Senior');
+  const juniorClasses = filteredClasses.filter(cls => isJuniorLevel(cls.level));
+  const seniorClasses = filteredClasses.filter(cls => !isJuniorLevel(cls.level));
 
   if (loading) {
     return <LoadingSpinner text="Loading classes..." />;
@@ -179,7 +235,7 @@ const ClassManagement = () => {
                 Class Management
               </h1>
               <p className="text-gray-600">
-                Manage Nigerian school classes (JSS1-SS3) with subjects and teachers
+                Manage class arms and streams for each level (JSS1-SS3) with subjects and teachers
               </p>
             </div>
             <div className="flex space-x-3">
@@ -193,6 +249,18 @@ const ClassManagement = () => {
                   {assigningSubjects ? 'Assigning...' : 'Auto-Assign Subjects'}
                 </button>
               )}
+              {classes.length > 0 && (
+                <button
+                  onClick={() => {
+                    setArmForm(EMPTY_ARM_FORM);
+                    setShowCreateModal(true);
+                  }}
+                  className="btn-primary flex items-center"
+                >
+                  <PlusIcon className="h-5 w-5 mr-2" />
+                  New Arm
+                </button>
+              )}
               {classes.length === 0 && (
                 <button
                   onClick={initializeClasses}
@@ -216,7 +284,7 @@ const ClassManagement = () => {
               </div>
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Total Classes</p>
-                <p className="text-2xl font-bold text-gray-900">{classes.length}/6</p>
+                <p className="text-2xl font-bold text-gray-900">{classes.length}</p>
               </div>
             </div>
           </div>
@@ -281,7 +349,7 @@ const ClassManagement = () => {
                 onChange={(e) => setLevelFilter(e.target.value)}
               >
                 <option value="">All Classes</option>
-                {classLevels.map(level => (
+                {CLASS_LEVELS.map(level => (
                   <option key={level.value} value={level.value}>
                     {level.label}
                   </option>
@@ -310,6 +378,15 @@ const ClassManagement = () => {
             <p className="mt-1 text-sm text-gray-500">
               Initialize the Nigerian school class structure (JSS1-SS3).
             </p>
+            <div className="mt-4 max-w-sm mx-auto">
+              <input
+                type="text"
+                className="form-input"
+                value={initArms}
+                onChange={(e) => setInitArms(e.target.value)}
+                placeholder="Arms per level, e.g. A, B, C (optional)"
+              />
+            </div>
             <div className="mt-6">
               <button
                 onClick={initializeClasses}
@@ -350,18 +427,31 @@ const ClassManagement = () => {
                                   {classItem.name}
                                 </h3>
                                 <p className="text-sm text-gray-500">
-                                  Junior Secondary {classItem.name.slice(-1)}
+                                  Junior Secondary {classItem.level.slice(-1)}
+                                  {classItem.department && ` · ${classItem.department}`}
+                                  {classItem.arm && ` · Arm ${classItem.arm}`}
                                 </p>
                               </div>
                             </div>
                             
-                            <button
-                              onClick={() => openEditModal(classItem)}
-                              className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md"
-                              title="Edit Class"
-                            >
-                              <PencilIcon className="h-5 w-5" />
-                            </button>
+                            <div className="flex space-x-1">
+                              {getSiblingArms(classes, classItem).length > 0 && (
+                                <button
+                                  onClick={() => openMergeModal(classItem)}
+                                  className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-50 rounded-md"
+                                  title="Merge into another arm"
+                                >
+                                  <ArrowsRightLeftIcon className="h-5 w-5" />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => openEditModal(classItem)}
+                                className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md"
+                                title="Edit Class"
+                              >
+                                <PencilIcon className="h-5 w-5" />
+                              </button>
+                            </div>
                           </div>
 
                           <div className="space-y-3">
@@ -467,18 +557,31 @@ const ClassManagement = () => {
                                   {classItem.name}
                                 </h3>
                                 <p className="text-sm text-gray-500">
-                                  Senior Secondary {classItem.name.slice(-1)}
+                                  Senior Secondary {classItem.level.slice(-1)}
+                                  {classItem.department && ` · ${classItem.department}`}
+                                  {classItem.arm && ` · Arm ${classItem.arm}`}
                                 </p>
                               </div>
                             </div>
                             
-                            <button
-                              onClick={() => openEditModal(classItem)}
-                              className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md"
-                              title="Edit Class"
-                            >
-                              <PencilIcon className="h-5 w-5" />
-                            </button>
+                            <div className="flex space-x-1">
+                              {getSiblingArms(classes, classItem).length > 0 && (
+                                <button
+                                  onClick={() => openMergeModal(classItem)}
+                                  className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-50 rounded-md"
+                                  title="Merge into another arm"
+                                >
+                                  <ArrowsRightLeftIcon className="h-5 w-5" />
+                                </button>
+                              )}
+                              <button
+                                onClick={() => openEditModal(classItem)}
+                                className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md"
+                                title="Edit Class"
+                              >
+                                <PencilIcon className="h-5 w-5" />
+                              </button>
+                            </div>
                           </div>
 
                           <div className="space-y-3">
@@ -567,18 +670,45 @@ const ClassManagement = () => {
                 Edit {selectedClass?.name} Class
               </h3>
               <form onSubmit={handleEditClass} className="space-y-4">
-                <div>
-                  <label className="form-label">Class Name</label>
-                  <input
-                    type="text"
-                    className="form-input bg-gray-50"
-                    value={selectedClass?.name || ''}
-                    readOnly
-                  />
-                  <p className="text-sm text-gray-500 mt-1">
-                    Class names are fixed in the Nigerian school system
-                  </p>
+                <div className="grid grid-cols-3 gap-4">
+                  <div>
+                    <label className="form-label">Level</label>
+                    <input
+                      type="text"
+                      className="form-input bg-gray-50"
+                      value={selectedClass?.level || ''}
+                      readOnly
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Arm</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={formData.arm}
+                      onChange={(e) => setFormData({...formData, arm: e.target.value})}
+                      placeholder="e.g., A"
+                      maxLength="20"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Department</label>
+                    <select
+                      className="form-input"
+                      value={formData.department}
+                      onChange={(e) => setFormData({...formData, department: e.target.value})}
+                      disabled={isJuniorLevel(selectedClass?.level)}
+                    >
+                      <option value="">None</option>
+                      {DEPARTMENTS.map(department => (
+                        <option key={department} value={department}>{department}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
+                <p className="text-sm text-gray-500 -mt-2">
+                  Class name: <span className="font-medium">{buildClassName({ ...formData, level: selectedClass?.level })}</span>
+                </p>
 
                 <div className="grid grid-cols-2 gap-4">
                   <div>
@@ -657,6 +787,148 @@ const ClassManagement = () => {
             </div>
           </div>
         )}
+
+        {/* Create Arm Modal */}
+        {showCreateModal && (
+          <div className="modal-overlay">
+            <div className="modal-content max-w-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                New Class Arm
+              </h3>
+              <form onSubmit={handleCreateArm} className="space-y-4">
+                <div className="grid grid-cols-3 gap-4">
+                  <div>
+                    <label className="form-label">Level</label>
+                    <select
+                      className="form-input"
+                      value={armForm.level}
+                      onChange={(e) => setArmForm({
+                        ...armForm,
+                        level: e.target.value,
+                        department: isJuniorLevel(e.target.value) ? '' : armForm.department
+                      })}
+                    >
+                      {CLASS_LEVELS.map(level => (
+                        <option key={level.value} value={level.value}>{level.value}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Arm</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={armForm.arm}
+                      onChange={(e) => setArmForm({...armForm, arm: e.target.value})}
+                      placeholder="e.g., B"
+                      maxLength="20"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Department</label>
+                    <select
+                      className="form-input"
+                      value={armForm.department}
+                      onChange={(e) => setArmForm({...armForm, department: e.target.value})}
+                      disabled={isJuniorLevel(armForm.level)}
+                    >
+                      <option value="">None</option>
+                      {DEPARTMENTS.map(department => (
+                        <option key={department} value={department}>{department}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Class name: <span className="font-medium">{buildClassName(armForm)}</span>
+                </p>
+
+                <div>
+                  <label className="form-label">Maximum Students</label>
+                  <input
+                    type="number"
+                    className="form-input"
+                    value={armForm.maxStudents}
+                    onChange={(e) => setArmForm({...armForm, maxStudents: parseInt(e.target.value)})}
+                    min="1"
+                    max="100"
+                  />
+                </div>
+
+                <div>
+                  <label className="form-label">Description</label>
+                  <textarea
+                    className="form-input"
+                    rows="2"
+                    value={armForm.description}
+                    onChange={(e) => setArmForm({...armForm, description: e.target.value})}
+                    placeholder="Optional description for the class..."
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowCreateModal(false)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-primary">
+                    Create Class
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Merge Arm Modal */}
+        {showMergeModal && (
+          <div className="modal-overlay">
+            <div className="modal-content max-w-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                Merge {selectedClass?.name}
+              </h3>
+              <form onSubmit={handleMergeClass} className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Students, subjects, questions and exams of {selectedClass?.name} move to the class you
+                  choose, and {selectedClass?.name} is removed.
+                </p>
+                <div>
+                  <label className="form-label">Merge Into</label>
+                  <select
+                    className="form-input"
+                    value={mergeTarget}
+                    onChange={(e) => setMergeTarget(e.target.value)}
+                  >
+                    {getSiblingArms(classes, selectedClass).map(cls => (
+                      <option key={cls._id} value={cls._id}>
+                        {cls.name} ({cls.studentsCount || 0} students)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setShowMergeModal(false);
+                      setSelectedClass(null);
+                    }}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-primary">
+                    Merge Classes
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
       </div>
     </Layout>
   );
@@ -21,6 +21,7 @@ const ExamAnalytics = () => {
   const [classes, setClasses] = useState([]);
   const [subjects, setSubjects] = useState([]);
   const [students, setStudents] = useState([]);
+  const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [exportLoading, setExportLoading] = useState(false);
   const [filters, setFilters] = useState({
@@ -28,7 +29,9 @@ const ExamAnalytics = () => {
     class: '',
     student: '',
     examType: '',
-    dateRange: 'all'
+    dateRange: 'all',
+    academicSession: '',
+    term: ''
   });
   const [searchTerm, setSearchTerm] = useState('');
   const [analytics, setAnalytics] = useState({
@@ -48,15 +51,17 @@ const ExamAnalytics = () => {
 
   const fetchInitialData = async () => {
     try {
-      const [classesRes, subjectsRes, studentsRes] = await Promise.all([
+      const [classesRes, subjectsRes, studentsRes, sessionsRes] = await Promise.all([
         axios.get('/api/admin/classes'),
         axios.get('/api/admin/subjects'),
-        axios.get('/api/admin/users?role=student&limit=1000')
+        axios.get('/api/admin/users?role=student&limit=1000'),
+        axios.get('/api/sessions')
       ]);
 
       setClasses(classesRes.data.data?.classes || []);
       setSubjects(subjectsRes.data.data?.subjects || []);
       setStudents(studentsRes.data.data?.users || []);
+      setSessions(sessionsRes.data.data?.sessions || []);
     } catch (error) {
       console.error('Error fetching initial data:', error);
       toast.error('Failed to load initial data');
@@ -73,6 +78,8 @@ const ExamAnalytics = () => {
       if (filters.student) params.append('student', filters.student);
       if (filters.examType) params.append('examType', filters.examType);
       if (filters.dateRange !== 'all') params.append('dateRange', filters.dateRange);
+      if (filters.academicSession) params.append('academicSession', filters.academicSession);
+      if (filters.term) params.append('term', filters.term);
 
       const response = await axios.get(`/api/admin/results?${params}`);
       const data = response.data.data;
@@ -96,7 +103,9 @@ const ExamAnalytics = () => {
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
-      [key]: value
+      [key]: value,
+      // Terms belong to a session
+      ...(key === 'academicSession' && { term: '' })
     }));
   };
 
@@ -106,7 +115,9 @@ const ExamAnalytics = () => {
       class: '',
       student: '',
       examType: '',
-      dateRange: 'all'
+      dateRange: 'all',
+      academicSession: '',
+      term: ''
     });
     setSearchTerm('');
   };
@@ -296,7 +307,38 @@ const ExamAnalytics = () => {
 
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-sm p-6">
-          <div className="grid grid-cols-1 md:grid-cols-6 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="form-label">Session</label>
+              <select
+                className="form-input"
+                value={filters.academicSession}
+                onChange={(e) => handleFilterChange('academicSession', e.target.value)}
+              >
+                <option value="">All Sessions</option>
+                {sessions.map(session => (
+                  <option key={session._id} value={session._id}>
+                    {session.name}{session.isCurrent ? ' (current)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="form-label">Term</label>
+              <select
+                className="form-input"
+                value={filters.term}
+                onChange={(e) => handleFilterChange('term', e.target.value)}
+                disabled={!filters.academicSession}
+              >
+                <option value="">All Terms</option>
+                {(sessions.find(session => session._id === filters.academicSession)?.terms || []).map(term => (
+                  <option key={term._id} value={term._id}>{term.name}</option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="form-label">Subject</label>
               <select
@@ -0,0 +1,374 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Layout from '../../components/Layout/Layout';
+import {
+  ArrowTrendingUpIcon,
+  ArrowPathIcon,
+  AcademicCapIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { CLASS_LEVELS, getNextLevel } from '../../utils/classes';
+
+const OUTCOME_LABELS = {
+  promoted: 'Promote',
+  repeated: 'Repeat',
+  graduated: 'Graduate'
+};
+
+const Promotions = () => {
+  const navigate = useNavigate();
+  const [step, setStep] = useState('options');
+  const [maxFailedSubjects, setMaxFailedSubjects] = useState(2);
+  const [preview, setPreview] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [levelFilter, setLevelFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const handleBuildList = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/admin/promotions/preview', {
+        params: { maxFailedSubjects }
+      });
+      const data = response.data.data;
+      const initialDecisions = {};
+      data.proposals
+        .filter(proposal => !proposal.alreadyDecided)
+        .forEach(proposal => {
+          initialDecisions[proposal.student._id] = {
+            outcome: proposal.outcome,
+            toClass: proposal.toClass || ''
+          };
+        });
+      setPreview(data);
+      setDecisions(initialDecisions);
+      setStep('review');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to build the promotion list');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOutcomeChange = (proposal, outcome) => {
+    let toClass = '';
+    if (outcome === 'promoted') toClass = proposal.nextClass || '';
+    if (outcome === 'repeated') toClass = proposal.fromClass._id;
+    setDecisions({
+      ...decisions,
+      [proposal.student._id]: { outcome, toClass }
+    });
+  };
+
+  const handleClassChange = (proposal, toClass) => {
+    setDecisions({
+      ...decisions,
+      [proposal.student._id]: { ...decisions[proposal.student._id], toClass }
+    });
+  };
+
+  const getClassOptions = (proposal, outcome) => {
+    const level = outcome === 'promoted'
+      ? getNextLevel(proposal.fromClass.level)
+      : proposal.fromClass.level;
+    return preview.classes.filter(classItem => classItem.level === level);
+  };
+
+  const pendingProposals = preview
+    ? preview.proposals.filter(proposal => !proposal.alreadyDecided)
+    : [];
+  const visibleProposals = preview
+    ? preview.proposals.filter(proposal => !levelFilter || proposal.fromClass.level === levelFilter)
+    : [];
+  const counts = { promoted: 0, repeated: 0, graduated: 0 };
+  Object.values(decisions).forEach(decision => { counts[decision.outcome] += 1; });
+  const missingClass = pendingProposals.filter(proposal => {
+    const decision = decisions[proposal.student._id];
+    return decision.outcome !== 'graduated' && !decision.toClass;
+  });
+
+  const handleApply = async () => {
+    if (missingClass.length > 0) {
+      toast.error(`Choose a class for ${missingClass[0].student.firstName} ${missingClass[0].student.lastName}`);
+      return;
+    }
+    if (!window.confirm(
+      `Apply to ${pendingProposals.length} students for ${preview.session.name}? ` +
+      `${counts.promoted} promoted, ${counts.repeated} repeating, ${counts.graduated} graduating. ` +
+      'Graduates become inactive alumni. This cannot be undone from here.'
+    )) {
+      return;
+    }
+
+    setApplying(true);
+    try {
+      const response = await axios.post('/api/admin/promotions/apply', {
+        decisions: pendingProposals.map(proposal => ({
+          student: proposal.student._id,
+          outcome: decisions[proposal.student._id].outcome,
+          toClass: decisions[proposal.student._id].toClass || undefined
+        }))
+      });
+      toast.success(response.data.message);
+      setSummary(response.data.data.summary);
+      setStep('done');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to apply promotions');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Promotions
+              </h1>
+              <p className="text-gray-600">
+                Move students into next session's classes before starting the new session
+              </p>
+            </div>
+            {step === 'review' && (
+              <button
+                onClick={() => setStep('options')}
+                className="btn-secondary flex items-center"
+              >
+                <ArrowPathIcon className="h-5 w-5 mr-2" />
+                Change Rules
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Step 1: Rules */}
+        {step === 'options' && (
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <form onSubmit={handleBuildList} className="space-y-4 max-w-lg">
+              <p className="text-sm text-gray-600">
+                Each student's average in a subject over this session's graded exams is compared
+                with the subject's passing score. Students who fail a compulsory subject, or more
+                subjects than allowed below, are proposed to repeat. SS3 students who pass graduate.
+              </p>
+              <div>
+                <label className="form-label">Failed Subjects Allowed</label>
+                <input
+                  type="number"
+                  className="form-input"
+                  min="0"
+                  value={maxFailedSubjects}
+                  onChange={(e) => setMaxFailedSubjects(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="flex justify-end">
+                <button type="submit" className="btn-primary flex items-center" disabled={loading}>
+                  <ArrowTrendingUpIcon className="h-5 w-5 mr-2" />
+                  {loading ? 'Building...' : 'Build Promotion List'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Step 2: Review */}
+        {step === 'review' && preview && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <p className="text-sm text-gray-500">Promote</p>
+                <p className="text-2xl font-bold text-green-600">{counts.promoted}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <p className="text-sm text-gray-500">Repeat</p>
+                <p className="text-2xl font-bold text-yellow-600">{counts.repeated}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <p className="text-sm text-gray-500">Graduate</p>
+                <p className="text-2xl font-bold text-blue-600">{counts.graduated}</p>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  {preview.session.name} Students ({visibleProposals.length})
+                </h2>
+                <select
+                  className="form-input w-48"
+                  value={levelFilter}
+                  onChange={(e) => setLevelFilter(e.target.value)}
+                >
+                  <option value="">All Levels</option>
+                  {CLASS_LEVELS.map(level => (
+                    <option key={level.value} value={level.value}>{level.value}</option>
+                  ))}
+                </select>
+              </div>
+
+              {visibleProposals.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Class
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Results
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Outcome
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Next Class
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {visibleProposals.map(proposal => {
+                        const decision = decisions[proposal.student._id];
+                        const failed = proposal.subjects.filter(subject => !subject.passed);
+                        return (
+                          <tr key={proposal.student._id}>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <div className="text-sm font-medium text-gray-900">
+                                {proposal.student.firstName} {proposal.student.lastName}
+                              </div>
+                              <div className="text-sm text-gray-500">{proposal.student.studentId}</div>
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {proposal.fromClass.name}
+                            </td>
+                            <td className="px-6 py-4 text-sm">
+                              {proposal.noResults ? (
+                                <span className="inline-flex items-center text-yellow-700">
+                                  <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                                  No graded results
+                                </span>
+                              ) : (
+                                <div>
+                                  <div className="text-gray-900">
+                                    Average {proposal.overallAverage}% in {proposal.subjects.length} subjects
+                                  </div>
+                                  {failed.length > 0 && (
+                                    <div className="text-red-600">
+                                      Failed: {failed.map(subject =>
+                                        `${subject.name} (${subject.average}/${subject.passingScore})${subject.isCompulsory ? '*' : ''}`
+                                      ).join(', ')}
+                                    </div>
+                                  )}
+                                </div>
+                              )}
+                            </td>
+                            {decision ? (
+                              <>
+                                <td className="px-6 py-4 whitespace-nowrap">
+                                  <select
+                                    className="form-input"
+                                    value={decision.outcome}
+                                    onChange={(e) => handleOutcomeChange(proposal, e.target.value)}
+                                  >
+                                    {proposal.fromClass.level === 'SS3' ? (
+                                      <>
+                                        <option value="graduated">{OUTCOME_LABELS.graduated}</option>
+                                        <option value="repeated">{OUTCOME_LABELS.repeated}</option>
+                                      </>
+                                    ) : (
+                                      <>
+                                        <option value="promoted">{OUTCOME_LABELS.promoted}</option>
+                                        <option value="repeated">{OUTCOME_LABELS.repeated}</option>
+                                      </>
+                                    )}
+                                  </select>
+                                </td>
+                                <td className="px-6 py-4 whitespace-nowrap">
+                                  {decision.outcome === 'graduated' ? (
+                                    <span className="text-sm text-gray-500">Alumni</span>
+                                  ) : (
+                                    <select
+                                      className="form-input"
+                                      value={decision.toClass}
+                                      onChange={(e) => handleClassChange(proposal, e.target.value)}
+                                    >
+                                      <option value="">Select class</option>
+                                      {getClassOptions(proposal, decision.outcome).map(classItem => (
+                                        <option key={classItem._id} value={classItem._id}>{classItem.name}</option>
+                                      ))}
+                                    </select>
+                                  )}
+                                </td>
+                              </>
+                            ) : (
+                              <td colSpan="2" className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                Already moved this session
+                              </td>
+                            )}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="p-12 text-center">
+                  <AcademicCapIcon className="mx-auto h-12 w-12 text-gray-400" />
+                  <h3 className="mt-2 text-sm font-medium text-gray-900">No students</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    There are no active students in a class{levelFilter ? ` in ${levelFilter}` : ''}.
+                  </p>
+                </div>
+              )}
+
+              <div className="px-6 py-4 border-t border-gray-200 flex justify-between items-center">
+                <p className="text-sm text-gray-500">
+                  * compulsory subject
+                </p>
+                <button
+                  onClick={handleApply}
+                  className="btn-primary"
+                  disabled={applying || pendingProposals.length === 0}
+                >
+                  {applying ? 'Applying...' : `Apply to ${pendingProposals.length} Students`}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+
+        {/* Step 3: Done */}
+        {step === 'done' && summary && (
+          <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+            <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+            <h3 className="mt-2 text-lg font-medium text-gray-900">Promotions applied</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {summary.promoted} promoted, {summary.repeated} repeating, {summary.graduated} graduated.
+              Start the new session when you are ready.
+            </p>
+            <button
+              onClick={() => navigate('/admin/sessions')}
+              className="btn-primary mt-6"
+            >
+              Go to Academic Sessions
+            </button>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Promotions;
@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from 'react';
+import Layout from '../../components/Layout/Layout';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { UserGroupIcon, CheckIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { DEPARTMENTS, isJuniorLevel } from '../../utils/classes';
+import { isRequiredSubject } from '../../utils/subjectEnrollment';
+
+const SubjectEnrollment = () => {
+  const [classes, setClasses] = useState([]);
+  const [selectedClassId, setSelectedClassId] = useState('');
+  const [classDoc, setClassDoc] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [subjects, setSubjects] = useState([]);
+  const [rows, setRows] = useState({});
+  const [selectedStudents, setSelectedStudents] = useState([]);
+  const [bulkDepartment, setBulkDepartment] = useState('');
+  const [bulkSubject, setBulkSubject] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [loadingClass, setLoadingClass] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchClasses();
+  }, []);
+
+  const fetchClasses = async () => {
+    try {
+      const response = await axios.get('/api/admin/classes');
+      setClasses(response.data.data.classes || []);
+    } catch (error) {
+      console.error('Error fetching classes:', error);
+      toast.error('Failed to load classes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchEnrollment = async (classId) => {
+    setSelectedClassId(classId);
+    setSelectedStudents([]);
+    if (!classId) {
+      setClassDoc(null);
+      setStudents([]);
+      setSubjects([]);
+      setRows({});
+      return;
+    }
+
+    setLoadingClass(true);
+    try {
+      const response = await axios.get(`/api/admin/enrollment/${classId}`);
+      const data = response.data.data;
+      const initialRows = {};
+      data.students.forEach(student => {
+        initialRows[student._id] = {
+          department: student.department || '',
+          electiveSubjects: student.electiveSubjects || []
+        };
+      });
+      setClassDoc(data.class);
+      setStudents(data.students);
+      setSubjects(data.subjects);
+      setRows(initialRows);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load students');
+    } finally {
+      setLoadingClass(false);
+    }
+  };
+
+  const isJunior = classDoc ? isJuniorLevel(classDoc.level) : false;
+
+  // Subjects compulsory for everyone are always taken, so they get no column
+  const enrollableSubjects = subjects.filter(subject => !isRequiredSubject(subject, null));
+
+  const getDepartment = (studentId) => rows[studentId].department || classDoc.department || null;
+
+  const updateRow = (studentId, changes) => {
+    setRows(current => ({
+      ...current,
+      [studentId]: { ...current[studentId], ...changes }
+    }));
+  };
+
+  const toggleElective = (studentId, subjectId) => {
+    const electives = rows[studentId].electiveSubjects;
+    updateRow(studentId, {
+      electiveSubjects: electives.includes(subjectId)
+        ? electives.filter(id => id !== subjectId)
+        : [...electives, subjectId]
+    });
+  };
+
+  const toggleStudent = (studentId) => {
+    setSelectedStudents(selectedStudents.includes(studentId)
+      ? selectedStudents.filter(id => id !== studentId)
+      : [...selectedStudents, studentId]);
+  };
+
+  const toggleAllStudents = () => {
+    setSelectedStudents(selectedStudents.length === students.length
+      ? []
+      : students.map(student => student._id));
+  };
+
+  const applyBulkDepartment = () => {
+    const changes = {};
+    selectedStudents.forEach(studentId => {
+      changes[studentId] = { ...rows[studentId], department: bulkDepartment };
+    });
+    setRows({ ...rows, ...changes });
+  };
+
+  const applyBulkElective = (add) => {
+    if (!bulkSubject) {
+      toast.error('Choose a subject first');
+      return;
+    }
+    const changes = {};
+    selectedStudents.forEach(studentId => {
+      const electives = rows[studentId].electiveSubjects.filter(id => id !== bulkSubject);
+      changes[studentId] = {
+        ...rows[studentId],
+        electiveSubjects: add ? [...electives, bulkSubject] : electives
+      };
+    });
+    setRows({ ...rows, ...changes });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put('/api/admin/enrollment', {
+        enrollments: students.map(student => ({
+          student: student._id,
+          department: isJunior ? '' : rows[student._id].department,
+          electiveSubjects: rows[student._id].electiveSubjects
+        }))
+      });
+      toast.success(response.data.message);
+      fetchEnrollment(selectedClassId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save subjects');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading classes..." />;
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Subject Enrollment
+              </h1>
+              <p className="text-gray-600">
+                Students only see exams in compulsory subjects of their department and the electives they take
+              </p>
+            </div>
+            <div className="w-64">
+              <select
+                className="form-input"
+                value={selectedClassId}
+                onChange={(e) => fetchEnrollment(e.target.value)}
+              >
+                <option value="">Select a class</option>
+                {classes.map(cls => (
+                  <option key={cls._id} value={cls._id}>{cls.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {!selectedClassId && (
+          <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+            <UserGroupIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">Choose a class</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Its students and the subjects it offers will be listed here.
+            </p>
+          </div>
+        )}
+
+        {selectedClassId && loadingClass && (
+          <div className="bg-white rounded-lg shadow-sm p-12 text-center text-sm text-gray-500">
+            Loading students...
+          </div>
+        )}
+
+        {selectedClassId && !loadingClass && classDoc && (
+          <>
+            {/* Bulk Actions */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex flex-wrap items-end gap-4">
+                <p className="text-sm text-gray-700 w-full">
+                  {selectedStudents.length} of {students.length} students selected
+                </p>
+                {!isJunior && (
+                  <div className="flex items-end space-x-2">
+                    <div>
+                      <label className="form-label">Department</label>
+                      <select
+                        className="form-input"
+                        value={bulkDepartment}
+                        onChange={(e) => setBulkDepartment(e.target.value)}
+                      >
+                        <option value="">Class default ({classDoc.department || 'none'})</option>
+                        {DEPARTMENTS.map(department => (
+                          <option key={department} value={department}>{department}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <button
+                      onClick={applyBulkDepartment}
+                      className="btn-secondary"
+                      disabled={selectedStudents.length === 0}
+                    >
+                      Set
+                    </button>
+                  </div>
+                )}
+                <div className="flex items-end space-x-2">
+                  <div>
+                    <label className="form-label">Elective</label>
+                    <select
+                      className="form-input"
+                      value={bulkSubject}
+                      onChange={(e) => setBulkSubject(e.target.value)}
+                    >
+                      <option value="">Select subject</option>
+                      {enrollableSubjects.map(subject => (
+                        <option key={subject._id} value={subject._id}>{subject.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <button
+                    onClick={() => applyBulkElective(true)}
+                    className="btn-secondary"
+                    disabled={selectedStudents.length === 0}
+                  >
+                    Add
+                  </button>
+                  <button
+                    onClick={() => applyBulkElective(false)}
+                    className="btn-secondary"
+                    disabled={selectedStudents.length === 0}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {/* Students */}
+            <div className="bg-white rounded-lg shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  {classDoc.name} Students ({students.length})
+                </h2>
+                <button
+                  onClick={handleSave}
+                  className="btn-primary"
+                  disabled={saving || students.length === 0}
+                >
+                  {saving ? 'Saving...' : 'Save Subjects'}
+                </button>
+              </div>
+
+              {students.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left">
+                          <input
+                            type="checkbox"
+                            checked={selectedStudents.length === students.length}
+                            onChange={toggleAllStudents}
+                          />
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Student
+                        </th>
+                        {!isJunior && (
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Department
+                          </th>
+                        )}
+                        {enrollableSubjects.map(subject => (
+                          <th
+                            key={subject._id}
+                            className="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider"
+                            title={subject.name}
+                          >
+                            {subject.code || subject.name}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {students.map(student => (
+                        <tr key={student._id}>
+                          <td className="px-4 py-4">
+                            <input
+                              type="checkbox"
+                              checked={selectedStudents.includes(student._id)}
+                              onChange={() => toggleStudent(student._id)}
+                            />
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <div className="text-sm font-medium text-gray-900">
+                              {student.firstName} {student.lastName}
+                            </div>
+                            <div className="text-sm text-gray-500">
+                              {student.studentId}
+                              {!student.enrolledAt && ' · not enrolled yet'}
+                            </div>
+                          </td>
+                          {!isJunior && (
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <select
+                                className="form-input"
+                                value={rows[student._id].department}
+                                onChange={(e) => updateRow(student._id, { department: e.target.value })}
+                              >
+                                <option value="">Class default ({classDoc.department || 'none'})</option>
+                                {DEPARTMENTS.map(department => (
+                                  <option key={department} value={department}>{department}</option>
+                                ))}
+                              </select>
+                            </td>
+                          )}
+                          {enrollableSubjects.map(subject => (
+                            <td key={subject._id} className="px-3 py-4 text-center">
+                              {isRequiredSubject(subject, getDepartment(student._id)) ? (
+                                <CheckIcon className="h-5 w-5 text-green-600 mx-auto" title="Compulsory for this department" />
+                              ) : (
+                                <input
+                                  type="checkbox"
+                                  checked={rows[student._id].electiveSubjects.includes(subject._id)}
+                                  onChange={() => toggleElective(student._id, subject._id)}
+                                />
+                              )}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="p-12 text-center text-sm text-gray-500">
+                  There are no active students in {classDoc.name}.
+                </div>
+              )}
+
+              <div className="px-6 py-4 border-t border-gray-200 text-sm text-gray-500">
+                <CheckIcon className="h-4 w-4 text-green-600 inline mr-1" />
+                compulsory for the student's department. Subjects compulsory for everyone are always taken and not listed.
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default SubjectEnrollment;
@@ -20,7 +20,6 @@ import toast from 'react-hot-toast';
 
 const SubjectManagement = () => {
   const [subjects, setSubjects] = useState([]);
-  const [teachers, setTeachers] = useState([]);
   const [classes, setClasses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [initializing, setInitializing] = useState(false);
@@ -38,7 +37,6 @@ const SubjectManagement = () => {
     level: 'Both',
     departments: [],
     category: 'Core',
-    teachers: [],
     classes: [],
     isCore: true,
     isCompulsory: false,
@@ -70,7 +68,6 @@ const SubjectManagement = () => {
 
   useEffect(() => {
     fetchSubjects();
-    fetchTeachers();
     fetchClasses();
   }, [levelFilter, departmentFilter, categoryFilter]);
 
@@ -91,15 +88,6 @@ const SubjectManagement = () => {
     }
   };
 
-  const fetchTeachers = async () => {
-    try {
-      const response = await axios.get('/api/admin/users?role=teacher&limit=100');
-      setTeachers(response.data.data.users || []);
-    } catch (error) {
-      console.error('Error fetching teachers:', error);
-    }
-  };
-
   const fetchClasses = async () => {
     try {
       const response = await axios.get('/api/admin/classes');
@@ -168,7 +156,6 @@ const SubjectManagement = () => {
       level: 'Both',
       departments: [],
       category: 'Core',
-      teachers: [],
       classes: [],
       isCore: true,
       isCompulsory: false,
@@ -188,7 +175,6 @@ const SubjectManagement = () => {
       level: subject.level || 'Both',
       departments: subject.departments || [],
       category: subject.category || 'Core',
-      teachers: subject.teachers?.map(t => t._id) || [],
       classes: subject.classes?.map(c => c._id) || [],
       isCore: subject.isCore !== false,
       isCompulsory: subject.isCompulsory || false,
@@ -944,22 +930,9 @@ const SubjectManagement = () => {
                   </div>
                 </div>
 
-                <div>
-                  <label className="form-label">Assign Teachers</label>
-                  <div className="grid grid-cols-2 gap-2 mt-2 max-h-40 overflow-y-auto">
-                    {teachers.map(teacher => (
-                      <label key={teacher._id} className="flex items-center">
-                        <input
-                          type="checkbox"
-                          checked={formData.teachers.includes(teacher._id)}
-                          onChange={() => handleArrayFieldChange('teachers', teacher._id)}
-                          className="mr-2"
-                        />
-                        {teacher.firstName} {teacher.lastName} ({teacher.teacherId})
-                      </label>
-                    ))}
-                  </div>
-                </div>
+                <p className="text-sm text-gray-500">
+                  Teachers are assigned to this subject class by class in Teacher Management.
+                </p>
 
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
@@ -1211,22 +1184,9 @@ const SubjectManagement = () => {
                   </div>
                 </div>
 
-                <div>
-                  <label className="form-label">Assign Teachers</label>
-                  <div className="grid grid-cols-2 gap-2 mt-2 max-h-40 overflow-y-auto">
-                    {teachers.map(teacher => (
-                      <label key={teacher._id} className="flex items-center">
-                        <input
-                          type="checkbox"
-                          checked={formData.teachers.includes(teacher._id)}
-                          onChange={() => handleArrayFieldChange('teachers', teacher._id)}
-                          className="mr-2"
-                        />
-                        {teacher.firstName} {teacher.lastName} ({teacher.teacherId})
-                      </label>
-                    ))}
-                  </div>
-                </div>
+                <p className="text-sm text-gray-500">
+                  Teachers are assigned to this subject class by class in Teacher Management.
+                </p>
 
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
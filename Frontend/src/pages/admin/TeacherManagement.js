@@ -31,6 +31,7 @@ const TeacherManagement = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [assignments, setAssignments] = useState([]);
+  const [viewAssignments, setViewAssignments] = useState([]);
   const [formData, setFormData] = useState({
     firstName: '',
     lastName: '',
@@ -90,6 +91,11 @@ const TeacherManagement = () => {
 
   const handleAddTeacher = async (e) => {
     e.preventDefault();
+    const duplicate = findDuplicateAssignment();
+    if (duplicate) {
+      toast.error(duplicate);
+      return;
+    }
     try {
       const teacherData = {
         ...formData,
@@ -118,6 +124,11 @@ const TeacherManagement = () => {
 
   const handleEditTeacher = async (e) => {
     e.preventDefault();
+    const duplicate = findDuplicateAssignment();
+    if (duplicate) {
+      toast.error(duplicate);
+      return;
+    }
     try {
       // Update teacher basic info
       await axios.put(`/api/admin/users/${selectedTeacher._id}`, formData);
@@ -192,9 +203,17 @@ const TeacherManagement = () => {
     setShowEditModal(true);
   };
 
-  const openViewModal = (teacher) => {
+  const openViewModal = async (teacher) => {
     setSelectedTeacher(teacher);
+    setViewAssignments([]);
     setShowViewModal(true);
+
+    try {
+      const response = await axios.get(`/api/admin/teachers/${teacher._id}/assignments`);
+      setViewAssignments(response.data.data.assignments || []);
+    } catch (error) {
+      console.error('Error fetching assignments:', error);
+    }
   };
 
   // Assignment functions
@@ -212,6 +231,19 @@ const TeacherManagement = () => {
     setAssignments(newAssignments);
   };
 
+  // The same subject and class listed twice, as a message, or null
+  const findDuplicateAssignment = () => {
+    const duplicate = assignments.find((assignment, index) =>
+      assignments.findIndex(other =>
+        other.subject === assignment.subject && other.class === assignment.class
+      ) !== index
+    );
+    if (!duplicate) return null;
+    const subjectName = subjects.find(subject => subject._id === duplicate.subject)?.name;
+    const className = classes.find(cls => cls._id === duplicate.class)?.name;
+    return `${subjectName} in ${className} is listed more than once`;
+  };
+
 
 
   const filteredTeachers = teachers.filter(teacher =>
@@ -547,6 +579,9 @@ const TeacherManagement = () => {
                       Add Assignment
                     </button>
                   </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Each row lets the teacher set questions and exams, and see results, for one subject in one class.
+                  </p>
 
                   {assignments.length === 0 ? (
                     <div className="text-center py-8 text-gray-500 border border-gray-200 rounded-lg mt-2">
@@ -753,6 +788,9 @@ const TeacherManagement = () => {
                         Add Assignment
                       </button>
                     </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Each row lets the teacher set questions and exams, and see results, for one subject in one class.
+                    </p>
 
                     {assignments.length === 0 ? (
                       <div className="text-center py-8 text-gray-500 border border-gray-200 rounded-lg mt-2">
@@ -913,15 +951,23 @@ const TeacherManagement = () => {
                   </div>
                 </div>
 
-                {/* Subjects */}
+                {/* Teaching Assignments */}
                 <div>
-                  <h5 className="text-sm font-medium text-gray-900 mb-3">Assigned Subjects</h5>
-                  {selectedTeacher.subjects?.length > 0 ? (
-                    <div className="flex flex-wrap gap-2">
-                      {selectedTeacher.subjects.map(subject => (
-                        <span key={subject._id} className="inline-block bg-blue-100 text-blue-800 text-sm px-3 py-1 rounded-full">
-                          {subject.name}
-                        </span>
+                  <h5 className="text-sm font-medium text-gray-900 mb-3">Teaching Assignments</h5>
+                  {viewAssignments.length > 0 ? (
+                    <div className="space-y-2">
+                      {[...new Set(viewAssignments.map(assignment => assignment.subjectName))].map(subjectName => (
+                        <div key={subjectName} className="flex items-start space-x-3">
+                          <span className="inline-block bg-blue-100 text-blue-800 text-sm px-3 py-1 rounded-full">
+                            {subjectName}
+                          </span>
+                          <span className="text-sm text-gray-700 pt-1">
+                            {viewAssignments
+                              .filter(assignment => assignment.subjectName === subjectName)
+                              .map(assignment => assignment.className)
+                              .join(', ')}
+                          </span>
+                        </div>
                       ))}
                     </div>
                   ) : (
@@ -12,6 +12,7 @@ import {
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import moment from 'moment';
+import { describeNegativeMarking } from '../../utils/objectiveScoring';
 
 const JoinExam = () => {
   const [examCode, setExamCode] = useState('');
@@ -336,12 +337,23 @@ const JoinExam = () => {
                 </p>
               </div>
 
-              {examInfo.instructions && (
+              {(examInfo.instructions || examInfo.negativeMarking) && (
                 <div className="mb-6">
                   <h4 className="font-medium text-gray-900 mb-2">Instructions:</h4>
-                  <p className="text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
-                    {examInfo.instructions}
-                  </p>
+                  {examInfo.instructions && (
+                    <p className="text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
+                      {examInfo.instructions}
+                    </p>
+                  )}
+                  {examInfo.negativeMarking && (
+                    <div className="mt-2 flex items-start text-sm text-red-800 bg-red-50 border border-red-200 p-3 rounded-lg">
+                      <ExclamationTriangleIcon className="h-5 w-5 text-red-600 mr-2 flex-shrink-0" />
+                      <p>
+                        <span className="font-medium">Negative marking applies.</span>{' '}
+                        {describeNegativeMarking(examInfo.negativeMarking.fraction)}
+                      </p>
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useSocket } from '../../contexts/SocketContext';
 import { useAuth } from '../../contexts/AuthContext';
@@ -11,17 +11,42 @@ import {
   FlagIcon,
   DocumentTextIcon,
   EyeIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  PauseCircleIcon,
+  DevicePhoneMobileIcon,
+  ArrowUpIcon,
+  ArrowDownIcon
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { isRetriableError } from '../../utils/axios';
+import { startIntegrityMonitor, isFullscreen, requestFullscreen } from '../../utils/integrityMonitor';
+import { getDeviceFingerprint, getSavedSessionToken, saveSessionToken, clearSessionToken } from '../../utils/deviceFingerprint';
+import { toSelectedIndices, isTextAnswer, describeNegativeMarking } from '../../utils/objectiveScoring';
+import {
+  journalAnswer,
+  getJournalEntries,
+  removeJournalEntry,
+  clearJournal
+} from '../../utils/answerJournal';
+
+// Shown to the student when an integrity event is recorded
+const INTEGRITY_WARNINGS = {
+  'tab-hidden': 'Leaving the exam tab has been recorded',
+  'window-blur': 'Leaving the exam window has been recorded',
+  'fullscreen-exit': 'Leaving fullscreen has been recorded',
+  'devtools-open': 'Opening developer tools has been recorded',
+  copy: 'Copying is disabled during this exam',
+  paste: 'Pasting is disabled during this exam',
+  'context-menu': 'The right-click menu is disabled during this exam'
+};
 
 const TakeExam = () => {
   const { examId } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useAuth();
-  const { joinExamRoom, leaveExamRoom } = useSocket();
+  const { socket, joinExamRoom, leaveExamRoom, updateExamProgress } = useSocket();
 
   // Core exam state
   const [examData, setExamData] = useState(null);
@@ -37,7 +62,13 @@ const TakeExam = () => {
   const [showSubmitModal, setShowSubmitModal] = useState(false);
   const [showQuestionPanel, setShowQuestionPanel] = useState(false);
   const [autoSaveStatus, setAutoSaveStatus] = useState('saved');
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pendingCount, setPendingCount] = useState(0);
   const [flaggedQuestions, setFlaggedQuestions] = useState(new Set());
+  const [inFullscreen, setInFullscreen] = useState(isFullscreen());
+  const [paused, setPaused] = useState(false);
+  // Why /start turned this device away: conflict, takeover-pending or takeover-denied
+  const [sessionConflict, setSessionConflict] = useState(null);
 
   // New state for section-based navigation
   const [currentSection, setCurrentSection] = useState('objective'); // 'objective', 'theory', or 'all'
@@ -52,6 +83,40 @@ const TakeExam = () => {
   const autoSaveTimerRef = useRef(null);
   const debounceTimeoutRef = useRef(null);
 
+  // Server-authoritative timer: the attempt deadline and the offset between
+  // the server clock and this device's clock
+  const deadlineRef = useRef(null);
+  const serverOffsetRef = useRef(0);
+
+  // True while the teacher has paused this attempt; the countdown stops
+  const pausedRef = useRef(false);
+
+  // Answer saves: every change gets the next sequence number for its question
+  // and an idempotency key, and stays pending until the server confirms it.
+  // Retries and auto-saves resend the same sequence so they can never
+  // overwrite a newer answer saved from another tab.
+  const examIdRef = useRef(null);
+  const clientIdRef = useRef(`${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
+  const sequencesRef = useRef({});
+  const pendingSavesRef = useRef({});
+  const isOnlineRef = useRef(navigator.onLine);
+  const syncingRef = useRef(false);
+
+  // Integrity events waiting to be sent, and the listener cleanup
+  const integrityQueueRef = useRef([]);
+  const integrityFlushTimeoutRef = useRef(null);
+  const stopIntegrityMonitorRef = useRef(null);
+
+  // Set once the server has closed the attempt, so it is only left once
+  const sessionClosedRef = useRef(false);
+
+  // Proof that this device holds the attempt; sent with every save
+  const sessionTokenRef = useRef(null);
+
+  // This render's handlers, for socket and window listeners that stay
+  // registered across renders and must not call stale ones
+  const handlersRef = useRef({});
+
   useEffect(() => {
     initializeExam();
     
@@ -60,10 +125,164 @@ const TakeExam = () => {
       if (examTimerRef.current) clearInterval(examTimerRef.current);
       if (autoSaveTimerRef.current) clearInterval(autoSaveTimerRef.current);
       if (debounceTimeoutRef.current) clearTimeout(debounceTimeoutRef.current);
+      if (integrityFlushTimeoutRef.current) clearTimeout(integrityFlushTimeoutRef.current);
       if (examData && examData._id) leaveExamRoom(examData._id);
     };
   }, [examId]);
 
+  // Keep the deadline in sync with the server while the exam is running
+  useEffect(() => {
+    if (!socket || !examData || !examStarted) return;
+
+    const handleTimerSync = (data) => {
+      if (!data || data.examId !== examData._id) return;
+      syncServerClock(data.deadline, data.serverTime);
+    };
+
+    socket.on('timer-sync', handleTimerSync);
+    return () => {
+      socket.off('timer-sync', handleTimerSync);
+    };
+  }, [socket, examData, examStarted]);
+
+  // Violation policy: warnings, time penalties and forced submission
+  useEffect(() => {
+    if (!socket || !examData || !examStarted) return;
+
+    const handleIntegrityWarning = (data) => {
+      if (!data || data.examId !== examData._id) return;
+      handlersRef.current.showViolationWarning(data);
+    };
+
+    const handleAutoSubmitted = (data) => {
+      if (!data || data.examId !== examData._id) return;
+      handlersRef.current.closeExamSession(data.message);
+    };
+
+    socket.on('integrity-warning', handleIntegrityWarning);
+    socket.on('exam-auto-submitted', handleAutoSubmitted);
+    return () => {
+      socket.off('integrity-warning', handleIntegrityWarning);
+      socket.off('exam-auto-submitted', handleAutoSubmitted);
+    };
+  }, [socket, examData, examStarted]);
+
+  // Teacher controls: extra time, pause and resume, force-submit
+  useEffect(() => {
+    if (!socket || !examData || !examStarted) return;
+
+    const handleAttemptControl = (data) => {
+      const { getStudentId, closeExamSession, applyTeacherControl } = handlersRef.current;
+      if (!data || data.examId !== examData._id || data.studentId !== getStudentId()) return;
+      if (data.action === 'force-submitted') {
+        closeExamSession(data.message);
+        return;
+      }
+      applyTeacherControl(data.deadline, data);
+    };
+
+    const handleExamControl = (data) => {
+      if (!data || data.examId !== examData._id) return;
+      handlersRef.current.applyTeacherControl(data.deadline, data);
+    };
+
+    socket.on('attempt-control', handleAttemptControl);
+    socket.on('exam-control', handleExamControl);
+    return () => {
+      socket.off('attempt-control', handleAttemptControl);
+      socket.off('exam-control', handleExamControl);
+    };
+  }, [socket, examData, examStarted]);
+
+  // Join the exam room for real-time updates, again after every reconnect
+  useEffect(() => {
+    if (!examData || !examStarted) return;
+    joinExamRoom(examData._id, sessionTokenRef.current);
+  }, [examData, examStarted, joinExamRoom]);
+
+  // Single-device lock: this device losing the attempt, or the teacher
+  // answering its request to take the attempt over
+  useEffect(() => {
+    if (!socket || !examData) return;
+
+    const handleSessionRevoked = (data) => {
+      if (!data || data.examId !== examData._id) return;
+      handlersRef.current.closeExamSession(data.message);
+    };
+
+    const handleSessionTakeover = (data) => {
+      if (!data || data.examId !== examData._id || data.fingerprint !== getDeviceFingerprint()) return;
+      if (data.status === 'approved') {
+        toast.success('Your teacher approved this device. Resuming your exam...');
+        handlersRef.current.resumeOnThisDevice();
+      } else {
+        setSessionConflict('takeover-denied');
+      }
+    };
+
+    socket.on('exam-session-revoked', handleSessionRevoked);
+    socket.on('exam-session-takeover', handleSessionTakeover);
+    return () => {
+      socket.off('exam-session-revoked', handleSessionRevoked);
+      socket.off('exam-session-takeover', handleSessionTakeover);
+    };
+  }, [socket, examData]);
+
+  // Report progress to the teacher's live monitor
+  const answeredQuestionCount = questions.filter(question =>
+    answers[question._id] !== undefined && answers[question._id] !== null && answers[question._id] !== ''
+  ).length;
+
+  useEffect(() => {
+    if (!examData || !examStarted) return;
+    updateExamProgress(examData._id, {
+      currentQuestion: currentQuestionIndex + 1,
+      answered: answeredQuestionCount
+    });
+  }, [examData, examStarted, currentQuestionIndex, answeredQuestionCount, updateExamProgress]);
+
+  // Record focus loss, fullscreen exit and clipboard use while the exam runs
+  useEffect(() => {
+    if (!examData || !examStarted) return;
+    const { preventCheating, fullScreenMode } = examData.settings || {};
+    if (!preventCheating && !fullScreenMode) return;
+
+    const handleFullscreenChange = () => setInFullscreen(isFullscreen());
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    if (fullScreenMode && !isFullscreen()) requestFullscreen();
+
+    const stopMonitor = startIntegrityMonitor({
+      onEvent: (type, details) => handlersRef.current.recordIntegrityEvent(type, details),
+      preventCheating,
+      fullScreen: fullScreenMode
+    });
+    stopIntegrityMonitorRef.current = stopMonitor;
+
+    return () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      stopMonitor();
+      stopIntegrityMonitorRef.current = null;
+    };
+  }, [examData, examStarted]);
+
+  // Track the connection; replay the answer journal as soon as it comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      const { setConnectionState, autoSaveAnswer, flushIntegrityEvents } = handlersRef.current;
+      setConnectionState(true);
+      autoSaveAnswer();
+      flushIntegrityEvents();
+    };
+    const handleOffline = () => handlersRef.current.setConnectionState(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
   // Initialize exam from location state or fetch
   const initializeExam = async () => {
     try {
@@ -84,28 +303,7 @@ const TakeExam = () => {
       console.log('TakeExam - Setting questions:', examInfo.questions); // Debug log
       
       setExamData(examInfo.exam);
-      setQuestions(examInfo.questions);
-      
-      // Organize questions by sections for Mixed exams
-      const objectiveQuestions = examInfo.questions.filter(q => q.questionType === 'Objective');
-      const theoryQuestions = examInfo.questions.filter(q => q.questionType === 'Theory');
-      
-      setSectionQuestions({
-        objective: objectiveQuestions,
-        theory: theoryQuestions,
-        all: examInfo.questions
-      });
-
-      // Set initial section based on exam type
-      if (examInfo.exam.examType === 'Mixed') {
-        if (objectiveQuestions.length > 0) {
-          setCurrentSection('objective');
-        } else if (theoryQuestions.length > 0) {
-          setCurrentSection('theory');
-        }
-      } else {
-        setCurrentSection('all');
-      }
+      applyQuestions(examInfo.exam, examInfo.questions);
 
       // Check if student can resume
       if (examInfo.canResume && examInfo.resumeData) {
@@ -115,10 +313,7 @@ const TakeExam = () => {
         
         if (resumeConfirm) {
           // Load previous answers
-          const answersMap = {};
-          examInfo.resumeData.answers.forEach(answer => {
-            answersMap[answer.questionId] = answer.answer;
-          });
+          const answersMap = loadSavedAnswers(examInfo.resumeData.answers);
           setAnswers(answersMap);
           
           // Find the last answered question
@@ -145,61 +340,198 @@ const TakeExam = () => {
     }
   };
 
-  const startExamSession = async (examDataParam = examData) => {
+  // Set the questions and organize them by sections for Mixed exams
+  const applyQuestions = (examInfo, questionList) => {
+    setQuestions(questionList);
+
+    const objectiveQuestions = questionList.filter(q => q.questionType === 'Objective');
+    const theoryQuestions = questionList.filter(q => q.questionType === 'Theory');
+
+    setSectionQuestions({
+      objective: objectiveQuestions,
+      theory: theoryQuestions,
+      all: questionList
+    });
+
+    // Set initial section based on exam type
+    if (examInfo.examType === 'Mixed') {
+      if (objectiveQuestions.length > 0) {
+        setCurrentSection('objective');
+      } else if (theoryQuestions.length > 0) {
+        setCurrentSection('theory');
+      }
+    } else {
+      setCurrentSection('all');
+    }
+  };
+
+  const startExamSession = async (examDataParam = examData, { requestTakeover = false } = {}) => {
     try {
       // Use the passed exam data or fall back to state
       const actualExamId = examDataParam._id;
+      examIdRef.current = actualExamId;
       console.log('TakeExam - Starting session for exam ID:', actualExamId); // Debug log
       
-      const response = await axios.post(`/api/student/exams/${actualExamId}/start`);
+      const response = await axios.post(`/api/student/exams/${actualExamId}/start`, {
+        deviceFingerprint: getDeviceFingerprint(),
+        sessionToken: getSavedSessionToken(actualExamId),
+        socketId: socket?.id,
+        requestTakeover
+      });
       
       if (response.data.success) {
-        const { remainingTime, answers: existingAnswers } = response.data.data;
+        const { remainingTime, deadline, serverTime, startTime, sessionToken, paused: attemptPaused, questions: attemptQuestions, answers: existingAnswers } = response.data.data;
+
+        sessionTokenRef.current = sessionToken;
+        saveSessionToken(actualExamId, sessionToken);
+        setSessionConflict(null);
         
         console.log('TakeExam - Session started successfully, remaining time:', remainingTime); // Debug log
         
         setTimeRemaining(remainingTime);
+        syncServerClock(deadline, serverTime);
+        setPausedState(!!attemptPaused);
+
+        // Questions are served in this attempt's own question and option order
+        if (attemptQuestions && attemptQuestions.length > 0) {
+          applyQuestions(examDataParam, attemptQuestions);
+        }
         setExamStarted(true);
         
         // Load existing answers if any
         if (existingAnswers && existingAnswers.length > 0) {
-          const answersMap = {};
-          existingAnswers.forEach(answer => {
-            answersMap[answer.questionId] = answer.answer;
-          });
+          const answersMap = loadSavedAnswers(existingAnswers);
           setAnswers(prev => ({ ...prev, ...answersMap }));
         }
 
+        // Answers journaled on this device but never confirmed by the server
+        await restoreJournal(actualExamId, existingAnswers || [], startTime);
+
         // Start timers
         startExamTimer();
         startAutoSave();
         
-        // Join exam room for real-time updates
-        joinExamRoom(actualExamId);
-        
         // Prevent navigation
         setupNavigationPrevention();
         
         toast.success('Exam session started!');
       }
     } catch (error) {
+      // Another device holds the attempt: show the takeover screen instead of leaving
+      if (error.response?.status === 409 && error.response.data?.data?.sessionConflict) {
+        setSessionConflict(error.response.data.data.takeoverStatus);
+        return;
+      }
       console.error('TakeExam - Start session error:', error); // Debug log
       throw error;
     }
   };
 
+  // Ask the teacher to move the attempt here, or retry once they have answered
+  const resumeOnThisDevice = async (requestTakeover = false) => {
+    setLoading(true);
+    try {
+      await startExamSession(examData, { requestTakeover });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resume exam');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const syncServerClock = (deadline, serverTime) => {
+    if (serverTime) {
+      serverOffsetRef.current = new Date(serverTime).getTime() - Date.now();
+    }
+    if (deadline) {
+      deadlineRef.current = new Date(deadline).getTime();
+    }
+  };
+
+  const getServerRemainingSeconds = () => {
+    if (!deadlineRef.current) return null;
+    const serverNow = Date.now() + serverOffsetRef.current;
+    return Math.max(0, Math.floor((deadlineRef.current - serverNow) / 1000));
+  };
+
   const startExamTimer = () => {
+    // Recompute from the deadline on every tick so sleeping the device or
+    // changing its clock cannot add time
     examTimerRef.current = setInterval(() => {
+      if (pausedRef.current) return;
+      const serverRemaining = getServerRemainingSeconds();
       setTimeRemaining(prev => {
-        if (prev <= 1) {
+        const next = serverRemaining !== null ? serverRemaining : prev - 1;
+        if (next <= 0) {
           handleTimeExpiry();
           return 0;
         }
-        return prev - 1;
+        return next;
       });
     }, 1000);
   };
 
+  // Handle a save response: refresh the clock, or leave the exam if the
+  // server has already closed the attempt
+  const handleSaveResponse = (response) => {
+    const data = response?.data?.data;
+    if (data) syncServerClock(data.deadline, data.serverTime);
+  };
+
+  const handleSaveError = (error) => {
+    const data = error.response?.data?.data;
+    if (error.response?.status === 403 && (data?.autoSubmitted || data?.sessionRevoked)) {
+      closeExamSession(error.response.data.message);
+      return true;
+    }
+    // Paused by the teacher: the answer stays pending until the exam resumes
+    if (error.response?.status === 423) {
+      setPausedState(true);
+      return true;
+    }
+    return false;
+  };
+
+  const setPausedState = (value) => {
+    pausedRef.current = value;
+    setPaused(value);
+  };
+
+  // A teacher paused, resumed or gave extra time: take the new deadline and
+  // show it at once rather than on the next tick
+  const applyTeacherControl = (deadline, data) => {
+    syncServerClock(deadline, data.serverTime);
+    const remaining = getServerRemainingSeconds();
+    if (remaining !== null) setTimeRemaining(remaining);
+
+    const wasPaused = pausedRef.current;
+    setPausedState(!!data.paused);
+    if (wasPaused && !data.paused) autoSaveAnswer();
+
+    if (data.message) toast(data.message, { icon: data.paused ? '⏸️' : '⏱️', id: 'teacher-control' });
+  };
+
+  // Leave an attempt the server has already submitted (time expired,
+  // violation limit reached)
+  const closeExamSession = (message) => {
+    if (sessionClosedRef.current) return;
+    sessionClosedRef.current = true;
+
+    if (examTimerRef.current) clearInterval(examTimerRef.current);
+    if (autoSaveTimerRef.current) clearInterval(autoSaveTimerRef.current);
+    if (integrityFlushTimeoutRef.current) clearTimeout(integrityFlushTimeoutRef.current);
+    if (stopIntegrityMonitorRef.current) stopIntegrityMonitorRef.current();
+    if (isFullscreen()) document.exitFullscreen().catch(() => {});
+    if (examIdRef.current) {
+      leaveExamRoom(examIdRef.current);
+      clearJournal(examIdRef.current, getStudentId());
+      clearSessionToken(examIdRef.current);
+    }
+
+    toast.error(message, { duration: 8000 });
+    navigate('/student/dashboard');
+  };
+
   const startAutoSave = () => {
     autoSaveTimerRef.current = setInterval(() => {
       autoSaveAnswer();
@@ -233,40 +565,281 @@ const TakeExam = () => {
     };
   };
 
-  const autoSaveAnswer = useCallback(async () => {
-    const currentQuestion = questions[currentQuestionIndex];
-    if (!currentQuestion || answers[currentQuestion._id] === undefined || answers[currentQuestion._id] === null || autoSaveStatus === 'saving' || !examData) {
+  // Build the answers map from saved answers and continue their sequences
+  const loadSavedAnswers = (savedAnswers) => {
+    const answersMap = {};
+    savedAnswers.forEach(answer => {
+      answersMap[answer.questionId] = answer.answer;
+      sequencesRef.current[answer.questionId] = Math.max(
+        sequencesRef.current[answer.questionId] || 0,
+        answer.sequence || 0
+      );
+    });
+    return answersMap;
+  };
+
+  const getStudentId = () => user?._id || user?.id;
+
+  const setConnectionState = (online) => {
+    isOnlineRef.current = online;
+    setIsOnline(online);
+  };
+
+  const updatePendingCount = () => {
+    setPendingCount(Object.keys(pendingSavesRef.current).length);
+  };
+
+  const getSaveStatus = () => {
+    if (Object.keys(pendingSavesRef.current).length === 0) return 'saved';
+    return isOnlineRef.current ? 'modified' : 'offline';
+  };
+
+  // Put journaled answers that are newer than the server's copy back into the
+  // exam, so they are shown and synced. Entries from an earlier attempt are dropped.
+  const restoreJournal = async (actualExamId, savedAnswers, startTime) => {
+    const studentId = getStudentId();
+    const entries = await getJournalEntries(actualExamId, studentId);
+    if (entries.length === 0) return;
+
+    const restored = {};
+    entries.forEach(entry => {
+      const saved = savedAnswers.find(answer => answer.questionId === entry.questionId);
+      const fromEarlierAttempt = startTime && new Date(entry.answeredAt) < new Date(startTime);
+      const alreadySaved = saved && (
+        saved.saveKey === entry.idempotencyKey ||
+        new Date(saved.answeredAt) >= new Date(entry.answeredAt)
+      );
+
+      if (fromEarlierAttempt || alreadySaved) {
+        removeJournalEntry(actualExamId, studentId, entry.questionId, entry.idempotencyKey);
+        return;
+      }
+
+      restored[entry.questionId] = entry.answer;
+      pendingSavesRef.current[entry.questionId] = {
+        answer: entry.answer,
+        sequence: entry.sequence,
+        idempotencyKey: entry.idempotencyKey,
+        answeredAt: entry.answeredAt,
+        timeSpent: entry.timeSpent
+      };
+      sequencesRef.current[entry.questionId] = Math.max(sequencesRef.current[entry.questionId] || 0, entry.sequence || 0);
+    });
+
+    const restoredCount = Object.keys(restored).length;
+    if (restoredCount === 0) return;
+
+    setAnswers(prev => ({ ...prev, ...restored }));
+    updatePendingCount();
+    setAutoSaveStatus(getSaveStatus());
+    toast(`Restored ${restoredCount} answer(s) saved on this device`, { icon: '💾' });
+    autoSaveAnswer();
+  };
+
+  const queueAnswerSave = (questionId, answer) => {
+    const sequence = (sequencesRef.current[questionId] || 0) + 1;
+    sequencesRef.current[questionId] = sequence;
+
+    const pending = {
+      answer,
+      sequence,
+      idempotencyKey: `${clientIdRef.current}:${questionId}:${sequence}`,
+      // Timestamp in server time, used to merge answers replayed after going offline
+      answeredAt: new Date(Date.now() + serverOffsetRef.current).toISOString(),
+      timeSpent: 30 // Approximate time spent on question
+    };
+    pendingSavesRef.current[questionId] = pending;
+    updatePendingCount();
+
+    journalAnswer(examIdRef.current, getStudentId(), { questionId, ...pending });
+  };
+
+  const confirmSaved = (questionId, pending) => {
+    if (pendingSavesRef.current[questionId] === pending) {
+      delete pendingSavesRef.current[questionId];
+    }
+    removeJournalEntry(examIdRef.current, getStudentId(), questionId, pending.idempotencyKey);
+  };
+
+  // A 409 means a newer answer is already stored. Keep the student's latest
+  // edit if they changed the answer again since the rejected save; otherwise
+  // show the stored answer.
+  const reconcileConflict = (questionId, rejected, current) => {
+    if (!current) return;
+
+    sequencesRef.current[questionId] = Math.max(sequencesRef.current[questionId] || 0, current.sequence || 0);
+
+    const latest = pendingSavesRef.current[questionId];
+    if (latest && latest !== rejected) {
+      queueAnswerSave(questionId, latest.answer);
       return;
     }
 
-    setAutoSaveStatus('saving');
+    delete pendingSavesRef.current[questionId];
+    removeJournalEntry(examIdRef.current, getStudentId(), questionId, rejected.idempotencyKey);
+    const ownSave = current.saveKey && current.saveKey.startsWith(`${clientIdRef.current}:`);
+    if (!ownSave) {
+      setAnswers(prev => ({ ...prev, [questionId]: current.answer }));
+      toast('This answer was changed in another window. Showing the latest saved answer.', { icon: '🔄' });
+    }
+  };
+
+  // Network failures leave the answer pending in the journal to be synced later
+  const handleConnectionError = (error) => {
+    if (error.response || !isRetriableError(error)) return false;
+    if (isOnlineRef.current) {
+      setConnectionState(false);
+    }
+    return true;
+  };
+
+  const recordIntegrityEvent = (type, details) => {
+    integrityQueueRef.current.push({
+      type,
+      details,
+      occurredAt: new Date(Date.now() + serverOffsetRef.current).toISOString()
+    });
+    toast.error(INTEGRITY_WARNINGS[type], { id: 'integrity-warning' });
+
+    // Batch events that arrive together (e.g. several pastes)
+    if (!integrityFlushTimeoutRef.current) {
+      integrityFlushTimeoutRef.current = setTimeout(flushIntegrityEvents, 2000);
+    }
+  };
+
+  // The server's warning replaces the local one and may move the deadline
+  const showViolationWarning = (warning) => {
+    syncServerClock(warning.deadline, warning.serverTime);
+    toast.error(warning.message, { id: 'integrity-warning', duration: 6000 });
+  };
+
+  // Send recorded events; while offline they wait for the connection to return
+  const flushIntegrityEvents = async () => {
+    if (integrityFlushTimeoutRef.current) {
+      clearTimeout(integrityFlushTimeoutRef.current);
+      integrityFlushTimeoutRef.current = null;
+    }
+    if (sessionClosedRef.current || !examIdRef.current || !isOnlineRef.current || integrityQueueRef.current.length === 0) return;
+
+    const events = integrityQueueRef.current.splice(0, 50);
     try {
-      await axios.post(`/api/student/exams/${examData._id}/answer`, {
-        questionId: currentQuestion._id,
-        answer: answers[currentQuestion._id],
-        timeSpent: 30 // Approximate time spent on question
+      const response = await axios.post(`/api/student/exams/${examIdRef.current}/integrity-events`, {
+        events,
+        sessionToken: sessionTokenRef.current
       });
-      
-      setAutoSaveStatus('saved');
+      const data = response.data.data;
+      if (data.autoSubmitted) {
+        closeExamSession(response.data.message);
+        return;
+      }
+      if (data.warning) showViolationWarning(data.warning);
+    } catch (error) {
+      if (handleConnectionError(error) || isRetriableError(error)) {
+        integrityQueueRef.current.unshift(...events);
+        return;
+      }
+      console.error('Failed to record integrity events:', error);
+    }
+
+    if (integrityQueueRef.current.length > 0) {
+      integrityFlushTimeoutRef.current = setTimeout(flushIntegrityEvents, 2000);
+    }
+  };
+
+  // Send the pending save for one question. Resolves once the save is stored,
+  // reconciled or left in the journal because the network is down.
+  const sendAnswer = async (questionId) => {
+    const pending = pendingSavesRef.current[questionId];
+    if (!pending || !examIdRef.current) return;
+
+    try {
+      const response = await axios.post(`/api/student/exams/${examIdRef.current}/answer`, {
+        questionId,
+        answer: pending.answer,
+        sequence: pending.sequence,
+        idempotencyKey: pending.idempotencyKey,
+        timeSpent: pending.timeSpent,
+        sessionToken: sessionTokenRef.current
+      });
+
+      handleSaveResponse(response);
+      setConnectionState(true);
+      confirmSaved(questionId, pending);
     } catch (error) {
+      if (handleConnectionError(error)) return;
+      if (error.response?.status === 409) {
+        handleSaveResponse(error.response);
+        reconcileConflict(questionId, pending, error.response.data?.data?.current);
+        if (pendingSavesRef.current[questionId]) await sendAnswer(questionId);
+        return;
+      }
+      throw error;
+    } finally {
+      updatePendingCount();
+    }
+  };
+
+  // Replay every unconfirmed answer in one request; the server merges them
+  // by question number and answer timestamp
+  const syncPendingAnswers = async () => {
+    const batch = Object.entries(pendingSavesRef.current);
+    if (batch.length === 0 || !examIdRef.current) return;
+
+    try {
+      const response = await axios.post(`/api/student/exams/${examIdRef.current}/answers/sync`, {
+        answers: batch.map(([questionId, pending]) => ({ questionId, ...pending })),
+        sessionToken: sessionTokenRef.current
+      });
+
+      handleSaveResponse(response);
+      setConnectionState(true);
+
+      (response.data.data.results || []).forEach(result => {
+        const pending = batch.find(([questionId]) => questionId === result.questionId)?.[1];
+        if (!pending) return;
+
+        if (result.status === 'saved' || result.status === 'duplicate') {
+          confirmSaved(result.questionId, pending);
+        } else if (result.status === 'stale') {
+          reconcileConflict(result.questionId, pending, result.current);
+        } else if (result.status === 'rejected') {
+          console.warn('Answer rejected during sync:', result);
+          confirmSaved(result.questionId, pending);
+        }
+      });
+    } catch (error) {
+      if (handleConnectionError(error)) return;
+      throw error;
+    } finally {
+      updatePendingCount();
+    }
+  };
+
+  // Retry every answer that has not been confirmed yet
+  const autoSaveAnswer = async () => {
+    if (Object.keys(pendingSavesRef.current).length === 0 || syncingRef.current) return;
+
+    syncingRef.current = true;
+    setAutoSaveStatus('saving');
+    try {
+      await syncPendingAnswers();
+      setAutoSaveStatus(getSaveStatus());
+    } catch (error) {
+      if (handleSaveError(error)) return;
       setAutoSaveStatus('error');
       console.error('Auto-save failed:', error);
+    } finally {
+      syncingRef.current = false;
     }
-  }, [answers, currentQuestionIndex, questions, examData, autoSaveStatus]);
+  };
 
-  const saveAnswerImmediate = async (questionId, answer) => {
-    if (!examData) return;
-    
+  const saveAnswerImmediate = async (questionId) => {
     setAutoSaveStatus('saving');
     try {
-      await axios.post(`/api/student/exams/${examData._id}/answer`, {
-        questionId: questionId,
-        answer: answer,
-        timeSpent: 30
-      });
-      
-      setAutoSaveStatus('saved');
+      await sendAnswer(questionId);
+      setAutoSaveStatus(getSaveStatus());
     } catch (error) {
+      if (handleSaveError(error)) return;
       setAutoSaveStatus('error');
       console.error('Save answer failed:', error);
     }
@@ -278,20 +851,57 @@ const TakeExam = () => {
       ...prev,
       [currentQuestion._id]: answer
     }));
+    queueAnswerSave(currentQuestion._id, answer);
     setAutoSaveStatus('modified');
     
-    // For objective questions, save immediately. For theory questions, use debounced saving
-    if (currentQuestion.questionType === 'Objective') {
-      setTimeout(() => saveAnswerImmediate(currentQuestion._id, answer), 100);
+    // For objective questions, save immediately. For typed answers, use debounced saving
+    if (currentQuestion.questionType === 'Objective' && !isTextAnswer(currentQuestion)) {
+      setTimeout(() => saveAnswerImmediate(currentQuestion._id), 100);
     } else {
       // For theory questions, clear existing timeout and set a new one (debounced)
       if (debounceTimeoutRef.current) {
         clearTimeout(debounceTimeoutRef.current);
       }
-      debounceTimeoutRef.current = setTimeout(() => saveAnswerImmediate(currentQuestion._id, answer), 1000);
+      debounceTimeoutRef.current = setTimeout(() => saveAnswerImmediate(currentQuestion._id), 1000);
     }
   };
 
+  // "Select all that apply": tick or untick one option; no picks saves as unanswered
+  const toggleOptionAnswer = (index) => {
+    const currentQuestion = questions[currentQuestionIndex];
+    const selected = toSelectedIndices(answers[currentQuestion._id]);
+    const next = selected.includes(index)
+      ? selected.filter(selectedIndex => selectedIndex !== index)
+      : [...selected, index].sort((a, b) => a - b);
+    handleAnswerChange(next.length > 0 ? next : null);
+  };
+
+  // Matching: the option picked for one left item; nothing picked anywhere saves as unanswered
+  const setMatchingAnswer = (leftIndex, value) => {
+    const currentQuestion = questions[currentQuestionIndex];
+    const saved = answers[currentQuestion._id];
+    const next = currentQuestion.matchingLeft.map((left, index) => (
+      Array.isArray(saved) && saved[index] !== undefined ? saved[index] : null
+    ));
+    next[leftIndex] = value === '' ? null : parseInt(value);
+    handleAnswerChange(next.some(index => index !== null) ? next : null);
+  };
+
+  // Ordering: the answer is every option index in the order the student put them
+  const getOrderingAnswer = (question) => {
+    const saved = answers[question._id];
+    return Array.isArray(saved) && saved.length === question.options.length
+      ? saved
+      : question.options.map((option, index) => index);
+  };
+
+  const moveOrderingItem = (position, offset) => {
+    const currentQuestion = questions[currentQuestionIndex];
+    const order = [...getOrderingAnswer(currentQuestion)];
+    [order[position], order[position + offset]] = [order[position + offset], order[position]];
+    handleAnswerChange(order);
+  };
+
   const goToQuestion = (index, section = null) => {
     const targetSection = section || currentSection;
     const targetQuestions = sectionQuestions[targetSection];
@@ -388,12 +998,23 @@ const TakeExam = () => {
 
     setSubmitting(true);
     try {
-      // Save current answer before submitting
+      // Save any unconfirmed answers and events before submitting
       await autoSaveAnswer();
+      await flushIntegrityEvents();
+      if (sessionClosedRef.current) return;
       
-      const response = await axios.post(`/api/student/exams/${examData._id}/submit`);
+      const response = await axios.post(`/api/student/exams/${examData._id}/submit`, {
+        sessionToken: sessionTokenRef.current
+      });
       
       if (response.data.success) {
+        clearJournal(examData._id, getStudentId());
+        clearSessionToken(examData._id);
+
+        // Leaving fullscreen after submitting is not an integrity event
+        if (stopIntegrityMonitorRef.current) stopIntegrityMonitorRef.current();
+        if (isFullscreen()) document.exitFullscreen().catch(() => {});
+
         // Clear timers
         if (examTimerRef.current) clearInterval(examTimerRef.current);
         if (autoSaveTimerRef.current) clearInterval(autoSaveTimerRef.current);
@@ -415,6 +1036,10 @@ const TakeExam = () => {
         }
       }
     } catch (error) {
+      if (handleConnectionError(error)) {
+        toast.error('You are offline. Your answers are saved on this device; submit again when the connection returns.');
+        return;
+      }
       const message = error.response?.data?.message || 'Failed to submit exam';
       toast.error(message);
     } finally {
@@ -460,6 +1085,18 @@ const TakeExam = () => {
     }
   };
 
+  handlersRef.current = {
+    showViolationWarning,
+    closeExamSession,
+    applyTeacherControl,
+    getStudentId,
+    resumeOnThisDevice,
+    recordIntegrityEvent,
+    setConnectionState,
+    autoSaveAnswer,
+    flushIntegrityEvents
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -471,6 +1108,41 @@ const TakeExam = () => {
     );
   }
 
+  if (sessionConflict && examData) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow p-8 max-w-md text-center">
+          <DevicePhoneMobileIcon className="h-12 w-12 text-yellow-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Exam Open on Another Device</h2>
+          <p className="text-gray-600 mb-6">
+            {sessionConflict === 'takeover-pending'
+              ? 'Your teacher has been asked to let you continue on this device. This page continues by itself once they approve.'
+              : sessionConflict === 'takeover-denied'
+                ? 'Your teacher did not allow this exam to continue on this device. Go back to the device you started on, or ask again.'
+                : 'This exam was started on another device and can only be taken on one device at a time. If you can no longer use that device, ask your teacher to let you continue here.'}
+          </p>
+          <div className="flex justify-center space-x-3">
+            {sessionConflict === 'takeover-pending' ? (
+              <button onClick={() => resumeOnThisDevice()} className="btn-primary">
+                Check Again
+              </button>
+            ) : (
+              <button onClick={() => resumeOnThisDevice(true)} className="btn-primary">
+                Ask Teacher to Continue Here
+              </button>
+            )}
+            <button
+              onClick={() => navigate('/student/dashboard')}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Back to Dashboard
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (!examStarted || !examData || questions.length === 0) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -496,6 +1168,54 @@ const TakeExam = () => {
 
   return (
     <div className="min-h-screen bg-gray-50">
+      {/* Fullscreen is required: cover the exam until the student goes back in */}
+      {examData.settings?.fullScreenMode && !inFullscreen && (
+        <div className="fixed inset-0 z-50 bg-gray-900 bg-opacity-95 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg p-8 max-w-md text-center">
+            <ExclamationTriangleIcon className="h-12 w-12 text-yellow-500 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Fullscreen Required</h2>
+            <p className="text-gray-600 mb-6">
+              This exam must be taken in fullscreen. Leaving fullscreen is recorded and visible to your teacher.
+            </p>
+            <button onClick={requestFullscreen} className="btn-primary">
+              Enter Fullscreen
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Paused by the teacher: the clock is stopped and answers wait */}
+      {paused && (
+        <div className="fixed inset-0 z-50 bg-gray-900 bg-opacity-95 flex items-center justify-center p-4">
+          <div className="bg-white rounded-lg p-8 max-w-md text-center">
+            <PauseCircleIcon className="h-12 w-12 text-blue-500 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Exam Paused</h2>
+            <p className="text-gray-600">
+              Your teacher has paused the exam. Your time is stopped and nothing is lost; the exam continues as soon as it is resumed.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Connection status */}
+      {!isOnline ? (
+        <div className="bg-orange-500 text-white text-sm">
+          <div className="max-w-7xl mx-auto px-4 py-2 flex items-center space-x-2">
+            <ExclamationTriangleIcon className="h-4 w-4 flex-shrink-0" />
+            <span>
+              You are offline. Keep answering — your answers are saved on this device
+              {pendingCount > 0 ? ` (${pendingCount} waiting to sync)` : ''} and will be sent when the connection returns.
+            </span>
+          </div>
+        </div>
+      ) : pendingCount > 0 && autoSaveStatus === 'saving' && (
+        <div className="bg-blue-500 text-white text-sm">
+          <div className="max-w-7xl mx-auto px-4 py-2">
+            Back online. Syncing {pendingCount} answer(s) saved on this device...
+          </div>
+        </div>
+      )}
+
       {/* Header */}
       <div className="bg-white shadow-sm border-b">
         <div className="max-w-7xl mx-auto px-4 py-3">
@@ -520,11 +1240,13 @@ const TakeExam = () => {
                 <div className={`w-2 h-2 rounded-full ${
                   autoSaveStatus === 'saved' ? 'bg-green-500' :
                   autoSaveStatus === 'saving' ? 'bg-yellow-500' :
+                  autoSaveStatus === 'offline' ? 'bg-orange-500' :
                   autoSaveStatus === 'error' ? 'bg-red-500' : 'bg-gray-400'
                 }`}></div>
                 <span className="text-xs text-gray-500">
                   {autoSaveStatus === 'saved' ? 'Saved' :
                    autoSaveStatus === 'saving' ? 'Saving...' :
+                   autoSaveStatus === 'offline' ? 'Saved on device' :
                    autoSaveStatus === 'error' ? 'Error saving' : 'Modified'}
                 </span>
               </div>
@@ -717,7 +1439,132 @@ const TakeExam = () => {
 
               {/* Answer Input */}
               <div className="mb-8">
-                {currentQuestion.questionType === 'Objective' ? (
+                {currentQuestion.questionType === 'Objective' && examData.settings?.negativeMarking?.enabled && (
+                  <p className="mb-3 text-xs text-red-700 bg-red-50 rounded p-2">
+                    Negative marking: {describeNegativeMarking(examData.settings.negativeMarking.fraction)}
+                  </p>
+                )}
+                {currentQuestion.questionType === 'Objective' && currentQuestion.answerType === 'fill-blank' ? (
+                  <div>
+                    <input
+                      type="text"
+                      value={answers[currentQuestion._id] || ''}
+                      onChange={(e) => handleAnswerChange(e.target.value)}
+                      placeholder="Type your answer..."
+                      className="w-full p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="mt-2 text-sm text-gray-500">Fill in the blank with a word or short phrase.</p>
+                  </div>
+                ) : currentQuestion.questionType === 'Objective' && currentQuestion.answerType === 'numeric' ? (
+                  <div>
+                    <div className="flex items-center space-x-3">
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={answers[currentQuestion._id] || ''}
+                        onChange={(e) => handleAnswerChange(e.target.value)}
+                        placeholder="Enter a number"
+                        className="w-64 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      {currentQuestion.unit && (
+                        <span className="text-gray-700 font-medium">{currentQuestion.unit}</span>
+                      )}
+                    </div>
+                    <p className="mt-2 text-sm text-gray-500">
+                      Enter your answer as a number{currentQuestion.unit ? ` in ${currentQuestion.unit}` : ''}, e.g. 3.5 or 3,5.
+                    </p>
+                  </div>
+                ) : currentQuestion.questionType === 'Objective' && currentQuestion.answerType === 'matching' ? (
+                  <div className="space-y-3">
+                    <p className="text-sm text-gray-600">Match each item on the left with one on the right.</p>
+                    {currentQuestion.matchingLeft.map((left, leftIndex) => {
+                      const saved = answers[currentQuestion._id];
+                      const value = Array.isArray(saved) && saved[leftIndex] !== null && saved[leftIndex] !== undefined ? saved[leftIndex] : '';
+                      return (
+                        <div key={leftIndex} className="flex items-center p-4 border border-gray-200 rounded-lg">
+                          <span className="flex-1 text-gray-900">
+                            <span className="font-medium">{leftIndex + 1}.</span> {left}
+                          </span>
+                          <select
+                            value={value}
+                            onChange={(e) => setMatchingAnswer(leftIndex, e.target.value)}
+                            className="ml-4 w-1/2 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          >
+                            <option value="">Choose a match...</option>
+                            {currentQuestion.options.map((option, index) => (
+                              <option key={index} value={index}>{option}</option>
+                            ))}
+                          </select>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : currentQuestion.questionType === 'Objective' && currentQuestion.answerType === 'ordering' ? (
+                  <div className="space-y-3">
+                    <p className="text-sm text-gray-600">Put the items in the correct order using the arrows.</p>
+                    {getOrderingAnswer(currentQuestion).map((optionIndex, position) => (
+                      <div key={optionIndex} className="flex items-center p-4 border border-gray-200 rounded-lg">
+                        <span className="font-medium text-gray-500 w-8">{position + 1}.</span>
+                        <span className="flex-1 text-gray-900">{currentQuestion.options[optionIndex]}</span>
+                        <button
+                          type="button"
+                          onClick={() => moveOrderingItem(position, -1)}
+                          disabled={position === 0}
+                          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ArrowUpIcon className="h-5 w-5" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveOrderingItem(position, 1)}
+                          disabled={position === currentQuestion.options.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ArrowDownIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    ))}
+                    {!Array.isArray(answers[currentQuestion._id]) && (
+                      <button
+                        type="button"
+                        onClick={() => handleAnswerChange(getOrderingAnswer(currentQuestion))}
+                        className="btn-secondary text-sm"
+                      >
+                        Keep this order as my answer
+                      </button>
+                    )}
+                  </div>
+                ) : currentQuestion.questionType === 'Objective' && currentQuestion.multipleAnswers ? (
+                  <div className="space-y-3">
+                    <p className="text-sm text-gray-600">Select all that apply.</p>
+                    {currentQuestion.options.map((option, index) => {
+                      const checked = toSelectedIndices(answers[currentQuestion._id]).includes(index);
+                      return (
+                        <label
+                          key={index}
+                          className={`flex items-start p-4 border rounded-lg cursor-pointer transition-colors ${
+                            checked
+                              ? 'border-blue-500 bg-blue-50'
+                              : 'border-gray-200 hover:border-gray-300'
+                          }`}
+                        >
+                          <input
+                            type="checkbox"
+                            value={index}
+                            checked={checked}
+                            onChange={() => toggleOptionAnswer(index)}
+                            className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          <span className="ml-3 text-gray-900">
+                            <span className="font-medium">{String.fromCharCode(65 + index)}.</span> {option}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                ) : currentQuestion.questionType === 'Objective' ? (
                   <div className="space-y-3">
                     {currentQuestion.options.map((option, index) => (
                       <label
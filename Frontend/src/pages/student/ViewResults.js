@@ -13,6 +13,7 @@ import {
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { getScoringModeLabel, getAnswerTypeLabel, toSelectedIndices, usesOptions } from '../../utils/objectiveScoring';
 
 const ViewResults = () => {
   const { examId } = useParams();
@@ -226,7 +227,7 @@ const ViewResults = () => {
   }
 
   // Handle fetched results (detailed results)
-  const { exam, attempt, answers } = results.data;
+  const { exam, attempt, answers, breakdown } = results.data;
 
   return (
     <Layout>
@@ -304,6 +305,40 @@ const ViewResults = () => {
               </div>
             </div>
           </div>
+
+          {breakdown && breakdown.objective.questions > 0 && (
+            <div className="border-t pt-6 mt-6">
+              <h3 className="font-medium text-gray-900 mb-4">Score Breakdown</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div className="border rounded-lg p-4 space-y-2">
+                  <h4 className="font-medium text-green-600">Objective Questions</h4>
+                  <div className="flex justify-between">
+                    <span>Correct / wrong:</span>
+                    <span>{breakdown.objective.correct} / {breakdown.objective.wrong}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Marks earned:</span>
+                    <span>{breakdown.objective.score}/{breakdown.objective.maxMarks}</span>
+                  </div>
+                  {breakdown.negativeMarking && (
+                    <div className="flex justify-between text-red-600">
+                      <span>Negative marking ({Math.round(breakdown.negativeMarking.fraction * 100)}% per wrong answer):</span>
+                      <span>−{breakdown.objective.negativeMarks}</span>
+                    </div>
+                  )}
+                </div>
+                {breakdown.theory.questions > 0 && (
+                  <div className="border rounded-lg p-4 space-y-2">
+                    <h4 className="font-medium text-purple-600">Theory Questions</h4>
+                    <div className="flex justify-between">
+                      <span>Marks earned:</span>
+                      <span>{breakdown.theory.score}/{breakdown.theory.maxMarks}</span>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Question-by-Question Results */}
@@ -346,6 +381,7 @@ const ViewResults = () => {
                         <span className="text-sm font-medium">
                           {answer.isCorrect ? 'Correct' : 'Incorrect'}
                             ({answer.marksObtained || 0}/{answer.marks})
+                          {answer.negativeMarks > 0 && ` −${answer.negativeMarks}`}
                         </span>
                       </div>
                     )}
@@ -374,11 +410,20 @@ const ViewResults = () => {
                       <div className="space-y-4">
                         {/* Show all options with highlighting */}
                         <div>
-                          <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
+                          <h4 className="font-medium text-gray-900 mb-2">
+                            Options:
+                            {answer.multipleAnswers && (
+                              <span className="ml-2 text-xs font-normal text-gray-500">
+                                Select all that apply · {getScoringModeLabel(answer.scoringMode)}
+                              </span>
+                            )}
+                          </h4>
                           <div className="space-y-2">
                             {answer.options.map((option, optionIndex) => {
-                              const isStudentAnswer = answer.studentAnswer === optionIndex;
-                              const isCorrectAnswer = answer.correctAnswer === optionIndex;
+                              const isStudentAnswer = toSelectedIndices(answer.studentAnswer).includes(optionIndex);
+                              const isCorrectAnswer = answer.multipleAnswers
+                                ? (answer.correctAnswers || []).includes(optionIndex)
+                                : answer.correctAnswer === optionIndex;
                               
                               let optionClass = "p-3 rounded-lg border ";
                               if (isCorrectAnswer && isStudentAnswer) {
@@ -423,14 +468,15 @@ const ViewResults = () => {
                             <div>
                               <span className="font-medium text-gray-700">Your Answer:</span>
                               <span className={`ml-2 ${answer.isCorrect ? 'text-green-600' : 'text-red-600'}`}>
-                                {String.fromCharCode(65 + answer.studentAnswer)} - {answer.studentAnswerText}
+                                {toSelectedIndices(answer.studentAnswer).map(index => String.fromCharCode(65 + index)).join(', ')} - {answer.studentAnswerText}
                               </span>
                             </div>
                             {!answer.isCorrect && answer.correctAnswerText && (
                               <div>
                                 <span className="font-medium text-gray-700">Correct Answer:</span>
                                 <span className="ml-2 text-green-600">
-                                  {String.fromCharCode(65 + answer.correctAnswer)} - {answer.correctAnswerText}
+                                  {(answer.multipleAnswers ? answer.correctAnswers || [] : [answer.correctAnswer])
+                                    .map(index => String.fromCharCode(65 + index)).join(', ')} - {answer.correctAnswerText}
                                 </span>
                               </div>
                             )}
@@ -439,6 +485,30 @@ const ViewResults = () => {
                       </div>
                     )}
 
+                    {/* For objective questions answered without options */}
+                    {answer.questionType === 'Objective' && !usesOptions(answer) && (
+                      <div className="bg-gray-50 rounded-lg p-3">
+                        <p className="text-xs text-gray-500 mb-2">
+                          {getAnswerTypeLabel(answer.answerType)}
+                          {['matching', 'ordering'].includes(answer.answerType) && ` · ${getScoringModeLabel(answer.scoringMode)}`}
+                        </p>
+                        <div className="text-sm space-y-1">
+                          <div>
+                            <span className="font-medium text-gray-700">Your Answer:</span>
+                            <span className={`ml-2 ${answer.isCorrect ? 'text-green-600' : 'text-red-600'}`}>
+                              {answer.studentAnswerText || 'No answer'}
+                            </span>
+                          </div>
+                          {!answer.isCorrect && answer.correctAnswerText && (
+                            <div>
+                              <span className="font-medium text-gray-700">Correct Answer:</span>
+                              <span className="ml-2 text-green-600">{answer.correctAnswerText}</span>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
                     {/* For Theory Questions */}
                     {answer.questionType === 'Theory' && (
                       <div className="space-y-4">
@@ -446,7 +516,31 @@ const ViewResults = () => {
                           <h4 className="font-medium text-blue-900 mb-2">Your Answer:</h4>
                           <p className="text-blue-800 whitespace-pre-wrap">{answer.studentAnswerText}</p>
                         </div>
-                        
+
+                        {answer.rubricFeedback?.length > 0 && (
+                          <div className="bg-purple-50 rounded-lg p-3">
+                            <h4 className="font-medium text-purple-900 mb-2">Teacher's Feedback:</h4>
+                            <div className="space-y-2">
+                              {answer.rubricFeedback.map((feedback, feedbackIndex) => (
+                                <div key={feedbackIndex} className="text-sm">
+                                  <div className="flex items-center justify-between">
+                                    <span className="font-medium text-purple-900">{feedback.criterion}</span>
+                                    <span className="text-purple-800">
+                                      {feedback.band} · {feedback.points}/{feedback.maxPoints}
+                                    </span>
+                                  </div>
+                                  {feedback.descriptor && (
+                                    <p className="text-xs text-purple-700">{feedback.descriptor}</p>
+                                  )}
+                                  {feedback.comment && (
+                                    <p className="text-gray-700 mt-1 italic">"{feedback.comment}"</p>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
                         {answer.isCorrect === null && (
                           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
                             <div className="flex items-center">
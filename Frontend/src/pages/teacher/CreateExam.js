@@ -19,6 +19,41 @@ import {
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import TypedAnswerEditor from '../../components/TypedAnswerEditor';
+import {
+  SCORING_MODE_OPTIONS,
+  NEGATIVE_MARKING_FRACTIONS,
+  ANSWER_TYPE_OPTIONS,
+  DEFAULT_TYPED_ANSWER_KEY,
+  getScoringModeLabel,
+  getAnswerTypeLabel,
+  usesOptions,
+  getTypedAnswerKeyError,
+  describeNegativeMarking
+} from '../../utils/objectiveScoring';
+
+// Integrity events a violation policy can count, in the order they are offered
+const VIOLATION_EVENT_OPTIONS = [
+  { value: 'tab-hidden', label: 'Switching tabs' },
+  { value: 'window-blur', label: 'Leaving the window' },
+  { value: 'fullscreen-exit', label: 'Leaving fullscreen' },
+  { value: 'copy', label: 'Copying' },
+  { value: 'paste', label: 'Pasting' },
+  { value: 'context-menu', label: 'Right-clicking' },
+  { value: 'devtools-open', label: 'Opening developer tools' }
+];
+
+const DEFAULT_VIOLATION_POLICY = {
+  enabled: false,
+  countedEvents: ['tab-hidden', 'window-blur', 'fullscreen-exit'],
+  autoSubmitAfter: 3,
+  penaltyMinutes: 0
+};
+
+const DEFAULT_NEGATIVE_MARKING = {
+  enabled: false,
+  fraction: 0.25
+};
 
 const CreateExam = () => {
   const navigate = useNavigate();
@@ -36,6 +71,8 @@ const CreateExam = () => {
     description: '',
     subject: '',
     class: '',
+    targetLevel: '', // whole level, e.g. 'JSS1'
+    targetClasses: [], // other arms of the class's level
     examType: '', // 'Objective', 'Theory', 'Mixed'
     duration: 60,
     totalMarks: 0,
@@ -45,9 +82,14 @@ const CreateExam = () => {
     instructions: 'Read all questions carefully before answering.\nAnswer all questions.\nShow your working for theory questions.',
     settings: {
       shuffleQuestions: true,
+      shuffleOptions: false,
       allowReview: true,
       preventCheating: true,
-      allowRetakes: false
+      fullScreenMode: false,
+      allowRetakes: false,
+      violationPolicy: DEFAULT_VIOLATION_POLICY,
+      negativeMarking: DEFAULT_NEGATIVE_MARKING,
+      assistedGrading: { enabled: false }
     }
   });
   
@@ -61,6 +103,8 @@ const CreateExam = () => {
     objective: { count: 0 },
     theory: { count: 0 },
   });
+  // Fields each student's random paper keeps in proportion to the pool
+  const [stratifyBy, setStratifyBy] = useState([]);
 
   // State for question creation modal
   const [showCreateQuestionModal, setShowCreateQuestionModal] = useState(false);
@@ -77,6 +121,10 @@ const CreateExam = () => {
       { text: '', isCorrect: false },
       { text: '', isCorrect: false },
     ],
+    answerType: 'multiple-choice',
+    multipleAnswers: false,
+    scoringMode: 'all-or-nothing',
+    ...DEFAULT_TYPED_ANSWER_KEY,
     explanation: '',
     expectedAnswer: '',
     keywords: '',
@@ -288,7 +336,7 @@ const CreateExam = () => {
         passingMarks: Math.floor(totalMarks * 0.5)
       }));
     }
-  }, [examQuestionPool, questionSelection]);
+  }, [examQuestionPool, questionSelection, stratifyBy]);
 
   const fetchTeacherAssignments = async () => {
     try {
@@ -312,6 +360,8 @@ const CreateExam = () => {
         description: exam.description || '',
         subject: exam.subject?._id || '',
         class: exam.class?._id || '',
+        targetLevel: exam.targetLevel || '',
+        targetClasses: (exam.targetClasses || []).map(target => target._id || target),
         examType: exam.examType || '',
         duration: exam.duration || 60,
         totalMarks: exam.totalMarks || 0,
@@ -359,6 +409,7 @@ const CreateExam = () => {
             count: exam.questionBankSelection.theory?.count || 0
           }
         });
+        setStratifyBy(exam.questionBankSelection.stratifyBy || []);
         
         // For question bank exams, we need both embedded questions (for display with marks) 
         // and original question IDs (for preview functionality)
@@ -441,6 +492,7 @@ const CreateExam = () => {
             questions: examQuestionPool.theory.map(q => q._id),
             count: questionSelection.theory.count,
           },
+          stratifyBy,
         },
       };
       
@@ -492,6 +544,10 @@ const CreateExam = () => {
         { text: '', isCorrect: false },
         { text: '', isCorrect: false },
       ],
+      answerType: 'multiple-choice',
+      multipleAnswers: false,
+      scoringMode: 'all-or-nothing',
+      ...DEFAULT_TYPED_ANSWER_KEY,
       explanation: '',
       expectedAnswer: '',
       keywords: '',
@@ -509,7 +565,13 @@ const CreateExam = () => {
       toast.error('Question text is required');
       return;
     }
-    if (currentQuestion.questionType === 'Objective') {
+    if (currentQuestion.questionType === 'Objective' && !usesOptions(currentQuestion)) {
+      const answerKeyError = getTypedAnswerKeyError(currentQuestion);
+      if (answerKeyError) {
+        toast.error(answerKeyError);
+        return;
+      }
+    } else if (currentQuestion.questionType === 'Objective') {
       const filledOptions = currentQuestion.options.filter(opt => opt.text.trim() !== '');
       if (filledOptions.length < 2) {
         toast.error('Objective questions need at least 2 options');
@@ -714,6 +776,49 @@ const CreateExam = () => {
         .map(a => a.subject)
     : [];
 
+  // Other arms of the selected class's level that take the selected subject
+  const selectedClass = assignedClasses.find(c => c._id === formData.class);
+  const levelArms = selectedClass && formData.subject
+    ? teacherAssignments
+        .filter(a => a.subject._id === formData.subject &&
+          a.class.level === selectedClass.level &&
+          a.class._id !== formData.class)
+        .map(a => a.class)
+    : [];
+
+  const toggleTargetClass = (classId) => {
+    const targetClasses = formData.targetClasses.includes(classId)
+      ? formData.targetClasses.filter(id => id !== classId)
+      : [...formData.targetClasses, classId];
+    setFormData({ ...formData, targetLevel: '', targetClasses });
+  };
+
+  // Exams saved before violation policies existed have none
+  const violationPolicy = { ...DEFAULT_VIOLATION_POLICY, ...formData.settings.violationPolicy };
+
+  const updateViolationPolicy = (changes) => {
+    setFormData({
+      ...formData,
+      settings: { ...formData.settings, violationPolicy: { ...violationPolicy, ...changes } }
+    });
+  };
+
+  const negativeMarking = { ...DEFAULT_NEGATIVE_MARKING, ...formData.settings.negativeMarking };
+
+  const updateNegativeMarking = (changes) => {
+    setFormData({
+      ...formData,
+      settings: { ...formData.settings, negativeMarking: { ...negativeMarking, ...changes } }
+    });
+  };
+
+  const toggleCountedEvent = (eventType) => {
+    const countedEvents = violationPolicy.countedEvents.includes(eventType)
+      ? violationPolicy.countedEvents.filter(type => type !== eventType)
+      : [...violationPolicy.countedEvents, eventType];
+    updateViolationPolicy({ countedEvents });
+  };
+
   // Function to fetch questions for question bank selection
   const fetchQuestionBankQuestions = async () => {
     try {
@@ -779,7 +884,8 @@ const CreateExam = () => {
         theory: {
           questions: examQuestionPool.theory.map(q => q._id).filter(id => id),
           count: questionSelection.theory.count
-        }
+        },
+        stratifyBy
       });
       setPreviewQuestions(response.data.data);
     } catch (error) {
@@ -807,6 +913,16 @@ const CreateExam = () => {
           {type.charAt(0).toUpperCase() + type.slice(1)}
         </span>
         <p className="text-sm text-gray-800">{question.questionText}</p>
+        {question.multipleAnswers && (
+          <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">
+            Multi-answer · {getScoringModeLabel(question.scoringMode)}
+          </span>
+        )}
+        {question.answerType && question.answerType !== 'multiple-choice' && (
+          <span className="ml-2 text-xs text-gray-500 whitespace-nowrap">
+            {getAnswerTypeLabel(question.answerType)}
+          </span>
+        )}
       </div>
       <button
         type="button"
@@ -897,7 +1013,7 @@ const CreateExam = () => {
                       value={formData.class}
                       onChange={(e) => {
                         handleFieldChange('class', e.target.value);
-                        setFormData({...formData, class: e.target.value, subject: ''});
+                        setFormData({...formData, class: e.target.value, subject: '', targetLevel: '', targetClasses: []});
                         setExamQuestionPool({
                           objective: [],
                           theory: []
@@ -928,7 +1044,7 @@ const CreateExam = () => {
                       value={formData.subject}
                       onChange={(e) => {
                         handleFieldChange('subject', e.target.value);
-                        setFormData({...formData, subject: e.target.value});
+                        setFormData({...formData, subject: e.target.value, targetLevel: '', targetClasses: []});
                         setExamQuestionPool({
                           objective: [],
                           theory: []
@@ -953,6 +1069,59 @@ const CreateExam = () => {
                     ) : null}
                   </div>
                 </div>
+
+                {!isEditMode && levelArms.length > 0 && (
+                  <div className="mt-6">
+                    <label className="form-label">Who Writes This Exam</label>
+                    <div className="space-y-2 mt-2">
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="audience"
+                          checked={!formData.targetLevel && formData.targetClasses.length === 0}
+                          onChange={() => setFormData({...formData, targetLevel: '', targetClasses: []})}
+                          className="mr-2"
+                        />
+                        Only {selectedClass.name}
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="audience"
+                          checked={!!formData.targetLevel}
+                          onChange={() => setFormData({...formData, targetLevel: selectedClass.level, targetClasses: []})}
+                          className="mr-2"
+                        />
+                        Every {selectedClass.level} class
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          name="audience"
+                          checked={!formData.targetLevel && formData.targetClasses.length > 0}
+                          onChange={() => setFormData({...formData, targetLevel: '', targetClasses: [levelArms[0]._id]})}
+                          className="mr-2"
+                        />
+                        {selectedClass.name} and selected arms
+                      </label>
+                      {!formData.targetLevel && formData.targetClasses.length > 0 && (
+                        <div className="flex flex-wrap gap-4 pl-6">
+                          {levelArms.map(arm => (
+                            <label key={arm._id} className="flex items-center text-sm">
+                              <input
+                                type="checkbox"
+                                checked={formData.targetClasses.includes(arm._id)}
+                                onChange={() => toggleTargetClass(arm._id)}
+                                className="mr-2"
+                              />
+                              {arm.name}
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Exam Type Selection */}
@@ -1154,6 +1323,22 @@ const CreateExam = () => {
                           />
                           <span className="ml-2 text-sm text-gray-700">Shuffle Questions</span>
                         </label>
+
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={formData.settings.shuffleOptions || false}
+                            onChange={(e) => setFormData({
+                              ...formData,
+                              settings: {...formData.settings, shuffleOptions: e.target.checked}
+                            })}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          <span className="ml-2 text-sm text-gray-700">
+                            Shuffle Options
+                            <span className="text-xs text-gray-500 block">Each student sees objective options in their own order</span>
+                          </span>
+                        </label>
                         
                         <label className="flex items-center">
                           <input
@@ -1196,9 +1381,154 @@ const CreateExam = () => {
                             })}
                             className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
                           />
-                          <span className="ml-2 text-sm text-gray-700">Enable Anti-Cheating</span>
+                          <span className="ml-2 text-sm text-gray-700">
+                            Enable Anti-Cheating
+                            <span className="text-xs text-gray-500 block">Blocks copy/paste and records tab switches for review</span>
+                          </span>
+                        </label>
+
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={formData.settings.fullScreenMode || false}
+                            onChange={(e) => setFormData({
+                              ...formData,
+                              settings: {...formData.settings, fullScreenMode: e.target.checked}
+                            })}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          <span className="ml-2 text-sm text-gray-700">
+                            Require Fullscreen
+                            <span className="text-xs text-gray-500 block">Students must stay in fullscreen; exits are recorded</span>
+                          </span>
                         </label>
                       </div>
+
+                      <div className="mt-6 border border-gray-200 rounded-lg p-4">
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={violationPolicy.enabled}
+                            onChange={(e) => updateViolationPolicy({ enabled: e.target.checked })}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          <span className="ml-2 text-sm text-gray-700">
+                            Enforce Violation Policy
+                            <span className="text-xs text-gray-500 block">Warn students on each recorded violation and submit their exam once the limit is reached</span>
+                          </span>
+                        </label>
+
+                        {violationPolicy.enabled && (
+                          <div className="mt-4 space-y-4">
+                            {!formData.settings.preventCheating && !formData.settings.fullScreenMode && (
+                              <p className="text-xs text-yellow-700 bg-yellow-50 rounded p-2">
+                                Turn on anti-cheating or fullscreen so violations are recorded.
+                              </p>
+                            )}
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                              <div>
+                                <label className="form-label">Auto-submit after (violations)</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="50"
+                                  className="form-input"
+                                  value={violationPolicy.autoSubmitAfter}
+                                  onChange={(e) => updateViolationPolicy({ autoSubmitAfter: parseInt(e.target.value) || 0 })}
+                                />
+                                <p className="text-xs text-gray-500 mt-1">0 only warns and never submits</p>
+                              </div>
+                              <div>
+                                <label className="form-label">Time penalty per violation (minutes)</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="60"
+                                  className="form-input"
+                                  value={violationPolicy.penaltyMinutes}
+                                  onChange={(e) => updateViolationPolicy({ penaltyMinutes: parseInt(e.target.value) || 0 })}
+                                />
+                                <p className="text-xs text-gray-500 mt-1">Taken off the student's remaining time</p>
+                              </div>
+                            </div>
+                            <div>
+                              <label className="form-label">Counts as a violation</label>
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                {VIOLATION_EVENT_OPTIONS.map(option => (
+                                  <label key={option.value} className="flex items-center">
+                                    <input
+                                      type="checkbox"
+                                      checked={violationPolicy.countedEvents.includes(option.value)}
+                                      onChange={() => toggleCountedEvent(option.value)}
+                                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    />
+                                    <span className="ml-2 text-sm text-gray-700">{option.label}</span>
+                                  </label>
+                                ))}
+                              </div>
+                              <p className="text-xs text-gray-500 mt-1">
+                                Events within a second of each other, such as leaving fullscreen to switch tabs, count as one violation
+                              </p>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+
+                      {formData.examType !== 'Theory' && (
+                        <div className="mt-4 border border-gray-200 rounded-lg p-4">
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              checked={negativeMarking.enabled}
+                              onChange={(e) => updateNegativeMarking({ enabled: e.target.checked })}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="ml-2 text-sm text-gray-700">
+                              Negative Marking
+                              <span className="text-xs text-gray-500 block">Deduct marks for wrong objective answers to discourage guessing</span>
+                            </span>
+                          </label>
+
+                          {negativeMarking.enabled && (
+                            <div className="mt-4">
+                              <label className="form-label">Deducted per wrong answer</label>
+                              <select
+                                className="form-input"
+                                value={negativeMarking.fraction}
+                                onChange={(e) => updateNegativeMarking({ fraction: parseFloat(e.target.value) })}
+                              >
+                                {NEGATIVE_MARKING_FRACTIONS.map(option => (
+                                  <option key={option.label} value={option.value}>{option.label}</option>
+                                ))}
+                              </select>
+                              <p className="text-xs text-gray-500 mt-1">{describeNegativeMarking(negativeMarking.fraction)}</p>
+                              <p className="text-xs text-gray-500 mt-1">
+                                Questions that use the "Negative marking" scoring mode already lose a share for each wrong option, pair or position, so this is not taken off them as well.
+                              </p>
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {formData.examType !== 'Objective' && (
+                        <div className="mt-4 border border-gray-200 rounded-lg p-4">
+                          <label className="flex items-center">
+                            <input
+                              type="checkbox"
+                              checked={!!formData.settings.assistedGrading?.enabled}
+                              onChange={(e) => setFormData({
+                                ...formData,
+                                settings: {...formData.settings, assistedGrading: { enabled: e.target.checked }}
+                              })}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            />
+                            <span className="ml-2 text-sm text-gray-700">
+                              Assisted Grading
+                              <span className="text-xs text-gray-500 block">Suggest marks for theory answers from the keywords they contain. You still confirm or change every mark.</span>
+                            </span>
+                          </label>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -1344,6 +1674,30 @@ const CreateExam = () => {
                     </div>
                   </div>
                 </div>
+                <div className="mt-4">
+                  <p className="form-label">Balance each student's paper by</p>
+                  <div className="flex flex-wrap gap-4">
+                    {[
+                      { field: 'difficulty', label: 'Difficulty' },
+                      { field: 'topic', label: 'Topic' }
+                    ].map(({ field, label }) => (
+                      <label key={field} className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={stratifyBy.includes(field)}
+                          onChange={(e) => setStratifyBy(prev => (
+                            e.target.checked ? [...prev, field] : prev.filter(item => item !== field)
+                          ))}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span className="ml-2 text-sm text-gray-700">{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Each student draws their own questions when they start the exam, in the same proportions as the pool.
+                  </p>
+                </div>
               </div>
               
               {/* Random Preview */}
@@ -1423,7 +1777,10 @@ const CreateExam = () => {
                       <div>
                         <dt className="text-sm font-medium text-gray-500">Class</dt>
                         <dd className="text-sm text-gray-900">
-                          {assignedClasses.find(c => c._id === formData.class)?.name}
+                          {selectedClass?.name}
+                          {formData.targetLevel && ` (every ${formData.targetLevel} class)`}
+                          {!formData.targetLevel && formData.targetClasses.length > 0 &&
+                            ` + ${assignedClasses.filter(c => formData.targetClasses.includes(c._id)).map(c => c.name).join(', ')}`}
                         </dd>
                       </div>
                       <div>
@@ -1696,23 +2053,96 @@ const CreateExam = () => {
                     </div>
                   </div>
 
-                  {/* Options for Objective Questions */}
                   {currentQuestion.questionType === 'Objective' && (
+                    <div>
+                      <label className="form-label">Answer Type</label>
+                      <select
+                        className="form-input"
+                        value={currentQuestion.answerType}
+                        onChange={(e) => {
+                          const answerType = e.target.value;
+                          const blankOptions = [...Array(4)].map(() => ({ text: '', isCorrect: false }));
+                          setCurrentQuestion({
+                            ...currentQuestion,
+                            answerType,
+                            // True or false fixes its two options; leaving it starts the options afresh
+                            options: answerType === 'true-false'
+                              ? [{ text: 'True', isCorrect: true }, { text: 'False', isCorrect: false }]
+                              : currentQuestion.answerType === 'true-false' ? blankOptions : currentQuestion.options,
+                            multipleAnswers: answerType === 'multiple-choice' && currentQuestion.multipleAnswers
+                          });
+                        }}
+                      >
+                        {ANSWER_TYPE_OPTIONS.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {currentQuestion.questionType === 'Objective' && !usesOptions(currentQuestion) && (
+                    <TypedAnswerEditor
+                      question={currentQuestion}
+                      onChange={(changes) => setCurrentQuestion({ ...currentQuestion, ...changes })}
+                    />
+                  )}
+
+                  {/* Options for Objective Questions */}
+                  {currentQuestion.questionType === 'Objective' && usesOptions(currentQuestion) && (
                     <div>
                       <label className="form-label">Answer Options *</label>
+                      <div className={`mb-3 space-y-2 ${currentQuestion.answerType === 'true-false' ? 'hidden' : ''}`}>
+                        <label className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={currentQuestion.multipleAnswers}
+                            onChange={(e) => {
+                              const multipleAnswers = e.target.checked;
+                              const firstCorrect = currentQuestion.options.findIndex(opt => opt.isCorrect);
+                              setCurrentQuestion({
+                                ...currentQuestion,
+                                multipleAnswers,
+                                // Back to a single answer: keep the first correct option only
+                                options: multipleAnswers
+                                  ? currentQuestion.options
+                                  : currentQuestion.options.map((opt, i) => ({ ...opt, isCorrect: i === firstCorrect }))
+                              });
+                            }}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                          />
+                          Select all that apply (more than one correct option)
+                        </label>
+                        {currentQuestion.multipleAnswers && (
+                          <div>
+                            <select
+                              className="form-input"
+                              value={currentQuestion.scoringMode}
+                              onChange={(e) => setCurrentQuestion({...currentQuestion, scoringMode: e.target.value})}
+                            >
+                              {SCORING_MODE_OPTIONS.map(mode => (
+                                <option key={mode.value} value={mode.value}>{mode.label}</option>
+                              ))}
+                            </select>
+                            <p className="text-xs text-gray-500 mt-1">
+                              {SCORING_MODE_OPTIONS.find(mode => mode.value === currentQuestion.scoringMode)?.description}
+                            </p>
+                          </div>
+                        )}
+                      </div>
                       <div className="space-y-3">
                         {currentQuestion.options.map((option, index) => (
                           <div key={index} className="flex items-center space-x-3">
                             <input
-                              type="radio"
+                              type={currentQuestion.multipleAnswers ? 'checkbox' : 'radio'}
                               name="correctAnswer"
                               checked={option.isCorrect}
                               onChange={() => {
-                                const newOptions = [...currentQuestion.options];
-                                newOptions[index] = { ...option, isCorrect: !option.isCorrect };
+                                const newOptions = currentQuestion.multipleAnswers
+                                  ? currentQuestion.options.map((opt, i) => (i === index ? { ...opt, isCorrect: !opt.isCorrect } : opt))
+                                  : currentQuestion.options.map((opt, i) => ({ ...opt, isCorrect: i === index }));
                                 setCurrentQuestion({...currentQuestion, options: newOptions});
                               }}
-                              className="text-green-600 focus:ring-green-500"
+                              className={`${currentQuestion.multipleAnswers ? 'rounded border-gray-300 ' : ''}text-green-600 focus:ring-green-500`}
                               disabled={!option.text.trim()}
                             />
                             <span className="text-sm font-medium text-gray-700">
@@ -1728,12 +2158,15 @@ const CreateExam = () => {
                                 setCurrentQuestion({...currentQuestion, options: newOptions});
                               }}
                               placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                              readOnly={currentQuestion.answerType === 'true-false'}
                             />
                           </div>
                         ))}
                       </div>
                       <p className="text-xs text-gray-500 mt-2">
-                        Select the radio button next to the correct answer. At least 2 options are required.
+                        {currentQuestion.multipleAnswers
+                          ? 'Tick every correct option. At least 2 options are required.'
+                          : 'Select the radio button next to the correct answer. At least 2 options are required.'}
                       </p>
                     </div>
                   )}
@@ -12,9 +12,67 @@ import {
   EyeIcon,
   DocumentArrowDownIcon,
   FunnelIcon,
+  ShieldExclamationIcon,
+  DevicePhoneMobileIcon,
+  SparklesIcon,
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import {
+  getScoringModeLabel,
+  getAnswerTypeLabel,
+  toSelectedIndices,
+  usesOptions,
+  formatTypedAnswer,
+  formatTypedCorrectAnswer
+} from '../../utils/objectiveScoring';
+import { highlightMatches, describeSuggestion } from '../../utils/theoryGrading';
+import { toRubricSelections, toRubricScores, scoreRubricSelections } from '../../utils/rubrics';
+
+const INTEGRITY_EVENT_LABELS = {
+  'fullscreen-exit': 'Left fullscreen',
+  'tab-hidden': 'Switched away from the exam tab',
+  'window-blur': 'Exam window lost focus',
+  copy: 'Tried to copy',
+  paste: 'Tried to paste',
+  'context-menu': 'Opened the right-click menu',
+  'devtools-open': 'Developer tools opened'
+};
+
+// "Option 2: Paris" for each option index given; multiple-answer questions list several
+const formatOptionAnswer = (question, indices) => {
+  const parts = indices
+    .filter(index => question?.options?.[index] !== undefined)
+    .map(index => `Option ${index + 1}: ${question.options[index]}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+const getCorrectIndices = (question) => (
+  question?.multipleAnswers ? question.correctAnswers || [] : toSelectedIndices(question?.correctAnswer)
+);
+
+// A student's objective answer as text, whatever the answer type
+const formatStudentAnswer = (question, answer) => {
+  if (question && !usesOptions(question)) return formatTypedAnswer(question, answer) || null;
+  return formatOptionAnswer(question, toSelectedIndices(answer)) || (Array.isArray(answer) ? null : answer);
+};
+
+const formatCorrectAnswer = (question) => {
+  if (question && !usesOptions(question)) return formatTypedCorrectAnswer(question) || null;
+  return formatOptionAnswer(question, getCorrectIndices(question));
+};
+
+const SESSION_EVENT_LABELS = {
+  'session-started': 'Started on this device',
+  'ip-changed': 'Network address changed',
+  'user-agent-changed': 'Browser changed',
+  'fingerprint-changed': 'Device details changed',
+  rejected: 'Turned away on another device',
+  'takeover-requested': 'Asked to continue on another device',
+  'takeover-approved': 'Device change approved',
+  'takeover-denied': 'Device change denied',
+  'takeover-completed': 'Continued on another device'
+};
 
 const ExamResults = () => {
   const { examId } = useParams();
@@ -40,7 +98,10 @@ const ExamResults = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [gradingScores, setGradingScores] = useState({});
+  // Rubric band choices and comments by question number, while grading
+  const [rubricSelections, setRubricSelections] = useState({});
   const [isReleasing, setIsReleasing] = useState(false);
+  const [isSuggesting, setIsSuggesting] = useState(false);
   
   // New state for release/unrelease functionality
   const [showReleaseModal, setShowReleaseModal] = useState(false);
@@ -160,12 +221,42 @@ const ExamResults = () => {
     return matchesSearch && matchesStatus;
   });
 
+  const getRubricSelections = (answer) =>
+    rubricSelections[answer.questionNumber] || toRubricSelections(answer.rubricScores);
+
+  const handleRubricChange = (answer, criterionIndex, changes) => {
+    const selections = { ...getRubricSelections(answer) };
+    selections[criterionIndex] = { comment: '', ...selections[criterionIndex], ...changes };
+    setRubricSelections(prev => ({ ...prev, [answer.questionNumber]: selections }));
+
+    const marks = scoreRubricSelections(answer.question.rubric, selections, answer.question.marks);
+    if (marks !== null) {
+      setGradingScores(prev => ({ ...prev, [answer.questionNumber]: marks }));
+    }
+  };
+
   const handleGradeSubmit = async () => {
     try {
-      const grades = Object.entries(gradingScores).map(([questionNumber, marksObtained]) => ({
-        questionNumber: parseInt(questionNumber),
-        marksObtained: parseFloat(marksObtained) || 0
-      }));
+      // Rubric questions send their band choices; the server works out the marks
+      const rubricGrades = [];
+      for (const [questionNumber, selections] of Object.entries(rubricSelections)) {
+        const answer = selectedResult.answers.find(item => item.questionNumber === parseInt(questionNumber));
+        if (scoreRubricSelections(answer.question.rubric, selections, answer.question.marks) === null) {
+          toast.error(`Choose a band for every criterion of question ${questionNumber}`);
+          return;
+        }
+        rubricGrades.push({ questionNumber: parseInt(questionNumber), rubricScores: toRubricScores(selections) });
+      }
+
+      const grades = [
+        ...rubricGrades,
+        ...Object.entries(gradingScores)
+          .filter(([questionNumber]) => !rubricSelections[questionNumber])
+          .map(([questionNumber, marksObtained]) => ({
+            questionNumber: parseInt(questionNumber),
+            marksObtained: parseFloat(marksObtained) || 0
+          }))
+      ];
 
       const response = await fetch(`/api/teacher/exams/${examId}/grade-student`, {
         method: 'POST',
@@ -185,6 +276,7 @@ const ExamResults = () => {
         toast.success('Student graded successfully');
         setShowGradingModal(false);
         setGradingScores({});
+        setRubricSelections({});
         fetchExamResults(); // Refresh results
       } else {
         toast.error(data.message || 'Failed to grade student');
@@ -195,6 +287,49 @@ const ExamResults = () => {
     }
   };
 
+  // Confirm an assisted grading suggestion as the answer's mark
+  const handleAcceptSuggestion = async (answer) => {
+    try {
+      const response = await axios.put(`/api/teacher/exams/${examId}/grade-question`, {
+        studentId: selectedResult.student._id,
+        questionNumber: answer.questionNumber,
+        acceptSuggestion: true
+      });
+      const { marksObtained, suggestionStatus } = response.data.data;
+
+      setSelectedResult(prev => ({
+        ...prev,
+        answers: prev.answers.map(item => (
+          item.questionNumber === answer.questionNumber
+            ? { ...item, marksObtained, suggestionStatus, needsGrading: false }
+            : item
+        ))
+      }));
+      setGradingScores(prev => {
+        const scores = { ...prev };
+        delete scores[answer.questionNumber];
+        return scores;
+      });
+      toast.success(`Accepted ${marksObtained} marks`);
+      fetchExamResults();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept suggestion');
+    }
+  };
+
+  const handleSuggestMarks = async () => {
+    try {
+      setIsSuggesting(true);
+      const response = await axios.post(`/api/teacher/exams/${examId}/grading-suggestions`);
+      toast.success(response.data.message);
+      fetchExamResults();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to suggest marks');
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
   const handleReleaseResults = async (action = 'release') => {
     try {
       setIsReleasing(true);
@@ -407,6 +542,18 @@ const ExamResults = () => {
                 );
               })()}
               
+              {exam?.assistedGrading && (
+                <button
+                  onClick={handleSuggestMarks}
+                  disabled={isSuggesting}
+                  className="flex items-center px-6 py-2 rounded font-medium border-2 border-purple-600 text-purple-600 hover:bg-purple-50 disabled:opacity-50"
+                  title="Suggest marks for theory answers that still need grading"
+                >
+                  <SparklesIcon className="h-5 w-5 mr-2" />
+                  {isSuggesting ? 'Suggesting...' : 'Suggest Marks'}
+                </button>
+              )}
+
               <button
                 onClick={() => navigate('/teacher/manage-exams')}
                 className="bg-gray-600 text-white px-6 py-2 rounded hover:bg-gray-700"
@@ -585,6 +732,33 @@ const ExamResults = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {new Date(result.submittedAt).toLocaleDateString()}
+                          {result.submissionReason === 'auto-submitted' && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">
+                              Auto-submitted
+                            </span>
+                          )}
+                          {result.submissionReason === 'teacher-submitted' && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">
+                              Submitted by teacher
+                            </span>
+                          )}
+                          {result.submissionReason === 'violation-limit' && (
+                            <span
+                              className="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800"
+                              title={`Submitted after ${result.violationCount} violation(s)`}
+                            >
+                              Violation limit
+                            </span>
+                          )}
+                          {result.integrityEvents?.length > 0 && (
+                            <span
+                              className="ml-2 inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800"
+                              title="Integrity events recorded during the exam"
+                            >
+                              <ShieldExclamationIcon className="h-3 w-3 mr-1" />
+                              {result.integrityEvents.length}
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                           <div className="flex space-x-2">
@@ -596,6 +770,7 @@ const ExamResults = () => {
                                   answersCount: result.answers?.length || 0
                                 });
                                 setSelectedResult(result);
+                                setRubricSelections({});
                                 setShowGradingModal(true);
                               }}
                               className="text-blue-600 hover:text-blue-900"
@@ -607,6 +782,7 @@ const ExamResults = () => {
                               <button
                                 onClick={() => {
                                   setSelectedResult(result);
+                                  setRubricSelections({});
                                   setShowGradingModal(true);
                                 }}
                                 className="text-green-600 hover:text-green-900"
@@ -653,6 +829,62 @@ const ExamResults = () => {
               </div>
 
               <div className="space-y-6">
+                {/* Integrity timeline */}
+                {selectedResult.integrityEvents?.length > 0 && (
+                  <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                    <h4 className="flex items-center font-medium text-red-800 mb-3">
+                      <ShieldExclamationIcon className="h-5 w-5 mr-2" />
+                      Integrity Timeline ({selectedResult.integrityEvents.length} events)
+                    </h4>
+                    {(selectedResult.violationCount > 0 || selectedResult.penaltyMinutes > 0) && (
+                      <p className="text-sm text-red-700 mb-3">
+                        {selectedResult.violationCount} counted as violations
+                        {selectedResult.penaltyMinutes > 0 && `, ${selectedResult.penaltyMinutes} minute(s) deducted`}
+                      </p>
+                    )}
+                    <ol className="border-l-2 border-red-200 ml-2 space-y-2 max-h-64 overflow-y-auto">
+                      {[...selectedResult.integrityEvents]
+                        .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+                        .map((event, index) => (
+                          <li key={index} className="ml-4 text-sm">
+                            <span className="font-mono text-gray-500 mr-2">
+                              {new Date(event.occurredAt).toLocaleTimeString()}
+                            </span>
+                            <span className="text-gray-900">{INTEGRITY_EVENT_LABELS[event.type] || event.type}</span>
+                            {event.details && (
+                              <span className="text-gray-500 ml-2">({event.details})</span>
+                            )}
+                          </li>
+                        ))}
+                    </ol>
+                  </div>
+                )}
+
+                {/* Device and network history */}
+                {selectedResult.sessionLog?.length > 0 && (
+                  <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <h4 className="flex items-center font-medium text-gray-800 mb-3">
+                      <DevicePhoneMobileIcon className="h-5 w-5 mr-2" />
+                      Session Log ({selectedResult.sessionLog.length} events)
+                    </h4>
+                    <ol className="border-l-2 border-gray-200 ml-2 space-y-2 max-h-64 overflow-y-auto">
+                      {selectedResult.sessionLog.map((event, index) => (
+                        <li key={index} className="ml-4 text-sm">
+                          <span className="font-mono text-gray-500 mr-2">
+                            {new Date(event.at).toLocaleTimeString()}
+                          </span>
+                          <span className="text-gray-900">{SESSION_EVENT_LABELS[event.event] || event.event}</span>
+                          {event.ipAddress && (
+                            <span className="text-gray-500 ml-2">
+                              ({event.previous ? `${event.previous} → ` : ''}{event.event === 'user-agent-changed' ? event.userAgent : event.ipAddress})
+                            </span>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+
                 {/* Debug info */}
                 {!selectedResult.answers || selectedResult.answers.length === 0 ? (
                   <div className="p-4 bg-yellow-50 border border-yellow-200 rounded">
@@ -706,18 +938,25 @@ const ExamResults = () => {
                                         <span className={`ml-2 px-2 py-1 rounded ${
                                           answer.isCorrect ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
                                         }`}>
-                                          {answer.answer !== undefined && answer.answer !== null && answer.question?.options?.[answer.answer] 
-                                            ? `Option ${parseInt(answer.answer) + 1}: ${answer.question.options[answer.answer]}`
-                                            : answer.answer || 'No answer provided'}
+                                          {formatStudentAnswer(answer.question, answer.answer) || 'No answer provided'}
                                         </span>
                                       </div>
                                       <div className="text-sm">
                                         <span className="font-medium">Correct Answer:</span>
                                         <span className="ml-2 px-2 py-1 bg-blue-100 text-blue-800 rounded">
-                                          {answer.question?.correctAnswer !== undefined && answer.question?.options?.[answer.question.correctAnswer]
-                                            ? `Option ${answer.question.correctAnswer + 1}: ${answer.question.options[answer.question.correctAnswer]}`
-                                            : 'Not available'}
+                                          {formatCorrectAnswer(answer.question) || 'Not available'}
                                         </span>
+                                        {answer.question?.multipleAnswers && (
+                                          <span className="ml-2 text-xs text-gray-500">
+                                            Select all that apply · {getScoringModeLabel(answer.question.scoringMode)}
+                                          </span>
+                                        )}
+                                        {answer.question && !usesOptions(answer.question) && (
+                                          <span className="ml-2 text-xs text-gray-500">
+                                            {getAnswerTypeLabel(answer.question.answerType)}
+                                            {['matching', 'ordering'].includes(answer.question.answerType) && ` · ${getScoringModeLabel(answer.question.scoringMode)}`}
+                                          </span>
+                                        )}
                                       </div>
                                       <div className="text-sm">
                                         <span className="font-medium">Score:</span>
@@ -726,6 +965,9 @@ const ExamResults = () => {
                                         }`}>
                                           {answer.marksObtained || 0}/{answer.question?.marks || 0}
                                         </span>
+                                        {answer.negativeMarks > 0 && (
+                                          <span className="ml-2 text-xs text-red-600">−{answer.negativeMarks} negative marking</span>
+                                        )}
                                       </div>
                                     </div>
                                   </div>
@@ -760,25 +1002,118 @@ const ExamResults = () => {
                                     <div className="space-y-3">
                                       <div className="text-sm">
                                         <span className="font-medium">Student Answer:</span>
-                                        <div className="mt-2 p-3 bg-white rounded border min-h-[100px]">
-                                          {answer.answer || 'No answer provided'}
+                                        <div className="mt-2 p-3 bg-white rounded border min-h-[100px] whitespace-pre-wrap">
+                                          {answer.answer
+                                            ? highlightMatches(answer.answer, answer.suggestion?.matches).map((segment, segmentIndex) => (
+                                              segment.term ? (
+                                                <mark key={segmentIndex} className="bg-yellow-200 rounded px-0.5" title={segment.term}>{segment.text}</mark>
+                                              ) : (
+                                                <span key={segmentIndex}>{segment.text}</span>
+                                              )
+                                            ))
+                                            : 'No answer provided'}
                                         </div>
                                       </div>
-                                      <div className="text-sm">
-                                        <label className="block font-medium text-gray-700 mb-1">
-                                          Marks Obtained (Max: {answer.question?.marks || 0})
-                                        </label>
-                                        <input
-                                          type="number"
-                                          min="0"
-                                          max={answer.question?.marks || 0}
-                                          step="0.5"
-                                          value={gradingScores[answer.questionNumber] || answer.marksObtained || ''}
-                                          onChange={(e) => handleScoreChange(answer.questionNumber, e.target.value, answer.question?.marks || 0)}
-                                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500"
-                                          placeholder="Enter marks"
-                                        />
-                                      </div>
+                                      {answer.suggestion && (
+                                        <div className="text-sm p-3 bg-yellow-50 border border-yellow-200 rounded">
+                                          <div className="flex items-center justify-between">
+                                            <span className="flex items-center font-medium text-yellow-800">
+                                              <SparklesIcon className="h-4 w-4 mr-1" />
+                                              {describeSuggestion(answer.suggestion, answer.question?.marks || 0)}
+                                            </span>
+                                            {answer.suggestionStatus ? (
+                                              <span className={`px-2 py-1 text-xs rounded-full ${
+                                                answer.suggestionStatus === 'accepted' ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'
+                                              }`}>
+                                                {answer.suggestionStatus === 'accepted' ? 'Suggestion accepted' : 'Overridden by teacher'}
+                                              </span>
+                                            ) : (
+                                              <button
+                                                type="button"
+                                                onClick={() => handleAcceptSuggestion(answer)}
+                                                className="px-3 py-1 text-xs bg-yellow-600 text-white rounded hover:bg-yellow-700"
+                                              >
+                                                Accept {answer.suggestion.marks} marks
+                                              </button>
+                                            )}
+                                          </div>
+                                          <div className="flex flex-wrap gap-2 mt-2">
+                                            {answer.suggestion.matches.map(match => (
+                                              <span
+                                                key={match.term}
+                                                className={`px-2 py-0.5 text-xs rounded-full ${
+                                                  match.matched ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500 line-through'
+                                                }`}
+                                                title={match.matched && match.variant !== match.term ? `Found as "${match.variant}"` : undefined}
+                                              >
+                                                {match.term}{match.weight !== 1 && ` ×${match.weight}`}
+                                              </span>
+                                            ))}
+                                          </div>
+                                        </div>
+                                      )}
+                                      {answer.question?.rubric ? (
+                                        <div className="text-sm space-y-3">
+                                          <span className="font-medium">Rubric: {answer.question.rubric.title}</span>
+                                          {answer.question.rubric.criteria.map((criterion, criterionIndex) => {
+                                            const selection = getRubricSelections(answer)[criterionIndex] || {};
+                                            return (
+                                              <div key={criterionIndex} className="p-3 bg-white rounded border">
+                                                <div className="font-medium text-gray-900">{criterion.title}</div>
+                                                {criterion.description && (
+                                                  <p className="text-xs text-gray-500">{criterion.description}</p>
+                                                )}
+                                                <div className="flex flex-wrap gap-2 mt-2">
+                                                  {criterion.bands.map((band, bandIndex) => (
+                                                    <button
+                                                      key={bandIndex}
+                                                      type="button"
+                                                      onClick={() => handleRubricChange(answer, criterionIndex, { band: bandIndex })}
+                                                      title={band.descriptor || undefined}
+                                                      className={`px-3 py-1 text-xs rounded border ${
+                                                        selection.band === bandIndex
+                                                          ? 'bg-purple-600 text-white border-purple-600'
+                                                          : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                                      }`}
+                                                    >
+                                                      {band.label} ({band.points})
+                                                    </button>
+                                                  ))}
+                                                </div>
+                                                {criterion.bands[selection.band]?.descriptor && (
+                                                  <p className="text-xs text-gray-600 mt-2">{criterion.bands[selection.band].descriptor}</p>
+                                                )}
+                                                <input
+                                                  type="text"
+                                                  value={selection.comment || ''}
+                                                  onChange={(e) => handleRubricChange(answer, criterionIndex, { comment: e.target.value })}
+                                                  className="mt-2 w-full px-3 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500"
+                                                  placeholder="Comment for the student (optional)"
+                                                />
+                                              </div>
+                                            );
+                                          })}
+                                          <div className="font-medium text-gray-700">
+                                            Marks Obtained: {scoreRubricSelections(answer.question.rubric, getRubricSelections(answer), answer.question.marks) ?? '—'} / {answer.question.marks}
+                                          </div>
+                                        </div>
+                                      ) : (
+                                        <div className="text-sm">
+                                          <label className="block font-medium text-gray-700 mb-1">
+                                            Marks Obtained (Max: {answer.question?.marks || 0})
+                                          </label>
+                                          <input
+                                            type="number"
+                                            min="0"
+                                            max={answer.question?.marks || 0}
+                                            step="0.5"
+                                            value={gradingScores[answer.questionNumber] || answer.marksObtained || ''}
+                                            onChange={(e) => handleScoreChange(answer.questionNumber, e.target.value, answer.question?.marks || 0)}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500"
+                                            placeholder="Enter marks"
+                                          />
+                                        </div>
+                                      )}
                                     </div>
                                   </div>
                                 </div>
@@ -804,25 +1139,118 @@ const ExamResults = () => {
                                 <div className="space-y-3">
                                   <div className="text-sm">
                                     <span className="font-medium">Student Answer:</span>
-                                    <div className="mt-2 p-3 bg-gray-50 rounded border">
-                                      {answer.answer || 'No answer provided'}
+                                    <div className="mt-2 p-3 bg-gray-50 rounded border whitespace-pre-wrap">
+                                      {answer.answer
+                                        ? highlightMatches(answer.answer, answer.suggestion?.matches).map((segment, segmentIndex) => (
+                                          segment.term ? (
+                                            <mark key={segmentIndex} className="bg-yellow-200 rounded px-0.5" title={segment.term}>{segment.text}</mark>
+                                          ) : (
+                                            <span key={segmentIndex}>{segment.text}</span>
+                                          )
+                                        ))
+                                        : 'No answer provided'}
                                     </div>
                                   </div>
-                                  <div className="text-sm">
-                                    <label className="block font-medium text-gray-700 mb-1">
-                                      Marks Obtained (Max: {answer.question?.marks || 0})
-                                    </label>
-                                    <input
-                                      type="number"
-                                      min="0"
-                                      max={answer.question?.marks || 0}
-                                      step="0.5"
-                                      value={gradingScores[answer.questionNumber] || answer.marksObtained || ''}
-                                      onChange={(e) => handleScoreChange(answer.questionNumber, e.target.value, answer.question?.marks || 0)}
-                                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                      placeholder="Enter marks"
-                                    />
-                                  </div>
+                                  {answer.suggestion && (
+                                    <div className="text-sm p-3 bg-yellow-50 border border-yellow-200 rounded">
+                                      <div className="flex items-center justify-between">
+                                        <span className="flex items-center font-medium text-yellow-800">
+                                          <SparklesIcon className="h-4 w-4 mr-1" />
+                                          {describeSuggestion(answer.suggestion, answer.question?.marks || 0)}
+                                        </span>
+                                        {answer.suggestionStatus ? (
+                                          <span className={`px-2 py-1 text-xs rounded-full ${
+                                            answer.suggestionStatus === 'accepted' ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'
+                                          }`}>
+                                            {answer.suggestionStatus === 'accepted' ? 'Suggestion accepted' : 'Overridden by teacher'}
+                                          </span>
+                                        ) : (
+                                          <button
+                                            type="button"
+                                            onClick={() => handleAcceptSuggestion(answer)}
+                                            className="px-3 py-1 text-xs bg-yellow-600 text-white rounded hover:bg-yellow-700"
+                                          >
+                                            Accept {answer.suggestion.marks} marks
+                                          </button>
+                                        )}
+                                      </div>
+                                      <div className="flex flex-wrap gap-2 mt-2">
+                                        {answer.suggestion.matches.map(match => (
+                                          <span
+                                            key={match.term}
+                                            className={`px-2 py-0.5 text-xs rounded-full ${
+                                              match.matched ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500 line-through'
+                                            }`}
+                                            title={match.matched && match.variant !== match.term ? `Found as "${match.variant}"` : undefined}
+                                          >
+                                            {match.term}{match.weight !== 1 && ` ×${match.weight}`}
+                                          </span>
+                                        ))}
+                                      </div>
+                                    </div>
+                                  )}
+                                  {answer.question?.rubric ? (
+                                    <div className="text-sm space-y-3">
+                                      <span className="font-medium">Rubric: {answer.question.rubric.title}</span>
+                                      {answer.question.rubric.criteria.map((criterion, criterionIndex) => {
+                                        const selection = getRubricSelections(answer)[criterionIndex] || {};
+                                        return (
+                                          <div key={criterionIndex} className="p-3 bg-white rounded border">
+                                            <div className="font-medium text-gray-900">{criterion.title}</div>
+                                            {criterion.description && (
+                                              <p className="text-xs text-gray-500">{criterion.description}</p>
+                                            )}
+                                            <div className="flex flex-wrap gap-2 mt-2">
+                                              {criterion.bands.map((band, bandIndex) => (
+                                                <button
+                                                  key={bandIndex}
+                                                  type="button"
+                                                  onClick={() => handleRubricChange(answer, criterionIndex, { band: bandIndex })}
+                                                  title={band.descriptor || undefined}
+                                                  className={`px-3 py-1 text-xs rounded border ${
+                                                    selection.band === bandIndex
+                                                      ? 'bg-purple-600 text-white border-purple-600'
+                                                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                                  }`}
+                                                >
+                                                  {band.label} ({band.points})
+                                                </button>
+                                              ))}
+                                            </div>
+                                            {criterion.bands[selection.band]?.descriptor && (
+                                              <p className="text-xs text-gray-600 mt-2">{criterion.bands[selection.band].descriptor}</p>
+                                            )}
+                                            <input
+                                              type="text"
+                                              value={selection.comment || ''}
+                                              onChange={(e) => handleRubricChange(answer, criterionIndex, { comment: e.target.value })}
+                                              className="mt-2 w-full px-3 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                              placeholder="Comment for the student (optional)"
+                                            />
+                                          </div>
+                                        );
+                                      })}
+                                      <div className="font-medium text-gray-700">
+                                        Marks Obtained: {scoreRubricSelections(answer.question.rubric, getRubricSelections(answer), answer.question.marks) ?? '—'} / {answer.question.marks}
+                                      </div>
+                                    </div>
+                                  ) : (
+                                    <div className="text-sm">
+                                      <label className="block font-medium text-gray-700 mb-1">
+                                        Marks Obtained (Max: {answer.question?.marks || 0})
+                                      </label>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        max={answer.question?.marks || 0}
+                                        step="0.5"
+                                        value={gradingScores[answer.questionNumber] || answer.marksObtained || ''}
+                                        onChange={(e) => handleScoreChange(answer.questionNumber, e.target.value, answer.question?.marks || 0)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        placeholder="Enter marks"
+                                      />
+                                    </div>
+                                  )}
                                 </div>
                               ) : (
                                 <div className="space-y-2">
@@ -831,18 +1259,25 @@ const ExamResults = () => {
                                     <span className={`ml-2 px-2 py-1 rounded ${
                                       answer.isCorrect ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
                                     }`}>
-                                      {answer.answer !== undefined && answer.answer !== null && answer.question?.options?.[answer.answer] 
-                                        ? `Option ${parseInt(answer.answer) + 1}: ${answer.question.options[answer.answer]}`
-                                        : answer.answer || 'No answer provided'}
+                                      {formatStudentAnswer(answer.question, answer.answer) || 'No answer provided'}
                                     </span>
                                   </div>
                                   <div className="text-sm">
                                     <span className="font-medium">Correct Answer:</span>
                                     <span className="ml-2 px-2 py-1 bg-blue-100 text-blue-800 rounded">
-                                      {answer.question?.correctAnswer !== undefined && answer.question?.options?.[answer.question.correctAnswer]
-                                        ? `Option ${answer.question.correctAnswer + 1}: ${answer.question.options[answer.question.correctAnswer]}`
-                                        : 'Not available'}
+                                      {formatCorrectAnswer(answer.question) || 'Not available'}
                                     </span>
+                                    {answer.question?.multipleAnswers && (
+                                      <span className="ml-2 text-xs text-gray-500">
+                                        Select all that apply · {getScoringModeLabel(answer.question.scoringMode)}
+                                      </span>
+                                    )}
+                                    {answer.question && !usesOptions(answer.question) && (
+                                      <span className="ml-2 text-xs text-gray-500">
+                                        {getAnswerTypeLabel(answer.question.answerType)}
+                                        {['matching', 'ordering'].includes(answer.question.answerType) && ` · ${getScoringModeLabel(answer.question.scoringMode)}`}
+                                      </span>
+                                    )}
                                   </div>
                                   <div className="text-sm">
                                     <span className="font-medium">Score:</span>
@@ -851,6 +1286,9 @@ const ExamResults = () => {
                                     }`}>
                                       {answer.marksObtained || 0}/{answer.question?.marks || 0}
                                     </span>
+                                    {answer.negativeMarks > 0 && (
+                                      <span className="ml-2 text-xs text-red-600">−{answer.negativeMarks} negative marking</span>
+                                    )}
                                   </div>
                                 </div>
                               )}
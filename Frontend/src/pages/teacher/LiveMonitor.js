@@ -0,0 +1,452 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Layout from '../../components/Layout/Layout';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { useSocket } from '../../contexts/SocketContext';
+import {
+  SignalIcon,
+  SignalSlashIcon,
+  ClockIcon,
+  CheckCircleIcon,
+  UserIcon,
+  ShieldExclamationIcon,
+  PauseIcon,
+  PlayIcon,
+  PaperAirplaneIcon,
+  DevicePhoneMobileIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  'not-started': { label: 'Not Started', badge: 'bg-gray-100 text-gray-700', card: 'bg-gray-50 text-gray-600' },
+  'in-progress': { label: 'In Progress', badge: 'bg-blue-100 text-blue-700', card: 'bg-blue-50 text-blue-600' },
+  disconnected: { label: 'Disconnected', badge: 'bg-red-100 text-red-700', card: 'bg-red-50 text-red-600' },
+  submitted: { label: 'Submitted', badge: 'bg-green-100 text-green-700', card: 'bg-green-50 text-green-600' },
+};
+
+const SUBMISSION_REASON_LABELS = {
+  'auto-submitted': 'Auto-submitted',
+  'violation-limit': 'Violation limit reached',
+  'teacher-submitted': 'Submitted by teacher'
+};
+
+// Extra time a teacher can grant from the monitor, in minutes
+const EXTRA_TIME_OPTIONS = [5, 10, 15, 30];
+
+// Same rules the server uses, so partial updates (connected, progress) keep the status current
+const getStudentStatus = (student) => {
+  if (student.submittedAt || student.status === 'submitted') return 'submitted';
+  if (!student.startTime) return 'not-started';
+  return student.connected ? 'in-progress' : 'disconnected';
+};
+
+const formatTimeLeft = (seconds) => {
+  if (seconds === null || seconds === undefined) return '-';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+};
+
+const LiveMonitor = () => {
+  const { examId } = useParams();
+  const navigate = useNavigate();
+  const { socket, isConnected, monitorExam, stopMonitoringExam } = useSocket();
+
+  const [exam, setExam] = useState(null);
+  const [students, setStudents] = useState([]);
+  const [error, setError] = useState(null);
+  const [serverOffset, setServerOffset] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [filterStatus, setFilterStatus] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+
+  // Subscribe to the exam's monitor room for as long as the page is open
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleSnapshot = (data) => {
+      if (data.examId !== examId) return;
+      setServerOffset(new Date(data.serverTime).getTime() - Date.now());
+      setExam(data.exam);
+      setStudents(data.students.map(student => ({ ...student, status: getStudentStatus(student) })));
+      setError(null);
+    };
+
+    const handleStudentUpdate = (data) => {
+      if (data.examId !== examId || !data.student) return;
+      setServerOffset(new Date(data.serverTime).getTime() - Date.now());
+      setStudents(prev => prev.map(student => {
+        if (student.studentId !== data.student.studentId) return student;
+        const updated = { ...student, ...data.student };
+        return { ...updated, status: getStudentStatus(updated) };
+      }));
+    };
+
+    const handleError = (data) => {
+      if (data.examId !== examId) return;
+      setError(data.message);
+    };
+
+    socket.on('monitor-snapshot', handleSnapshot);
+    socket.on('monitor-student-update', handleStudentUpdate);
+    socket.on('monitor-error', handleError);
+    monitorExam(examId);
+
+    return () => {
+      socket.off('monitor-snapshot', handleSnapshot);
+      socket.off('monitor-student-update', handleStudentUpdate);
+      socket.off('monitor-error', handleError);
+      stopMonitoringExam(examId);
+    };
+  }, [socket, isConnected, examId, monitorExam, stopMonitoringExam]);
+
+  // Tick once a second so the time left counts down between updates
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const getTimeLeft = (student) => {
+    if (student.status === 'submitted') return 0;
+    // A paused clock stands still at what was left when it was paused
+    if (student.paused) return student.remainingSeconds;
+    if (!student.deadline) return null;
+    const remaining = Math.floor((new Date(student.deadline).getTime() - (now + serverOffset)) / 1000);
+    return Math.max(0, remaining);
+  };
+
+  // Teacher controls; the monitor and the student's exam page update over the socket
+  const runControl = async (key, url, body) => {
+    setPendingAction(key);
+    try {
+      const response = await axios.post(url, body);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const extendTime = (student, minutes) => {
+    runControl(`${student.studentId}-extend`, `/api/teacher/exams/${examId}/attempts/${student.studentId}/extend-time`, { minutes });
+  };
+
+  const togglePause = (student) => {
+    const action = student.paused ? 'resume' : 'pause';
+    runControl(`${student.studentId}-pause`, `/api/teacher/exams/${examId}/attempts/${student.studentId}/${action}`);
+  };
+
+  const forceSubmit = (student) => {
+    if (window.confirm(`Submit ${student.name}'s exam now? Their saved answers will be graded and they cannot continue.`)) {
+      runControl(`${student.studentId}-submit`, `/api/teacher/exams/${examId}/attempts/${student.studentId}/force-submit`);
+    }
+  };
+
+  // A student asked to continue their attempt on a different device
+  const answerTakeover = (student, approve) => {
+    runControl(`${student.studentId}-takeover`, `/api/teacher/exams/${examId}/attempts/${student.studentId}/session-takeover`, { approve });
+  };
+
+  const toggleExamPause = () => {
+    const action = exam.pausedAt ? 'resume' : 'pause';
+    if (action === 'pause' && !window.confirm('Pause the exam for every student? Their clocks stop until you resume it.')) return;
+    runControl('exam-pause', `/api/teacher/exams/${examId}/${action}`);
+  };
+
+  const counts = students.reduce((totals, student) => {
+    totals[student.status] = (totals[student.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  const filteredStudents = students.filter(student => {
+    if (filterStatus !== 'all' && student.status !== filterStatus) return false;
+    if (!searchTerm) return true;
+    const term = searchTerm.toLowerCase();
+    return (student.name || '').toLowerCase().includes(term) ||
+      (student.admissionNumber || '').toLowerCase().includes(term);
+  });
+
+  if (error) {
+    return (
+      <Layout>
+        <div className="container mx-auto px-4 py-8">
+          <div className="text-center">
+            <div className="text-red-600 text-xl mb-4">Unable to Monitor Exam</div>
+            <p className="text-gray-600 mb-4">{error}</p>
+            <button
+              onClick={() => navigate('/teacher/manage-exams')}
+              className="bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700"
+            >
+              Back to Exams
+            </button>
+          </div>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!exam) {
+    return <LoadingSpinner text={isConnected ? 'Loading live monitor...' : 'Connecting to live updates...'} />;
+  }
+
+  return (
+    <Layout>
+      <div className="container mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <div className="flex justify-between items-center mb-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">
+                {exam.title} - Live Monitor
+              </h1>
+              <div className="flex items-center space-x-4 mt-2">
+                <p className="text-gray-600">
+                  Exam Code: {exam.examCode} | Duration: {exam.duration} minutes | Ends: {new Date(exam.endTime).toLocaleString()}
+                </p>
+                <div className={`flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+                  isConnected ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+                }`}>
+                  {isConnected ? (
+                    <SignalIcon className="h-4 w-4 mr-1" />
+                  ) : (
+                    <SignalSlashIcon className="h-4 w-4 mr-1" />
+                  )}
+                  {isConnected ? 'Live' : 'Reconnecting...'}
+                </div>
+              </div>
+            </div>
+            <div className="flex space-x-4">
+              <button
+                onClick={toggleExamPause}
+                disabled={pendingAction === 'exam-pause'}
+                className={`flex items-center text-white px-6 py-2 rounded disabled:opacity-50 ${
+                  exam.pausedAt ? 'bg-green-600 hover:bg-green-700' : 'bg-yellow-600 hover:bg-yellow-700'
+                }`}
+              >
+                {exam.pausedAt ? <PlayIcon className="h-5 w-5 mr-2" /> : <PauseIcon className="h-5 w-5 mr-2" />}
+                {exam.pausedAt ? 'Resume Exam' : 'Pause Exam'}
+              </button>
+              <button
+                onClick={() => navigate(`/teacher/exams/${examId}/results`)}
+                className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700"
+              >
+                View Results
+              </button>
+              <button
+                onClick={() => navigate('/teacher/manage-exams')}
+                className="bg-gray-600 text-white px-6 py-2 rounded hover:bg-gray-700"
+              >
+                Back to Exams
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Status Summary */}
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <button
+              onClick={() => setFilterStatus('all')}
+              className={`text-left p-3 rounded-lg bg-purple-50 text-purple-600 ${filterStatus === 'all' ? 'ring-2 ring-purple-400' : ''}`}
+            >
+              <div className="text-lg font-bold">{students.length}</div>
+              <div className="text-sm">Enrolled</div>
+            </button>
+            {Object.entries(STATUS_STYLES).map(([status, style]) => (
+              <button
+                key={status}
+                onClick={() => setFilterStatus(status)}
+                className={`text-left p-3 rounded-lg ${style.card} ${filterStatus === status ? 'ring-2 ring-current' : ''}`}
+              >
+                <div className="text-lg font-bold">{counts[status] || 0}</div>
+                <div className="text-sm">{style.label}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Students */}
+        <div className="bg-white rounded-lg shadow-sm">
+          <div className="p-6 border-b border-gray-200">
+            <input
+              type="text"
+              placeholder="Search by name or student ID..."
+              className="form-input"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+
+          {filteredStudents.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Answered</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current Question</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time Left</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Seen</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredStudents.map(student => {
+                    const style = STATUS_STYLES[student.status];
+                    const timeLeft = getTimeLeft(student);
+                    const progress = student.questionCount > 0
+                      ? Math.round((student.answeredCount / student.questionCount) * 100)
+                      : 0;
+
+                    return (
+                      <tr key={student.studentId} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <UserIcon className="h-5 w-5 text-gray-400 mr-2" />
+                            <div>
+                              <div className="text-sm font-medium text-gray-900">{student.name}</div>
+                              <div className="text-sm text-gray-500">{student.admissionNumber}</div>
+                            </div>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${style.badge}`}>
+                            {student.status === 'submitted' && <CheckCircleIcon className="h-3 w-3 mr-1" />}
+                            {style.label}
+                          </span>
+                          {student.paused && student.status !== 'submitted' && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              <PauseIcon className="h-3 w-3 mr-1" />
+                              Paused
+                            </span>
+                          )}
+                          {student.integrityEventCount > 0 && (
+                            <span
+                              className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700"
+                              title="Integrity events recorded"
+                            >
+                              <ShieldExclamationIcon className="h-3 w-3 mr-1" />
+                              {student.integrityEventCount}
+                            </span>
+                          )}
+                          {student.deviceChanges > 0 && (
+                            <span
+                              className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-700"
+                              title="Device or network changes recorded"
+                            >
+                              <DevicePhoneMobileIcon className="h-3 w-3 mr-1" />
+                              {student.deviceChanges}
+                            </span>
+                          )}
+                          {SUBMISSION_REASON_LABELS[student.submissionReason] && (
+                            <div className="text-xs text-gray-500 mt-1">{SUBMISSION_REASON_LABELS[student.submissionReason]}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">
+                            {student.answeredCount} / {student.questionCount}
+                          </div>
+                          <div className="w-24 bg-gray-200 rounded-full h-1.5 mt-1">
+                            <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${progress}%` }} />
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {student.status === 'in-progress' && student.currentQuestion ? `Q${student.currentQuestion}` : '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className={`flex items-center text-sm ${
+                            timeLeft !== null && timeLeft < 300 && student.status !== 'submitted' ? 'text-red-600' : 'text-gray-900'
+                          }`}>
+                            <ClockIcon className="h-4 w-4 mr-1" />
+                            {student.status === 'not-started' ? '-' : formatTimeLeft(timeLeft)}
+                          </div>
+                          {student.extraMinutes > 0 && (
+                            <div className="text-xs text-gray-500 mt-1">+{student.extraMinutes} min granted</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {student.lastSeen ? new Date(student.lastSeen).toLocaleTimeString() : '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {['in-progress', 'disconnected'].includes(student.status) ? (
+                            <div className="flex items-center space-x-2">
+                              <select
+                                value=""
+                                onChange={(e) => extendTime(student, parseInt(e.target.value))}
+                                disabled={pendingAction === `${student.studentId}-extend`}
+                                className="text-xs border-gray-300 rounded py-1"
+                                title="Give extra time"
+                              >
+                                <option value="" disabled>+ Time</option>
+                                {EXTRA_TIME_OPTIONS.map(minutes => (
+                                  <option key={minutes} value={minutes}>+{minutes} min</option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={() => togglePause(student)}
+                                disabled={pendingAction === `${student.studentId}-pause`}
+                                className="text-yellow-600 hover:text-yellow-800 disabled:opacity-50"
+                                title={student.paused ? 'Resume' : 'Pause'}
+                              >
+                                {student.paused ? <PlayIcon className="h-5 w-5" /> : <PauseIcon className="h-5 w-5" />}
+                              </button>
+                              <button
+                                onClick={() => forceSubmit(student)}
+                                disabled={pendingAction === `${student.studentId}-submit`}
+                                className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                                title="Submit now"
+                              >
+                                <PaperAirplaneIcon className="h-5 w-5" />
+                              </button>
+                            </div>
+                          ) : (
+                            <span className="text-gray-400">-</span>
+                          )}
+                          {student.takeoverPending && (
+                            <div className="flex items-center space-x-2 mt-2 text-xs">
+                              <span className="text-orange-700">Wants another device</span>
+                              <button
+                                onClick={() => answerTakeover(student, true)}
+                                disabled={pendingAction === `${student.studentId}-takeover`}
+                                className="text-green-600 hover:text-green-800 font-medium disabled:opacity-50"
+                              >
+                                Approve
+                              </button>
+                              <button
+                                onClick={() => answerTakeover(student, false)}
+                                disabled={pendingAction === `${student.studentId}-takeover`}
+                                className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                              >
+                                Deny
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <UserIcon className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No students</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                {students.length === 0 ? 'No students are enrolled in this exam\'s class.' : 'No students match this filter.'}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default LiveMonitor;
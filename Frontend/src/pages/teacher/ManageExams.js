@@ -14,9 +14,11 @@ import {
   ChartBarIcon,
   KeyIcon,
   XMarkIcon,
+  SignalIcon,
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { getAnswerTypeLabel, usesOptions, formatTypedCorrectAnswer } from '../../utils/objectiveScoring';
 
 const ManageExams = () => {
   const [exams, setExams] = useState([]);
@@ -24,9 +26,11 @@ const ManageExams = () => {
   const [filters, setFilters] = useState({
     status: '',
     subject: '',
-    search: ''
+    search: '',
+    academicSession: ''
   });
   const [subjects, setSubjects] = useState([]);
+  const [sessions, setSessions] = useState([]);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [selectedExam, setSelectedExam] = useState(null);
   const [showPreviewModal, setShowPreviewModal] = useState(false);
@@ -34,6 +38,7 @@ const ManageExams = () => {
   useEffect(() => {
     fetchExams();
     fetchSubjects();
+    fetchSessions();
   }, [filters]);
 
   const fetchExams = async () => {
@@ -58,6 +63,15 @@ const ManageExams = () => {
     }
   };
 
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/api/sessions');
+      setSessions(response.data.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
   const handleDeleteExam = async (examId) => {
     if (window.confirm('Are you sure you want to delete this exam? This action cannot be undone.')) {
       try {
@@ -133,7 +147,7 @@ const ManageExams = () => {
 
         {/* Filters */}
         <div className="bg-white rounded-lg shadow-sm p-6">
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             <div>
               <label className="form-label">Search</label>
               <input
@@ -176,9 +190,25 @@ const ManageExams = () => {
               </select>
             </div>
 
+            <div>
+              <label className="form-label">Session</label>
+              <select
+                className="form-input"
+                value={filters.academicSession}
+                onChange={(e) => handleFilterChange('academicSession', e.target.value)}
+              >
+                <option value="">All Sessions</option>
+                {sessions.map(session => (
+                  <option key={session._id} value={session._id}>
+                    {session.name}{session.isCurrent ? ' (current)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div className="flex items-end">
               <button
-                onClick={() => setFilters({ status: '', subject: '', search: '' })}
+                onClick={() => setFilters({ status: '', subject: '', search: '', academicSession: '' })}
                 className="btn-secondary w-full"
               >
                 Clear Filters
@@ -225,6 +255,7 @@ const ManageExams = () => {
                           <div className="flex items-center text-sm text-gray-600">
                             <DocumentTextIcon className="h-4 w-4 mr-2" />
                             {exam.subject?.name} - {exam.class?.name}
+                            {exam.academicSession && ` · ${exam.academicSession.name}${exam.term ? `, ${exam.term.name}` : ''}`}
                           </div>
                           <div className="flex items-center text-sm text-gray-600">
                             <ClockIcon className="h-4 w-4 mr-2" />
@@ -257,6 +288,15 @@ const ManageExams = () => {
                       </div>
                       
                       <div className="flex space-x-2 ml-4">
+                        {status.status === 'active' && (
+                          <Link
+                            to={`/teacher/exams/${exam._id}/monitor`}
+                            className="p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-md"
+                            title="Live Monitor"
+                          >
+                            <SignalIcon className="h-5 w-5" />
+                          </Link>
+                        )}
                         <Link
                           to={`/teacher/exams/${exam._id}/results`}
                           className="p-2 text-green-400 hover:text-green-600 hover:bg-green-50 rounded-md"
@@ -601,6 +641,15 @@ const ManageExams = () => {
                           </div>
                         )}
 
+                        {question.questionType === 'Objective' && !usesOptions(question) && (
+                          <div className="p-3 rounded-lg border bg-green-50 border-green-200">
+                            <p className="text-sm text-gray-700">
+                              <span className="font-medium">{getAnswerTypeLabel(question.answerType)}:</span>{' '}
+                              <span className="text-green-800">{formatTypedCorrectAnswer(question)}</span>
+                            </p>
+                          </div>
+                        )}
+
                         {question.additionalInfo && (
                           <div className="mt-4 p-3 bg-blue-50 rounded-lg">
                             <p className="text-sm text-blue-800">
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import Layout from '../../components/Layout/Layout';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import QuestionImportWizard from '../../components/QuestionImportWizard';
 import {
   PlusIcon,
   MagnifyingGlassIcon,
@@ -10,18 +11,36 @@ import {
   FunnelIcon,
   DocumentTextIcon,
   CheckCircleIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import TypedAnswerEditor from '../../components/TypedAnswerEditor';
+import GradingKeywordEditor from '../../components/GradingKeywordEditor';
+import { toGradingKeywordRows, toGradingKeywords } from '../../utils/theoryGrading';
+import {
+  SCORING_MODE_OPTIONS,
+  ANSWER_TYPE_OPTIONS,
+  DEFAULT_TYPED_ANSWER_KEY,
+  getScoringModeLabel,
+  getAnswerTypeLabel,
+  usesOptions,
+  toTypedAnswerKeyForm,
+  getTypedAnswerKeyError,
+  formatTypedCorrectAnswer
+} from '../../utils/objectiveScoring';
 
 const QuestionBank = () => {
   const [questions, setQuestions] = useState([]);
   const [subjects, setSubjects] = useState([]);
   const [classes, setClasses] = useState([]);
+  const [rubrics, setRubrics] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showViewModal, setShowViewModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [selectedQuestion, setSelectedQuestion] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
@@ -45,9 +64,14 @@ const QuestionBank = () => {
       { text: '', isCorrect: false },
       { text: '', isCorrect: false }
     ],
+    answerType: 'multiple-choice',
+    multipleAnswers: false,
+    scoringMode: 'all-or-nothing',
+    ...DEFAULT_TYPED_ANSWER_KEY,
     explanation: '',
     expectedAnswer: '',
-    keywords: '',
+    gradingKeywords: [],
+    rubric: '',
     topic: '',
     tags: ''
   });
@@ -58,6 +82,7 @@ const QuestionBank = () => {
     fetchQuestions();
     fetchSubjects();
     fetchClasses();
+    fetchRubrics();
     fetchStatistics();
   }, [currentPage, filters]);
 
@@ -80,6 +105,27 @@ const QuestionBank = () => {
     }
   };
 
+  const exportQuestions = async (format) => {
+    try {
+      const params = new URLSearchParams({ ...filters, format });
+      const response = await axios.get(`/api/teacher/questions?${params}`, {
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', format === 'qti' ? 'questions_qti21.zip' : 'questions.gift');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      toast.success('Questions exported successfully');
+    } catch (error) {
+      toast.error(error.response?.status === 404 ? 'No questions match the selected filters' : 'Failed to export questions');
+    }
+  };
+
   const fetchSubjects = async () => {
     try {
       const response = await axios.get('/api/teacher/subjects');
@@ -89,6 +135,15 @@ const QuestionBank = () => {
     }
   };
 
+  const fetchRubrics = async () => {
+    try {
+      const response = await axios.get('/api/teacher/rubrics');
+      setRubrics(response.data.data.rubrics || []);
+    } catch (error) {
+      console.error('Error fetching rubrics:', error);
+    }
+  };
+
   const fetchClasses = async () => {
     try {
       const response = await axios.get('/api/admin/classes');
@@ -112,11 +167,18 @@ const QuestionBank = () => {
     try {
       const questionData = {
         ...formData,
-        keywords: formData.keywords.split(',').map(k => k.trim()).filter(k => k),
+        gradingKeywords: toGradingKeywords(formData.gradingKeywords),
+        keywords: toGradingKeywords(formData.gradingKeywords).map(keyword => keyword.term),
         tags: formData.tags.split(',').map(t => t.trim()).filter(t => t)
       };
 
-      if (formData.questionType === 'Objective') {
+      if (formData.questionType === 'Objective' && !usesOptions(formData)) {
+        const answerKeyError = getTypedAnswerKeyError(formData);
+        if (answerKeyError) {
+          toast.error(answerKeyError);
+          return;
+        }
+      } else if (formData.questionType === 'Objective') {
         const correctOptions = formData.options.filter(opt => opt.isCorrect);
         if (correctOptions.length === 0) {
           toast.error('Please select at least one correct answer');
@@ -139,10 +201,19 @@ const QuestionBank = () => {
     try {
       const questionData = {
         ...formData,
-        keywords: formData.keywords.split(',').map(k => k.trim()).filter(k => k),
+        gradingKeywords: toGradingKeywords(formData.gradingKeywords),
+        keywords: toGradingKeywords(formData.gradingKeywords).map(keyword => keyword.term),
         tags: formData.tags.split(',').map(t => t.trim()).filter(t => t)
       };
 
+      if (formData.questionType === 'Objective' && !usesOptions(formData)) {
+        const answerKeyError = getTypedAnswerKeyError(formData);
+        if (answerKeyError) {
+          toast.error(answerKeyError);
+          return;
+        }
+      }
+
       await axios.put(`/api/teacher/questions/${selectedQuestion._id}`, questionData);
       toast.success('Question updated successfully');
       setShowEditModal(false);
@@ -179,9 +250,14 @@ const QuestionBank = () => {
         { text: '', isCorrect: false },
         { text: '', isCorrect: false }
       ],
+      answerType: 'multiple-choice',
+      multipleAnswers: false,
+      scoringMode: 'all-or-nothing',
+      ...DEFAULT_TYPED_ANSWER_KEY,
       explanation: '',
       expectedAnswer: '',
-      keywords: '',
+      gradingKeywords: [],
+      rubric: '',
       topic: '',
       tags: ''
     });
@@ -197,15 +273,20 @@ const QuestionBank = () => {
       class: question.class._id,
       marks: question.marks,
       difficulty: question.difficulty,
-      options: question.options || [
+      options: question.options?.length ? question.options : [
         { text: '', isCorrect: false },
         { text: '', isCorrect: false },
         { text: '', isCorrect: false },
         { text: '', isCorrect: false }
       ],
+      answerType: question.answerType || 'multiple-choice',
+      multipleAnswers: !!question.multipleAnswers,
+      scoringMode: question.scoringMode || 'all-or-nothing',
+      ...toTypedAnswerKeyForm(question),
       explanation: question.explanation || '',
       expectedAnswer: question.expectedAnswer || '',
-      keywords: question.keywords?.join(', ') || '',
+      gradingKeywords: toGradingKeywordRows(question),
+      rubric: question.rubric?._id || question.rubric || '',
       topic: question.topic || '',
       tags: question.tags?.join(', ') || ''
     });
@@ -218,11 +299,37 @@ const QuestionBank = () => {
   };
 
   const handleOptionChange = (index, field, value) => {
-    const newOptions = [...formData.options];
+    let newOptions = [...formData.options];
+    // A single-answer question has one correct option
+    if (field === 'isCorrect' && value && !formData.multipleAnswers) {
+      newOptions = newOptions.map(option => ({ ...option, isCorrect: false }));
+    }
     newOptions[index] = { ...newOptions[index], [field]: value };
     setFormData({ ...formData, options: newOptions });
   };
 
+  const toggleMultipleAnswers = (multipleAnswers) => {
+    let options = formData.options;
+    // Back to a single answer: keep the first correct option only
+    if (!multipleAnswers) {
+      const firstCorrect = options.findIndex(option => option.isCorrect);
+      options = options.map((option, index) => ({ ...option, isCorrect: index === firstCorrect }));
+    }
+    setFormData({ ...formData, multipleAnswers, options });
+  };
+
+  // True or false fixes its two options; leaving it starts the options afresh
+  const changeAnswerType = (answerType) => {
+    let { options, multipleAnswers } = formData;
+    if (answerType === 'true-false') {
+      options = [{ text: 'True', isCorrect: true }, { text: 'False', isCorrect: false }];
+      multipleAnswers = false;
+    } else if (formData.answerType === 'true-false') {
+      options = [...Array(4)].map(() => ({ text: '', isCorrect: false }));
+    }
+    setFormData({ ...formData, answerType, options, multipleAnswers });
+  };
+
   const addOption = () => {
     setFormData({
       ...formData,
@@ -260,13 +367,38 @@ const QuestionBank = () => {
                 Create and manage your exam questions
               </p>
             </div>
-            <button
-              onClick={() => setShowAddModal(true)}
-              className="btn-primary flex items-center"
-            >
-              <PlusIcon className="h-5 w-5 mr-2" />
-              Add Question
-            </button>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => exportQuestions('qti')}
+                className="btn-secondary flex items-center"
+                title="Export filtered questions as an IMS QTI 2.1 package"
+              >
+                <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                Export QTI
+              </button>
+              <button
+                onClick={() => exportQuestions('gift')}
+                className="btn-secondary flex items-center"
+                title="Export filtered questions as a Moodle GIFT file"
+              >
+                <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                Export GIFT
+              </button>
+              <button
+                onClick={() => setShowImportWizard(true)}
+                className="btn-secondary flex items-center"
+              >
+                <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+                Import Questions
+              </button>
+              <button
+                onClick={() => setShowAddModal(true)}
+                className="btn-primary flex items-center"
+              >
+                <PlusIcon className="h-5 w-5 mr-2" />
+                Add Question
+              </button>
+            </div>
           </div>
         </div>
 
@@ -478,6 +610,9 @@ const QuestionBank = () => {
                         }`}>
                           {question.questionType}
                         </span>
+                        {question.questionType === 'Objective' && question.answerType && question.answerType !== 'multiple-choice' && (
+                          <span className="text-xs text-gray-600">{getAnswerTypeLabel(question.answerType)}</span>
+                        )}
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                           question.difficulty === 'Easy' ? 'bg-green-100 text-green-800' :
                           question.difficulty === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
@@ -582,6 +717,19 @@ const QuestionBank = () => {
           </div>
         )}
 
+        {/* Import Questions Wizard */}
+        {showImportWizard && (
+          <QuestionImportWizard
+            subjects={subjects}
+            classes={classes}
+            onClose={() => setShowImportWizard(false)}
+            onImported={() => {
+              fetchQuestions();
+              fetchStatistics();
+            }}
+          />
+        )}
+
         {/* Add Question Modal */}
         {showAddModal && (
           <div className="modal-overlay">
@@ -699,9 +847,56 @@ const QuestionBank = () => {
                   />
                 </div>
 
-                {formData.questionType === 'Objective' ? (
+                {formData.questionType === 'Objective' && (
+                  <div>
+                    <label className="form-label">Answer Type</label>
+                    <select
+                      className="form-input"
+                      value={formData.answerType}
+                      onChange={(e) => changeAnswerType(e.target.value)}
+                    >
+                      {ANSWER_TYPE_OPTIONS.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {formData.questionType === 'Objective' && !usesOptions(formData) ? (
+                  <TypedAnswerEditor
+                    question={formData}
+                    onChange={(changes) => setFormData({ ...formData, ...changes })}
+                  />
+                ) : formData.questionType === 'Objective' ? (
                   <div>
                     <label className="form-label">Answer Options</label>
+                    <div className={`mb-3 space-y-2 ${formData.answerType === 'true-false' ? 'hidden' : ''}`}>
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.multipleAnswers}
+                          onChange={(e) => toggleMultipleAnswers(e.target.checked)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                        />
+                        Select all that apply (more than one correct option)
+                      </label>
+                      {formData.multipleAnswers && (
+                        <div>
+                          <select
+                            className="form-input"
+                            value={formData.scoringMode}
+                            onChange={(e) => setFormData({...formData, scoringMode: e.target.value})}
+                          >
+                            {SCORING_MODE_OPTIONS.map(mode => (
+                              <option key={mode.value} value={mode.value}>{mode.label}</option>
+                            ))}
+                          </select>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {SCORING_MODE_OPTIONS.find(mode => mode.value === formData.scoringMode)?.description}
+                          </p>
+                        </div>
+                      )}
+                    </div>
                     <div className="space-y-3">
                       {formData.options.map((option, index) => (
                         <div key={index} className="flex items-center space-x-3">
@@ -717,6 +912,7 @@ const QuestionBank = () => {
                             value={option.text}
                             onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
                             placeholder={`Option ${index + 1}`}
+                            readOnly={formData.answerType === 'true-false'}
                             required
                           />
                           {formData.options.length > 2 && (
@@ -730,7 +926,7 @@ const QuestionBank = () => {
                           )}
                         </div>
                       ))}
-                      {formData.options.length < 6 && (
+                      {formData.options.length < 6 && formData.answerType !== 'true-false' && (
                         <button
                           type="button"
                           onClick={addOption}
@@ -754,15 +950,27 @@ const QuestionBank = () => {
                       />
                     </div>
                     <div>
-                      <label className="form-label">Keywords for Grading (Optional)</label>
-                      <input
-                        type="text"
+                      <label className="form-label">Grading Rubric (Optional)</label>
+                      <select
                         className="form-input"
-                        value={formData.keywords}
-                        onChange={(e) => setFormData({...formData, keywords: e.target.value})}
-                        placeholder="Comma separated keywords"
-                      />
+                        value={formData.rubric}
+                        onChange={(e) => setFormData({...formData, rubric: e.target.value})}
+                      >
+                        <option value="">No rubric, grade with a single mark</option>
+                        {rubrics
+                          .filter(rubric => !rubric.subject || !formData.subject || rubric.subject._id === formData.subject)
+                          .map(rubric => (
+                            <option key={rubric._id} value={rubric._id}>{rubric.title}</option>
+                          ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Exams copy the rubric when they are created. Manage rubrics on the Rubrics page.
+                      </p>
                     </div>
+                    <GradingKeywordEditor
+                      keywords={formData.gradingKeywords}
+                      onChange={(gradingKeywords) => setFormData({...formData, gradingKeywords})}
+                    />
                   </div>
                 )}
 
@@ -844,9 +1052,56 @@ const QuestionBank = () => {
                   />
                 </div>
 
-                {formData.questionType === 'Objective' ? (
+                {formData.questionType === 'Objective' && (
+                  <div>
+                    <label className="form-label">Answer Type</label>
+                    <select
+                      className="form-input"
+                      value={formData.answerType}
+                      onChange={(e) => changeAnswerType(e.target.value)}
+                    >
+                      {ANSWER_TYPE_OPTIONS.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {formData.questionType === 'Objective' && !usesOptions(formData) ? (
+                  <TypedAnswerEditor
+                    question={formData}
+                    onChange={(changes) => setFormData({ ...formData, ...changes })}
+                  />
+                ) : formData.questionType === 'Objective' ? (
                   <div>
                     <label className="form-label">Answer Options</label>
+                    <div className={`mb-3 space-y-2 ${formData.answerType === 'true-false' ? 'hidden' : ''}`}>
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.multipleAnswers}
+                          onChange={(e) => toggleMultipleAnswers(e.target.checked)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                        />
+                        Select all that apply (more than one correct option)
+                      </label>
+                      {formData.multipleAnswers && (
+                        <div>
+                          <select
+                            className="form-input"
+                            value={formData.scoringMode}
+                            onChange={(e) => setFormData({...formData, scoringMode: e.target.value})}
+                          >
+                            {SCORING_MODE_OPTIONS.map(mode => (
+                              <option key={mode.value} value={mode.value}>{mode.label}</option>
+                            ))}
+                          </select>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {SCORING_MODE_OPTIONS.find(mode => mode.value === formData.scoringMode)?.description}
+                          </p>
+                        </div>
+                      )}
+                    </div>
                     <div className="space-y-3">
                       {formData.options.map((option, index) => (
                         <div key={index} className="flex items-center space-x-3">
@@ -862,6 +1117,7 @@ const QuestionBank = () => {
                             value={option.text}
                             onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
                             placeholder={`Option ${index + 1}`}
+                            readOnly={formData.answerType === 'true-false'}
                             required
                           />
                         </div>
@@ -880,15 +1136,27 @@ const QuestionBank = () => {
                       />
                     </div>
                     <div>
-                      <label className="form-label">Keywords for Grading</label>
-                      <input
-                        type="text"
+                      <label className="form-label">Grading Rubric (Optional)</label>
+                      <select
                         className="form-input"
-                        value={formData.keywords}
-                        onChange={(e) => setFormData({...formData, keywords: e.target.value})}
-                        placeholder="Comma separated keywords"
-                      />
+                        value={formData.rubric}
+                        onChange={(e) => setFormData({...formData, rubric: e.target.value})}
+                      >
+                        <option value="">No rubric, grade with a single mark</option>
+                        {rubrics
+                          .filter(rubric => !rubric.subject || !formData.subject || rubric.subject._id === formData.subject)
+                          .map(rubric => (
+                            <option key={rubric._id} value={rubric._id}>{rubric.title}</option>
+                          ))}
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Exams copy the rubric when they are created. Manage rubrics on the Rubrics page.
+                      </p>
                     </div>
+                    <GradingKeywordEditor
+                      keywords={formData.gradingKeywords}
+                      onChange={(gradingKeywords) => setFormData({...formData, gradingKeywords})}
+                    />
                   </div>
                 )}
 
@@ -952,9 +1220,32 @@ const QuestionBank = () => {
                   <p className="text-gray-700 whitespace-pre-wrap">{selectedQuestion.questionText}</p>
                 </div>
 
-                {selectedQuestion.questionType === 'Objective' && selectedQuestion.options && (
+                {selectedQuestion.questionType === 'Objective' && !usesOptions(selectedQuestion) && (
                   <div>
-                    <h4 className="text-sm font-medium text-gray-900 mb-2">Options</h4>
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">
+                      Correct Answer
+                      <span className="ml-2 text-xs font-normal text-gray-500">
+                        {getAnswerTypeLabel(selectedQuestion.answerType)}
+                        {['matching', 'ordering'].includes(selectedQuestion.answerType) && ` · ${getScoringModeLabel(selectedQuestion.scoringMode)}`}
+                        {selectedQuestion.answerType === 'fill-blank' && selectedQuestion.caseSensitive && ' · Case sensitive'}
+                      </span>
+                    </h4>
+                    <p className="p-2 rounded bg-green-50 border border-green-200 text-green-800 font-medium whitespace-pre-wrap">
+                      {formatTypedCorrectAnswer(selectedQuestion)}
+                    </p>
+                  </div>
+                )}
+
+                {selectedQuestion.questionType === 'Objective' && usesOptions(selectedQuestion) && selectedQuestion.options && (
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">
+                      Options
+                      {selectedQuestion.multipleAnswers && (
+                        <span className="ml-2 text-xs font-normal text-gray-500">
+                          Select all that apply · {getScoringModeLabel(selectedQuestion.scoringMode)}
+                        </span>
+                      )}
+                    </h4>
                     <div className="space-y-2">
                       {selectedQuestion.options.map((option, index) => (
                         <div key={index} className={`flex items-center space-x-2 p-2 rounded ${
@@ -977,6 +1268,30 @@ const QuestionBank = () => {
                   </div>
                 )}
 
+                {selectedQuestion.questionType === 'Theory' && selectedQuestion.rubric && (
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">Grading Rubric</h4>
+                    <p className="text-gray-700">
+                      {rubrics.find(rubric => rubric._id === selectedQuestion.rubric)?.title || 'Rubric attached'}
+                    </p>
+                  </div>
+                )}
+
+                {selectedQuestion.questionType === 'Theory' && toGradingKeywordRows(selectedQuestion).length > 0 && (
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">Keywords for Grading</h4>
+                    <div className="flex flex-wrap gap-2">
+                      {toGradingKeywordRows(selectedQuestion).map((keyword, index) => (
+                        <span key={index} className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">
+                          {keyword.term}
+                          {keyword.synonyms && ` (${keyword.synonyms})`}
+                          {Number(keyword.weight) !== 1 && ` ×${keyword.weight}`}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {selectedQuestion.explanation && (
                   <div>
                     <h4 className="text-sm font-medium text-gray-900 mb-2">Explanation</h4>
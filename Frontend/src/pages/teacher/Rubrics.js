@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import Layout from '../../components/Layout/Layout';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ClipboardDocumentCheckIcon,
+} from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  EMPTY_RUBRIC_FORM,
+  newCriterion,
+  toRubricForm,
+  getRubricFormError,
+  getCriterionMaxPoints,
+  getRubricMaxPoints
+} from '../../utils/rubrics';
+
+const Rubrics = () => {
+  const [rubrics, setRubrics] = useState([]);
+  const [subjects, setSubjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRubric, setEditingRubric] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_RUBRIC_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchRubrics();
+    fetchSubjects();
+  }, []);
+
+  const fetchRubrics = async () => {
+    try {
+      const response = await axios.get('/api/teacher/rubrics');
+      setRubrics(response.data.data.rubrics || []);
+    } catch (error) {
+      console.error('Error fetching rubrics:', error);
+      toast.error('Failed to load rubrics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSubjects = async () => {
+    try {
+      const response = await axios.get('/api/teacher/subjects');
+      setSubjects(response.data.data.subjects || []);
+    } catch (error) {
+      console.error('Error fetching subjects:', error);
+    }
+  };
+
+  const openCreateModal = () => {
+    setEditingRubric(null);
+    setFormData({ ...EMPTY_RUBRIC_FORM, criteria: [newCriterion()] });
+    setShowModal(true);
+  };
+
+  const openEditModal = (rubric) => {
+    setEditingRubric(rubric);
+    setFormData(toRubricForm(rubric));
+    setShowModal(true);
+  };
+
+  const updateCriterion = (criterionIndex, changes) => {
+    const criteria = [...formData.criteria];
+    criteria[criterionIndex] = { ...criteria[criterionIndex], ...changes };
+    setFormData({ ...formData, criteria });
+  };
+
+  const updateBand = (criterionIndex, bandIndex, changes) => {
+    const bands = [...formData.criteria[criterionIndex].bands];
+    bands[bandIndex] = { ...bands[bandIndex], ...changes };
+    updateCriterion(criterionIndex, { bands });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const formError = getRubricFormError(formData);
+    if (formError) {
+      toast.error(formError);
+      return;
+    }
+
+    const rubricData = {
+      ...formData,
+      criteria: formData.criteria.map(criterion => ({
+        ...criterion,
+        bands: criterion.bands.map(band => ({ ...band, points: parseFloat(band.points) }))
+      }))
+    };
+
+    setSaving(true);
+    try {
+      if (editingRubric) {
+        await axios.put(`/api/teacher/rubrics/${editingRubric._id}`, rubricData);
+        toast.success('Rubric updated successfully');
+      } else {
+        await axios.post('/api/teacher/rubrics', rubricData);
+        toast.success('Rubric created successfully');
+      }
+      setShowModal(false);
+      fetchRubrics();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save rubric');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rubric) => {
+    if (window.confirm(`Delete "${rubric.title}"? Questions using it will no longer have a rubric. Exams already set keep their copy.`)) {
+      try {
+        await axios.delete(`/api/teacher/rubrics/${rubric._id}`);
+        toast.success('Rubric deleted successfully');
+        fetchRubrics();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete rubric');
+      }
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading rubrics..." />;
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Grading Rubrics
+              </h1>
+              <p className="text-gray-600">
+                Reusable marking schemes for theory questions
+              </p>
+            </div>
+            <button
+              onClick={openCreateModal}
+              className="btn-primary flex items-center"
+            >
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Rubric
+            </button>
+          </div>
+        </div>
+
+        {/* Rubrics List */}
+        <div className="bg-white rounded-lg shadow-sm">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Rubrics ({rubrics.length})
+            </h2>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {rubrics.length > 0 ? (
+              rubrics.map((rubric) => (
+                <div key={rubric._id} className="p-6 hover:bg-gray-50">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-2">
+                        <h3 className="text-lg font-medium text-gray-900">{rubric.title}</h3>
+                        <span className="text-sm text-gray-600">
+                          {rubric.criteria.length} criteri{rubric.criteria.length !== 1 ? 'a' : 'on'} · {getRubricMaxPoints(rubric)} points
+                        </span>
+                        {rubric.subject && (
+                          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                            {rubric.subject.name}
+                          </span>
+                        )}
+                      </div>
+                      {rubric.description && (
+                        <p className="text-sm text-gray-600 mb-3">{rubric.description}</p>
+                      )}
+                      <div className="space-y-1">
+                        {rubric.criteria.map((criterion, index) => (
+                          <div key={index} className="text-sm text-gray-700">
+                            <span className="font-medium">{criterion.title}:</span>{' '}
+                            {criterion.bands.map(band => `${band.label} (${band.points})`).join(', ')}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="flex space-x-2 ml-4">
+                      <button
+                        onClick={() => openEditModal(rubric)}
+                        className="p-2 text-blue-400 hover:text-blue-600 hover:bg-blue-50 rounded-md"
+                      >
+                        <PencilIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(rubric)}
+                        className="p-2 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-md"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))
+            ) : (
+              <div className="p-12 text-center">
+                <ClipboardDocumentCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">No rubrics yet</h3>
+                <p className="mt-1 text-sm text-gray-500">
+                  Create a rubric, then attach it to theory questions in the question bank.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Create/Edit Rubric Modal */}
+        {showModal && (
+          <div className="modal-overlay">
+            <div className="modal-content max-w-4xl">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">
+                {editingRubric ? 'Edit Rubric' : 'New Rubric'}
+              </h3>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Title</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={formData.title}
+                      onChange={(e) => setFormData({...formData, title: e.target.value})}
+                      placeholder="e.g., Essay marking scheme"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Subject (Optional)</label>
+                    <select
+                      className="form-input"
+                      value={formData.subject}
+                      onChange={(e) => setFormData({...formData, subject: e.target.value})}
+                    >
+                      <option value="">Any subject</option>
+                      {subjects.map(subject => (
+                        <option key={subject._id} value={subject._id}>{subject.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="form-label">Description (Optional)</label>
+                  <textarea
+                    className="form-input"
+                    rows="2"
+                    value={formData.description}
+                    onChange={(e) => setFormData({...formData, description: e.target.value})}
+                  />
+                </div>
+
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between">
+                    <label className="form-label mb-0">Criteria</label>
+                    <span className="text-sm text-gray-500">
+                      {getRubricMaxPoints(formData)} points in total. Marks are scaled to each question's marks.
+                    </span>
+                  </div>
+
+                  {formData.criteria.map((criterion, criterionIndex) => (
+                    <div key={criterionIndex} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                      <div className="flex items-center space-x-3">
+                        <input
+                          type="text"
+                          className="form-input flex-1"
+                          value={criterion.title}
+                          onChange={(e) => updateCriterion(criterionIndex, { title: e.target.value })}
+                          placeholder={`Criterion ${criterionIndex + 1}, e.g. Content`}
+                        />
+                        <span className="text-sm text-gray-500 whitespace-nowrap">
+                          Up to {getCriterionMaxPoints(criterion)} points
+                        </span>
+                        {formData.criteria.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => setFormData({
+                              ...formData,
+                              criteria: formData.criteria.filter((_, i) => i !== criterionIndex)
+                            })}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        )}
+                      </div>
+                      <input
+                        type="text"
+                        className="form-input"
+                        value={criterion.description}
+                        onChange={(e) => updateCriterion(criterionIndex, { description: e.target.value })}
+                        placeholder="What this criterion looks for (optional)"
+                      />
+
+                      {criterion.bands.map((band, bandIndex) => (
+                        <div key={bandIndex} className="flex items-center space-x-3 pl-4">
+                          <input
+                            type="text"
+                            className="form-input w-32"
+                            value={band.label}
+                            onChange={(e) => updateBand(criterionIndex, bandIndex, { label: e.target.value })}
+                            placeholder="Band"
+                          />
+                          <input
+                            type="number"
+                            className="form-input w-20"
+                            value={band.points}
+                            onChange={(e) => updateBand(criterionIndex, bandIndex, { points: e.target.value })}
+                            min="0"
+                            step="0.5"
+                            title="Points"
+                          />
+                          <input
+                            type="text"
+                            className="form-input flex-1"
+                            value={band.descriptor}
+                            onChange={(e) => updateBand(criterionIndex, bandIndex, { descriptor: e.target.value })}
+                            placeholder="What an answer in this band does (optional)"
+                          />
+                          {criterion.bands.length > 2 && (
+                            <button
+                              type="button"
+                              onClick={() => updateCriterion(criterionIndex, {
+                                bands: criterion.bands.filter((_, i) => i !== bandIndex)
+                              })}
+                              className="text-red-600 hover:text-red-800"
+                            >
+                              <TrashIcon className="h-5 w-5" />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                      {criterion.bands.length < 6 && (
+                        <button
+                          type="button"
+                          onClick={() => updateCriterion(criterionIndex, {
+                            bands: [...criterion.bands, { label: '', points: 0, descriptor: '' }]
+                          })}
+                          className="btn-secondary text-sm ml-4"
+                        >
+                          Add Band
+                        </button>
+                      )}
+                    </div>
+                  ))}
+
+                  <button
+                    type="button"
+                    onClick={() => setFormData({ ...formData, criteria: [...formData.criteria, newCriterion()] })}
+                    className="btn-secondary text-sm"
+                  >
+                    Add Criterion
+                  </button>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowModal(false)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-primary" disabled={saving}>
+                    {saving ? 'Saving...' : editingRubric ? 'Update Rubric' : 'Create Rubric'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Rubrics;
@@ -0,0 +1,108 @@
+// Local journal of exam answers kept in IndexedDB, so answers given while the
+// network is down survive a page reload and can be replayed to the server.
+// Holds the latest unsynced answer per question, keyed by exam, student and question.
+
+const DB_NAME = 'cbt-answer-journal';
+const DB_VERSION = 1;
+const STORE_NAME = 'answers';
+
+let dbPromise = null;
+
+const isSupported = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+const openJournal = () => {
+  if (!isSupported()) return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('attempt', ['examId', 'studentId']);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing and blocked storage fall back to in-memory saving only
+      request.onerror = () => {
+        console.error('Answer journal unavailable:', request.error);
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+const runTransaction = async (mode, callback) => {
+  const db = await openJournal();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    let result = null;
+
+    callback(store, (value) => { result = value; });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const getEntryId = (examId, studentId, questionId) => `${examId}:${studentId}:${questionId}`;
+
+// Record an answer that has not been confirmed by the server yet
+export const journalAnswer = (examId, studentId, entry) => {
+  return runTransaction('readwrite', (store) => {
+    store.put({
+      ...entry,
+      id: getEntryId(examId, studentId, entry.questionId),
+      examId,
+      studentId
+    });
+  }).catch(error => console.error('Failed to journal answer:', error));
+};
+
+// All unsynced answers for one student's attempt at an exam
+export const getJournalEntries = (examId, studentId) => {
+  return runTransaction('readonly', (store, setResult) => {
+    const request = store.index('attempt').getAll([examId, studentId]);
+    request.onsuccess = () => setResult(request.result || []);
+  })
+    .then(entries => entries || [])
+    .catch(error => {
+      console.error('Failed to read answer journal:', error);
+      return [];
+    });
+};
+
+// Drop a journaled answer once the server has it. Only removes the entry if
+// it is still the same save, so a newer answer journaled meanwhile is kept.
+export const removeJournalEntry = (examId, studentId, questionId, idempotencyKey) => {
+  return runTransaction('readwrite', (store) => {
+    const id = getEntryId(examId, studentId, questionId);
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result && (!idempotencyKey || request.result.idempotencyKey === idempotencyKey)) {
+        store.delete(id);
+      }
+    };
+  }).catch(error => console.error('Failed to update answer journal:', error));
+};
+
+export const clearJournal = (examId, studentId) => {
+  return runTransaction('readwrite', (store) => {
+    const request = store.index('attempt').openCursor(IDBKeyRange.only([examId, studentId]));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  }).catch(error => console.error('Failed to clear answer journal:', error));
+};
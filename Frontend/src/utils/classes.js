@@ -0,0 +1,34 @@
+// Nigerian class structure. A class is an arm of a level (JSS1A, JSS1B),
+// and senior arms may belong to a department (SS2 Science). Names follow
+// Class.buildName in Backend/models/Class.js.
+
+export const CLASS_LEVELS = [
+  { value: 'JSS1', label: 'JSS 1 (Junior Secondary 1)', category: 'Junior' },
+  { value: 'JSS2', label: 'JSS 2 (Junior Secondary 2)', category: 'Junior' },
+  { value: 'JSS3', label: 'JSS 3 (Junior Secondary 3)', category: 'Junior' },
+  { value: 'SS1', label: 'SS 1 (Senior Secondary 1)', category: 'Senior' },
+  { value: 'SS2', label: 'SS 2 (Senior Secondary 2)', category: 'Senior' },
+  { value: 'SS3', label: 'SS 3 (Senior Secondary 3)', category: 'Senior' }
+];
+
+export const DEPARTMENTS = ['Science', 'Commercial', 'Arts'];
+
+export const isJuniorLevel = (level) => ['JSS1', 'JSS2', 'JSS3'].includes(level);
+
+export const buildClassName = ({ level, arm, department }) => {
+  const trimmedArm = (arm || '').trim();
+  if (department) {
+    return [level, department, trimmedArm].filter(Boolean).join(' ');
+  }
+  return trimmedArm.length > 1 ? `${level} ${trimmedArm}` : `${level}${trimmedArm}`;
+};
+
+// Other arms of a class's level
+export const getSiblingArms = (classes, classItem) =>
+  classes.filter(other => other.level === classItem.level && other._id !== classItem._id);
+
+// The level a class moves up to at session end; SS3 has none
+export const getNextLevel = (level) => {
+  const index = CLASS_LEVELS.findIndex(option => option.value === level);
+  return index >= 0 && index < CLASS_LEVELS.length - 1 ? CLASS_LEVELS[index + 1].value : null;
+};
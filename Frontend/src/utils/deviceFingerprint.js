@@ -0,0 +1,79 @@
+// Identifies this browser to the exam session lock. A random id kept in
+// localStorage tells devices apart; a hash of the browser's characteristics
+// is added so a copied id does not make a different browser look the same.
+// It is not meant to be unforgeable, only to stop casual use of a second device.
+
+const DEVICE_ID_KEY = 'cbt-device-id';
+
+const createDeviceId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`;
+
+const getDeviceId = () => {
+  try {
+    let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+    if (!deviceId) {
+      deviceId = createDeviceId();
+      localStorage.setItem(DEVICE_ID_KEY, deviceId);
+    }
+    return deviceId;
+  } catch (error) {
+    // Storage blocked: the id only lasts as long as this page
+    return createDeviceId();
+  }
+};
+
+// 32-bit FNV-1a, as hex
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+let cachedFingerprint = null;
+
+export const getDeviceFingerprint = () => {
+  if (!cachedFingerprint) {
+    const traits = [
+      navigator.userAgent,
+      navigator.language,
+      navigator.platform,
+      navigator.hardwareConcurrency,
+      `${window.screen.width}x${window.screen.height}x${window.screen.colorDepth}`,
+      Intl.DateTimeFormat().resolvedOptions().timeZone
+    ].join('|');
+    cachedFingerprint = `${getDeviceId()}-${hashString(traits)}`;
+  }
+  return cachedFingerprint;
+};
+
+// The session token /start issued for an exam, kept so that a reload or a
+// restarted browser is recognised as the device holding the attempt even if
+// its fingerprint has changed
+const getSessionTokenKey = (examId) => `cbt-exam-session-${examId}`;
+
+export const getSavedSessionToken = (examId) => {
+  try {
+    return localStorage.getItem(getSessionTokenKey(examId));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSessionToken = (examId, sessionToken) => {
+  try {
+    if (sessionToken) localStorage.setItem(getSessionTokenKey(examId), sessionToken);
+  } catch (error) {
+    // Storage blocked: the device falls back to its fingerprint
+  }
+};
+
+export const clearSessionToken = (examId) => {
+  try {
+    localStorage.removeItem(getSessionTokenKey(examId));
+  } catch (error) {
+    // Nothing was saved
+  }
+};
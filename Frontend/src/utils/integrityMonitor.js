@@ -0,0 +1,86 @@
+// Watches the exam page for behaviour a teacher may want to review: leaving
+// the tab or window, leaving fullscreen, copy/paste and the context menu, and
+// the window shrinking the way it does when developer tools are docked.
+// Each occurrence is passed to onEvent(type, details); nothing is sent here.
+
+// Docked developer tools take at least this much space from the viewport
+const DEVTOOLS_THRESHOLD = 160;
+
+export const isFullscreen = () => !!document.fullscreenElement;
+
+export const requestFullscreen = () => {
+  const element = document.documentElement;
+  if (!element.requestFullscreen) return Promise.resolve(false);
+  return element.requestFullscreen()
+    .then(() => true)
+    .catch(error => {
+      console.warn('Fullscreen request refused:', error.message);
+      return false;
+    });
+};
+
+const isDevtoolsOpen = () =>
+  window.outerWidth - window.innerWidth > DEVTOOLS_THRESHOLD ||
+  window.outerHeight - window.innerHeight > DEVTOOLS_THRESHOLD;
+
+// Start listening; returns a function that removes every listener.
+//   preventCheating - report tab, window, clipboard and devtools activity,
+//                     and cancel copy, cut, paste and the context menu
+//   fullScreen      - report leaving fullscreen
+export const startIntegrityMonitor = ({ onEvent, preventCheating = false, fullScreen = false }) => {
+  let devtoolsOpen = isDevtoolsOpen();
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') onEvent('tab-hidden');
+  };
+
+  // Switching tabs blurs the window too; only report focus lost while the tab is still showing
+  const handleBlur = () => {
+    if (document.visibilityState === 'visible') onEvent('window-blur');
+  };
+
+  const handleClipboard = (type) => (e) => {
+    e.preventDefault();
+    onEvent(type, e.type === 'cut' ? 'cut' : undefined);
+  };
+  const handleCopy = handleClipboard('copy');
+  const handlePaste = handleClipboard('paste');
+  const handleContextMenu = handleClipboard('context-menu');
+
+  const handleFullscreenChange = () => {
+    if (!isFullscreen()) onEvent('fullscreen-exit');
+  };
+
+  const handleResize = () => {
+    const open = isDevtoolsOpen();
+    if (open && !devtoolsOpen) {
+      onEvent('devtools-open', `${window.outerWidth}x${window.outerHeight} window, ${window.innerWidth}x${window.innerHeight} viewport`);
+    }
+    devtoolsOpen = open;
+  };
+
+  if (preventCheating) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    document.addEventListener('contextmenu', handleContextMenu);
+    window.addEventListener('resize', handleResize);
+  }
+  if (fullScreen) {
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+  }
+
+  // Removing a listener that was never added is harmless
+  return () => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('blur', handleBlur);
+    document.removeEventListener('copy', handleCopy);
+    document.removeEventListener('cut', handleCopy);
+    document.removeEventListener('paste', handlePaste);
+    document.removeEventListener('contextmenu', handleContextMenu);
+    document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    window.removeEventListener('resize', handleResize);
+  };
+};
@@ -0,0 +1,163 @@
+// How objective questions are answered and marked. Mirrors the answer types
+// and scoring modes the server grades with in Backend/utils/objectiveScoring.js.
+
+export const ANSWER_TYPE_OPTIONS = [
+  { value: 'multiple-choice', label: 'Multiple choice' },
+  { value: 'true-false', label: 'True or false' },
+  { value: 'fill-blank', label: 'Fill in the blank' },
+  { value: 'numeric', label: 'Numeric answer' },
+  { value: 'matching', label: 'Matching' },
+  { value: 'ordering', label: 'Ordering' }
+];
+
+export const getAnswerTypeLabel = (value) =>
+  (ANSWER_TYPE_OPTIONS.find(option => option.value === value) || ANSWER_TYPE_OPTIONS[0]).label;
+
+// Answered by picking from the question's options
+export const usesOptions = (question) =>
+  ['multiple-choice', 'true-false', undefined, null].includes(question.answerType);
+
+// Answered by typing, so saved as the student types like theory answers
+export const isTextAnswer = (question) => ['fill-blank', 'numeric'].includes(question.answerType);
+
+// Starting answer key for the answer types without options
+export const DEFAULT_TYPED_ANSWER_KEY = {
+  acceptedAnswers: [''],
+  caseSensitive: false,
+  numericAnswer: '',
+  tolerance: 0,
+  toleranceType: 'absolute',
+  unit: '',
+  acceptedUnits: [],
+  matchingPairs: [
+    { left: '', right: '' },
+    { left: '', right: '' },
+    { left: '', right: '' }
+  ],
+  orderingItems: ['', '', '']
+};
+
+// The typed answer key of a saved question, for editing
+export const toTypedAnswerKeyForm = (question) => ({
+  acceptedAnswers: question.acceptedAnswers?.length ? [...question.acceptedAnswers] : [''],
+  caseSensitive: !!question.caseSensitive,
+  numericAnswer: question.numericAnswer ?? '',
+  tolerance: question.tolerance || 0,
+  toleranceType: question.toleranceType || 'absolute',
+  unit: question.unit || '',
+  acceptedUnits: question.acceptedUnits || [],
+  matchingPairs: question.matchingPairs?.length
+    ? question.matchingPairs.map(pair => ({ left: pair.left, right: pair.right }))
+    : DEFAULT_TYPED_ANSWER_KEY.matchingPairs,
+  orderingItems: question.orderingItems?.length ? [...question.orderingItems] : DEFAULT_TYPED_ANSWER_KEY.orderingItems
+});
+
+// Why a typed answer key is not ready to save, or null
+export const getTypedAnswerKeyError = (question) => {
+  switch (question.answerType) {
+    case 'fill-blank':
+      return question.acceptedAnswers.some(answer => answer.trim()) ? null : 'Please enter at least one accepted answer';
+    case 'numeric':
+      return question.numericAnswer === '' || isNaN(Number(question.numericAnswer)) ? 'Please enter the numeric answer' : null;
+    case 'matching':
+      return question.matchingPairs.filter(pair => pair.left.trim() && pair.right.trim()).length < 2
+        ? 'Please enter at least 2 complete pairs'
+        : null;
+    case 'ordering':
+      return question.orderingItems.filter(item => item.trim()).length < 2 ? 'Please enter at least 2 items' : null;
+    default:
+      return null;
+  }
+};
+
+// The correct answer of a question without options as text
+export const formatTypedCorrectAnswer = (question) => {
+  switch (question.answerType) {
+    case 'fill-blank':
+      return (question.acceptedAnswers || []).join(' / ');
+    case 'numeric': {
+      const unit = question.unit ? ` ${question.unit}` : '';
+      if (!question.tolerance) return `${question.numericAnswer}${unit}`;
+      const tolerance = question.toleranceType === 'relative' ? `${question.tolerance}%` : question.tolerance;
+      return `${question.numericAnswer}${unit} (± ${tolerance})`;
+    }
+    case 'matching':
+      return (question.matchingPairs || []).map(pair => `${pair.left} → ${pair.right}`).join('; ');
+    case 'ordering':
+      return (question.orderingItems || []).join(' → ');
+    default:
+      return '';
+  }
+};
+
+// A graded answer to a question without options as text; matching and
+// ordering answers hold the question's own item indices
+export const formatTypedAnswer = (question, answer) => {
+  if (answer === undefined || answer === null || answer === '') return '';
+  switch (question.answerType) {
+    case 'matching': {
+      const pairs = question.matchingPairs || [];
+      return (Array.isArray(answer) ? answer : [])
+        .map((rightIndex, leftIndex) => (
+          pairs[leftIndex] && pairs[rightIndex] ? `${pairs[leftIndex].left} → ${pairs[rightIndex].right}` : null
+        ))
+        .filter(text => text)
+        .join('; ');
+    }
+    case 'ordering':
+      return (Array.isArray(answer) ? answer : [])
+        .map(index => (question.orderingItems || [])[index])
+        .filter(item => item !== undefined)
+        .join(' → ');
+    default:
+      return String(answer);
+  }
+};
+
+export const SCORING_MODE_OPTIONS = [
+  {
+    value: 'all-or-nothing',
+    label: 'All or nothing',
+    description: 'Full marks only when exactly the correct options are picked.'
+  },
+  {
+    value: 'partial',
+    label: 'Partial credit',
+    description: 'An equal share of the marks for each correct option picked. Picking more options than are correct scores nothing.'
+  },
+  {
+    value: 'negative',
+    label: 'Negative marking',
+    description: 'A share for each correct option picked, minus a share for each wrong one. Never below zero.'
+  }
+];
+
+// The scoring modes as they apply to matching pairs and ordering positions
+export const ARRANGEMENT_SCORING_DESCRIPTIONS = {
+  'all-or-nothing': 'Full marks only when every pair or position is right.',
+  partial: 'An equal share of the marks for each right pair or position.',
+  negative: 'A share for each right pair or position, minus a share for each wrong one. Never below zero.'
+};
+
+// Share of a question's marks lost for a wrong answer under exam negative marking
+export const NEGATIVE_MARKING_FRACTIONS = [
+  { value: 0.25, label: 'A quarter (¼)' },
+  { value: 1 / 3, label: 'A third (⅓)' },
+  { value: 0.5, label: 'Half (½)' },
+  { value: 1, label: 'The full marks' }
+];
+
+// "Each wrong objective answer loses 25% of that question's marks"
+export const describeNegativeMarking = (fraction) =>
+  `Each wrong objective answer loses ${Math.round(fraction * 100)}% of that question's marks. Unanswered questions lose nothing, so leave a question blank rather than guess.`;
+
+export const getScoringModeLabel = (value) =>
+  (SCORING_MODE_OPTIONS.find(option => option.value === value) || SCORING_MODE_OPTIONS[0]).label;
+
+// Option indices in a saved answer; single-answer questions store one index
+export const toSelectedIndices = (answer) => {
+  if (answer === undefined || answer === null || answer === '') return [];
+  return (Array.isArray(answer) ? answer : [answer])
+    .map(value => parseInt(value))
+    .filter(index => !isNaN(index));
+};
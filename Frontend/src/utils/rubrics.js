@@ -0,0 +1,87 @@
+// Rubric marking of theory answers. Mirrors Backend/utils/rubricScoring.js:
+// the teacher picks one band per criterion and the answer scores the
+// question's marks times the share of the rubric's top points picked.
+
+const DEFAULT_BANDS = [
+  { label: 'Excellent', points: 3, descriptor: '' },
+  { label: 'Good', points: 2, descriptor: '' },
+  { label: 'Fair', points: 1, descriptor: '' },
+  { label: 'Poor', points: 0, descriptor: '' }
+];
+
+export const newCriterion = () => ({
+  title: '',
+  description: '',
+  bands: DEFAULT_BANDS.map(band => ({ ...band }))
+});
+
+export const EMPTY_RUBRIC_FORM = {
+  title: '',
+  description: '',
+  subject: '',
+  criteria: [newCriterion()]
+};
+
+// A saved rubric, for editing
+export const toRubricForm = (rubric) => ({
+  title: rubric.title,
+  description: rubric.description || '',
+  subject: rubric.subject?._id || rubric.subject || '',
+  criteria: rubric.criteria.map(criterion => ({
+    title: criterion.title,
+    description: criterion.description || '',
+    bands: criterion.bands.map(band => ({
+      label: band.label,
+      points: band.points,
+      descriptor: band.descriptor || ''
+    }))
+  }))
+});
+
+// Why a rubric form is not ready to save, or null
+export const getRubricFormError = (form) => {
+  if (!form.title.trim()) return 'Please enter a rubric title';
+  if (form.criteria.length === 0) return 'Please add at least one criterion';
+  for (const criterion of form.criteria) {
+    if (!criterion.title.trim()) return 'Every criterion needs a title';
+    if (criterion.bands.length < 2) return `"${criterion.title}" needs at least 2 bands`;
+    if (criterion.bands.some(band => !band.label.trim())) return `Every band of "${criterion.title}" needs a label`;
+    if (criterion.bands.some(band => band.points === '' || Number(band.points) < 0)) {
+      return `Band points of "${criterion.title}" must be zero or more`;
+    }
+  }
+  return getRubricMaxPoints(form) > 0 ? null : 'At least one band must be worth points';
+};
+
+export const getCriterionMaxPoints = (criterion) =>
+  Math.max(0, ...criterion.bands.map(band => Number(band.points) || 0));
+
+export const getRubricMaxPoints = (rubric) =>
+  (rubric?.criteria || []).reduce((sum, criterion) => sum + getCriterionMaxPoints(criterion), 0);
+
+// Band choices keyed by criterion index, from an answer's saved rubric scores
+export const toRubricSelections = (rubricScores) =>
+  (rubricScores || []).reduce((selections, score) => ({
+    ...selections,
+    [score.criterion]: { band: score.band, comment: score.comment || '' }
+  }), {});
+
+// Band choices as the grading routes take them
+export const toRubricScores = (selections) =>
+  Object.entries(selections).map(([criterion, selection]) => ({
+    criterion: parseInt(criterion),
+    band: selection.band,
+    comment: selection.comment
+  }));
+
+// The mark the chosen bands give, or null until every criterion has a band
+export const scoreRubricSelections = (rubric, selections, maxMarks) => {
+  let points = 0;
+  for (let index = 0; index < rubric.criteria.length; index++) {
+    const band = rubric.criteria[index].bands[selections[index]?.band];
+    if (!band) return null;
+    points += band.points;
+  }
+  const maxPoints = getRubricMaxPoints(rubric);
+  return maxPoints > 0 ? Math.round((maxMarks * points / maxPoints) * 100) / 100 : 0;
+};
@@ -0,0 +1,11 @@
+// Which subjects a student takes. Mirrors Backend/utils/subjectEnrollment.js:
+// subjects compulsory for everyone or for the student's department, plus
+// the electives they are enrolled in.
+
+export const isRequiredSubject = (subject, department) => {
+  if (!subject.isCompulsory) return false;
+  const departments = subject.departments || [];
+  return departments.length === 0 ||
+    departments.includes('All') ||
+    (!!department && departments.includes(department));
+};
@@ -0,0 +1,53 @@
+// Keyword-assisted marking of theory answers. The server suggests a mark from
+// the grading keywords found in an answer (Backend/utils/theoryGrading.js);
+// these helpers edit the keywords and show where they were found.
+
+export const DEFAULT_GRADING_KEYWORD = { term: '', synonyms: '', weight: 1 };
+
+// A question's grading keywords as editable rows, synonyms comma separated;
+// questions with only plain keywords start with one row per keyword
+export const toGradingKeywordRows = (question) => {
+  if (question.gradingKeywords?.length) {
+    return question.gradingKeywords.map(keyword => ({
+      term: keyword.term,
+      synonyms: (keyword.synonyms || []).join(', '),
+      weight: keyword.weight || 1
+    }));
+  }
+  return (question.keywords || []).map(term => ({ ...DEFAULT_GRADING_KEYWORD, term }));
+};
+
+// Editable rows as the grading keywords the server saves, without blank rows
+export const toGradingKeywords = (rows) => rows
+  .filter(row => row.term.trim())
+  .map(row => ({
+    term: row.term.trim(),
+    synonyms: row.synonyms.split(',').map(synonym => synonym.trim()).filter(synonym => synonym),
+    weight: parseFloat(row.weight) || 1
+  }));
+
+// The answer split into plain and matched pieces, for highlighting the
+// ranges of the suggestion's matched keywords
+export const highlightMatches = (text, matches) => {
+  const answer = String(text || '');
+  const ranges = (matches || [])
+    .filter(match => match.matched)
+    .flatMap(match => match.ranges.map(range => ({ ...range, term: match.term })))
+    .sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let position = 0;
+  ranges.forEach(range => {
+    // Overlapping matches, such as a phrase and one of its words, show once
+    if (range.start < position) return;
+    if (range.start > position) segments.push({ text: answer.slice(position, range.start) });
+    segments.push({ text: answer.slice(range.start, range.end), term: range.term });
+    position = range.end;
+  });
+  if (position < answer.length) segments.push({ text: answer.slice(position) });
+  return segments;
+};
+
+// "Suggested 4 / 5 marks (80% of keywords)"
+export const describeSuggestion = (suggestion, maxMarks) =>
+  `Suggested ${suggestion.marks} / ${maxMarks} marks (${Math.round(suggestion.coverage * 100)}% of keyword weight found)`;
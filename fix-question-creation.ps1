@@ -32,17 +32,17 @@ Write-Host "🚀 Starting fix process..." -ForegroundColor Cyan
 Write-Host ""
 
 # Step 1: Fix teacher assignments
-Write-Host "Step 1: Fixing teacher assignments..." -ForegroundColor Blue
+Write-Host "Step 1: Migrating teacher assignments..." -ForegroundColor Blue
 try {
-    node fix-teacher-assignments.js
+    node scripts/migrateTeachingAssignments.js
     if ($LASTEXITCODE -eq 0) {
-        Write-Host "✅ Teacher assignments fixed successfully!" -ForegroundColor Green
+        Write-Host "✅ Teacher assignments migrated successfully!" -ForegroundColor Green
     } else {
-        Write-Host "❌ Error fixing teacher assignments" -ForegroundColor Red
+        Write-Host "❌ Error migrating teacher assignments" -ForegroundColor Red
         exit 1
     }
 } catch {
-    Write-Host "❌ Error running fix-teacher-assignments.js: $_" -ForegroundColor Red
+    Write-Host "❌ Error running scripts/migrateTeachingAssignments.js: $_" -ForegroundColor Red
     exit 1
 }
 